@@ -0,0 +1,119 @@
+/**
+ * @file accessControl.js
+ * @description Decides which customers' files an authenticated caller may access.
+ *
+ * Authentication middleware describes the caller on `req.auth` as a Principal.
+ * A principal with a `customerId` acts for that one customer: it may only use
+ * the routes under `/api/customers/{customerId}/`, and not the shared `/api/data`
+ * routes, which can reach every file. A principal without a `customerId` is a
+ * trusted service (such as `harshal-agent`) acting for any customer, and
+ * requests without a principal are not restricted here.
+ *
+ * Independently of the customer, a principal's scopes limit what it may do:
+ * - `chat`: Use the chat and bill extraction routes, and let the chat tools use the caller's own
+ *   customer document
+ * - `data:read`: Read and list stored files, and get read URLs for them
+ * - `data:write`: Save, patch and delete stored files, and get write URLs for them
+ *
+ * Exports:
+ * - SCOPES: The scopes a principal can be granted
+ * - ForbiddenError: Thrown when the caller may not access a resource (status 403)
+ * - assertCustomerAccess(principal, customerId): Throws unless the caller may act for the customer
+ * - requireCustomerAccess: Middleware enforcing assertCustomerAccess for `:customerId` routes
+ * - denyCustomerPrincipals: Middleware restricting shared routes to services
+ * - assertScope(principal, scope): Throws unless the caller has been granted the scope
+ * - assertToolDataAccess(principal, customerId): Throws unless the caller may let the chat tools use a customer document
+ * - requireScope(scope): Middleware enforcing assertScope
+ */
+
+export const SCOPES = ['chat', 'data:read', 'data:write'];
+
+/**
+ * @typedef {object} Principal
+ * @property {string} id - Identifies the caller in logs, e.g. an API key ID or a token's email.
+ * @property {string} [customerId] - When set, the caller may only access this customer's data.
+ * @property {Array<string>} [scopes] - What the caller may do, e.g. 'chat' or 'data:read'.
+ */
+
+/**
+ * Custom error for an authenticated caller that is not allowed to access a resource.
+ */
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * @param {Principal} [principal] - The caller, if known.
+ * @param {string} customerId - The customer whose data is being accessed.
+ * @throws {ForbiddenError} If the caller acts for a different customer.
+ */
+export function assertCustomerAccess(principal, customerId) {
+  if (principal?.customerId !== undefined && principal.customerId !== customerId) {
+    throw new ForbiddenError(`Caller '${principal.id}' may not access the data of customer '${customerId}'.`);
+  }
+}
+
+/**
+ * Express middleware for routes with a `:customerId` parameter.
+ */
+export function requireCustomerAccess(req, res, next) {
+  assertCustomerAccess(req.auth, req.params.customerId);
+  next();
+}
+
+/**
+ * Express middleware for routes that are not limited to one customer's data.
+ */
+export function denyCustomerPrincipals(req, res, next) {
+  if (req.auth?.customerId !== undefined) {
+    throw new ForbiddenError(`Caller '${req.auth.id}' may only access /api/customers/${req.auth.customerId}/.`);
+  }
+  next();
+}
+
+/**
+ * @param {Principal} [principal] - The caller, if known.
+ * @param {string} scope - One of SCOPES.
+ * @throws {ForbiddenError} If the caller has not been granted the scope.
+ */
+export function assertScope(principal, scope) {
+  if (principal && !principal.scopes?.includes(scope)) {
+    throw new ForbiddenError(`Caller '${principal.id}' lacks the '${scope}' scope.`);
+  }
+}
+
+/**
+ * Creates Express middleware that only lets callers with the scope through.
+ *
+ * @param {string} scope - One of SCOPES.
+ * @returns {import('express').RequestHandler}
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    assertScope(req.auth, scope);
+    next();
+  };
+}
+
+/**
+ * Checks that the chat tools may read and update a customer document for the caller. The tools
+ * reach data the chat routes do not otherwise expose, so beyond a principal's own customer
+ * document they need the same scopes as /api/data.
+ *
+ * @param {Principal} [principal] - The caller, if known.
+ * @param {string} [customerId] - The customer whose document the tools use; undefined for a shared document.
+ * @throws {ForbiddenError} If the caller acts for another customer, or lacks `data:read` or
+ * `data:write` for a document other than its own customer's.
+ */
+export function assertToolDataAccess(principal, customerId) {
+  if (customerId !== undefined) {
+    assertCustomerAccess(principal, customerId);
+  }
+  if (customerId === undefined || principal?.customerId !== customerId) {
+    assertScope(principal, 'data:read');
+    assertScope(principal, 'data:write');
+  }
+}
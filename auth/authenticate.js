@@ -0,0 +1,257 @@
+/**
+ * @file authenticate.js
+ * @description Identifies the caller of an API request and describes it on `req.auth`.
+ *
+ * Two kinds of credentials are accepted:
+ * - API keys, sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`. Only the
+ *   SHA-256 hash of each key is configured, never the key itself. Several keys may
+ *   share an ID, so a key is rotated by adding a new key with the same ID and scopes,
+ *   moving the callers over, and then removing the old key (or letting it expire).
+ * - Google-signed ID tokens, sent as `Authorization: Bearer <token>`, e.g. by a service
+ *   calling with its service account's identity. The signature, expiry and audience are
+ *   verified with google-auth-library, and the token's email must be one of the
+ *   configured principals.
+ *
+ * Exports:
+ * - UnauthorizedError: Thrown for missing or invalid credentials (status 401)
+ * - hashApiKey(key): The hash under which an API key is configured
+ * - generateApiKey(): Creates a new random API key and its hash
+ * - parseApiKeyRecords(records): Validates configured API keys
+ * - ApiKeyStore: Looks up API keys, reloading them periodically so rotations apply without a restart
+ * - IdTokenVerifier: Verifies Google-signed ID tokens
+ * - createAuthMiddleware(options): Express middleware that sets `req.auth` or fails with 401
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { OAuth2Client } from 'google-auth-library';
+import { ForbiddenError, SCOPES } from './accessControl.js';
+
+// How long loaded API keys are used before they are loaded again.
+const DEFAULT_REFRESH_MS = 60 * 1000;
+const KEY_HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+// ID tokens are JWTs: three base64url segments. API keys never contain dots.
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * @typedef {object} ApiKeyRecord
+ * @property {string} id - Identifies the caller; shared by the old and new key during a rotation.
+ * @property {string} keyHash - The key's hash, as returned by hashApiKey().
+ * @property {Array<string>} scopes - The scopes the key grants; see SCOPES.
+ * @property {string} [customerId] - Limits the key to one customer's data.
+ * @property {string} [expiresAt] - An ISO 8601 time after which the key is no longer accepted.
+ */
+
+/**
+ * Custom error for requests without valid credentials.
+ */
+export class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * @param {string} key - An API key.
+ * @returns {string} Its hash, e.g. `sha256:9f86d08...`.
+ */
+export function hashApiKey(key) {
+  return `sha256:${createHash('sha256').update(key, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Creates a new API key. Give the key to the caller and configure only its hash.
+ *
+ * @returns {{key: string, keyHash: string}}
+ */
+export function generateApiKey() {
+  const key = randomBytes(32).toString('base64url');
+  return { key, keyHash: hashApiKey(key) };
+}
+
+/**
+ * Validates configured API keys.
+ *
+ * @param {any} records - The parsed configuration.
+ * @returns {Array<ApiKeyRecord>} The records.
+ * @throws {Error} If the configuration is not an array of valid records.
+ */
+export function parseApiKeyRecords(records) {
+  if (!Array.isArray(records)) {
+    throw new Error('API keys must be configured as a JSON array.');
+  }
+  records.forEach((record, index) => {
+    const where = `API key ${index}${typeof record?.id === 'string' ? ` ('${record.id}')` : ''}`;
+    if (!record || typeof record.id !== 'string' || !record.id) {
+      throw new Error(`${where} must have an "id".`);
+    }
+    if (!KEY_HASH_PATTERN.test(record.keyHash)) {
+      throw new Error(`${where} must have a "keyHash" of the form "sha256:<64 hex digits>".`);
+    }
+    if (!Array.isArray(record.scopes) || !record.scopes.every(scope => SCOPES.includes(scope))) {
+      throw new Error(`${where} must have "scopes" from: ${SCOPES.join(', ')}.`);
+    }
+    if (record.customerId !== undefined && (typeof record.customerId !== 'string' || !record.customerId)) {
+      throw new Error(`${where} has an invalid "customerId".`);
+    }
+    if (record.expiresAt !== undefined && Number.isNaN(Date.parse(record.expiresAt))) {
+      throw new Error(`${where} has an invalid "expiresAt".`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Looks up API keys by their hash. The keys are loaded on first use and again once
+ * they are older than `refreshMs`; if reloading fails, the previous keys stay in use.
+ */
+export class ApiKeyStore {
+  #load;
+  #refreshMs;
+  #logger;
+  #keys = null;
+  #loadedAt = 0;
+  #loading = null;
+
+  /**
+   * @param {object} options - Store options.
+   * @param {() => Promise<Array<ApiKeyRecord>>} options.load - Loads the current keys.
+   * @param {number} [options.refreshMs=60000] - How long loaded keys are used.
+   * @param {import('pino').Logger} [options.logger] - Reports failed reloads.
+   */
+  constructor({ load, refreshMs = DEFAULT_REFRESH_MS, logger }) {
+    this.#load = load;
+    this.#refreshMs = refreshMs;
+    this.#logger = logger;
+  }
+
+  async #getKeys() {
+    if (this.#keys && Date.now() - this.#loadedAt < this.#refreshMs) {
+      return this.#keys;
+    }
+    if (!this.#loading) {
+      this.#loading = this.#load()
+        .then(records => {
+          this.#keys = new Map(parseApiKeyRecords(records).map(record => [record.keyHash, record]));
+        }, error => {
+          if (!this.#keys) {
+            throw error;
+          }
+          this.#logger?.error({ err: error }, 'Failed to reload API keys; keeping the previous keys.');
+        })
+        .then(() => {
+          this.#loadedAt = Date.now();
+        })
+        .finally(() => {
+          this.#loading = null;
+        });
+    }
+    await this.#loading;
+    return this.#keys;
+  }
+
+  /**
+   * @param {string} key - The API key sent by the caller.
+   * @returns {Promise<import('./accessControl.js').Principal|null>} The caller, or null if the key is unknown or expired.
+   */
+  async authenticate(key) {
+    const record = (await this.#getKeys()).get(hashApiKey(key));
+    if (!record || (record.expiresAt !== undefined && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+    return { id: record.id, customerId: record.customerId, scopes: record.scopes };
+  }
+}
+
+/**
+ * Verifies Google-signed ID tokens and maps their email to a principal.
+ */
+export class IdTokenVerifier {
+  #client;
+  #audience;
+  #principals;
+
+  /**
+   * @param {object} options - Verifier options.
+   * @param {string|Array<string>} options.audience - The accepted `aud` claims, usually this service's URL.
+   * @param {Object<string, {scopes: Array<string>, customerId?: string}>} options.principals - The
+   * accepted callers, keyed by the email in their tokens (e.g. a service account's email).
+   * @param {OAuth2Client} [options.client] - The client used to verify tokens.
+   */
+  constructor({ audience, principals, client = new OAuth2Client() }) {
+    if (!audience || audience.length === 0) {
+      throw new Error('An audience is required to verify ID tokens.');
+    }
+    for (const [email, principal] of Object.entries(principals)) {
+      if (!Array.isArray(principal?.scopes) || !principal.scopes.every(scope => SCOPES.includes(scope))) {
+        throw new Error(`ID token principal '${email}' must have "scopes" from: ${SCOPES.join(', ')}.`);
+      }
+    }
+    this.#client = client;
+    this.#audience = audience;
+    this.#principals = principals;
+  }
+
+  /**
+   * @param {string} token - The ID token sent by the caller.
+   * @returns {Promise<import('./accessControl.js').Principal>} The caller.
+   * @throws {UnauthorizedError} If the token is invalid, expired or for another audience.
+   * @throws {ForbiddenError} If the token is valid but its email is not an accepted caller.
+   */
+  async authenticate(token) {
+    let payload;
+    try {
+      const ticket = await this.#client.verifyIdToken({ idToken: token, audience: this.#audience });
+      payload = ticket.getPayload();
+    } catch (error) {
+      throw new UnauthorizedError(`Invalid ID token: ${error.message}`);
+    }
+    if (!payload?.email || payload.email_verified !== true) {
+      throw new UnauthorizedError('The ID token has no verified email.');
+    }
+    const principal = this.#principals[payload.email];
+    if (!principal) {
+      throw new ForbiddenError(`'${payload.email}' is not allowed to call this API.`);
+    }
+    return { id: payload.email, customerId: principal.customerId, scopes: principal.scopes };
+  }
+}
+
+/**
+ * Creates Express middleware that authenticates every request it sees. On success the
+ * caller is set as `req.auth`; otherwise the request fails with an UnauthorizedError
+ * (or a ForbiddenError for a valid ID token of an unknown caller).
+ *
+ * @param {object} options - The accepted credentials; at least one kind should be given.
+ * @param {ApiKeyStore} [options.apiKeys] - Accepts API keys.
+ * @param {IdTokenVerifier} [options.idTokens] - Accepts Google-signed ID tokens.
+ * @returns {import('express').RequestHandler}
+ */
+export function createAuthMiddleware({ apiKeys, idTokens }) {
+  const identify = async (req) => {
+    const apiKey = req.get('X-API-Key');
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    const bearer = /^bearer$/i.test(scheme) && credentials ? credentials : undefined;
+
+    if (apiKey === undefined && bearer === undefined) {
+      throw new UnauthorizedError('Authentication required: send an API key in X-API-Key or a Google ID token as "Authorization: Bearer <token>".');
+    }
+    if (apiKey === undefined && idTokens && JWT_PATTERN.test(bearer)) {
+      return idTokens.authenticate(bearer);
+    }
+    const principal = apiKeys ? await apiKeys.authenticate(apiKey ?? bearer) : null;
+    if (!principal) {
+      throw new UnauthorizedError('Invalid API key.');
+    }
+    return principal;
+  };
+
+  return async (req, res, next) => {
+    try {
+      req.auth = await identify(req);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,514 @@
+/**
+ * @file extractBill.js
+ * @description Structured bill extraction from PDF bills.
+ *
+ * Turns a bill PDF into an object shaped like the `currentBill` block of
+ * `customer-data.json`. The text is read locally with `parsePdf` and the
+ * billing summary is parsed deterministically; only the fields the local
+ * parser could not find are requested from Gemini, and every value the model
+ * returns is validated before it is accepted.
+ *
+ * Exports:
+ * - extractBill(pdfBuffer, options): Extracts the `currentBill` fields with per-field confidence
+ * - validateCurrentBill(bill): Returns the validation errors for a `currentBill` object
+ */
+
+import { parsePdf, PdfParseError } from '../pdf/parsePdf.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const AMOUNT_PATTERN = /^-?\d+\.\d{2}$/;
+const PRINTED_AMOUNT_PATTERN = /^-?\s*\$?\s*-?[\d,]*\d\.\d{2}(?:CR)?$/i;
+
+// Confidence assigned to a field depending on how its value was obtained.
+const CONFIDENCE = {
+  RECONCILED: 0.99, // Labelled amount that also satisfies the bill's arithmetic.
+  LABELLED: 0.9, // Value printed next to a recognised label.
+  INFERRED: 0.75, // Value derived from a labelled one (e.g. a due date's year).
+  COMPUTED: 0.7, // Value calculated from other fields.
+  MODEL: 0.6, // Value supplied by the Gemini fallback.
+  UNRECONCILED: 0.5 // Labelled amount that contradicts the bill's arithmetic.
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Fee descriptions that customers are typically allowed to dispute.
+const DISPUTABLE_FEE_PATTERN = /late|penalt|reconnect|returned|insufficient funds|service charge/i;
+
+/**
+ * The fields of `currentBill`, with the description used in the model prompt
+ * and the validator applied to both locally parsed and model-supplied values.
+ */
+const FIELDS = {
+  billDate: {
+    description: 'the date the bill was issued, as "YYYY-MM-DD"',
+    validate: isValidDate
+  },
+  dueDate: {
+    description: 'the payment due date, as "YYYY-MM-DD"',
+    validate: isValidDate
+  },
+  totalAmountDue: {
+    description: 'the total amount due, as a string with two decimals, e.g. "125.40"',
+    validate: isValidAmount
+  },
+  previousBalance: {
+    description: 'the previous balance / previous amount due, as a string with two decimals',
+    validate: isValidAmount
+  },
+  paymentsReceived: {
+    description: 'an array of { "date": "YYYY-MM-DD", "amount": "-125.40" } for payments applied since the last bill (amounts negative)',
+    validate: (value) => Array.isArray(value) && value.every(payment => isValidDate(payment?.date) && isValidAmount(payment?.amount))
+  },
+  balanceForward: {
+    description: 'the balance carried forward after payments, as a string with two decimals',
+    validate: isValidAmount
+  },
+  'newCharges.electricity': {
+    description: 'the current electric charges, as a string with two decimals',
+    validate: isValidAmount
+  },
+  'newCharges.naturalGas': {
+    description: 'the current natural gas charges, as a string with two decimals ("0.00" if the bill has no gas service)',
+    validate: isValidAmount
+  },
+  'newCharges.otherFees': {
+    description: 'an array of { "description": string, "amount": "10.75" } for every other new charge, fee or tax',
+    validate: (value) => Array.isArray(value) && value.every(fee => typeof fee?.description === 'string' && isValidAmount(fee?.amount))
+  }
+};
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isValidAmount(value) {
+  return typeof value === 'string' && AMOUNT_PATTERN.test(value);
+}
+
+/**
+ * Normalises "$1,234.56", "-129.04", "12.00CR" or a number to a two-decimal string.
+ * @returns {string|null}
+ */
+function parseAmount(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return formatCents(Math.round(value * 100));
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^(-)?\s*\$?\s*(-)?([\d,]*\d(?:\.\d{1,2})?)\s*(CR)?$/i);
+  if (!match) {
+    return null;
+  }
+  const negative = Boolean(match[1] || match[2] || match[4]);
+  const cents = Math.round(parseFloat(match[3].replace(/,/g, '')) * 100);
+  return formatCents(negative ? -cents : cents);
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function formatCents(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+function formatDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses "Jun 5, 2025", "June 5 2025", "06/05/2025" or "2025-06-05".
+ * A month-and-day date without a year ("Jun 30") takes its year from
+ * `referenceDate`, rolling into the next year when it would otherwise fall
+ * more than a month before the reference.
+ * @returns {{date: string, yearInferred: boolean}|null}
+ */
+function parseDate(text, referenceDate) {
+  if (!text) {
+    return null;
+  }
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) {
+    const date = formatDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date ? { date, yearInferred: false } : null;
+  }
+  match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  if (match) {
+    const date = formatDate(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+    return date ? { date, yearInferred: false } : null;
+  }
+  match = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?\b/);
+  if (!match) {
+    return null;
+  }
+  const monthIndex = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+  if (monthIndex === -1) {
+    return null;
+  }
+  const day = Number(match[2]);
+  if (match[3]) {
+    const date = formatDate(Number(match[3]), monthIndex, day);
+    return date ? { date, yearInferred: false } : null;
+  }
+  if (!referenceDate) {
+    return null;
+  }
+  const reference = new Date(`${referenceDate}T00:00:00Z`);
+  let year = reference.getUTCFullYear();
+  if (monthIndex < reference.getUTCMonth() - 1) {
+    year++;
+  }
+  const date = formatDate(year, monthIndex, day);
+  return date ? { date, yearInferred: true } : null;
+}
+
+/**
+ * Splits a laid-out line into its label and the first amount that follows it.
+ * `parsePdf` separates columns with tabs, so "Taxes\t8.44\tDo not work ..." yields
+ * { label: 'Taxes', amount: '8.44' }.
+ */
+function splitLabelAndAmount(line) {
+  const cells = line.split('\t').map(cell => cell.trim()).filter(Boolean);
+  for (let i = 1; i < cells.length; i++) {
+    // Require cents so that years, meter readings and kWh figures are not mistaken for amounts.
+    if (PRINTED_AMOUNT_PATTERN.test(cells[i])) {
+      return { label: cells.slice(0, i).join(' '), amount: parseAmount(cells[i]) };
+    }
+  }
+  // Single-column layouts: "Taxes 8.44" or "Previous Balance: $129.04".
+  const match = line.trim().match(/^(.*?[A-Za-z].*?)[\s:]+(-?\s*\$?-?[\d,]*\d\.\d{2}(?:CR)?)$/i);
+  if (match) {
+    return { label: match[1].trim(), amount: parseAmount(match[2]) };
+  }
+  return null;
+}
+
+/**
+ * Returns the lines of the billing summary section, or null when the bill has none.
+ */
+function findSummaryLines(lines) {
+  const start = lines.findIndex(line => /(billing|account) summary/i.test(line));
+  if (start === -1) {
+    return null;
+  }
+  const end = lines.findIndex((line, i) => i > start && /total amount due|amount due by|total due/i.test(line));
+  return lines.slice(start + 1, end === -1 ? undefined : end + 1);
+}
+
+/**
+ * Parses the bill text without the model. Each found field is recorded with
+ * its value and confidence; missing fields are simply absent from the result.
+ * @param {string} text - The text of the bill, as returned by `parsePdf`.
+ * @returns {{fields: Map<string, {value: any, confidence: number}>, warnings: Array<string>}}
+ */
+function parseBillText(text) {
+  const fields = new Map();
+  const warnings = [];
+  const lines = text.split('\n');
+
+  const billDateMatch = text.match(/(?:bill(?:ing)? date|statement date|date of bill)[\s:]*([A-Za-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})/i);
+  const billDate = parseDate(billDateMatch?.[1]);
+  if (billDate) {
+    fields.set('billDate', { value: billDate.date, confidence: CONFIDENCE.LABELLED });
+  }
+
+  const summaryLines = findSummaryLines(lines);
+  const payments = [];
+  const otherFees = [];
+
+  for (const line of summaryLines ?? lines) {
+    const entry = splitLabelAndAmount(line);
+    if (!entry) {
+      continue;
+    }
+    const { label, amount } = entry;
+
+    if (/total amount due|amount due by|total due/i.test(label)) {
+      if (!fields.has('totalAmountDue')) {
+        fields.set('totalAmountDue', { value: amount, confidence: CONFIDENCE.LABELLED });
+        const dueDate = parseDate(label.replace(/^.*?due(?: by)?/i, ''), billDate?.date);
+        if (dueDate && !fields.has('dueDate')) {
+          fields.set('dueDate', { value: dueDate.date, confidence: dueDate.yearInferred ? CONFIDENCE.INFERRED : CONFIDENCE.LABELLED });
+        }
+      }
+    } else if (/previous (amount due|balance)/i.test(label)) {
+      if (!fields.has('previousBalance')) {
+        fields.set('previousBalance', { value: amount, confidence: CONFIDENCE.LABELLED });
+      }
+    } else if (/payments? received|payment - thank you|payment applied/i.test(label)) {
+      const paymentDate = parseDate(label.replace(/^.*?payments?(?: received| applied)?/i, ''), billDate?.date);
+      payments.push({
+        date: paymentDate?.date ?? null,
+        amount: toCents(amount) > 0 ? formatCents(-toCents(amount)) : amount
+      });
+    } else if (/balance forward/i.test(label)) {
+      fields.set('balanceForward', { value: amount, confidence: CONFIDENCE.LABELLED });
+    } else if (/electric(ity)? charges/i.test(label)) {
+      if (!fields.has('newCharges.electricity')) {
+        fields.set('newCharges.electricity', { value: amount, confidence: CONFIDENCE.LABELLED });
+      }
+    } else if (/gas charges/i.test(label)) {
+      if (!fields.has('newCharges.naturalGas')) {
+        fields.set('newCharges.naturalGas', { value: amount, confidence: CONFIDENCE.LABELLED });
+      }
+    } else if (summaryLines) {
+      // Anything else with an amount inside the summary is another charge, fee or tax.
+      otherFees.push({ description: label, amount });
+    }
+  }
+
+  if (!fields.has('dueDate')) {
+    const dueDateMatch = text.match(/(?:due date|payment due(?: date)?|please pay by)[\s:]*([A-Za-z]{3,9}\.? \d{1,2}(?:,? \d{4})?|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})/i);
+    const dueDate = parseDate(dueDateMatch?.[1], billDate?.date);
+    if (dueDate) {
+      fields.set('dueDate', { value: dueDate.date, confidence: dueDate.yearInferred ? CONFIDENCE.INFERRED : CONFIDENCE.LABELLED });
+    }
+  }
+
+  if (summaryLines) {
+    if (payments.every(payment => payment.date)) {
+      fields.set('paymentsReceived', { value: payments, confidence: CONFIDENCE.LABELLED });
+    } else {
+      warnings.push('Found a payment line without a recognisable date.');
+    }
+    fields.set('newCharges.otherFees', { value: otherFees, confidence: CONFIDENCE.LABELLED });
+  }
+
+  if (!fields.has('newCharges.naturalGas') && fields.has('newCharges.electricity') && !/\bgas\b/i.test(text)) {
+    fields.set('newCharges.naturalGas', { value: '0.00', confidence: CONFIDENCE.COMPUTED });
+  }
+
+  if (!fields.has('balanceForward') && fields.has('previousBalance') && fields.has('paymentsReceived')) {
+    const paid = fields.get('paymentsReceived').value.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+    fields.set('balanceForward', {
+      value: formatCents(toCents(fields.get('previousBalance').value) + paid),
+      confidence: CONFIDENCE.COMPUTED
+    });
+  }
+
+  return { fields, warnings };
+}
+
+/**
+ * Checks that total due = balance forward + new charges, and adjusts the
+ * confidence of the amounts involved accordingly.
+ */
+function reconcileAmounts(fields, warnings) {
+  const required = ['totalAmountDue', 'balanceForward', 'newCharges.electricity', 'newCharges.naturalGas', 'newCharges.otherFees'];
+  if (!required.every(name => fields.has(name))) {
+    return;
+  }
+  const newCharges = toCents(fields.get('newCharges.electricity').value)
+    + toCents(fields.get('newCharges.naturalGas').value)
+    + fields.get('newCharges.otherFees').value.reduce((sum, fee) => sum + toCents(fee.amount), 0);
+  const expected = toCents(fields.get('balanceForward').value) + newCharges;
+  const actual = toCents(fields.get('totalAmountDue').value);
+
+  const amountFields = [...required, 'previousBalance', 'paymentsReceived'].filter(name => fields.has(name));
+  if (expected === actual) {
+    for (const name of amountFields) {
+      const field = fields.get(name);
+      if (field.confidence >= CONFIDENCE.COMPUTED) {
+        field.confidence = CONFIDENCE.RECONCILED;
+      }
+    }
+  } else {
+    warnings.push(`Amounts do not reconcile: balance forward plus new charges is ${formatCents(expected)}, but the total amount due is ${formatCents(actual)}.`);
+    for (const name of amountFields) {
+      const field = fields.get(name);
+      field.confidence = Math.min(field.confidence, CONFIDENCE.UNRECONCILED);
+    }
+  }
+}
+
+/**
+ * Normalises a value returned by the model for a given field, or returns undefined if it is unusable.
+ */
+function normalizeModelValue(name, value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  let normalized = value;
+  if (name === 'paymentsReceived') {
+    normalized = Array.isArray(value)
+      ? value.map(payment => {
+        const amount = parseAmount(payment?.amount);
+        return {
+          date: parseDate(payment?.date)?.date ?? null,
+          amount: amount && toCents(amount) > 0 ? formatCents(-toCents(amount)) : amount
+        };
+      })
+      : value;
+  } else if (name === 'newCharges.otherFees') {
+    normalized = Array.isArray(value)
+      ? value.map(fee => ({ description: fee?.description, amount: parseAmount(fee?.amount) }))
+      : value;
+  } else if (name === 'billDate' || name === 'dueDate') {
+    normalized = parseDate(String(value))?.date ?? null;
+  } else {
+    normalized = parseAmount(value);
+  }
+  return FIELDS[name].validate(normalized) ? normalized : undefined;
+}
+
+/**
+ * Asks Gemini for the fields the local parser could not find.
+ * @returns {Promise<Map<string, any>>} The validated values, keyed by field name.
+ */
+async function requestMissingFields(pdfBuffer, missing, { geminiClient, logger, requestOptions }, warnings) {
+  const fieldList = missing.map(name => `- "${name}": ${FIELDS[name].description}`).join('\n');
+  const prompt = 'Extract the following fields from the attached utility bill.\n'
+    + `${fieldList}\n`
+    + 'Reply with only a JSON object whose keys are exactly the quoted field names above. '
+    + 'Use null for any field that does not appear on the bill. Do not guess.';
+
+  logger?.info({ missingFields: missing }, 'Requesting missing bill fields from Gemini.');
+  // Routed like other structured extractions, although the JSON is parsed here rather than by the client.
+  const response = await geminiClient.sendMessageWithFiles(prompt, [], [{ buffer: pdfBuffer, mimetype: 'application/pdf' }], undefined, undefined, {
+    requestType: 'structured',
+    ...requestOptions
+  });
+  const responseText = (response?.text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch {
+    warnings.push('The model fallback did not return valid JSON; its answer was ignored.');
+    logger?.warn({ responseText: responseText.substring(0, 200) }, 'Model fallback returned invalid JSON.');
+    return new Map();
+  }
+
+  const values = new Map();
+  for (const name of missing) {
+    const raw = parsed?.[name] ?? (name.startsWith('newCharges.') ? parsed?.newCharges?.[name.slice('newCharges.'.length)] : undefined);
+    const value = normalizeModelValue(name, raw);
+    if (value !== undefined) {
+      values.set(name, value);
+    } else if (raw !== null && raw !== undefined) {
+      warnings.push(`The model returned an invalid value for "${name}"; it was ignored.`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Validates an object against the `currentBill` shape used in `customer-data.json`.
+ * @param {object} bill - The object to validate.
+ * @returns {Array<string>} A list of error messages; empty when the bill is valid.
+ */
+export function validateCurrentBill(bill) {
+  const errors = [];
+  if (!bill || typeof bill !== 'object') {
+    return ['currentBill must be an object'];
+  }
+  for (const [name, field] of Object.entries(FIELDS)) {
+    const value = name.split('.').reduce((object, key) => object?.[key], bill);
+    if (value !== null && !field.validate(value)) {
+      errors.push(`${name} is invalid: expected ${field.description}`);
+    }
+  }
+  for (const fee of bill.newCharges?.otherFees ?? []) {
+    if (typeof fee.itemId !== 'string' || typeof fee.isDisputable !== 'boolean') {
+      errors.push('newCharges.otherFees entries must have a string itemId and a boolean isDisputable');
+      break;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Extracts the `currentBill` block of a customer document from a bill PDF.
+ *
+ * Fields are first read from the PDF text by a deterministic parser. When a
+ * `geminiClient` is supplied, only the fields that could not be found locally
+ * are requested from the model, and each returned value is validated before
+ * use. Fields that neither source could provide are null with confidence 0.
+ *
+ * @param {Buffer} pdfBuffer - The raw bytes of the bill PDF.
+ * @param {object} [options] - Extraction options.
+ * @param {import('../gemini/geminiApi.js').GeminiApiClient} [options.geminiClient] - Client used for the fallback; omit to extract offline.
+ * @param {import('pino').Logger} [options.logger] - Optional logger.
+ * @param {object} [options.requestOptions] - Request options for the fallback call, e.g. `{ signal, onUsage }`.
+ * @returns {Promise<{
+ *   currentBill: object,
+ *   confidence: Object<string, number>,
+ *   sources: Object<string, 'parser'|'model'|'none'>,
+ *   warnings: Array<string>
+ * }>} The bill plus per-field confidence (0-1) and source, keyed by field path.
+ * @throws {PdfParseError} If the PDF cannot be read and no geminiClient is available.
+ */
+export async function extractBill(pdfBuffer, options = {}) {
+  const { geminiClient, logger } = options;
+  if (!Buffer.isBuffer(pdfBuffer) || pdfBuffer.length === 0) {
+    throw new PdfParseError('pdfBuffer must be a non-empty Buffer');
+  }
+
+  let fields = new Map();
+  const warnings = [];
+  try {
+    const parsed = await parsePdf(pdfBuffer);
+    const result = parseBillText(parsed.text);
+    fields = result.fields;
+    warnings.push(...parsed.warnings, ...result.warnings);
+  } catch (error) {
+    if (!(error instanceof PdfParseError) || !geminiClient) {
+      throw error;
+    }
+    warnings.push(`The PDF could not be parsed locally (${error.message}); all fields were requested from the model.`);
+  }
+  reconcileAmounts(fields, warnings);
+
+  const missing = Object.keys(FIELDS).filter(name => !fields.has(name));
+  if (missing.length > 0 && geminiClient) {
+    const modelValues = await requestMissingFields(pdfBuffer, missing, options, warnings);
+    for (const [name, value] of modelValues) {
+      fields.set(name, { value, confidence: CONFIDENCE.MODEL, fromModel: true });
+    }
+  }
+
+  const confidence = {};
+  const sources = {};
+  for (const name of Object.keys(FIELDS)) {
+    const field = fields.get(name);
+    confidence[name] = field?.confidence ?? 0;
+    sources[name] = field ? (field.fromModel ? 'model' : 'parser') : 'none';
+  }
+  const valueOf = (name) => fields.get(name)?.value ?? null;
+
+  const currentBill = {
+    billDate: valueOf('billDate'),
+    dueDate: valueOf('dueDate'),
+    totalAmountDue: valueOf('totalAmountDue'),
+    previousBalance: valueOf('previousBalance'),
+    paymentsReceived: valueOf('paymentsReceived') ?? [],
+    balanceForward: valueOf('balanceForward'),
+    newCharges: {
+      electricity: valueOf('newCharges.electricity'),
+      naturalGas: valueOf('newCharges.naturalGas'),
+      otherFees: (valueOf('newCharges.otherFees') ?? []).map((fee, index) => ({
+        itemId: `item-${String(index + 1).padStart(2, '0')}`,
+        description: fee.description,
+        amount: fee.amount,
+        isDisputable: DISPUTABLE_FEE_PATTERN.test(fee.description)
+      }))
+    }
+  };
+
+  const errors = validateCurrentBill(currentBill);
+  if (errors.length > 0) {
+    // Every value is validated on the way in, so this indicates a bug in the parser.
+    logger?.error({ errors }, 'Extracted bill failed validation.');
+    warnings.push(...errors);
+  }
+
+  logger?.info({ sources, warningCount: warnings.length }, 'Bill extraction complete.');
+  return { currentBill, confidence, sources, warnings };
+}
@@ -2,27 +2,67 @@
  * @file gcs-utils.js
  * @description Google Cloud Storage utility functions for reading and writing files
  * 
- * This module provides two asynchronous functions:
+ * This module provides the following asynchronous functions:
  * - getFile(bucketName, fileName): Downloads a file from GCS and returns its contents as a string
- * - saveFile(bucketName, fileName, data): Uploads data to GCS, overwriting if it exists
+ * - saveFile(bucketName, fileName, data, options): Uploads text or binary data to GCS, overwriting if it exists
+ * - getFileWithGeneration(bucketName, fileName): Like getFile, also returning the object generation
+ * - saveFileWithGeneration(bucketName, fileName, data, options): Like saveFile, with an optional
+ *   ifGenerationMatch precondition, returning the new generation
+ * - listFiles(bucketName, prefix, options): Lists one page of metadata for the files whose names
+ *   start with prefix, with a nextPageToken for the following page
+ * - deleteFile(bucketName, fileName): Deletes a file
+ * - fileExists(bucketName, fileName): Checks whether a file exists
+ * - getFileMetadata(bucketName, fileName): Returns a file's name, size, content type, update time and generation
+ * - createFileReadStream(bucketName, fileName, range): Streams a file, or a byte range of it, without buffering it
+ * - getSignedUrl(bucketName, fileName, options): Mints a short-lived V4 signed URL to read a file or to
+ *   start a resumable upload, so clients can transfer large files without going through this service
+ * - getBucketMetadata(bucketName): Returns a bucket's name, location and storage class, e.g. to check that it is reachable
+ *
+ * Every call is counted and timed, by function and outcome, in the service metrics (see metrics/serviceMetrics.js).
  */
 
 import { Storage } from '@google-cloud/storage';
+import {
+  DEFAULT_CONTENT_TYPE,
+  DEFAULT_PAGE_SIZE,
+  StorageFileNotFoundError,
+  StoragePreconditionFailedError,
+  assertValidData
+} from '../storage/storageBackend.js';
+import { observeGcsOperation } from '../metrics/serviceMetrics.js';
 
 /**
  * Custom error class for when a file is not found in GCS.
  * This allows for more specific error handling than matching strings.
+ * It is a StorageFileNotFoundError, so it is handled like a missing file in any storage backend.
  */
-export class GCSFileNotFoundError extends Error {
+export class GCSFileNotFoundError extends StorageFileNotFoundError {
   constructor(message) {
     super(message);
     this.name = 'GCSFileNotFoundError';
   }
 }
 
+/**
+ * Custom error class for when an ifGenerationMatch precondition fails because
+ * the object was changed since it was read.
+ */
+export class GCSPreconditionFailedError extends StoragePreconditionFailedError {
+  constructor(message) {
+    super(message);
+    this.name = 'GCSPreconditionFailedError';
+  }
+}
+
+// V4 signed URLs are valid for at most seven days.
+export const MAX_SIGNED_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+let storageClient;
+
 /**
  * Initialize Google Cloud Storage client
  * Uses the same authentication approach as the Gemini API client
+ * The client is created on first use and shared, so credentials are only resolved once.
  */
 function createStorageClient() {
   // The @google-cloud/storage library, like other Google Cloud client libraries,
@@ -30,7 +70,30 @@ function createStorageClient() {
   // credentials in the environment (e.g., GOOGLE_APPLICATION_CREDENTIALS_JSON
   // or a local gcloud login) without needing any explicit configuration here.
   // This makes the code cleaner and more portable across different environments.
-  return new Storage();
+  storageClient = storageClient || new Storage();
+  return storageClient;
+}
+
+function validateNames(bucketName, fileName) {
+  if (!bucketName || typeof bucketName !== 'string') {
+    throw new Error('bucketName must be a non-empty string');
+  }
+  if (!fileName || typeof fileName !== 'string') {
+    throw new Error('fileName must be a non-empty string');
+  }
+}
+
+/**
+ * Converts GCS object metadata to the shape shared by all storage backends.
+ */
+function toFileMetadata(metadata) {
+  return {
+    name: metadata.name,
+    size: Number(metadata.size),
+    contentType: metadata.contentType,
+    updated: metadata.updated,
+    generation: String(metadata.generation)
+  };
 }
 
 /**
@@ -42,33 +105,35 @@ function createStorageClient() {
  * @throws {Error} If the file doesn't exist or there's an error downloading
  */
 export async function getFile(bucketName, fileName) {
-  if (!bucketName || typeof bucketName !== 'string') {
-    throw new Error('bucketName must be a non-empty string');
-  }
-  if (!fileName || typeof fileName !== 'string') {
-    throw new Error('fileName must be a non-empty string');
-  }
+  return observeGcsOperation('getFile', async () => {
+    if (!bucketName || typeof bucketName !== 'string') {
+      throw new Error('bucketName must be a non-empty string');
+    }
+    if (!fileName || typeof fileName !== 'string') {
+      throw new Error('fileName must be a non-empty string');
+    }
 
-  const storage = createStorageClient();
-  const bucket = storage.bucket(bucketName);
-  const file = bucket.file(fileName);
+    const storage = createStorageClient();
+    const bucket = storage.bucket(bucketName);
+    const file = bucket.file(fileName);
 
-  try {
-    // Check if file exists first
-    const [exists] = await file.exists();
-    if (!exists) {
-      throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
-    }
+    try {
+      // Check if file exists first
+      const [exists] = await file.exists();
+      if (!exists) {
+        throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
+      }
 
-    // Download the file
-    const [fileBuffer] = await file.download();
-    return fileBuffer.toString('utf8');
-  } catch (error) {
-    if (error instanceof GCSFileNotFoundError) {
-      throw error; // Re-throw the specific error to be caught by the server.
+      // Download the file
+      const [fileBuffer] = await file.download();
+      return fileBuffer.toString('utf8');
+    } catch (error) {
+      if (error instanceof GCSFileNotFoundError) {
+        throw error; // Re-throw the specific error to be caught by the server.
+      }
+      throw new Error(`Failed to download file '${fileName}' from bucket '${bucketName}': ${error.message}`);
     }
-    throw new Error(`Failed to download file '${fileName}' from bucket '${bucketName}': ${error.message}`);
-  }
+  });
 }
 
 /**
@@ -76,33 +141,301 @@ export async function getFile(bucketName, fileName) {
  * 
  * @param {string} bucketName - The name of the GCS bucket
  * @param {string} fileName - The name of the file to upload
- * @param {string} data - The data to upload (should be a string)
+ * @param {string|Buffer} data - The data to upload: text, or raw bytes such as a PDF
+ * @param {object} [options] - Upload options
+ * @param {string} [options.contentType='application/json'] - The object's content type
  * @returns {Promise<void>}
  * @throws {Error} If there's an error uploading the file
  */
-export async function saveFile(bucketName, fileName, data) {
-  if (!bucketName || typeof bucketName !== 'string') {
-    throw new Error('bucketName must be a non-empty string');
-  }
-  if (!fileName || typeof fileName !== 'string') {
-    throw new Error('fileName must be a non-empty string');
-  }
-  if (typeof data !== 'string') {
-    throw new Error('data must be a string');
-  }
+export async function saveFile(bucketName, fileName, data, { contentType = DEFAULT_CONTENT_TYPE } = {}) {
+  return observeGcsOperation('saveFile', async () => {
+    if (!bucketName || typeof bucketName !== 'string') {
+      throw new Error('bucketName must be a non-empty string');
+    }
+    if (!fileName || typeof fileName !== 'string') {
+      throw new Error('fileName must be a non-empty string');
+    }
+    assertValidData(data);
 
-  const storage = createStorageClient();
-  const bucket = storage.bucket(bucketName);
-  const file = bucket.file(fileName);
-
-  try {
-    // Upload the data, overwriting if the file exists
-    await file.save(data, {
-      metadata: {
-        contentType: 'application/json', // Assuming JSON data for customer files
-      },
-    });
-  } catch (error) {
-    throw new Error(`Failed to upload file '${fileName}' to bucket '${bucketName}': ${error.message}`);
-  }
-} 
\ No newline at end of file
+    const storage = createStorageClient();
+    const bucket = storage.bucket(bucketName);
+    const file = bucket.file(fileName);
+
+    try {
+      // Upload the data, overwriting if the file exists
+      await file.save(data, {
+        metadata: {
+          contentType,
+        },
+      });
+    } catch (error) {
+      throw new Error(`Failed to upload file '${fileName}' to bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Downloads a file together with its generation, for a later conditional save
+ *
+ * The generation is read first and that exact generation is downloaded, so the
+ * contents and the generation always belong together.
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file to download
+ * @returns {Promise<{data: string, generation: string}>} The file contents and the object generation
+ * @throws {GCSFileNotFoundError} If the file doesn't exist
+ */
+export async function getFileWithGeneration(bucketName, fileName) {
+  return observeGcsOperation('getFileWithGeneration', async () => {
+    validateNames(bucketName, fileName);
+
+    const bucket = createStorageClient().bucket(bucketName);
+    try {
+      const [metadata] = await bucket.file(fileName).getMetadata();
+      const [fileBuffer] = await bucket.file(fileName, { generation: metadata.generation }).download();
+      return { data: fileBuffer.toString('utf8'), generation: String(metadata.generation) };
+    } catch (error) {
+      if (error.code === 404) {
+        throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
+      }
+      throw new Error(`Failed to download file '${fileName}' from bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Uploads data to Google Cloud Storage, optionally only if the object is still at a given generation
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file to upload
+ * @param {string|Buffer} data - The data to upload: text, or raw bytes such as a PDF
+ * @param {object} [options] - Upload options
+ * @param {string} [options.contentType='application/json'] - The object's content type
+ * @param {string|number} [options.ifGenerationMatch] - Only write if the object is at this generation; 0 means it must not exist
+ * @returns {Promise<{generation: string}>} The generation of the newly written object
+ * @throws {GCSPreconditionFailedError} If the object's generation does not match
+ */
+export async function saveFileWithGeneration(bucketName, fileName, data, { contentType = DEFAULT_CONTENT_TYPE, ifGenerationMatch } = {}) {
+  return observeGcsOperation('saveFileWithGeneration', async () => {
+    validateNames(bucketName, fileName);
+    assertValidData(data);
+
+    const file = createStorageClient().bucket(bucketName).file(fileName);
+    try {
+      await file.save(data, {
+        resumable: false,
+        metadata: { contentType },
+        ...(ifGenerationMatch !== undefined ? { preconditionOpts: { ifGenerationMatch: Number(ifGenerationMatch) } } : {})
+      });
+      return { generation: String(file.metadata.generation) };
+    } catch (error) {
+      if (error.code === 412) {
+        throw new GCSPreconditionFailedError(`File '${fileName}' in bucket '${bucketName}' was modified (expected generation ${ifGenerationMatch})`);
+      }
+      throw new Error(`Failed to upload file '${fileName}' to bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Lists the files in a bucket whose names start with the given prefix, one page at a time
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} [prefix] - Only files whose names start with this prefix are listed
+ * @param {object} [options] - Paging options
+ * @param {string} [options.pageToken] - The nextPageToken returned with the previous page
+ * @param {number} [options.maxResults] - The maximum number of files on the page
+ * @returns {Promise<{files: Array<{name: string, size: number, contentType: string, updated: string, generation: string}>, nextPageToken?: string}>}
+ * The files' metadata in name order, and a token for the next page unless this is the last one
+ * @throws {Error} If there's an error listing the bucket
+ */
+export async function listFiles(bucketName, prefix = '', { pageToken, maxResults = DEFAULT_PAGE_SIZE } = {}) {
+  return observeGcsOperation('listFiles', async () => {
+    if (!bucketName || typeof bucketName !== 'string') {
+      throw new Error('bucketName must be a non-empty string');
+    }
+
+    const bucket = createStorageClient().bucket(bucketName);
+    try {
+      const [files, nextQuery] = await bucket.getFiles({ prefix, pageToken, maxResults, autoPaginate: false });
+      const page = { files: files.map(file => toFileMetadata(file.metadata)) };
+      if (nextQuery?.pageToken) {
+        page.nextPageToken = nextQuery.pageToken;
+      }
+      return page;
+    } catch (error) {
+      throw new Error(`Failed to list files in bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Deletes a file from Google Cloud Storage
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file to delete
+ * @returns {Promise<void>}
+ * @throws {GCSFileNotFoundError} If the file doesn't exist
+ */
+export async function deleteFile(bucketName, fileName) {
+  return observeGcsOperation('deleteFile', async () => {
+    validateNames(bucketName, fileName);
+
+    const file = createStorageClient().bucket(bucketName).file(fileName);
+    try {
+      await file.delete();
+    } catch (error) {
+      if (error.code === 404) {
+        throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
+      }
+      throw new Error(`Failed to delete file '${fileName}' from bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Checks whether a file exists in Google Cloud Storage
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file
+ * @returns {Promise<boolean>} True if the file exists
+ */
+export async function fileExists(bucketName, fileName) {
+  return observeGcsOperation('fileExists', async () => {
+    validateNames(bucketName, fileName);
+
+    const file = createStorageClient().bucket(bucketName).file(fileName);
+    try {
+      const [exists] = await file.exists();
+      return exists;
+    } catch (error) {
+      throw new Error(`Failed to check file '${fileName}' in bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Returns a file's metadata without downloading it
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file
+ * @returns {Promise<{name: string, size: number, contentType: string, updated: string, generation: string}>} The file's metadata
+ * @throws {GCSFileNotFoundError} If the file doesn't exist
+ */
+export async function getFileMetadata(bucketName, fileName) {
+  return observeGcsOperation('getFileMetadata', async () => {
+    validateNames(bucketName, fileName);
+
+    const file = createStorageClient().bucket(bucketName).file(fileName);
+    try {
+      const [metadata] = await file.getMetadata();
+      return toFileMetadata(metadata);
+    } catch (error) {
+      if (error.code === 404) {
+        throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
+      }
+      throw new Error(`Failed to read metadata of '${fileName}' in bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Opens a stream over a file, or over a byte range of it, so large files are never held in memory
+ *
+ * The metadata is read first and that exact generation is streamed, so the
+ * metadata always describes the bytes being sent.
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file to read
+ * @param {object} [range] - The bytes to read; the whole file if omitted
+ * @param {number} [range.start] - The first byte to read
+ * @param {number} [range.end] - The last byte to read, inclusive
+ * @returns {Promise<{stream: import('stream').Readable, metadata: {name: string, size: number, contentType: string, updated: string, generation: string}}>}
+ * @throws {GCSFileNotFoundError} If the file doesn't exist
+ */
+export async function createFileReadStream(bucketName, fileName, { start, end } = {}) {
+  return observeGcsOperation('createFileReadStream', async () => {
+    validateNames(bucketName, fileName);
+
+    const bucket = createStorageClient().bucket(bucketName);
+    try {
+      const [metadata] = await bucket.file(fileName).getMetadata();
+      const stream = bucket.file(fileName, { generation: metadata.generation }).createReadStream({ start, end });
+      return { stream, metadata: toFileMetadata(metadata) };
+    } catch (error) {
+      if (error.code === 404) {
+        throw new GCSFileNotFoundError(`File '${fileName}' not found in bucket '${bucketName}'`);
+      }
+      throw new Error(`Failed to read file '${fileName}' from bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Mints a V4 signed URL for a single file
+ *
+ * A `read` URL is used with GET. A `resumable` URL is used with
+ * `POST` and the header `x-goog-resumable: start` (plus `Content-Type` when one was
+ * signed), and the response's `Location` header is the upload session URL the file is then PUT to.
+ * Signing needs a service account key or the `iam.serviceAccounts.signBlob` permission.
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @param {string} fileName - The name of the file the URL grants access to
+ * @param {object} options - Signing options
+ * @param {'read'|'resumable'} options.action - Whether the URL downloads the file or starts an upload
+ * @param {number} options.expiresInSeconds - How long the URL stays valid
+ * @param {string} [options.contentType] - For uploads, the content type the client must send
+ * @returns {Promise<{url: string, method: string, headers: Object<string, string>, expiresAt: string}>}
+ * The URL, the HTTP method and headers to use it with, and when it expires
+ * @throws {Error} If the options are invalid or the URL cannot be signed
+ */
+export async function getSignedUrl(bucketName, fileName, { action, expiresInSeconds, contentType }) {
+  return observeGcsOperation('getSignedUrl', async () => {
+    validateNames(bucketName, fileName);
+    if (action !== 'read' && action !== 'resumable') {
+      throw new Error(`action must be 'read' or 'resumable', got '${action}'`);
+    }
+    if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 1 || expiresInSeconds > MAX_SIGNED_URL_EXPIRY_SECONDS) {
+      throw new Error(`expiresInSeconds must be an integer between 1 and ${MAX_SIGNED_URL_EXPIRY_SECONDS}`);
+    }
+
+    const expires = Date.now() + expiresInSeconds * 1000;
+    const headers = action === 'resumable' ? { 'x-goog-resumable': 'start' } : {};
+    if (action === 'resumable' && contentType) {
+      headers['Content-Type'] = contentType;
+    }
+    try {
+      const [url] = await createStorageClient().bucket(bucketName).file(fileName).getSignedUrl({
+        version: 'v4',
+        action,
+        expires,
+        ...(action === 'resumable' && contentType ? { contentType } : {})
+      });
+      return { url, method: action === 'resumable' ? 'POST' : 'GET', headers, expiresAt: new Date(expires).toISOString() };
+    } catch (error) {
+      throw new Error(`Failed to sign a URL for '${fileName}' in bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Reads a bucket's metadata, which needs the bucket to exist and the caller to have access to it
+ *
+ * @param {string} bucketName - The name of the GCS bucket
+ * @returns {Promise<{name: string, location: string, storageClass: string}>} The bucket's metadata
+ * @throws {Error} If the bucket doesn't exist or can't be read
+ */
+export async function getBucketMetadata(bucketName) {
+  return observeGcsOperation('getBucketMetadata', async () => {
+    if (!bucketName || typeof bucketName !== 'string') {
+      throw new Error('bucketName must be a non-empty string');
+    }
+
+    try {
+      const [metadata] = await createStorageClient().bucket(bucketName).getMetadata();
+      return { name: metadata.name, location: metadata.location, storageClass: metadata.storageClass };
+    } catch (error) {
+      throw new Error(`Failed to read metadata of bucket '${bucketName}': ${error.message}`);
+    }
+  });
+}
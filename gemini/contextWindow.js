@@ -0,0 +1,132 @@
+/**
+ * @file contextWindow.js
+ * @description Context window sizes of the Gemini models and helpers to shorten a conversation to fit one.
+ *
+ * The limits are input tokens; a model's output has a separate limit. Versioned
+ * and preview names (e.g. `gemini-2.5-flash-preview-05-20`) use the limit of the
+ * longest listed name they start with.
+ *
+ * Exports:
+ * - CONTEXT_STRATEGIES: What GeminiApiClient does with a request over the limit
+ * - MODEL_CONTEXT_LIMITS: Input token limits of the known models
+ * - contextLimitFor(model, limits): The input token limit of a model
+ * - canSkipTokenCount(requestBody, limit): Whether a request is certainly within a limit without counting it
+ * - dropOldestTurns(contents, tokens, limit): Splits off the oldest turns of a conversation to fit a limit
+ * - describeContents(contents): Renders contents as plain text, for summaries
+ */
+
+/**
+ * - `none`: Send requests as they are.
+ * - `reject`: Fail requests over the limit with a GeminiContextLengthError (status 400) before they are sent.
+ * - `truncate`: Drop the oldest turns of the history until the request fits.
+ * - `summarize`: Replace the oldest turns with a summary written by the model; truncate if that fails.
+ */
+export const CONTEXT_STRATEGIES = ['none', 'reject', 'truncate', 'summarize'];
+
+export const MODEL_CONTEXT_LIMITS = Object.freeze({
+  'gemini-2.5-pro': 1048576,
+  'gemini-2.5-flash': 1048576,
+  'gemini-2.5-flash-lite': 1048576,
+  'gemini-2.0-flash': 1048576,
+  'gemini-2.0-flash-lite': 1048576,
+  'gemini-1.5-pro': 2097152,
+  'gemini-1.5-flash': 1048576
+});
+
+/**
+ * @param {string} model - The model name.
+ * @param {Object<string, number>} [limits] - Limits that extend or override MODEL_CONTEXT_LIMITS.
+ * @returns {number|null} The model's input token limit, or null if it is unknown.
+ */
+export function contextLimitFor(model, limits = {}) {
+  const table = { ...MODEL_CONTEXT_LIMITS, ...limits };
+  if (Object.hasOwn(table, model)) {
+    return table[model];
+  }
+  const base = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? table[base] : null;
+}
+
+/**
+ * Every token covers at least one byte of the request, so a request whose JSON is no
+ * larger than the limit fits without asking the API. Files referenced by URI are read
+ * by Vertex AI itself and may be any size, so requests with them are always counted.
+ *
+ * @param {object} requestBody - A generateContent request body.
+ * @param {number} limit - The input token limit.
+ * @returns {boolean} True if the request certainly fits.
+ */
+export function canSkipTokenCount(requestBody, limit) {
+  const referencesFiles = requestBody.contents.some(content => content.parts.some(part => part.fileData));
+  return !referencesFiles && Buffer.byteLength(JSON.stringify(requestBody)) <= limit;
+}
+
+/**
+ * A turn starts with a user message, as opposed to the function responses that
+ * continue a tool call; history may only be cut in front of one.
+ */
+function startsTurn(content) {
+  return content.role === 'user' && !content.parts.some(part => part.functionResponse);
+}
+
+/**
+ * Splits the oldest turns off a conversation so that the rest fits a token limit.
+ * The tokens of each content are estimated from its share of the request's size,
+ * so the caller should count the result again. The last content, the new message,
+ * is always kept.
+ *
+ * @param {Array<object>} contents - The request's contents, ending with the new message.
+ * @param {number} tokens - The counted tokens of the whole request.
+ * @param {number} limit - The input token limit.
+ * @returns {{dropped: Array<object>, kept: Array<object>}|null} The split, or null if even the
+ * new message alone is estimated over the limit.
+ */
+export function dropOldestTurns(contents, tokens, limit) {
+  const sizes = contents.map(content => Buffer.byteLength(JSON.stringify(content)));
+  const totalSize = sizes.reduce((sum, size) => sum + size, 0);
+  const tokensPerByte = totalSize > 0 ? tokens / totalSize : 0;
+
+  let estimate = tokens;
+  let cut = 0;
+  while (estimate > limit && cut < contents.length - 1) {
+    // Drop up to the start of the next turn.
+    do {
+      estimate -= sizes[cut] * tokensPerByte;
+      cut++;
+    } while (cut < contents.length - 1 && !startsTurn(contents[cut]));
+  }
+  if (estimate > limit) {
+    return null;
+  }
+  return { dropped: contents.slice(0, cut), kept: contents.slice(cut) };
+}
+
+/**
+ * Renders contents as a plain-text transcript, e.g. for the model to summarize.
+ * Files and function calls are described rather than included.
+ *
+ * @param {Array<object>} contents - Gemini contents.
+ * @returns {string} One paragraph per content.
+ */
+export function describeContents(contents) {
+  return contents.map(({ role, parts }) => {
+    const text = parts.map(part => {
+      if (typeof part.text === 'string') {
+        return part.thought ? '' : part.text;
+      }
+      if (part.inlineData || part.fileData) {
+        return `[${(part.inlineData || part.fileData).mimeType} file]`;
+      }
+      if (part.functionCall) {
+        return `[Called ${part.functionCall.name} with ${JSON.stringify(part.functionCall.args ?? {})}]`;
+      }
+      if (part.functionResponse) {
+        return `[${part.functionResponse.name} returned ${JSON.stringify(part.functionResponse.response)}]`;
+      }
+      return '';
+    }).filter(Boolean).join(' ');
+    return `${role === 'model' ? 'Assistant' : 'User'}: ${text}`;
+  }).join('\n\n');
+}
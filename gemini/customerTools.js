@@ -0,0 +1,128 @@
+/**
+ * @file customerTools.js
+ * @description Built-in tools that let the model read and update the customer document.
+ *
+ * The tools read and write through the configured storage backend, so they operate
+ * on the same customer JSON (e.g. `customer-data.json`) that the /api/data endpoints serve.
+ * The file can be chosen per request through the handler context
+ * (`context.fileName`), falling back to the configured default. Writes are
+ * conditional on the generation that was read, so a concurrent update is
+ * re-read and retried instead of being overwritten.
+ */
+
+import { StoragePreconditionFailedError } from '../storage/storageBackend.js';
+
+const DEFAULT_CUSTOMER_FILE = 'customer-data.json';
+// How often fileDispute re-reads and retries when the document changed underneath it.
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Registers getCustomerAccount, getPaymentHistory and fileDispute on a registry.
+ *
+ * @param {import('./toolRegistry.js').ToolRegistry} registry - The registry to add the tools to.
+ * @param {object} options - Tool options.
+ * @param {import('../storage/storageBackend.js').StorageBackend} options.storage - The storage holding customer documents.
+ * @param {string} [options.fileName] - The default customer document to use.
+ * @returns {import('./toolRegistry.js').ToolRegistry} The registry, for chaining.
+ */
+export function registerCustomerTools(registry, { storage, fileName = DEFAULT_CUSTOMER_FILE }) {
+  if (!storage) {
+    throw new Error('storage is required to register the customer tools');
+  }
+
+  const loadCustomer = async (context) => {
+    const customerFile = context?.fileName || fileName;
+    const { data, generation } = await storage.getWithGeneration(customerFile);
+    return { customerFile, customer: JSON.parse(data), generation };
+  };
+
+  registry.register({
+    name: 'getCustomerAccount',
+    description: 'Returns the customer\'s account details: name, account number, billing address, autopay enrollment, account status and the current bill.',
+    parameters: { type: 'object', properties: {} },
+    handler: async (args, context) => {
+      const { customer } = await loadCustomer(context);
+      return {
+        customerName: customer.customerName,
+        accountNumber: customer.accountNumber,
+        billingAddress: customer.billingAddress,
+        autopay: customer.autopay,
+        accountStatus: customer.accountStatus,
+        currentBill: customer.currentBill
+      };
+    }
+  });
+
+  registry.register({
+    name: 'getPaymentHistory',
+    description: 'Returns the customer\'s past payments, most recent first, including decline details for failed payments.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', description: 'Only return payments with this status, e.g. "Paid" or "Declined".' },
+        limit: { type: 'integer', minimum: 1, description: 'The maximum number of payments to return.' }
+      }
+    },
+    handler: async ({ status, limit }, context) => {
+      const { customer } = await loadCustomer(context);
+      let payments = [...(customer.paymentHistory || [])].sort((a, b) => b.date.localeCompare(a.date));
+      if (status) {
+        payments = payments.filter(payment => payment.status?.toLowerCase() === status.toLowerCase());
+      }
+      if (limit) {
+        payments = payments.slice(0, limit);
+      }
+      return { payments };
+    }
+  });
+
+  registry.register({
+    name: 'fileDispute',
+    description: 'Files a dispute for a disputable fee on the current bill. Use the itemId from currentBill.newCharges.otherFees.',
+    parameters: {
+      type: 'object',
+      properties: {
+        itemId: { type: 'string', description: 'The itemId of the fee being disputed.' },
+        reason: { type: 'string', minLength: 1, description: 'The customer\'s reason for the dispute, in their own words.' }
+      },
+      required: ['itemId', 'reason']
+    },
+    handler: async ({ itemId, reason }, context) => {
+      for (let attempt = 1; ; attempt++) {
+        const { customerFile, customer, generation } = await loadCustomer(context);
+        const fee = (customer.currentBill?.newCharges?.otherFees || []).find(item => item.itemId === itemId);
+        if (!fee) {
+          return { error: `No fee with itemId "${itemId}" on the current bill.` };
+        }
+        if (!fee.isDisputable) {
+          return { error: `"${fee.description}" cannot be disputed.` };
+        }
+        customer.disputes = customer.disputes || [];
+        if (customer.disputes.some(dispute => dispute.itemId === itemId && dispute.status !== 'Closed')) {
+          return { error: `A dispute for "${fee.description}" is already open.` };
+        }
+
+        const dispute = {
+          disputeId: `d_${Date.now()}`,
+          itemId,
+          description: fee.description,
+          amount: fee.amount,
+          reason,
+          status: 'Submitted',
+          dateFiled: new Date().toISOString().slice(0, 10)
+        };
+        customer.disputes.push(dispute);
+        try {
+          await storage.save(customerFile, JSON.stringify(customer), { ifGenerationMatch: generation });
+          return { dispute };
+        } catch (error) {
+          if (!(error instanceof StoragePreconditionFailedError) || attempt >= MAX_WRITE_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    }
+  });
+
+  return registry;
+}
@@ -1,14 +1,163 @@
+import { StringDecoder } from 'string_decoder';
 import { GoogleAuth } from 'google-auth-library';
+import { validateJsonSchema } from '../validation/jsonSchema.js';
+import { PiiTokenizer } from '../privacy/pii.js';
+import { requestLogger } from '../logging/requestContext.js';
+import { geminiCacheRequests, observeGeminiCall } from '../metrics/serviceMetrics.js';
+import {
+  canSkipTokenCount,
+  CONTEXT_STRATEGIES,
+  contextLimitFor,
+  describeContents,
+  dropOldestTurns
+} from './contextWindow.js';
+import {
+  classifyRequest,
+  describeTarget,
+  isFallbackStatus,
+  parseModelRoutes,
+  REQUEST_TYPES
+} from './modelRouting.js';
+import {
+  CACHE_MODES,
+  isCacheable,
+  responseCacheKey
+} from './responseCache.js';
+import {
+  CircuitBreaker,
+  computeBackoff,
+  createRequestSignal,
+  isRetryableStatus,
+  isTransientNetworkError,
+  parseRetryAfter,
+  sleep
+} from './resilience.js';
+
+const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 8000,
+  multiplier: 2,
+  // A Retry-After longer than this is not waited for; the error is returned instead.
+  maxRetryAfterMs: 30000
+};
+const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+// How often a request is shortened and counted again before it is given up on.
+const MAX_CONTEXT_FIT_ATTEMPTS = 3;
+const HISTORY_SUMMARY_PROMPT = 'Summarize the conversation below in a few sentences for your own later reference. '
+  + 'Keep every fact, figure, name and decision that may come up again. Reply with the summary only.';
 
 /**
  * Custom error for more specific error handling by consumers of the client.
  */
 export class GeminiApiError extends Error {
-  constructor(message, status, details) {
+  /**
+   * @param {string} message - The error message.
+   * @param {number} status - The HTTP status to report.
+   * @param {any} [details] - The upstream error body or other context.
+   * @param {number} [retryAfterMs] - When known, how long the caller should wait before trying again.
+   */
+  constructor(message, status, details, retryAfterMs) {
     super(message);
     this.name = 'GeminiApiError';
     this.status = status;
     this.details = details;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Thrown when a structured (JSON) response cannot be parsed or does not match
+ * the requested `responseSchema`. `details` holds the validation errors and the raw text.
+ */
+export class GeminiSchemaValidationError extends GeminiApiError {
+  /**
+   * @param {string} message - The error message.
+   * @param {{errors: Array<{path: string, message: string}>, text: string}} details - What failed and the model's output.
+   */
+  constructor(message, details) {
+    super(message, 502, details);
+    this.name = 'GeminiSchemaValidationError';
+  }
+}
+
+/**
+ * Thrown before a request is sent when it has more input tokens than the model accepts
+ * and the context strategy could not, or was not to, shorten it. Status 400.
+ */
+export class GeminiContextLengthError extends GeminiApiError {
+  /**
+   * @param {string} message - The error message.
+   * @param {{model: string, totalTokens: number, limit: number}} details - The request's size and the model's limit.
+   */
+  constructor(message, details) {
+    super(message, 400, details);
+    this.name = 'GeminiContextLengthError';
+  }
+}
+
+/**
+ * A complete generateContent response.
+ * The first candidate's parts are flattened into `text` (all text parts,
+ * concatenated, excluding thoughts) and `functionCalls`; `functionCall` is the
+ * first of them, so the object can be used wherever a single response part was.
+ * Every candidate is kept in `candidates`.
+ */
+export class GeminiResponse {
+  /**
+   * @param {object} result - The raw GenerateContentResponse body; it must contain at least one candidate.
+   */
+  constructor(result) {
+    const candidate = result.candidates[0];
+    this.parts = candidate.content?.parts || [];
+    this.text = this.parts
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('');
+    this.functionCalls = this.parts.filter(part => part.functionCall).map(part => part.functionCall);
+    this.finishReason = candidate.finishReason || null;
+    this.safetyRatings = candidate.safetyRatings || [];
+    this.citationMetadata = candidate.citationMetadata || null;
+    this.usageMetadata = result.usageMetadata || null;
+    this.modelVersion = result.modelVersion || null;
+    this.responseId = result.responseId || null;
+    this.candidates = result.candidates.map((item, index) => ({
+      index: item.index ?? index,
+      parts: item.content?.parts || [],
+      finishReason: item.finishReason || null,
+      safetyRatings: item.safetyRatings || [],
+      citationMetadata: item.citationMetadata || null
+    }));
+    /**
+     * The model and location that produced the response, the request type that chose them,
+     * and the targets that failed before it (see modelRouting.js). Set by GeminiApiClient.
+     * @type {{model: string, location: string, requestType: string, failedTargets: Array<{model: string, location: string, status: number}>}|null}
+     */
+    this.servedBy = null;
+    /**
+     * Whether the response came from the response cache: 'hit' (with the tier it was found in),
+     * 'miss', or 'bypass' when the call did not read the cache. Null when the client has no cache.
+     * @type {{status: 'hit'|'miss'|'bypass', tier?: string}|null}
+     */
+    this.cache = null;
+    /**
+     * The parsed output when JSON was requested through `responseMimeType`; undefined otherwise.
+     * @type {any}
+     */
+    this.parsed = undefined;
+  }
+
+  /**
+   * The first function call in the response, if any.
+   * @returns {object|undefined}
+   */
+  get functionCall() {
+    return this.functionCalls[0];
   }
 }
 
@@ -19,10 +168,21 @@ export class GeminiApiError extends Error {
 export class GeminiApiClient {
   #projectId;
   #location;
-  #logger;
+  #baseLogger;
   #systemInstruction;
   #defaultTextModel;
   #defaultFileModel;
+  #toolRegistry;
+  #timeoutMs;
+  #retryOptions;
+  #circuitBreakerOptions;
+  #circuitBreakers = new Map();
+  #routes;
+  #largeContextTokens;
+  #tokenizePii;
+  #contextStrategy;
+  #contextLimits;
+  #responseCache;
   #auth;
 
   /**
@@ -33,6 +193,38 @@ export class GeminiApiClient {
    * @param {string} [options.defaultTextModel] - The default model to use for text-only requests.
    * @param {string} [options.defaultFileModel] - The default model to use for file-based requests.
    * @param {string} [options.systemInstruction] - An optional system instruction to guide the model's behavior.
+   * @param {import('./toolRegistry.js').ToolRegistry} [options.toolRegistry] - The default tools for `runWithTools`.
+   * @param {number} [options.timeoutMs=60000] - The timeout for each HTTP attempt; 0 disables it. For streams it
+   * covers the wait for the response to start.
+   * @param {object} [options.retry] - Retry policy for 408, 429, 5xx and transient network errors.
+   * @param {number} [options.retry.maxRetries=3] - Retries after the first attempt; 0 disables retrying.
+   * @param {number} [options.retry.initialDelayMs=500] - The backoff ceiling for the first retry.
+   * @param {number} [options.retry.maxDelayMs=8000] - The largest backoff ceiling.
+   * @param {number} [options.retry.multiplier=2] - The backoff growth factor.
+   * @param {number} [options.retry.maxRetryAfterMs=30000] - The longest Retry-After the client will wait for.
+   * @param {object|false} [options.circuitBreaker] - Circuit breaker options, or false to disable it. Each
+   * model and location has its own circuit, so a failing model does not stop its fallbacks.
+   * @param {number} [options.circuitBreaker.failureThreshold=5] - Consecutive failed attempts that open the circuit.
+   * @param {number} [options.circuitBreaker.resetTimeoutMs=30000] - How long to fail fast before a trial request.
+   * @param {boolean} [options.tokenizePii=false] - Replaces emails, card, phone and account numbers and street
+   * addresses in the text sent to the model with placeholders such as `[EMAIL_1]`, and the placeholders in the
+   * reply with the original values (see privacy/pii.js). The contents of files are sent as they are.
+   * @param {object} [options.contextWindow] - Checks requests against the model's input token limit before
+   * sending them (see contextWindow.js).
+   * @param {'none'|'reject'|'truncate'|'summarize'} [options.contextWindow.strategy='none'] - What to do with
+   * requests over the limit; with 'none' nothing is checked.
+   * @param {Object<string, number>} [options.contextWindow.limits] - Input token limits by model name, for
+   * models missing from MODEL_CONTEXT_LIMITS or to lower a limit. Requests to unknown models are not checked.
+   * @param {object} [options.routing] - Which models serve which requests (see modelRouting.js). Without it,
+   * text requests go to `defaultTextModel` and requests with files to `defaultFileModel`, in `location`.
+   * @param {Object<string, Array<string|{model: string, location?: string}>>} [options.routing.routes] - Ordered
+   * targets by request type ('text', 'files', 'largeContext', 'structured'); a request that fails with 429
+   * or 5xx is sent to the next target.
+   * @param {number} [options.routing.largeContextTokens] - The estimated input tokens from which a request is
+   * routed as 'largeContext'.
+   * @param {import('./responseCache.js').ResponseCache} [options.responseCache] - Answers repeated requests of
+   * `sendMessage` and `sendMessageWithFiles` from this cache (see responseCache.js). Streams and tool loops are
+   * never cached.
    */
   constructor(options) {
     if (!options.projectId || !options.location) {
@@ -43,10 +235,29 @@ export class GeminiApiClient {
     }
     this.#projectId = options.projectId;
     this.#location = options.location;
-    this.#logger = options.logger;
+    this.#baseLogger = options.logger;
     this.#defaultTextModel = options.defaultTextModel;
     this.#defaultFileModel = options.defaultFileModel;
     this.#systemInstruction = options.systemInstruction;
+    this.#toolRegistry = options.toolRegistry;
+    this.#timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.#retryOptions = withDefaults(DEFAULT_RETRY_OPTIONS, options.retry);
+    this.#circuitBreakerOptions = options.circuitBreaker === false
+      ? null
+      : withDefaults(DEFAULT_CIRCUIT_BREAKER_OPTIONS, options.circuitBreaker);
+    try {
+      this.#routes = parseModelRoutes(options.routing?.routes ?? {}, this.#location);
+    } catch (error) {
+      throw new GeminiApiError(error.message, 400);
+    }
+    this.#largeContextTokens = options.routing?.largeContextTokens;
+    this.#tokenizePii = options.tokenizePii === true;
+    this.#contextStrategy = options.contextWindow?.strategy ?? 'none';
+    this.#contextLimits = options.contextWindow?.limits ?? {};
+    this.#responseCache = options.responseCache ?? null;
+    if (!CONTEXT_STRATEGIES.includes(this.#contextStrategy)) {
+      throw new GeminiApiError(`contextWindow.strategy must be one of: ${CONTEXT_STRATEGIES.join(', ')}.`, 400);
+    }
 
     // The GoogleAuth library automatically handles Application Default Credentials (ADC).
     // It will look for credentials in the environment (e.g., GOOGLE_APPLICATION_CREDENTIALS_JSON
@@ -58,12 +269,224 @@ export class GeminiApiClient {
     this.#logger.info('Initializing GoogleAuth with Application Default Credentials.');
   }
 
-  async #makeApiCall({ url, requestBody }) { // eslint-disable-line
-    // The google-auth-library's request method automatically handles fetching and caching access tokens.
-    const authClient = await this.#auth.getClient();
+  /**
+   * The client's logger, with the request ID bound when called while handling an HTTP request.
+   */
+  get #logger() {
+    return requestLogger(this.#baseLogger);
+  }
 
-    // Create a log-friendly version of the request body to avoid logging huge Base64 strings.
-    const loggableBody = {
+  /**
+   * Reports the circuit breaker guarding calls to one model in one location.
+   * @param {{model: string, location: string}} [target] - The model and location; by default the first
+   * target for text requests.
+   * @returns {{state: string, consecutiveFailures: number, failureThreshold: number, openedAt: string|null, nextAttemptAt: string|null}|null}
+   * The breaker's state, or null when the breaker is disabled or no model is configured.
+   */
+  getCircuitBreakerState(target = this.#defaultTargets('text')[0]) {
+    return target ? this.#circuitBreakerFor(target)?.toJSON() ?? null : null;
+  }
+
+  /**
+   * @returns {CircuitBreaker|null} The breaker for a model and location, created on first use.
+   */
+  #circuitBreakerFor(target) {
+    if (!this.#circuitBreakerOptions) {
+      return null;
+    }
+    const key = describeTarget(target);
+    if (!this.#circuitBreakers.has(key)) {
+      this.#circuitBreakers.set(key, new CircuitBreaker(this.#circuitBreakerOptions));
+    }
+    return this.#circuitBreakers.get(key);
+  }
+
+  /**
+   * The targets of a request type without a route: the default model of its kind, in the client's location.
+   * @returns {Array<{model: string, location: string}>}
+   */
+  #defaultTargets(baseType) {
+    const routed = this.#routes[baseType];
+    if (routed) {
+      return routed;
+    }
+    const model = baseType === 'files' ? this.#defaultFileModel : this.#defaultTextModel;
+    return model ? [{ model, location: this.#location }] : [];
+  }
+
+  /**
+   * Chooses the targets for a request: the caller's model if it names one, or else the route of the
+   * request's type, falling back to the route or default model for text or files.
+   * @returns {{requestType: string, targets: Array<{model: string, location: string}>}}
+   */
+  #routeRequest(modelName, baseType, requestBody, options) {
+    if (options.requestType !== undefined && !REQUEST_TYPES.includes(options.requestType)) {
+      throw new GeminiApiError(`requestType must be one of: ${REQUEST_TYPES.join(', ')}.`, 400);
+    }
+    const requestType = options.requestType ?? classifyRequest(requestBody, baseType, this.#largeContextTokens);
+    const targets = modelName
+      ? [{ model: modelName, location: this.#location }]
+      : this.#routes[requestType] ?? this.#defaultTargets(baseType);
+    if (targets.length === 0) {
+      throw new GeminiApiError(`No modelName provided and no ${baseType === 'files' ? 'defaultFileModel' : 'defaultTextModel'} is configured.`, 400);
+    }
+    return { requestType, targets };
+  }
+
+  /**
+   * Obtains an access token with the client's Application Default Credentials, to check
+   * that they work. google-auth-library caches the token, so Google is only called when
+   * there is no token yet or it is about to expire.
+   * @param {object} [options] - Options.
+   * @param {AbortSignal} [options.signal] - Stops waiting for the token.
+   * @returns {Promise<{expiresAt: string|null}>} When the current token expires, if known.
+   * @throws {GeminiApiError} If no token can be obtained (status 401), or when cancelled (status 499).
+   */
+  async checkCredentials({ signal } = {}) {
+    const obtain = async () => {
+      const authClient = await this.#auth.getClient();
+      const { token } = await authClient.getAccessToken();
+      if (!token) {
+        throw new Error('No access token was returned.');
+      }
+      const expiry = authClient.credentials?.expiry_date;
+      return { expiresAt: expiry ? new Date(expiry).toISOString() : null };
+    };
+    const cancelled = new Promise((resolve, reject) => {
+      signal?.addEventListener('abort', () => reject(new GeminiApiError('The request was cancelled.', 499)), { once: true });
+    });
+    try {
+      return await Promise.race([obtain(), cancelled]);
+    } catch (error) {
+      throw error instanceof GeminiApiError ? error : new GeminiApiError(`Could not obtain an access token: ${error.message}`, 401);
+    }
+  }
+
+  /**
+   * Counts the tokens of a prompt with `:countTokens`, without generating a response.
+   * Counting is free and fast, so it also serves to check that a model is reachable.
+   * @param {string|Array<object>} input - A text message, or the full `contents` of a request.
+   * @param {string} [modelName] - The model whose tokenizer to use, overriding the first target for text requests.
+   * @param {object} [options] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the request, including pending retries.
+   * @param {number} [options.timeoutMs] - Overrides the client's per-attempt timeout.
+   * @returns {Promise<{totalTokens: number, totalBillableCharacters?: number}>} The counts returned by Vertex AI.
+   */
+  async countTokens(input, modelName, options = {}) {
+    const target = modelName ? { model: modelName, location: this.#location } : this.#defaultTargets('text')[0];
+    if (!target) {
+      throw new GeminiApiError('No modelName provided and no defaultTextModel is configured.', 400);
+    }
+    const contents = typeof input === 'string' ? [{ role: 'user', parts: [{ text: input }] }] : input;
+    return this.#countRequestTokens(target, { contents }, options);
+  }
+
+  /**
+   * Counts the tokens of a request body for a target: its contents, system instruction and tools.
+   */
+  async #countRequestTokens(target, { contents, systemInstruction, tools }, callOptions) {
+    const response = await this.#sendRequest({
+      url: this.#buildUrl(target.model, 'countTokens', target.location),
+      method: 'POST',
+      body: JSON.stringify({ contents, systemInstruction, tools })
+    }, { ...callOptions, target });
+    if (typeof response.data?.totalTokens !== 'number') {
+      throw new GeminiApiError('countTokens returned no token count.', 502, response.data);
+    }
+    return response.data;
+  }
+
+  /**
+   * Checks a request against the input token limits of its targets and applies the call's context
+   * strategy when it is over. The same body may be sent to every target, so it must fit the smallest
+   * known limit among them; it is counted by the first target. Requests that are certainly small
+   * enough are not counted.
+   * @returns {Promise<object>} The request body to send: the original, or a copy with shortened history.
+   * @throws {GeminiContextLengthError} If the request is over the limit and cannot be shortened enough.
+   */
+  async #fitContextWindow(targets, requestBody, callOptions) {
+    const strategy = callOptions.contextStrategy ?? this.#contextStrategy;
+    const limits = strategy === 'none' ? [] : targets
+      .map(target => ({ model: target.model, limit: contextLimitFor(target.model, this.#contextLimits) }))
+      .filter(({ limit }) => limit);
+    if (limits.length === 0) {
+      return requestBody;
+    }
+    const { model, limit } = limits.reduce((smallest, item) => (item.limit < smallest.limit ? item : smallest));
+
+    let body = requestBody;
+    for (let attempt = 1; ; attempt++) {
+      // Counted as it will be sent, so PII the call keeps from the model is not sent for counting either.
+      const countable = this.#tokenizeRequest(body, callOptions);
+      if (canSkipTokenCount(countable, limit)) {
+        return body;
+      }
+      const { totalTokens } = await this.#countRequestTokens(targets[0], countable, callOptions);
+      if (totalTokens <= limit) {
+        return body;
+      }
+
+      const tooLong = () => new GeminiContextLengthError(
+        `The request has ${totalTokens} input tokens, more than the ${limit} that ${model} accepts.`,
+        { model, totalTokens, limit }
+      );
+      const split = strategy === 'reject' || attempt > MAX_CONTEXT_FIT_ATTEMPTS ? null : dropOldestTurns(body.contents, totalTokens, limit);
+      if (!split) {
+        throw tooLong();
+      }
+
+      // A summary from an earlier attempt leads the history, so it is summarized again with the turns after it.
+      const { dropped, kept } = split;
+      const summary = strategy === 'summarize' ? await this.#summarizeContents(targets, dropped, callOptions) : null;
+      this.#logger.info({ model, totalTokens, limit, strategy, droppedContents: dropped.length, summarized: summary !== null }, 'Shortened the history to fit the context window.');
+      body = {
+        ...body,
+        contents: summary
+          ? [
+              { role: 'user', parts: [{ text: `Summary of our conversation so far:\n${summary}` }] },
+              { role: 'model', parts: [{ text: 'Understood. I will keep it in mind.' }] },
+              ...kept
+            ]
+          : kept
+      };
+    }
+  }
+
+  /**
+   * Asks the model for a summary of part of a conversation.
+   * @returns {Promise<string|null>} The summary, or null if the model could not write one.
+   */
+  async #summarizeContents(targets, contents, callOptions) {
+    const requestBody = {
+      contents: [{ role: 'user', parts: [{ text: `${HISTORY_SUMMARY_PROMPT}\n\n${describeContents(contents)}` }] }]
+    };
+    try {
+      const { signal, timeoutMs, onUsage, piiTokenizer } = callOptions;
+      const response = await this.#makeApiCall({ requestType: 'text', targets, requestBody }, { signal, timeoutMs, onUsage, piiTokenizer });
+      return response.text;
+    } catch (error) {
+      if (error.status === 499) {
+        throw error;
+      }
+      this.#logger.warn({ err: error, model: targets[0].model }, 'Failed to summarize the history; truncating it instead.');
+      return null;
+    }
+  }
+
+  /**
+   * Builds the Vertex AI endpoint URL for a model, method (e.g. 'generateContent') and location.
+   * The 'global' location has no regional host.
+   */
+  #buildUrl(modelName, method, location = this.#location) {
+    const host = location === 'global' ? 'aiplatform.googleapis.com' : `${location}-aiplatform.googleapis.com`;
+    return `https://${host}/v1beta1/projects/${this.#projectId}/locations/${location}/publishers/google/models/${modelName}:${method}`;
+  }
+
+  /**
+   * Creates a log-friendly version of the request body to avoid logging huge Base64 strings.
+   */
+  #toLoggableBody(requestBody) {
+    return {
       ...requestBody,
       contents: requestBody.contents.map(content => ({
         ...content,
@@ -80,27 +503,236 @@ export class GeminiApiClient {
         })
       }))
     };
-    this.#logger.info({ requestBody: loggableBody }, `Sending request to API: ${url}`);
+  }
 
-    let response;
-    try {
-      response = await authClient.request({
-        url,
-        method: 'POST',
-        body: JSON.stringify(requestBody),
-      });
-    } catch (error) {
-      // This catches errors from the underlying HTTP request (e.g., network errors, malformed requests)
-      this.#logger.error({
-        name: error.name,
-        message: error.message,
-        code: error.code,
-        response: error.response?.data
-      }, 'google-auth-library request failed');
-      const status = error.response?.status || 500;
-      const details = error.response?.data || { message: 'Underlying request from google-auth-library failed.' };
-      throw new GeminiApiError(error.message, status, details);
+  /**
+   * Sends one request to Vertex AI through the target's circuit breaker, retrying
+   * retryable failures with exponential backoff and jitter. A Retry-After
+   * header from the API takes precedence over the computed backoff.
+   * Every attempt gets its own timeout; the caller's signal cancels the whole call.
+   * @param {object} requestOptions - The gaxios request options.
+   * @param {object} [callOptions] - Per-call options.
+   * @param {AbortSignal} [callOptions.signal] - Cancels the request and any pending retry.
+   * @param {number} [callOptions.timeoutMs] - Overrides the client's per-attempt timeout.
+   * @param {{model: string, location: string}} callOptions.target - The model and location called, whose circuit breaker applies.
+   * @returns {Promise<object>} The gaxios response.
+   */
+  async #sendRequest(requestOptions, { signal, timeoutMs = this.#timeoutMs, target }) {
+    const circuitBreaker = this.#circuitBreakerFor(target);
+    // The google-auth-library's request method automatically handles fetching and caching access tokens.
+    const authClient = await this.#auth.getClient();
+    const isStream = requestOptions.responseType === 'stream';
+    const { maxRetries, maxRetryAfterMs } = this.#retryOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) {
+        throw new GeminiApiError('The request was cancelled.', 499);
+      }
+      if (circuitBreaker && !circuitBreaker.tryAcquire()) {
+        const retryAfterMs = circuitBreaker.retryAfterMs();
+        this.#logger.warn({ target: describeTarget(target), circuitBreaker: circuitBreaker.toJSON() }, 'Circuit breaker is open; failing fast.');
+        throw new GeminiApiError('Vertex AI is temporarily unavailable. Please try again later.', 503, { circuitState: circuitBreaker.state, retryAfterMs }, retryAfterMs);
+      }
+
+      const requestSignal = createRequestSignal(signal, timeoutMs);
+      let failure;
+      try {
+        const response = await authClient.request({ ...requestOptions, signal: requestSignal.signal });
+        circuitBreaker?.recordSuccess();
+        // For streams the timeout only covers the wait for the response to start;
+        // the caller's signal keeps working until the body has been read.
+        if (isStream) {
+          requestSignal.stopTimer();
+        } else {
+          requestSignal.clear();
+        }
+        return response;
+      } catch (error) {
+        requestSignal.clear();
+        failure = await this.#toRequestFailure(error, { signal, timedOut: requestSignal.timedOut(), timeoutMs, isStream });
+      }
+
+      const { apiError, retryable, upstreamFailure, retryAfterMs } = failure;
+      if (upstreamFailure) {
+        circuitBreaker?.recordFailure();
+      } else if (apiError.status >= 400 && apiError.status < 500 && apiError.status !== 429 && apiError.status !== 499) {
+        // Vertex AI answered, so it is up even though it rejected the request.
+        circuitBreaker?.recordSuccess();
+      } else {
+        circuitBreaker?.release();
+      }
+
+      const canWait = retryAfterMs === null || retryAfterMs <= maxRetryAfterMs;
+      if (!retryable || attempt >= maxRetries || !canWait) {
+        throw apiError;
+      }
+
+      const delayMs = retryAfterMs ?? computeBackoff(attempt, this.#retryOptions);
+      this.#logger.warn({ status: apiError.status, attempt: attempt + 1, maxRetries, delayMs }, 'Retrying Vertex AI request after a transient failure.');
+      try {
+        await sleep(delayMs, signal);
+      } catch {
+        throw new GeminiApiError('The request was cancelled.', 499);
+      }
+    }
+  }
+
+  /**
+   * Classifies an error thrown by `authClient.request`.
+   * @returns {Promise<{apiError: GeminiApiError, retryable: boolean, upstreamFailure: boolean, retryAfterMs: number|null}>}
+   * `upstreamFailure` marks errors that suggest Vertex AI itself is unhealthy and count towards the circuit breaker.
+   */
+  async #toRequestFailure(error, { signal, timedOut, timeoutMs, isStream }) {
+    if (signal?.aborted) {
+      return { apiError: new GeminiApiError('The request was cancelled.', 499), retryable: false, upstreamFailure: false, retryAfterMs: null };
+    }
+    if (timedOut) {
+      this.#logger.error({ timeoutMs }, 'Vertex AI request timed out.');
+      return {
+        apiError: new GeminiApiError(`The request to Vertex AI timed out after ${timeoutMs}ms.`, 504, { timeoutMs }),
+        retryable: true,
+        upstreamFailure: true,
+        retryAfterMs: null
+      };
+    }
+
+    // With responseType 'stream' the error body is itself a stream; read it for the details.
+    let details = error.response?.data;
+    if (isStream && details && typeof details.on === 'function') {
+      details = await readStreamAsJson(details);
+    }
+    // This catches errors from the underlying HTTP request (e.g., network errors, malformed requests)
+    this.#logger.error({
+      name: error.name,
+      message: error.message,
+      code: error.code,
+      response: details
+    }, 'google-auth-library request failed');
+
+    const status = error.response?.status;
+    const retryAfterMs = parseRetryAfter(error.response?.headers);
+    const apiError = new GeminiApiError(
+      error.message,
+      status || 500,
+      details || { message: 'Underlying request from google-auth-library failed.' },
+      retryAfterMs ?? undefined
+    );
+    if (status) {
+      return {
+        apiError,
+        retryable: isRetryableStatus(status),
+        upstreamFailure: status >= 500 || status === 408,
+        retryAfterMs
+      };
+    }
+    const transient = isTransientNetworkError(error);
+    return { apiError, retryable: transient, upstreamFailure: transient, retryAfterMs: null };
+  }
+
+  /**
+   * Adds a PiiTokenizer to the options of a public call when PII is to be tokenized.
+   * One tokenizer serves every model call of the public call, so placeholders stay consistent.
+   */
+  #withPiiTokenizer(options) {
+    return (options.tokenizePii ?? this.#tokenizePii) ? { ...options, piiTokenizer: new PiiTokenizer() } : options;
+  }
+
+  /**
+   * Replaces PII in the request's contents with the call's placeholders, if it has a tokenizer.
+   */
+  #tokenizeRequest(requestBody, callOptions) {
+    const tokenizer = callOptions?.piiTokenizer;
+    return tokenizer ? { ...requestBody, contents: tokenizer.tokenizeContents(requestBody.contents) } : requestBody;
+  }
+
+  /**
+   * Answers a call from the response cache, or makes it with `generate` and caches the response.
+   * A cached response is validated again like a new one, and reports no usage since no tokens were used.
+   * @param {Array<{model: string, location: string}>} targets - The targets the request is routed to.
+   * @param {object} requestBody - The request as built, before its context window is fitted.
+   * @param {object} callOptions - The call's options; `cache` is one of CACHE_MODES.
+   * @param {() => Promise<GeminiResponse>} generate - Calls the model.
+   * @returns {Promise<GeminiResponse>}
+   */
+  async #withResponseCache(targets, requestBody, callOptions, generate) {
+    const mode = callOptions.cache ?? 'default';
+    if (!CACHE_MODES.includes(mode)) {
+      throw new GeminiApiError(`cache must be one of: ${CACHE_MODES.join(', ')}.`, 400);
+    }
+    if (!this.#responseCache) {
+      return generate();
     }
+    if (mode === 'no-store' || !isCacheable(requestBody)) {
+      const response = await generate();
+      return withCacheStatus(response, { status: 'bypass' });
+    }
+
+    const key = responseCacheKey(targets, requestBody);
+    if (mode === 'default') {
+      const cached = await this.#responseCache.get(key);
+      if (cached) {
+        this.#logger.info({ key, tier: cached.tier }, 'Answered from the response cache.');
+        const response = fromCachedResponse(cached.value);
+        this.#parseStructuredResponse(response, requestBody.generationConfig);
+        return withCacheStatus(response, { status: 'hit', tier: cached.tier });
+      }
+    }
+    const response = await generate();
+    await this.#responseCache.set(key, toCachedResponse(response));
+    return withCacheStatus(response, { status: mode === 'default' ? 'miss' : 'bypass' });
+  }
+
+  /**
+   * Calls the targets in order until one succeeds: a target that fails with 429 or 5xx (after
+   * its retries) passes the call to the next. Every attempt is recorded in the service metrics
+   * under its own model.
+   * @param {Array<{model: string, location: string}>} targets - The models and locations to try.
+   * @param {(target: object, observation: object) => Promise<any>} attempt - Calls one target.
+   * @returns {Promise<{result: any, target: object, observation: object, failedTargets: Array<object>}>}
+   * The result of the target that succeeded, its metrics observation and the targets that failed before it.
+   */
+  async #callWithFallback(targets, attempt) {
+    const failedTargets = [];
+    for (const [index, target] of targets.entries()) {
+      const observation = observeGeminiCall(target.model);
+      try {
+        const result = await attempt(target, observation);
+        if (failedTargets.length > 0) {
+          this.#logger.warn({ servedBy: describeTarget(target), failedTargets: failedTargets.map(describeTarget) }, 'Request served by a fallback model.');
+        }
+        return { result, target, observation, failedTargets };
+      } catch (error) {
+        observation.end(metricsOutcome(error), error.details?.finishReason);
+        if (index === targets.length - 1 || !isFallbackStatus(error.status)) {
+          throw error;
+        }
+        this.#logger.warn({ target: describeTarget(target), status: error.status, next: describeTarget(targets[index + 1]) }, 'Model call failed; falling back to the next target.');
+        failedTargets.push({ ...target, status: error.status });
+      }
+    }
+  }
+
+  /**
+   * Makes a generateContent call, falling back through the targets, and records which target served it.
+   */
+  async #makeApiCall({ requestType, targets, requestBody }, callOptions) {
+    const { result: response, target, observation, failedTargets } = await this.#callWithFallback(targets, (target, observation) => (
+      this.#generateContent({ url: this.#buildUrl(target.model, 'generateContent', target.location), requestBody }, { ...callOptions, target, observation })
+    ));
+    observation.end('success', response.finishReason);
+    response.servedBy = { ...target, requestType, failedTargets };
+    return response;
+  }
+
+  async #generateContent({ url, requestBody: body }, callOptions) {
+    const requestBody = this.#tokenizeRequest(body, callOptions);
+    this.#logger.info({ requestBody: this.#toLoggableBody(requestBody) }, `Sending request to API: ${url}`);
+
+    const response = await this.#sendRequest({
+      url,
+      method: 'POST',
+      body: JSON.stringify(requestBody),
+    }, callOptions);
 
     // The google-auth-library's GaxiosResponse doesn't have an `ok` property.
     // We check the status code directly.
@@ -113,7 +745,7 @@ export class GeminiApiClient {
 
     // The response from authClient.request is not a standard fetch Response,
     // so we access the data directly.
-    const result = response.data;
+    const result = callOptions?.piiTokenizer ? callOptions.piiTokenizer.restoreDeep(response.data) : response.data;
     this.#logger.info({ result }, 'Successfully received API response.');
 
     // The API can return a 200 OK with an error object in the body, or an empty response.
@@ -122,6 +754,9 @@ export class GeminiApiClient {
       throw new GeminiApiError('API call succeeded but returned an empty response body.', 500, { responseData: result });
     }
 
+    // Blocked prompts and empty candidates are billed too, so usage is reported before validation.
+    this.#reportUsage(result.usageMetadata, callOptions);
+
     if (result.error) {
       this.#logger.error({ error: result.error }, 'API returned an error object in the response body.');
       throw new GeminiApiError(result.error.message || 'API returned an error.', result.error.code || 500, result.error.details);
@@ -144,25 +779,224 @@ export class GeminiApiClient {
       throw new GeminiApiError(`The model returned a candidate with no content. Finish reason: ${finishReason}`, 400, { finishReason, safetyRatings: candidate.safetyRatings });
     }
 
-    // Return the first content part, which could be text or a function call.
-    // The caller is responsible for interpreting it.
-    return result.candidates[0].content.parts[0];
+    return new GeminiResponse(result);
   }
 
   /**
-   * Sends a text-only message to the Gemini API.
-   * @param {string} userInput The user's message.
-   * @param {Array<object>} history The conversation history.
-   * @param {string} [modelName] - The name of the model to use, overriding the default.
-   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
-   * @returns {Promise<object>} The model's response part, containing either text or a functionCall.
+   * Calls the streaming endpoint and yields each response chunk as it arrives.
+   * The endpoint is asked for Server-Sent Events (`alt=sse`), where every
+   * `data:` line carries a complete GenerateContentResponse JSON object.
+   * @returns {AsyncGenerator<object>} The parsed response chunks.
    */
-  async sendMessage(userInput, history, modelName, tools) {
-    const modelToUse = modelName || this.#defaultTextModel;
-    if (!modelToUse) {
-      throw new GeminiApiError('No modelName provided and no defaultTextModel is configured.', 400);
+  async *#makeStreamingApiCall({ requestType, targets, requestBody: body }, callOptions) {
+    const requestBody = this.#tokenizeRequest(await this.#fitContextWindow(targets, body, callOptions), callOptions);
+
+    // Only the start of a stream can fall back to another target; #streamParts reports on the one that served it.
+    const { result: response, target, observation, failedTargets } = await this.#callWithFallback(targets, (target) => {
+      const url = this.#buildUrl(target.model, 'streamGenerateContent', target.location);
+      this.#logger.info({ requestBody: this.#toLoggableBody(requestBody) }, `Sending streaming request to API: ${url}`);
+      return this.#sendRequest({
+        url: `${url}?alt=sse`,
+        method: 'POST',
+        body: JSON.stringify(requestBody),
+        responseType: 'stream',
+      }, { ...callOptions, target });
+    });
+    callOptions.observation = observation;
+    callOptions.servedBy = { ...target, requestType, failedTargets };
+
+    const stream = response.data;
+    try {
+      // Decodes across chunk boundaries, which may fall inside a multi-byte character.
+      const decoder = new StringDecoder('utf8');
+      let buffered = '';
+      for await (const data of stream) {
+        buffered += decoder.write(data);
+        // SSE events are separated by a blank line.
+        const events = buffered.split(/\r?\n\r?\n/);
+        buffered = events.pop();
+        for (const event of events) {
+          const chunk = parseSseEvent(event);
+          if (chunk) {
+            yield chunk;
+          }
+        }
+      }
+      const lastChunk = parseSseEvent(buffered + decoder.end());
+      if (lastChunk) {
+        yield lastChunk;
+      }
+    } finally {
+      // Stops the upstream download if the consumer stops iterating early.
+      stream.destroy();
     }
-    const url = `https://${this.#location}-aiplatform.googleapis.com/v1beta1/projects/${this.#projectId}/locations/${this.#location}/publishers/google/models/${modelToUse}:generateContent`;
+  }
+
+  /**
+   * Turns raw streaming chunks into content parts, validating them the same
+   * way as non-streaming responses, and returns the final summary. With a
+   * PiiTokenizer, placeholders are restored, including ones split across chunks.
+   * `callOptions.observation` and `callOptions.servedBy` are set by #makeStreamingApiCall
+   * once a target has started the stream.
+   * @returns {AsyncGenerator<object, {finishReason: string|null, usageMetadata: object|null, modelVersion: string|null, servedBy: object|null}>}
+   */
+  async *#streamParts(chunks, callOptions) {
+    const summary = { finishReason: null, usageMetadata: null, modelVersion: null, servedBy: null };
+    const tokenizer = callOptions?.piiTokenizer;
+    const restorer = tokenizer?.createStreamRestorer();
+    let partCount = 0;
+    let completed = false;
+
+    try {
+      for await (const chunk of chunks) {
+        if (chunk.error) {
+          this.#logger.error({ error: chunk.error }, 'API returned an error object in the stream.');
+          throw new GeminiApiError(chunk.error.message || 'API returned an error.', chunk.error.code || 500, chunk.error.details);
+        }
+        if (chunk.promptFeedback?.blockReason) {
+          const { blockReason, safetyRatings = [] } = chunk.promptFeedback;
+          this.#logger.warn({ promptFeedback: chunk.promptFeedback }, 'Streaming request was blocked.');
+          throw new GeminiApiError(`Request was blocked or no content was generated. Reason: ${blockReason}`, 400, { blockReason, safetyRatings });
+        }
+
+        summary.usageMetadata = chunk.usageMetadata || summary.usageMetadata;
+        summary.modelVersion = chunk.modelVersion || summary.modelVersion;
+
+        const candidate = chunk.candidates?.[0];
+        if (!candidate) {
+          continue;
+        }
+        summary.finishReason = candidate.finishReason || summary.finishReason;
+        for (const part of candidate.content?.parts || []) {
+          if (!tokenizer) {
+            partCount++;
+            yield part;
+          } else if (typeof part.text === 'string') {
+            const text = restorer.push(part.text);
+            if (text) {
+              partCount++;
+              yield { ...part, text };
+            }
+          } else {
+            const heldBack = restorer.flush();
+            if (heldBack) {
+              partCount++;
+              yield { text: heldBack };
+            }
+            partCount++;
+            yield tokenizer.restoreDeep(part);
+          }
+        }
+      }
+      const heldBack = restorer?.flush();
+      if (heldBack) {
+        partCount++;
+        yield { text: heldBack };
+      }
+      completed = true;
+    } catch (error) {
+      callOptions.observation?.end(metricsOutcome(error), summary.finishReason);
+      throw error;
+    } finally {
+      // Also when the stream fails or the consumer stops early, for the usage received so far.
+      this.#reportUsage(summary.usageMetadata, callOptions);
+      if (!completed) {
+        callOptions.observation?.end('cancelled', summary.finishReason);
+      }
+    }
+
+    if (partCount === 0) {
+      callOptions.observation?.end('blocked', summary.finishReason);
+      const finishReason = summary.finishReason || 'NO_CONTENT';
+      this.#logger.warn({ summary }, `Stream ended without content parts. Finish reason: ${finishReason}`);
+      throw new GeminiApiError(`The model returned a candidate with no content. Finish reason: ${finishReason}`, 400, { finishReason });
+    }
+
+    callOptions.observation?.end('success', summary.finishReason);
+    summary.servedBy = callOptions.servedBy ?? null;
+    this.#logger.info({ summary, partCount }, 'Successfully received streaming API response.');
+    return summary;
+  }
+
+  /**
+   * Counts a response's token usage in the service metrics and passes it to the caller's
+   * `onUsage` callback, if there is one. A failing callback is logged; it never fails the request.
+   */
+  #reportUsage(usageMetadata, callOptions) {
+    if (!usageMetadata) {
+      return;
+    }
+    callOptions?.observation?.recordUsage(usageMetadata);
+    if (!callOptions?.onUsage) {
+      return;
+    }
+    try {
+      callOptions.onUsage(usageMetadata);
+    } catch (error) {
+      this.#logger.warn({ err: error }, 'onUsage callback failed.');
+    }
+  }
+
+  /**
+   * Adds `generationConfig` and `safetySettings` from the request options to a request body.
+   * A `responseSchema` without a `responseMimeType` implies 'application/json'.
+   */
+  #applyGenerationOptions(requestBody, { generationConfig, safetySettings } = {}) {
+    if (generationConfig !== undefined) {
+      if (!isPlainObject(generationConfig)) {
+        throw new GeminiApiError('generationConfig must be an object.', 400);
+      }
+      requestBody.generationConfig = { ...generationConfig };
+      if (generationConfig.responseSchema && !generationConfig.responseMimeType) {
+        requestBody.generationConfig.responseMimeType = 'application/json';
+      }
+    }
+    if (safetySettings !== undefined) {
+      const isValid = Array.isArray(safetySettings) && safetySettings.every(setting =>
+        isPlainObject(setting) && typeof setting.category === 'string' && typeof setting.threshold === 'string');
+      if (!isValid) {
+        throw new GeminiApiError('safetySettings must be an array of { category, threshold } objects.', 400);
+      }
+      requestBody.safetySettings = safetySettings;
+    }
+  }
+
+  /**
+   * Parses a JSON response and validates it against the requested `responseSchema`,
+   * storing the result in `response.parsed`. Responses of other MIME types are returned unchanged.
+   * @throws {GeminiSchemaValidationError} When the output is not valid JSON or does not match the schema.
+   */
+  #parseStructuredResponse(response, generationConfig) {
+    if (generationConfig?.responseMimeType !== 'application/json') {
+      return response;
+    }
+    try {
+      response.parsed = JSON.parse(response.text);
+    } catch (error) {
+      this.#logger.warn({ finishReason: response.finishReason }, 'Model returned invalid JSON for a structured request.');
+      throw new GeminiSchemaValidationError('The model did not return valid JSON.', {
+        errors: [{ path: '', message: error.message }],
+        text: response.text
+      });
+    }
+    if (generationConfig.responseSchema) {
+      const errors = validateJsonSchema(generationConfig.responseSchema, response.parsed);
+      if (errors.length > 0) {
+        this.#logger.warn({ errors }, 'Model returned JSON that does not match the response schema.');
+        throw new GeminiSchemaValidationError('The model\'s JSON output does not match the response schema.', {
+          errors,
+          text: response.text
+        });
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Builds the request body for a text-only message and chooses the models to send it to.
+   * @returns {{requestType: string, targets: Array<{model: string, location: string}>, requestBody: object}}
+   */
+  #buildTextRequest(userInput, history, modelName, tools, options) {
     const contents = [...history, { role: 'user', parts: [{ text: userInput }] }];
     const requestBody = { contents };
 
@@ -176,28 +1010,19 @@ export class GeminiApiClient {
     if (tools) {
       requestBody.tools = tools;
     }
+    this.#applyGenerationOptions(requestBody, options);
 
-    return this.#makeApiCall({ url, requestBody });
+    return { ...this.#routeRequest(modelName, 'text', requestBody, options), requestBody };
   }
 
   /**
-   * Sends a message and one or more files to the Gemini API.
-   * @param {string} userInput The user's text message.
-   * @param {Array<object>} history The conversation history.
-   * @param {Array<{buffer: Buffer, mimetype: string}>} files - An array of file objects to send.
-   * @param {string} [modelName] - The name of the model to use, overriding the default.
-   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
-   * @returns {Promise<object>} The model's response part, containing either text or a functionCall.
+   * Builds the request body for a message with one or more files and chooses the models to send it to.
+   * @returns {{requestType: string, targets: Array<{model: string, location: string}>, requestBody: object}}
    */
-  async sendMessageWithFiles(userInput, history, files, modelName, tools) {
-    const modelToUse = modelName || this.#defaultFileModel;
-    if (!modelToUse) {
-      throw new GeminiApiError('No modelName provided and no defaultFileModel is configured.', 400);
-    }
+  #buildFileRequest(userInput, history, files, modelName, tools, options) {
     if (!files || !Array.isArray(files) || files.length === 0) {
       throw new GeminiApiError('The "files" parameter must be a non-empty array.', 400);
     }
-    const url = `https://${this.#location}-aiplatform.googleapis.com/v1beta1/projects/${this.#projectId}/locations/${this.#location}/publishers/google/models/${modelToUse}:generateContent`;
 
     this.#logger.info({ fileCount: files.length }, 'Preparing to send message with files to Gemini.');
 
@@ -207,10 +1032,24 @@ export class GeminiApiClient {
 
     const parts = [{ text: textPrompt }];
 
-    // Loop through the files array and add each one as an inlineData part.
+    // Loop through the files array and add each one as an inlineData part,
+    // or as a fileData part for files Vertex AI reads from Cloud Storage itself.
     for (const file of files) {
-      if (!file.buffer || !file.mimetype) {
-        throw new GeminiApiError('Each file object in the "files" array must have "buffer" and "mimetype" properties.', 400);
+      if ((!file.buffer && !file.fileUri) || !file.mimetype) {
+        throw new GeminiApiError('Each file object in the "files" array must have a "mimetype" and either a "buffer" or a "fileUri".', 400);
+      }
+      if (file.fileUri) {
+        if (typeof file.fileUri !== 'string' || !file.fileUri.startsWith('gs://')) {
+          throw new GeminiApiError(`File references must be gs:// URIs, got "${file.fileUri}".`, 400);
+        }
+        this.#logger.info({ mimeType: file.mimetype, fileUri: file.fileUri }, 'Referencing Cloud Storage file for API request.');
+        parts.push({
+          fileData: {
+            mimeType: file.mimetype,
+            fileUri: file.fileUri
+          }
+        });
+        continue;
       }
       const fileBase64 = file.buffer.toString('base64');
       this.#logger.info({ mimeType: file.mimetype, base64Length: fileBase64.length }, 'Processing file for API request.');
@@ -240,7 +1079,281 @@ export class GeminiApiClient {
     if (tools) {
       requestBody.tools = tools;
     }
+    this.#applyGenerationOptions(requestBody, options);
 
-    return this.#makeApiCall({ url, requestBody });
+    return { ...this.#routeRequest(modelName, 'files', requestBody, options), requestBody };
+  }
+
+  /**
+   * Sends a text-only message to the Gemini API.
+   * @param {string} userInput The user's message.
+   * @param {Array<object>} history The conversation history.
+   * @param {string} [modelName] - The name of the model to use, overriding the default.
+   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
+   * @param {object} [options] - Request options.
+   * @param {object} [options.generationConfig] - Sent as-is, e.g. { temperature, topP, topK, maxOutputTokens,
+   * stopSequences, candidateCount, seed, responseMimeType, responseSchema }.
+   * @param {Array<{category: string, threshold: string}>} [options.safetySettings] - Per-category blocking thresholds.
+   * @param {AbortSignal} [options.signal] - Cancels the request, including pending retries.
+   * @param {number} [options.timeoutMs] - Overrides the client's per-attempt timeout.
+   * @param {(usageMetadata: object) => void} [options.onUsage] - Called with the `usageMetadata` of every
+   * response, e.g. to count tokens against a quota.
+   * @param {boolean} [options.tokenizePii] - Overrides the client's `tokenizePii` setting for this call.
+   * @param {'none'|'reject'|'truncate'|'summarize'} [options.contextStrategy] - Overrides the client's
+   * `contextWindow.strategy` for this call.
+   * @param {'text'|'files'|'largeContext'|'structured'} [options.requestType] - Routes the request as this
+   * type instead of the one it is classified as (see modelRouting.js). Ignored when `modelName` is given.
+   * @param {'default'|'no-cache'|'no-store'} [options.cache='default'] - How the call uses the client's
+   * response cache, if it has one: see CACHE_MODES. Cached responses do not call `onUsage`.
+   * @returns {Promise<GeminiResponse>} The model's response. Like a single content part, it exposes
+   * `text` and `functionCall`, plus every part, candidate and the response metadata. For JSON
+   * output, `parsed` holds the parsed value; `cache` tells whether it came from the cache.
+   * @throws {GeminiSchemaValidationError} When JSON output was requested and the model's output is
+   * not valid JSON or does not match `responseSchema`.
+   * @throws {GeminiContextLengthError} When the request is over the model's input token limit and the
+   * context strategy does not shorten it enough.
+   */
+  async sendMessage(userInput, history, modelName, tools, options = {}) {
+    const { requestType, targets, requestBody } = this.#buildTextRequest(userInput, history, modelName, tools, options);
+    const callOptions = this.#withPiiTokenizer(options);
+    return this.#withResponseCache(targets, requestBody, callOptions, async () => {
+      const fitted = await this.#fitContextWindow(targets, requestBody, callOptions);
+      const response = await this.#makeApiCall({ requestType, targets, requestBody: fitted }, callOptions);
+      return this.#parseStructuredResponse(response, requestBody.generationConfig);
+    });
+  }
+
+  /**
+   * Sends a message and one or more files to the Gemini API.
+   * @param {string} userInput The user's text message.
+   * @param {Array<object>} history The conversation history.
+   * @param {Array<{buffer?: Buffer, fileUri?: string, mimetype: string}>} files - An array of file objects to send:
+   * the bytes in `buffer`, or a `gs://bucket/object` reference in `fileUri` that Vertex AI reads directly.
+   * @param {string} [modelName] - The name of the model to use, overriding the default.
+   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
+   * @param {object} [options] - Request options, as for `sendMessage`.
+   * @returns {Promise<GeminiResponse>} The model's response, as for `sendMessage`.
+   * @throws {GeminiSchemaValidationError} When JSON output was requested and fails validation.
+   * @throws {GeminiContextLengthError} When the request is over the model's input token limit, as for `sendMessage`.
+   */
+  async sendMessageWithFiles(userInput, history, files, modelName, tools, options = {}) {
+    const { requestType, targets, requestBody } = this.#buildFileRequest(userInput, history, files, modelName, tools, options);
+    const callOptions = this.#withPiiTokenizer(options);
+    return this.#withResponseCache(targets, requestBody, callOptions, async () => {
+      const fitted = await this.#fitContextWindow(targets, requestBody, callOptions);
+      const response = await this.#makeApiCall({ requestType, targets, requestBody: fitted }, callOptions);
+      return this.#parseStructuredResponse(response, requestBody.generationConfig);
+    });
+  }
+
+  /**
+   * Sends a text message with the registry's tools and runs the function-calling loop:
+   * every functionCall part the model returns is executed through the registry and
+   * answered with a functionResponse part, until the model replies with text only.
+   * @param {string} userInput The user's message.
+   * @param {Array<object>} history The conversation history.
+   * @param {object} [options] - Loop options.
+   * @param {import('./toolRegistry.js').ToolRegistry} [options.toolRegistry] - The tools to offer, overriding the client's default registry.
+   * @param {string} [options.modelName] - The name of the model to use, overriding the default.
+   * @param {number} [options.maxIterations=5] - The maximum number of model calls before giving up.
+   * @param {object} [options.context] - Request-scoped data passed to every tool handler.
+   * @param {object} [options.generationConfig] - Generation settings, as for `sendMessage`.
+   * @param {Array<object>} [options.safetySettings] - Safety settings, as for `sendMessage`.
+   * @param {AbortSignal} [options.signal] - Cancels the loop and any request in flight.
+   * @param {number} [options.timeoutMs] - Overrides the client's per-attempt timeout.
+   * @param {(usageMetadata: object) => void} [options.onUsage] - Called with the usage of every model call in the loop.
+   * @param {boolean} [options.tokenizePii] - Overrides the client's `tokenizePii` setting; tool calls and
+   * the returned contents carry the original values.
+   * @param {'none'|'reject'|'truncate'|'summarize'} [options.contextStrategy] - Overrides the client's
+   * `contextWindow.strategy`; the returned contents start with the shortened history.
+   * @param {'text'|'files'|'largeContext'|'structured'} [options.requestType] - Overrides the request type, as for `sendMessage`.
+   * @returns {Promise<{text: string, toolCalls: Array<{name: string, args: object, response: object}>, contents: Array<object>, response: GeminiResponse}>}
+   * The final text, every tool call made, the full conversation including the tool turns, and the final model response.
+   */
+  async runWithTools(userInput, history, options = {}) {
+    const { modelName, maxIterations = DEFAULT_MAX_TOOL_ITERATIONS, context = {}, signal, timeoutMs, onUsage } = options;
+    const toolRegistry = options.toolRegistry || this.#toolRegistry;
+    if (!toolRegistry) {
+      throw new GeminiApiError('No toolRegistry provided and no default toolRegistry is configured.', 400);
+    }
+    const tools = toolRegistry.toGeminiTools();
+    const request = this.#buildTextRequest(userInput, history, modelName, tools.length > 0 ? tools : undefined, options);
+    const { requestType, targets } = request;
+    const toolCalls = [];
+    const callOptions = this.#withPiiTokenizer({ signal, timeoutMs, onUsage, tokenizePii: options.tokenizePii, contextStrategy: options.contextStrategy });
+    // Checked once, before the loop; the tool turns it adds are not shortened.
+    const requestBody = await this.#fitContextWindow(targets, request.requestBody, callOptions);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const response = await this.#makeApiCall({ requestType, targets, requestBody }, callOptions);
+      requestBody.contents.push({ role: 'model', parts: response.parts });
+
+      const { functionCalls } = response;
+      if (functionCalls.length === 0) {
+        this.#parseStructuredResponse(response, requestBody.generationConfig);
+        return {
+          text: response.text,
+          toolCalls,
+          contents: requestBody.contents,
+          response
+        };
+      }
+
+      // Calls are executed one at a time so that tools which write data never race each other.
+      const responseParts = [];
+      for (const { name, args = {} } of functionCalls) {
+        this.#logger.info({ tool: name, iteration }, 'Executing tool call requested by the model.');
+        const response = await toolRegistry.execute(name, args, context);
+        if (response.error) {
+          this.#logger.warn({ tool: name, error: response.error }, 'Tool call returned an error.');
+        }
+        toolCalls.push({ name, args, response });
+        responseParts.push({ functionResponse: { name, response } });
+      }
+      requestBody.contents.push({ role: 'user', parts: responseParts });
+    }
+
+    this.#logger.error({ maxIterations, toolCalls: toolCalls.map(call => call.name) }, 'Tool loop did not produce a text answer.');
+    throw new GeminiApiError(`The model did not produce a text answer within ${maxIterations} iterations.`, 500, { toolCalls });
+  }
+
+  /**
+   * Streams a text-only message to the Gemini API via `:streamGenerateContent`.
+   * Each yielded value is a content part ({ text } or { functionCall }) as soon
+   * as the model produces it. When the stream is exhausted, the generator
+   * returns { finishReason, usageMetadata, modelVersion, servedBy }; iterate with
+   * `next()` to read it, as `for await` discards return values. `servedBy` is as
+   * in GeminiResponse; only the start of a stream falls back to another model.
+   * @param {string} userInput The user's message.
+   * @param {Array<object>} history The conversation history.
+   * @param {string} [modelName] - The name of the model to use, overriding the default.
+   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
+   * @param {object} [options] - Request options, as for `sendMessage`. Only the start of the
+   * stream is retried; the timeout covers the wait for the first byte. JSON output is streamed
+   * as text and not validated.
+   * @returns {AsyncGenerator<object, {finishReason: string|null, usageMetadata: object|null, modelVersion: string|null, servedBy: object|null}>}
+   */
+  async *sendMessageStream(userInput, history, modelName, tools, options = {}) {
+    const { requestType, targets, requestBody } = this.#buildTextRequest(userInput, history, modelName, tools, options);
+    // A copy, as the streaming call records the target that serves it in these options.
+    const callOptions = { ...this.#withPiiTokenizer(options) };
+    const chunks = this.#makeStreamingApiCall({ requestType, targets, requestBody }, callOptions);
+    return yield* this.#streamParts(chunks, callOptions);
+  }
+
+  /**
+   * Streams a message and one or more files to the Gemini API via `:streamGenerateContent`.
+   * Yields content parts and returns the final summary, like `sendMessageStream`.
+   * @param {string} userInput The user's text message.
+   * @param {Array<object>} history The conversation history.
+   * @param {Array<{buffer?: Buffer, fileUri?: string, mimetype: string}>} files - An array of file objects to send:
+   * the bytes in `buffer`, or a `gs://bucket/object` reference in `fileUri` that Vertex AI reads directly.
+   * @param {string} [modelName] - The name of the model to use, overriding the default.
+   * @param {Array<object>} [tools] - Optional. A list of function declarations for the model to use.
+   * @param {object} [options] - Request options, as for `sendMessageStream`.
+   * @returns {AsyncGenerator<object, {finishReason: string|null, usageMetadata: object|null, modelVersion: string|null, servedBy: object|null}>}
+   */
+  async *sendMessageWithFilesStream(userInput, history, files, modelName, tools, options = {}) {
+    const { requestType, targets, requestBody } = this.#buildFileRequest(userInput, history, files, modelName, tools, options);
+    // A copy, as the streaming call records the target that serves it in these options.
+    const callOptions = { ...this.#withPiiTokenizer(options) };
+    const chunks = this.#makeStreamingApiCall({ requestType, targets, requestBody }, callOptions);
+    return yield* this.#streamParts(chunks, callOptions);
+  }
+}
+
+/**
+ * Records how a call used the response cache, on the response and in the service metrics.
+ */
+function withCacheStatus(response, cache) {
+  response.cache = cache;
+  geminiCacheRequests.inc({ status: cache.status });
+  return response;
+}
+
+/**
+ * @returns {object} What the response cache keeps of a response: the GenerateContentResponse it was
+ * built from, and the target that served it. A copy, so later changes to the response do not reach the cache.
+ */
+function toCachedResponse(response) {
+  return structuredClone({
+    result: {
+      candidates: response.candidates.map(({ index, parts, finishReason, safetyRatings, citationMetadata }) => ({
+        index,
+        content: { role: 'model', parts },
+        finishReason,
+        safetyRatings,
+        citationMetadata
+      })),
+      usageMetadata: response.usageMetadata,
+      modelVersion: response.modelVersion,
+      responseId: response.responseId
+    },
+    servedBy: response.servedBy
+  });
+}
+
+/**
+ * @returns {GeminiResponse} A response rebuilt from a cache entry made by toCachedResponse().
+ */
+function fromCachedResponse({ result, servedBy }) {
+  const response = new GeminiResponse(structuredClone(result));
+  response.servedBy = structuredClone(servedBy);
+  return response;
+}
+
+/**
+ * Classifies a failed model call for the service metrics: `blocked` for safety blocks and
+ * responses without content, `error` for everything else.
+ */
+function metricsOutcome(error) {
+  return error instanceof GeminiApiError && (error.details?.blockReason || error.details?.finishReason) ? 'blocked' : 'error';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges options over defaults, ignoring options that are undefined.
+ */
+function withDefaults(defaults, options = {}) {
+  const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+  return { ...defaults, ...Object.fromEntries(defined) };
+}
+
+/**
+ * Parses one Server-Sent Event block and returns its JSON payload, if any.
+ */
+function parseSseEvent(event) {
+  const data = event
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trimStart())
+    .join('\n');
+  if (!data || data === '[DONE]') {
+    return null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    throw new GeminiApiError('Received a malformed chunk from the streaming API.', 502, { chunk: data.substring(0, 200) });
+  }
+}
+
+/**
+ * Reads a readable stream to the end and parses it as JSON, falling back to the raw text.
+ */
+async function readStreamAsJson(stream) {
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  for await (const data of stream) {
+    text += decoder.write(data);
+  }
+  text += decoder.end();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
   }
 }
\ No newline at end of file
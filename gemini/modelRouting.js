@@ -0,0 +1,97 @@
+/**
+ * @file modelRouting.js
+ * @description Chooses the models, and the locations they are called in, that serve each kind of request.
+ *
+ * Each request type maps to an ordered list of targets. GeminiApiClient sends a
+ * request to the first target and, when that fails with 429 or 5xx (after its
+ * retries), to the next. Request types:
+ * - `text`: Text-only messages.
+ * - `files`: Messages with files.
+ * - `largeContext`: Requests estimated at `largeContextTokens` input tokens or more.
+ * - `structured`: Requests for JSON output (`responseMimeType: application/json`), such as bill extraction.
+ *
+ * A request is `largeContext` before it is `structured`, and `structured` before
+ * `text` or `files`. A type without targets uses those of `text` or `files`.
+ *
+ * Exports:
+ * - REQUEST_TYPES: The request types
+ * - parseModelRoutes(routes, defaultLocation): Validates a routing configuration
+ * - classifyRequest(requestBody, baseType, largeContextTokens): The request type of a request
+ * - isFallbackStatus(status): Whether a failure is worth sending to the next target
+ * - describeTarget(target): A target as `model@location`
+ */
+
+export const REQUEST_TYPES = ['text', 'files', 'largeContext', 'structured'];
+
+// A rough ratio for English text and JSON, used to spot large requests without counting them.
+const BYTES_PER_TOKEN = 4;
+
+/**
+ * @typedef {object} ModelTarget
+ * @property {string} model - The model name, e.g. 'gemini-2.5-flash'.
+ * @property {string} location - The Google Cloud location to call it in, e.g. 'us-central1' or 'global'.
+ */
+
+/**
+ * Validates a routing configuration and fills in the default location. Targets may be
+ * given as `{ model, location }` objects or as `'model'` / `'model@location'` strings.
+ *
+ * @param {Object<string, Array<string|{model: string, location?: string}>>} routes - Targets by request type.
+ * @param {string} defaultLocation - The location of targets that do not name one.
+ * @returns {Object<string, Array<ModelTarget>>} The targets by request type.
+ * @throws {Error} If the configuration names an unknown request type or an invalid target.
+ */
+export function parseModelRoutes(routes, defaultLocation) {
+  if (routes === null || typeof routes !== 'object' || Array.isArray(routes)) {
+    throw new Error('Model routes must be an object of target lists by request type.');
+  }
+  return Object.fromEntries(Object.entries(routes).map(([type, targets]) => {
+    if (!REQUEST_TYPES.includes(type)) {
+      throw new Error(`Unknown request type '${type}' in the model routes; expected one of: ${REQUEST_TYPES.join(', ')}.`);
+    }
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error(`The model route for '${type}' must be a non-empty array.`);
+    }
+    return [type, targets.map((target) => {
+      const [model, location = defaultLocation] = typeof target === 'string'
+        ? target.split('@')
+        : [target?.model, target?.location ?? defaultLocation];
+      if (typeof model !== 'string' || !model || typeof location !== 'string' || !location) {
+        throw new Error(`Invalid target ${JSON.stringify(target)} in the model route for '${type}'.`);
+      }
+      return { model, location };
+    })];
+  }));
+}
+
+/**
+ * @param {object} requestBody - A generateContent request body.
+ * @param {'text'|'files'} baseType - Whether the request carries files.
+ * @param {number} [largeContextTokens] - The estimated input tokens from which a request is `largeContext`.
+ * @returns {string} The request type.
+ */
+export function classifyRequest(requestBody, baseType, largeContextTokens) {
+  if (largeContextTokens > 0 && Buffer.byteLength(JSON.stringify(requestBody)) / BYTES_PER_TOKEN >= largeContextTokens) {
+    return 'largeContext';
+  }
+  if (requestBody.generationConfig?.responseMimeType === 'application/json') {
+    return 'structured';
+  }
+  return baseType;
+}
+
+/**
+ * @param {number} status - The status of a failed request.
+ * @returns {boolean} True for rate limits and server errors, which another model or location may not have.
+ */
+export function isFallbackStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * @param {ModelTarget} target - A target.
+ * @returns {string} The target as `model@location`.
+ */
+export function describeTarget({ model, location }) {
+  return `${model}@${location}`;
+}
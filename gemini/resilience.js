@@ -0,0 +1,264 @@
+/**
+ * @file resilience.js
+ * @description Retry, timeout and circuit-breaker helpers for calls to Vertex AI.
+ *
+ * Exports:
+ * - CircuitBreaker: Fails fast after repeated upstream failures, then probes for recovery
+ * - isRetryableStatus(status): Whether an HTTP status is worth retrying
+ * - isTransientNetworkError(error): Whether a request error is a transient network failure
+ * - parseRetryAfter(headers): Reads a Retry-After header as a delay in milliseconds
+ * - computeBackoff(attempt, options): Exponential backoff with full jitter
+ * - createRequestSignal(signal, timeoutMs): Combines a caller's AbortSignal with a timeout
+ * - sleep(ms, signal): An abortable delay
+ */
+
+// 408 Request Timeout, 429 Too Many Requests and the transient 5xx responses.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET'
+]);
+
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+/**
+ * @param {number} status - An HTTP status code.
+ * @returns {boolean} True for statuses that usually succeed when retried.
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * @param {Error} error - An error thrown by the HTTP client.
+ * @returns {boolean} True when the request failed before a response was received for a transient reason.
+ */
+export function isTransientNetworkError(error) {
+  if (error?.response) {
+    return false;
+  }
+  return TRANSIENT_NETWORK_CODES.has(error?.code) || /socket hang up|network|ECONNRESET/i.test(error?.message || '');
+}
+
+/**
+ * Reads a Retry-After header, which is either a number of seconds or an HTTP date.
+ * @param {object|Headers} [headers] - The response headers.
+ * @returns {number|null} The delay in milliseconds, or null when the header is absent or invalid.
+ */
+export function parseRetryAfter(headers) {
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * `initialDelayMs * multiplier ^ attempt`, capped at `maxDelayMs`.
+ * @param {number} attempt - The zero-based retry number.
+ * @param {object} options - Backoff options.
+ * @param {number} options.initialDelayMs - The delay ceiling for the first retry.
+ * @param {number} options.maxDelayMs - The largest delay ceiling.
+ * @param {number} options.multiplier - The growth factor between retries.
+ * @param {() => number} [random=Math.random] - The source of jitter.
+ * @returns {number} The delay in milliseconds.
+ */
+export function computeBackoff(attempt, { initialDelayMs, maxDelayMs, multiplier }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, initialDelayMs * multiplier ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Waits for `ms` milliseconds, rejecting early with the signal's reason if it is aborted.
+ * @param {number} ms - The delay.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the signal for a single HTTP attempt. It aborts when the caller's
+ * signal aborts or when `timeoutMs` elapses, whichever comes first.
+ * Call `clear()` once the attempt is settled so the timer does not keep
+ * running, or `stopTimer()` to keep following the caller's signal without a
+ * timeout (e.g. once a stream has started).
+ * @param {AbortSignal} [signal] - The caller's signal.
+ * @param {number} [timeoutMs] - The attempt timeout; 0 or undefined disables it.
+ * @returns {{signal: AbortSignal, timedOut: () => boolean, stopTimer: () => void, clear: () => void}}
+ */
+export function createRequestSignal(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    stopTimer: () => clearTimeout(timer),
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * A consecutive-failure circuit breaker.
+ *
+ * While closed, every request is allowed. After `failureThreshold` failures
+ * in a row the circuit opens and requests are rejected without being sent.
+ * Once `resetTimeoutMs` has passed it becomes half-open and lets a single
+ * trial request through: success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+  #failureThreshold;
+  #resetTimeoutMs;
+  #now;
+  #state = CIRCUIT_STATES.CLOSED;
+  #consecutiveFailures = 0;
+  #openedAt = null;
+  #trialInFlight = false;
+
+  /**
+   * @param {object} [options] - Breaker options.
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit.
+   * @param {number} [options.resetTimeoutMs=30000] - How long the circuit stays open before a trial request.
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.#failureThreshold = failureThreshold;
+    this.#resetTimeoutMs = resetTimeoutMs;
+    this.#now = now;
+  }
+
+  /**
+   * The current state, moving from open to half-open once the reset timeout has passed.
+   * @returns {'closed'|'open'|'half-open'}
+   */
+  get state() {
+    if (this.#state === CIRCUIT_STATES.OPEN && this.#now() - this.#openedAt >= this.#resetTimeoutMs) {
+      this.#state = CIRCUIT_STATES.HALF_OPEN;
+      this.#trialInFlight = false;
+    }
+    return this.#state;
+  }
+
+  /**
+   * Claims permission to send a request.
+   * @returns {boolean} False when the request must fail fast.
+   */
+  tryAcquire() {
+    const state = this.state;
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN && !this.#trialInFlight) {
+      this.#trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records a successful request and closes the circuit.
+   */
+  recordSuccess() {
+    this.#state = CIRCUIT_STATES.CLOSED;
+    this.#consecutiveFailures = 0;
+    this.#openedAt = null;
+    this.#trialInFlight = false;
+  }
+
+  /**
+   * Records a failed request, opening the circuit when the threshold is reached
+   * or when the half-open trial fails.
+   */
+  recordFailure() {
+    this.#consecutiveFailures++;
+    if (this.#state === CIRCUIT_STATES.HALF_OPEN || this.#consecutiveFailures >= this.#failureThreshold) {
+      this.#state = CIRCUIT_STATES.OPEN;
+      this.#openedAt = this.#now();
+    }
+    this.#trialInFlight = false;
+  }
+
+  /**
+   * Releases a half-open trial whose outcome says nothing about upstream health
+   * (e.g. the caller cancelled or the request itself was invalid).
+   */
+  release() {
+    this.#trialInFlight = false;
+  }
+
+  /**
+   * @returns {number} Milliseconds until an open circuit allows a trial request; 0 otherwise.
+   */
+  retryAfterMs() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.#openedAt + this.#resetTimeoutMs - this.#now());
+  }
+
+  /**
+   * A snapshot for health reporting.
+   * @returns {{state: string, consecutiveFailures: number, failureThreshold: number, openedAt: string|null, nextAttemptAt: string|null}}
+   */
+  toJSON() {
+    const state = this.state;
+    return {
+      state,
+      consecutiveFailures: this.#consecutiveFailures,
+      failureThreshold: this.#failureThreshold,
+      openedAt: this.#openedAt === null ? null : new Date(this.#openedAt).toISOString(),
+      nextAttemptAt: state === CIRCUIT_STATES.OPEN ? new Date(this.#openedAt + this.#resetTimeoutMs).toISOString() : null
+    };
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * @file responseCache.js
+ * @description Caches the model's responses to repeated requests, so an identical request is
+ * answered without calling the model again.
+ *
+ * A request's key is the SHA-256 hash of everything that decides the response: the models
+ * and locations it is routed to, the system instruction, the contents (including the bytes
+ * of inline files), the tools, the generation config and the safety settings. Requests that
+ * reference files by `fileUri` are not cached, because the file behind a URI can change.
+ *
+ * Entries are kept in tiers, looked up in order: an in-memory LRU per server instance and,
+ * optionally, storage, which every instance shares and which survives restarts. An entry
+ * found in a later tier is copied into the earlier ones. Entries expire `ttlMs` after they
+ * were stored; an expired entry in storage is deleted when it is next read, so entries that
+ * are never read again stay until removed, e.g. by a bucket lifecycle rule on the prefix.
+ *
+ * Exports:
+ * - CACHE_PREFIX: The folder holding the entries kept in storage
+ * - CACHE_MODES: How a call uses the cache
+ * - isCacheable(requestBody): Whether a request can be cached
+ * - responseCacheKey(targets, requestBody): The key of a request
+ * - MemoryCacheTier: Keeps the most recently used entries in process memory
+ * - StorageCacheTier: Keeps entries as JSON documents in storage
+ * - ResponseCache: Looks entries up and stores them across tiers
+ */
+
+import { createHash } from 'crypto';
+import { StorageFileNotFoundError } from '../storage/storageBackend.js';
+import { describeTarget } from './modelRouting.js';
+
+export const CACHE_PREFIX = 'cache/gemini/';
+
+/**
+ * - 'default': Answers from the cache when it holds the request, and caches the response otherwise.
+ * - 'no-cache': Always calls the model, and caches the response.
+ * - 'no-store': Neither reads nor writes the cache.
+ */
+export const CACHE_MODES = ['default', 'no-cache', 'no-store'];
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+// Part of every key, so that changing what is hashed never serves entries stored under the old format.
+const KEY_VERSION = 'v1';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {any} value - The cached response.
+ * @property {number} expiresAt - When the entry expires, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {object} CacheTier
+ * @property {string} name - Reported with hits, e.g. 'memory'.
+ * @property {(key: string) => Promise<CacheEntry|null>} get - Returns an entry, expired or not, or null.
+ * @property {(key: string, entry: CacheEntry) => Promise<void>} set - Stores an entry, replacing any other.
+ * @property {(key: string) => Promise<void>} delete - Removes an entry, if there is one.
+ */
+
+/**
+ * Serializes a JSON-like value with the keys of every object sorted, so that equal
+ * values give equal strings whatever order their keys were set in.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item ?? null)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {object} requestBody - A generateContent request body.
+ * @returns {boolean} False when the request references files by URI, whose contents are not part of the key.
+ */
+export function isCacheable(requestBody) {
+  return !requestBody.contents.some(content => content.parts?.some(part => part.fileData));
+}
+
+/**
+ * @param {Array<{model: string, location: string}>} targets - The models and locations the request is routed to.
+ * @param {object} requestBody - The request body, before PII is tokenized.
+ * @returns {string} The request's key: a hex SHA-256 hash.
+ */
+export function responseCacheKey(targets, requestBody) {
+  const { systemInstruction, contents, tools, generationConfig, safetySettings } = requestBody;
+  return createHash('sha256')
+    .update(canonicalJson({
+      version: KEY_VERSION,
+      targets: targets.map(describeTarget),
+      systemInstruction,
+      contents,
+      tools,
+      generationConfig,
+      safetySettings
+    }), 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Keeps up to `maxEntries` entries in process memory, evicting the least recently used.
+ * @implements {CacheTier}
+ */
+export class MemoryCacheTier {
+  #entries = new Map();
+  #maxEntries;
+
+  /**
+   * @param {object} [options] - Tier options.
+   * @param {number} [options.maxEntries=500] - The most entries kept.
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error('maxEntries must be a positive integer.');
+    }
+    this.name = 'memory';
+    this.#maxEntries = maxEntries;
+  }
+
+  /**
+   * @returns {number} The number of entries held.
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  async get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // A Map iterates in insertion order, so re-inserting keeps the least recently used entry first.
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    while (this.#entries.size > this.#maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.#entries.delete(key);
+  }
+}
+
+/**
+ * Keeps each entry as the JSON document `{prefix}{key}.json` in storage.
+ * @implements {CacheTier}
+ */
+export class StorageCacheTier {
+  #storage;
+  #prefix;
+
+  /**
+   * @param {object} options - Tier options.
+   * @param {import('../storage/storageBackend.js').StorageBackend} options.storage - Where the entries are kept.
+   * @param {string} [options.prefix='cache/gemini/'] - The folder holding the entries.
+   */
+  constructor({ storage, prefix = CACHE_PREFIX }) {
+    this.name = 'storage';
+    this.#storage = storage;
+    this.#prefix = prefix;
+  }
+
+  #fileName(key) {
+    return `${this.#prefix}${key}.json`;
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await this.#storage.get(this.#fileName(key)));
+    } catch (error) {
+      if (error instanceof StorageFileNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await this.#storage.save(this.#fileName(key), JSON.stringify(entry), { contentType: 'application/json' });
+  }
+
+  async delete(key) {
+    try {
+      await this.#storage.delete(this.#fileName(key));
+    } catch (error) {
+      if (!(error instanceof StorageFileNotFoundError)) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Looks entries up and stores them across tiers. A failing tier is logged and skipped,
+ * so an unavailable storage never fails a request; the request is just not cached there.
+ */
+export class ResponseCache {
+  #tiers;
+  #ttlMs;
+  #logger;
+  #now;
+
+  /**
+   * @param {object} [options] - Cache options.
+   * @param {Array<CacheTier>} [options.tiers] - The tiers, fastest first (default: one MemoryCacheTier).
+   * @param {number} [options.ttlMs=3600000] - How long an entry is served after it was stored.
+   * @param {import('pino').Logger} [options.logger] - Reports failing tiers.
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ tiers = [new MemoryCacheTier()], ttlMs = DEFAULT_TTL_MS, logger, now = Date.now } = {}) {
+    if (tiers.length === 0) {
+      throw new Error('A response cache needs at least one tier.');
+    }
+    if (!(ttlMs > 0)) {
+      throw new Error('ttlMs must be positive.');
+    }
+    this.#tiers = tiers;
+    this.#ttlMs = ttlMs;
+    this.#logger = logger;
+    this.#now = now;
+  }
+
+  /**
+   * Runs an operation on a tier, logging and swallowing its failure.
+   * @returns {Promise<any>} The operation's result, or undefined if it failed.
+   */
+  async #attempt(tier, operation, key, run) {
+    try {
+      return await run();
+    } catch (error) {
+      this.#logger?.warn({ err: error, tier: tier.name, key }, `Response cache ${operation} failed.`);
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} key - The request's key.
+   * @returns {Promise<{value: any, tier: string}|null>} The cached response and the tier it was found in,
+   * or null when no tier holds an unexpired entry.
+   */
+  async get(key) {
+    for (const [index, tier] of this.#tiers.entries()) {
+      const entry = await this.#attempt(tier, 'read', key, () => tier.get(key));
+      if (!entry) {
+        continue;
+      }
+      if (!(entry.expiresAt > this.#now())) {
+        await this.#attempt(tier, 'delete', key, () => tier.delete(key));
+        continue;
+      }
+      for (const faster of this.#tiers.slice(0, index)) {
+        await this.#attempt(faster, 'write', key, () => faster.set(key, entry));
+      }
+      return { value: entry.value, tier: tier.name };
+    }
+    return null;
+  }
+
+  /**
+   * Stores a response in every tier.
+   * @param {string} key - The request's key.
+   * @param {any} value - The response; it must survive JSON serialization for tiers outside memory.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const entry = { value, expiresAt: this.#now() + this.#ttlMs };
+    for (const tier of this.#tiers) {
+      await this.#attempt(tier, 'write', key, () => tier.set(key, entry));
+    }
+  }
+}
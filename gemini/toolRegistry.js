@@ -0,0 +1,115 @@
+import { validateJsonSchema } from '../validation/jsonSchema.js';
+
+// Gemini requires function names to start with a letter or underscore and be at most 64 characters.
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+/**
+ * Custom error for problems registering a tool.
+ */
+export class ToolRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolRegistryError';
+  }
+}
+
+/**
+ * A registry of server-side tools the model may call.
+ * Each tool pairs a Gemini function declaration (name, description and a JSON
+ * schema for its parameters) with the handler that executes it.
+ */
+export class ToolRegistry {
+  #tools = new Map();
+
+  /**
+   * Registers a tool.
+   * @param {object} tool - The tool definition.
+   * @param {string} tool.name - The function name exposed to the model.
+   * @param {string} tool.description - What the tool does; the model uses this to decide when to call it.
+   * @param {object} [tool.parameters] - A JSON schema (OpenAPI subset) describing the arguments object.
+   * @param {(args: object, context: object) => Promise<any>|any} tool.handler - Executes the call and returns a JSON-serializable result.
+   * @returns {ToolRegistry} The registry, for chaining.
+   */
+  register({ name, description, parameters, handler }) {
+    if (!name || !TOOL_NAME_PATTERN.test(name)) {
+      throw new ToolRegistryError(`Invalid tool name "${name}".`);
+    }
+    if (this.#tools.has(name)) {
+      throw new ToolRegistryError(`A tool named "${name}" is already registered.`);
+    }
+    if (typeof handler !== 'function') {
+      throw new ToolRegistryError(`Tool "${name}" must have a handler function.`);
+    }
+    this.#tools.set(name, { name, description, parameters, handler });
+    return this;
+  }
+
+  /**
+   * Removes a tool.
+   * @param {string} name - The tool name.
+   * @returns {boolean} True if the tool was registered.
+   */
+  unregister(name) {
+    return this.#tools.delete(name);
+  }
+
+  /**
+   * @param {string} name - The tool name.
+   * @returns {boolean} True if a tool with this name is registered.
+   */
+  has(name) {
+    return this.#tools.has(name);
+  }
+
+  /**
+   * @returns {Array<string>} The names of all registered tools.
+   */
+  list() {
+    return [...this.#tools.keys()];
+  }
+
+  /**
+   * Builds the `tools` array for a generateContent request.
+   * @returns {Array<{functionDeclarations: Array<object>}>} An empty array when no tools are registered.
+   */
+  toGeminiTools() {
+    if (this.#tools.size === 0) {
+      return [];
+    }
+    const functionDeclarations = [...this.#tools.values()].map(({ name, description, parameters }) => ({
+      name,
+      description,
+      ...(parameters ? { parameters } : {})
+    }));
+    return [{ functionDeclarations }];
+  }
+
+  /**
+   * Executes a function call returned by the model.
+   * Failures are returned as `{ error }` rather than thrown so that they can be
+   * sent back to the model, which can then correct its arguments or explain the problem.
+   * @param {string} name - The tool name from the functionCall part.
+   * @param {object} [args] - The arguments from the functionCall part.
+   * @param {object} [context] - Request-scoped data passed through to the handler.
+   * @returns {Promise<object>} The object to send back as the functionResponse `response`.
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.#tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool "${name}".` };
+    }
+    if (tool.parameters) {
+      const errors = validateJsonSchema(tool.parameters, args);
+      if (errors.length > 0) {
+        return { error: 'Invalid arguments.', details: errors.map(error => `${error.path || 'args'} ${error.message}`) };
+      }
+    }
+    try {
+      const result = await tool.handler(args, context);
+      // functionResponse.response must be an object.
+      return result !== null && typeof result === 'object' && !Array.isArray(result) ? result : { result: result ?? null };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * @file readiness.js
+ * @description Checks that the service's dependencies actually work, for readiness probes.
+ *
+ * Each check is a function that exercises one dependency (obtaining an access token,
+ * reading the bucket's metadata, counting tokens with the model) and resolves with
+ * details to report, or rejects. All checks run in parallel, each with its own timeout,
+ * and the combined result is cached, so frequent probes do not turn into a steady
+ * load on Google APIs. Concurrent callers share the run in progress.
+ *
+ * Exports:
+ * - ReadinessChecker: Runs the checks and caches the result
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_MS = 15000;
+
+/**
+ * @typedef {object} CheckResult
+ * @property {'OK'|'ERROR'} status - Whether the dependency works.
+ * @property {number} latencyMs - How long the check took.
+ * @property {string} [error] - Why the check failed.
+ * @property {number} [errorStatus] - The HTTP status of the failure, if it has one.
+ */
+
+/**
+ * @typedef {object} Readiness
+ * @property {'OK'|'ERROR'} status - OK if every check passed.
+ * @property {Object<string, CheckResult>} checks - The result of each check, plus the details it returned.
+ * @property {string} checkedAt - When the checks ran.
+ */
+
+export class ReadinessChecker {
+  #checks;
+  #timeoutMs;
+  #cacheMs;
+  #now;
+  #cached = null;
+  #running = null;
+
+  /**
+   * @param {object} options - Checker options.
+   * @param {Object<string, (signal: AbortSignal) => Promise<object|void>>} options.checks - The checks by name.
+   * Each is given a signal that aborts when its timeout expires.
+   * @param {number} [options.timeoutMs=5000] - How long each check may take.
+   * @param {number} [options.cacheMs=15000] - How long a result is reused.
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ checks, timeoutMs = DEFAULT_TIMEOUT_MS, cacheMs = DEFAULT_CACHE_MS, now = Date.now }) {
+    this.#checks = checks;
+    this.#timeoutMs = timeoutMs;
+    this.#cacheMs = cacheMs;
+    this.#now = now;
+  }
+
+  async #runCheck(check) {
+    const controller = new AbortController();
+    const started = process.hrtime.bigint();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${this.#timeoutMs}ms.`));
+      }, this.#timeoutMs);
+    });
+    const latencyMs = () => Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+    try {
+      const details = await Promise.race([check(controller.signal), timeout]);
+      return { ...details, status: 'OK', latencyMs: latencyMs() };
+    } catch (error) {
+      const errorStatus = error.status ?? error.code;
+      return {
+        status: 'ERROR',
+        latencyMs: latencyMs(),
+        error: error.message,
+        ...(typeof errorStatus === 'number' ? { errorStatus } : {})
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async #runAll() {
+    const names = Object.keys(this.#checks);
+    const results = await Promise.all(names.map(name => this.#runCheck(this.#checks[name])));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+    return {
+      status: results.every(result => result.status === 'OK') ? 'OK' : 'ERROR',
+      checks,
+      checkedAt: new Date(this.#now()).toISOString()
+    };
+  }
+
+  /**
+   * @returns {Promise<Readiness & {cached: boolean}>} The latest result, running the checks
+   * if there is none from the last `cacheMs`. `cached` tells whether the result was reused.
+   */
+  async check() {
+    if (this.#cached && this.#now() - this.#cached.at < this.#cacheMs) {
+      return { ...this.#cached.readiness, cached: true };
+    }
+    if (!this.#running) {
+      this.#running = this.#runAll()
+        .then(readiness => {
+          this.#cached = { readiness, at: this.#now() };
+          return readiness;
+        })
+        .finally(() => {
+          this.#running = null;
+        });
+    }
+    return { ...(await this.#running), cached: false };
+  }
+}
@@ -1,3 +1,31 @@
 export * from './gemini/geminiApi.js';
+export * from './gemini/toolRegistry.js';
+export * from './gemini/customerTools.js';
 export * from './logging/logger.js';
-// export * from './pdf/parsePdf.js'; // To be implemented
\ No newline at end of file
+export * from './pdf/parsePdf.js';
+export * from './bills/extractBill.js';
+export * from './storage/storageBackend.js';
+export * from './storage/createStorage.js';
+export * from './storage/gcsStorage.js';
+export * from './storage/fsStorage.js';
+export * from './storage/memoryStorage.js';
+export * from './patch/jsonPatch.js';
+export * from './storage/validatingStorage.js';
+export * from './schemas/customerDocument.js';
+export * from './storage/customerPaths.js';
+export * from './auth/accessControl.js';
+export * from './auth/authenticate.js';
+export * from './limits/rateLimitStore.js';
+export * from './limits/rateLimiter.js';
+export * from './privacy/pii.js';
+export * from './logging/redaction.js';
+export * from './logging/requestContext.js';
+export * from './storage/loggingStorage.js';
+export * from './metrics/registry.js';
+export * from './metrics/serviceMetrics.js';
+export * from './health/readiness.js';
+export * from './sessions/sessionStore.js';
+export * from './sessions/chatSessions.js';
+export * from './gemini/contextWindow.js';
+export * from './gemini/modelRouting.js';
+export * from './gemini/responseCache.js';
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * @file rateLimitStore.js
+ * @description Where rate limiters keep their counters.
+ *
+ * A store offers two atomic operations, chosen so that a shared store such as
+ * Redis can implement each in one round trip (a Lua script for the token bucket,
+ * INCRBY with PEXPIRE for counters) and several server instances can share limits.
+ *
+ * Exports:
+ * - MemoryRateLimitStore: Keeps the counters in process memory, per server instance
+ */
+
+// How often idle entries are removed from memory.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {object} TokenBucket
+ * @property {number} capacity - The most tokens the bucket holds, i.e. the allowed burst.
+ * @property {number} refillPerSecond - How many tokens are added per second.
+ */
+
+/**
+ * @typedef {object} TakeResult
+ * @property {boolean} allowed - True if a token was taken.
+ * @property {number} remaining - The whole tokens left after this call.
+ * @property {number} retryAfterMs - When not allowed, how long until a token is available; otherwise 0.
+ */
+
+/**
+ * @typedef {object} RateLimitStore
+ * @property {(key: string, bucket: TokenBucket) => Promise<TakeResult>} take - Refills the bucket for the
+ * time since its last use and takes one token if there is one. Unknown buckets start full.
+ * @property {(key: string, amount: number, ttlMs: number) => Promise<number>} increment - Adds to a
+ * counter and returns the new total. The counter starts at 0 and is removed `ttlMs` after it was created.
+ * @property {(key: string) => Promise<number>} get - Returns a counter's total, or 0 if it does not exist.
+ */
+
+/**
+ * @implements {RateLimitStore}
+ */
+export class MemoryRateLimitStore {
+  #buckets = new Map();
+  #counters = new Map();
+  #now;
+  #lastSweep;
+
+  /**
+   * @param {object} [options] - Store options.
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ now = Date.now } = {}) {
+    this.#now = now;
+    this.#lastSweep = now();
+  }
+
+  /**
+   * Drops buckets that have refilled completely and counters that have expired;
+   * both behave exactly as if they did not exist.
+   */
+  #sweep(now) {
+    if (now - this.#lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.#lastSweep = now;
+    for (const [key, bucket] of this.#buckets) {
+      if (now >= bucket.fullAt) {
+        this.#buckets.delete(key);
+      }
+    }
+    for (const [key, counter] of this.#counters) {
+      if (now >= counter.expiresAt) {
+        this.#counters.delete(key);
+      }
+    }
+  }
+
+  async take(key, { capacity, refillPerSecond }) {
+    const now = this.#now();
+    this.#sweep(now);
+    const bucket = this.#buckets.get(key);
+    const tokens = bucket
+      ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+      : capacity;
+
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    this.#buckets.set(key, {
+      tokens: left,
+      updatedAt: now,
+      fullAt: now + ((capacity - left) / refillPerSecond) * 1000
+    });
+    return {
+      allowed,
+      remaining: Math.floor(left),
+      retryAfterMs: allowed ? 0 : Math.ceil(((1 - left) / refillPerSecond) * 1000)
+    };
+  }
+
+  async increment(key, amount, ttlMs) {
+    const now = this.#now();
+    this.#sweep(now);
+    let counter = this.#counters.get(key);
+    if (!counter || now >= counter.expiresAt) {
+      counter = { value: 0, expiresAt: now + ttlMs };
+      this.#counters.set(key, counter);
+    }
+    counter.value += amount;
+    return counter.value;
+  }
+
+  async get(key) {
+    const counter = this.#counters.get(key);
+    return counter && this.#now() < counter.expiresAt ? counter.value : 0;
+  }
+}
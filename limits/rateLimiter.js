@@ -0,0 +1,203 @@
+/**
+ * @file rateLimiter.js
+ * @description Per-caller request rates and daily token quotas for the Gemini routes.
+ *
+ * Each caller (its authenticated principal, or else its IP address) has either or both of:
+ * - A token bucket of requests: up to `burst` requests at once, refilled at
+ *   `requestsPerMinute`.
+ * - A quota of Gemini tokens per UTC day, counted from the
+ *   `usageMetadata.totalTokenCount` of the model's responses. Requests are admitted
+ *   while the quota has tokens left, so the request that crosses the limit still
+ *   completes and the next one is refused.
+ *
+ * Exports:
+ * - RateLimitError: Thrown when a caller is over a limit (status 429)
+ * - RateLimiter: Applies both limits on top of a RateLimitStore
+ * - rateLimitKey(req): Identifies the caller of a request
+ * - createRateLimitMiddleware(limiter, options): Express middleware enforcing the limits
+ */
+
+import { MemoryRateLimitStore } from './rateLimitStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Custom error for callers that are over their request rate or token quota.
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Which limit was hit.
+   * @param {number} retryAfterMs - How long until the caller may try again.
+   */
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * @typedef {object} TokenQuota
+ * @property {number} limit - The tokens allowed per day.
+ * @property {number} used - The tokens used today.
+ * @property {number} remaining - The tokens left today; 0 when used up.
+ * @property {number} resetInMs - The time until the quota resets, at midnight UTC.
+ */
+
+export class RateLimiter {
+  #store;
+  #bucket;
+  #dailyTokenQuota;
+  #now;
+
+  /**
+   * @param {object} options - The limits; at least one of requestsPerMinute and dailyTokenQuota is required.
+   * @param {number} [options.requestsPerMinute] - The sustained request rate per caller; omit for no request limit.
+   * @param {number} [options.burst] - The most requests a caller may make at once (defaults to requestsPerMinute).
+   * @param {number} [options.dailyTokenQuota] - The Gemini tokens per caller and UTC day; omit for no quota.
+   * @param {import('./rateLimitStore.js').RateLimitStore} [options.store] - Where the counters are kept (default: in memory).
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ requestsPerMinute, burst = requestsPerMinute, dailyTokenQuota, store, now = Date.now }) {
+    if (requestsPerMinute === undefined && dailyTokenQuota === undefined) {
+      throw new Error('At least one of requestsPerMinute and dailyTokenQuota is required.');
+    }
+    if (requestsPerMinute !== undefined && (!(requestsPerMinute > 0) || !(burst >= 1))) {
+      throw new Error('requestsPerMinute must be positive and burst at least 1.');
+    }
+    if (dailyTokenQuota !== undefined && !(dailyTokenQuota > 0)) {
+      throw new Error('dailyTokenQuota must be positive.');
+    }
+    this.#store = store || new MemoryRateLimitStore({ now });
+    this.#bucket = requestsPerMinute === undefined ? null : { capacity: burst, refillPerSecond: requestsPerMinute / 60 };
+    this.#dailyTokenQuota = dailyTokenQuota;
+    this.#now = now;
+  }
+
+  /**
+   * @returns {number|null} The most requests a caller may make at once, or null without a request limit.
+   */
+  get requestLimit() {
+    return this.#bucket?.capacity ?? null;
+  }
+
+  #day() {
+    const now = this.#now();
+    const startOfDay = now - (now % DAY_MS);
+    return { date: new Date(startOfDay).toISOString().slice(0, 10), resetInMs: startOfDay + DAY_MS - now };
+  }
+
+  /**
+   * Counts a request against the caller's rate.
+   *
+   * @param {string} key - The caller, as returned by rateLimitKey().
+   * @returns {Promise<import('./rateLimitStore.js').TakeResult|null>} The result, or null without a request limit.
+   */
+  async takeRequest(key) {
+    return this.#bucket ? this.#store.take(`requests:${key}`, this.#bucket) : null;
+  }
+
+  /**
+   * @param {string} key - The caller.
+   * @returns {Promise<TokenQuota|null>} Today's quota, or null when no quota is configured.
+   */
+  async getTokenQuota(key) {
+    if (this.#dailyTokenQuota === undefined) {
+      return null;
+    }
+    const { date, resetInMs } = this.#day();
+    const used = await this.#store.get(`tokens:${key}:${date}`);
+    return { limit: this.#dailyTokenQuota, used, remaining: Math.max(0, this.#dailyTokenQuota - used), resetInMs };
+  }
+
+  /**
+   * Counts Gemini tokens against the caller's daily quota.
+   *
+   * @param {string} key - The caller.
+   * @param {number} tokens - The tokens a response used.
+   * @returns {Promise<void>}
+   */
+  async recordTokens(key, tokens) {
+    if (this.#dailyTokenQuota === undefined || !(tokens > 0)) {
+      return;
+    }
+    const { date, resetInMs } = this.#day();
+    await this.#store.increment(`tokens:${key}:${date}`, tokens, resetInMs);
+  }
+}
+
+/**
+ * @param {import('express').Request} req - The request.
+ * @returns {string} The caller's principal ID when authenticated (shared by all keys
+ * of a rotation), or else its IP address.
+ */
+export function rateLimitKey(req) {
+  return req.auth ? `principal:${req.auth.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Creates Express middleware that refuses callers over their request rate or token
+ * quota with a RateLimitError, and reports the limits in response headers:
+ * `X-RateLimit-Limit` and `X-RateLimit-Remaining` for requests, and
+ * `X-Token-Quota-Limit`, `X-Token-Quota-Remaining` and `X-Token-Quota-Reset`
+ * (seconds until midnight UTC) for tokens. Admitted requests get `res.locals.onUsage`,
+ * to be passed as the `onUsage` option of the Gemini client's calls.
+ *
+ * If the store fails, the request is admitted and the failure logged, so an
+ * unavailable store does not take the API down with it.
+ *
+ * @param {RateLimiter} limiter - The limits to enforce.
+ * @param {object} [options] - Middleware options.
+ * @param {import('pino').Logger} [options.logger] - Reports store failures.
+ * @param {(req: import('express').Request) => string} [options.keyFor=rateLimitKey] - Identifies the caller.
+ * @returns {import('express').RequestHandler}
+ */
+export function createRateLimitMiddleware(limiter, { logger, keyFor = rateLimitKey } = {}) {
+  return async (req, res, next) => {
+    const key = keyFor(req);
+    let quota;
+    let request;
+    try {
+      quota = await limiter.getTokenQuota(key);
+      if (!quota || quota.remaining > 0) {
+        request = await limiter.takeRequest(key);
+      }
+    } catch (error) {
+      logger?.error({ err: error, key }, 'Rate limit store failed; admitting the request.');
+      return next();
+    }
+
+    if (quota) {
+      res.set({
+        'X-Token-Quota-Limit': String(quota.limit),
+        'X-Token-Quota-Remaining': String(quota.remaining),
+        'X-Token-Quota-Reset': String(Math.ceil(quota.resetInMs / 1000))
+      });
+      if (quota.remaining <= 0) {
+        return next(new RateLimitError(`Daily quota of ${quota.limit} Gemini tokens used up.`, quota.resetInMs));
+      }
+    }
+    if (request) {
+      res.set({
+        'X-RateLimit-Limit': String(limiter.requestLimit),
+        'X-RateLimit-Remaining': String(request.remaining)
+      });
+      if (!request.allowed) {
+        return next(new RateLimitError('Too many requests.', request.retryAfterMs));
+      }
+    }
+
+    let remaining = quota?.remaining;
+    res.locals.onUsage = (usageMetadata) => {
+      const tokens = usageMetadata.totalTokenCount || 0;
+      if (quota && !res.headersSent) {
+        remaining = Math.max(0, remaining - tokens);
+        res.set('X-Token-Quota-Remaining', String(remaining));
+      }
+      limiter.recordTokens(key, tokens).catch(error => {
+        logger?.error({ err: error, key, tokens }, 'Failed to record Gemini token usage.');
+      });
+    };
+    next();
+  };
+}
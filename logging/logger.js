@@ -1,8 +1,10 @@
 import pino from 'pino';
 import path from 'path';
+import { redactingLoggerOptions } from './redaction.js';
 
 /**
  * Creates a pino logger instance that writes to both a file and the console.
+ * Personal data is masked in every record; see redaction.js.
  * @returns {import('pino').Logger}
  */
 export function createLogger() {
@@ -33,5 +35,5 @@ export function createLogger() {
     console.error('Error from pino transport:', err);
   });
 
-  return pino(transport);
+  return pino(redactingLoggerOptions, transport);
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * @file redaction.js
+ * @description Masks personal data in log records before pino writes them.
+ *
+ * Every argument of a log call (the merging object or error, the message and any
+ * interpolation values) is passed through redactPiiDeep(), so user input, prompts
+ * and model responses can be logged without their account numbers, card numbers,
+ * emails, phone numbers or street addresses.
+ *
+ * Exports:
+ * - redactingLoggerOptions: pino options that redact every log call
+ */
+
+import { redactPiiDeep } from '../privacy/pii.js';
+
+/**
+ * Options for `pino(options)` and `pino(options, destination)`. Child loggers inherit them.
+ * @type {import('pino').LoggerOptions}
+ */
+export const redactingLoggerOptions = {
+  hooks: {
+    logMethod(args, method) {
+      return method.apply(this, args.map(arg => redactPiiDeep(arg)));
+    }
+  }
+};
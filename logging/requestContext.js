@@ -0,0 +1,125 @@
+/**
+ * @file requestContext.js
+ * @description Ties log records to the HTTP request that caused them.
+ *
+ * Every request gets an ID: the caller's `X-Request-Id` if it sent a usable one,
+ * otherwise a new UUID. The ID is echoed in the response's `X-Request-Id` header,
+ * set as `req.id`, bound to a child logger at `req.log`, and kept in an
+ * AsyncLocalStorage for the rest of the request, so code that is not handed the
+ * request (the Gemini client, storage) logs it too through requestLogger().
+ * When the response is finished, one access log record is written.
+ *
+ * Exports:
+ * - REQUEST_ID_HEADER: The header carrying the request ID
+ * - getRequestContext(): The current request's `{ requestId }`, if any
+ * - runWithRequestContext(context, fn): Runs `fn` as part of a request
+ * - requestLogger(logger): `logger` with the current request's ID bound
+ * - createRequestLogging(logger): Express middleware that sets up the context and writes access logs
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+// IDs from callers are logged as they are, so only short, plain ones are accepted.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const contextStorage = new AsyncLocalStorage();
+// The child loggers created for each request context, per parent logger.
+const childLoggers = new WeakMap();
+
+/**
+ * @typedef {object} RequestContext
+ * @property {string} requestId - Identifies the request in logs and in the response.
+ */
+
+/**
+ * @returns {RequestContext|undefined} The context of the request being handled, if any.
+ */
+export function getRequestContext() {
+  return contextStorage.getStore();
+}
+
+/**
+ * Runs `fn` with `context` as the current request context, e.g. for work started
+ * outside an HTTP request that should still be correlated.
+ *
+ * @template T
+ * @param {RequestContext} context - The context.
+ * @param {() => T} fn - The work to run.
+ * @returns {T} What `fn` returns.
+ */
+export function runWithRequestContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+/**
+ * @param {import('pino').Logger} logger - A logger.
+ * @returns {import('pino').Logger} A child of `logger` with the current request's `requestId`
+ * bound, or `logger` itself outside a request. Children are created once per request and logger.
+ */
+export function requestLogger(logger) {
+  const context = contextStorage.getStore();
+  if (!context) {
+    return logger;
+  }
+  let children = childLoggers.get(context);
+  if (!children) {
+    children = new WeakMap();
+    childLoggers.set(context, children);
+  }
+  let child = children.get(logger);
+  if (!child) {
+    child = logger.child({ requestId: context.requestId });
+    children.set(logger, child);
+  }
+  return child;
+}
+
+/**
+ * Creates Express middleware that assigns the request ID, sets `req.id` and `req.log`,
+ * runs the rest of the request in its context, and writes one access log record per
+ * request: method, URL, matched route, status, latency and the caller's principal ID.
+ * Server errors are logged at `error`, client errors at `warn`, and requests the client
+ * abandoned before the response was complete are marked `aborted`.
+ *
+ * @param {import('pino').Logger} logger - The logger requests are logged to.
+ * @returns {import('express').RequestHandler}
+ */
+export function createRequestLogging(logger) {
+  return (req, res, next) => {
+    const sentId = req.get(REQUEST_ID_HEADER);
+    const context = { requestId: sentId && REQUEST_ID_PATTERN.test(sentId) ? sentId : randomUUID() };
+    const start = process.hrtime.bigint();
+
+    req.id = context.requestId;
+    res.set(REQUEST_ID_HEADER, context.requestId);
+
+    let logged = false;
+    const logAccess = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      const status = res.statusCode;
+      const record = {
+        method: req.method,
+        url: req.originalUrl,
+        route: req.route?.path ?? null,
+        status,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        callerId: req.auth?.id,
+        aborted: !res.writableFinished || undefined
+      };
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level](record, 'Request completed.');
+    };
+    res.once('finish', logAccess);
+    res.once('close', logAccess);
+
+    runWithRequestContext(context, () => {
+      req.log = requestLogger(logger);
+      next();
+    });
+  };
+}
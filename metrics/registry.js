@@ -0,0 +1,201 @@
+/**
+ * @file registry.js
+ * @description Counters and histograms rendered in the Prometheus text exposition format (version 0.0.4).
+ *
+ * Each metric has a fixed set of label names; values are kept per combination of
+ * label values, so labels must only take a small, bounded set of values (a route
+ * pattern, never a URL).
+ *
+ * Exports:
+ * - PROMETHEUS_CONTENT_TYPE: The Content-Type of the rendered metrics
+ * - Counter: A value that only goes up
+ * - Histogram: Counts observations in cumulative buckets, with their sum
+ * - MetricsRegistry: Creates metrics and renders them all
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * The state shared by all metric types: name, help, label names and one series per label combination.
+ */
+class Metric {
+  #series = new Map();
+
+  constructor({ name, help, labelNames = [] }) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name '${name}'.`);
+    }
+    for (const labelName of labelNames) {
+      if (!LABEL_NAME_PATTERN.test(labelName) || labelName === 'le') {
+        throw new Error(`Invalid label name '${labelName}' for metric '${name}'.`);
+      }
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+  }
+
+  /**
+   * Returns the series for the given labels, created with `create()` on first use,
+   * or undefined if it does not exist and no `create` is given.
+   * Labels not given are set to the empty string; unknown labels are an error.
+   */
+  series(labels, create) {
+    for (const labelName of Object.keys(labels)) {
+      if (!this.labelNames.includes(labelName)) {
+        throw new Error(`Unknown label '${labelName}' for metric '${this.name}'.`);
+      }
+    }
+    const values = Object.fromEntries(this.labelNames.map(labelName => [labelName, String(labels[labelName] ?? '')]));
+    const key = JSON.stringify(this.labelNames.map(labelName => values[labelName]));
+    let entry = this.#series.get(key);
+    if (!entry && create) {
+      entry = { labels: values, value: create() };
+      this.#series.set(key, entry);
+    }
+    return entry;
+  }
+
+  allSeries() {
+    return [...this.#series.values()];
+  }
+
+  header(type) {
+    return `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${this.name} ${type}\n`;
+  }
+}
+
+export class Counter extends Metric {
+  /**
+   * @param {object} [labels] - The label values of the series to increase.
+   * @param {number} [amount=1] - How much to add; must not be negative.
+   */
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) {
+      throw new Error(`Counter '${this.name}' cannot be increased by ${amount}.`);
+    }
+    this.series(labels, () => 0).value += amount;
+  }
+
+  /**
+   * @param {object} [labels] - The label values of the series.
+   * @returns {number} The series' current value; 0 if it was never increased.
+   */
+  get(labels = {}) {
+    return this.series(labels)?.value ?? 0;
+  }
+
+  render() {
+    return this.header('counter') + this.allSeries()
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`)
+      .join('');
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {object} options - The metric's definition.
+   * @param {string} options.name - The metric name, e.g. `http_request_duration_seconds`.
+   * @param {string} options.help - What the metric measures.
+   * @param {Array<string>} [options.labelNames] - The names of its labels.
+   * @param {Array<number>} options.buckets - The upper bounds of the buckets, in increasing order.
+   */
+  constructor({ buckets, ...definition }) {
+    super(definition);
+    if (!buckets?.length || buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Histogram '${definition.name}' needs buckets in increasing order.`);
+    }
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {object} labels - The label values of the series.
+   * @param {number} value - The observed value, e.g. a duration in seconds.
+   */
+  observe(labels, value) {
+    const data = this.series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        data.counts[index]++;
+      }
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  /**
+   * @param {object} [labels] - The label values of the series.
+   * @returns {{sum: number, count: number}} The series' totals.
+   */
+  get(labels = {}) {
+    const data = this.series(labels)?.value;
+    return { sum: data?.sum ?? 0, count: data?.count ?? 0 };
+  }
+
+  render() {
+    let text = this.header('histogram');
+    for (const { labels, value } of this.allSeries()) {
+      this.buckets.forEach((bound, index) => {
+        text += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}\n`;
+      text += `${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}\n`;
+      text += `${this.name}_count${formatLabels(labels)} ${value.count}\n`;
+    }
+    return text;
+  }
+}
+
+export class MetricsRegistry {
+  #metrics = new Map();
+
+  #register(metric) {
+    if (this.#metrics.has(metric.name)) {
+      throw new Error(`A metric named '${metric.name}' is already registered.`);
+    }
+    this.#metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: Array<string>}} definition - The counter's definition.
+   * @returns {Counter}
+   */
+  counter(definition) {
+    return this.#register(new Counter(definition));
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: Array<string>, buckets: Array<number>}} definition - The histogram's definition.
+   * @returns {Histogram}
+   */
+  histogram(definition) {
+    return this.#register(new Histogram(definition));
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format, served with PROMETHEUS_CONTENT_TYPE.
+   */
+  render() {
+    return [...this.#metrics.values()].map(metric => metric.render()).join('');
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * @file serviceMetrics.js
+ * @description The service's metrics, served by `GET /metrics`.
+ *
+ * - `http_request_duration_seconds{method,route,status}`: Latency of every HTTP request,
+ *   labelled with the matched route pattern (`unmatched` for requests no route handled).
+ * - `gemini_request_duration_seconds{model,outcome}` and
+ *   `gemini_requests_total{model,outcome,finish_reason}`: Every model call, where the outcome
+ *   is `success`, `blocked` (a safety block or a response without content), `error` or, for
+ *   streams the consumer stopped reading, `cancelled`.
+ * - `gemini_tokens_total{model,type}`: Tokens from `usageMetadata`, by type `prompt`,
+ *   `candidates` and `thoughts`.
+ * - `gemini_cache_requests_total{status}`: Calls that could use the response cache, by status
+ *   `hit`, `miss` or `bypass` (see gemini/responseCache.js).
+ * - `gcs_operation_duration_seconds{operation}` and `gcs_operations_total{operation,outcome}`:
+ *   Every Cloud Storage call made through gcs-utils, where the outcome is `success`,
+ *   `not_found`, `precondition_failed` or `error`.
+ *
+ * Exports:
+ * - metrics: The registry holding all of the above
+ * - httpRequestDuration, geminiRequestDuration, geminiRequests, geminiTokens, geminiCacheRequests, gcsOperationDuration,
+ *   gcsOperations: The metrics
+ * - createHttpMetricsMiddleware(): Express middleware that times every request
+ * - observeGeminiCall(model): Starts timing one model call
+ * - observeGcsOperation(operation, fn): Runs and records one Cloud Storage call
+ */
+
+import { MetricsRegistry } from './registry.js';
+import { StorageFileNotFoundError, StoragePreconditionFailedError } from '../storage/storageBackend.js';
+
+// In seconds: HTTP requests range from a cached health check to a long tool loop.
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const GEMINI_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+const GCS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// usageMetadata fields counted by gemini_tokens_total, by token type.
+const TOKEN_FIELDS = {
+  prompt: 'promptTokenCount',
+  candidates: 'candidatesTokenCount',
+  thoughts: 'thoughtsTokenCount'
+};
+
+export const metrics = new MetricsRegistry();
+
+export const httpRequestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Latency of HTTP requests, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: HTTP_BUCKETS
+});
+
+export const geminiRequestDuration = metrics.histogram({
+  name: 'gemini_request_duration_seconds',
+  help: 'Latency of Gemini model calls including retries, by model and outcome.',
+  labelNames: ['model', 'outcome'],
+  buckets: GEMINI_BUCKETS
+});
+
+export const geminiRequests = metrics.counter({
+  name: 'gemini_requests_total',
+  help: 'Gemini model calls, by model, outcome and finish reason.',
+  labelNames: ['model', 'outcome', 'finish_reason']
+});
+
+export const geminiTokens = metrics.counter({
+  name: 'gemini_tokens_total',
+  help: 'Gemini tokens used, by model and type (prompt, candidates, thoughts).',
+  labelNames: ['model', 'type']
+});
+
+export const geminiCacheRequests = metrics.counter({
+  name: 'gemini_cache_requests_total',
+  help: 'Gemini calls that could use the response cache, by status (hit, miss, bypass).',
+  labelNames: ['status']
+});
+
+export const gcsOperationDuration = metrics.histogram({
+  name: 'gcs_operation_duration_seconds',
+  help: 'Latency of Cloud Storage operations, by operation.',
+  labelNames: ['operation'],
+  buckets: GCS_BUCKETS
+});
+
+export const gcsOperations = metrics.counter({
+  name: 'gcs_operations_total',
+  help: 'Cloud Storage operations, by operation and outcome.',
+  labelNames: ['operation', 'outcome']
+});
+
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Creates Express middleware that records the latency of every request once its response is finished.
+ *
+ * @returns {import('express').RequestHandler}
+ */
+export function createHttpMetricsMiddleware() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.once('finish', () => {
+      httpRequestDuration.observe({
+        method: req.method,
+        route: req.route?.path ?? 'unmatched',
+        status: res.statusCode
+      }, secondsSince(start));
+    });
+    next();
+  };
+}
+
+/**
+ * Starts timing one Gemini model call.
+ *
+ * @param {string} model - The model called.
+ * @returns {{recordUsage: (usageMetadata: object|null) => void, end: (outcome: string, finishReason?: string|null) => void}}
+ * `recordUsage` counts a response's tokens; `end` records the call's latency and outcome, once.
+ */
+export function observeGeminiCall(model) {
+  const start = process.hrtime.bigint();
+  let ended = false;
+  return {
+    recordUsage(usageMetadata) {
+      for (const [type, field] of Object.entries(TOKEN_FIELDS)) {
+        if (usageMetadata?.[field] > 0) {
+          geminiTokens.inc({ model, type }, usageMetadata[field]);
+        }
+      }
+    },
+    end(outcome, finishReason) {
+      if (ended) {
+        return;
+      }
+      ended = true;
+      geminiRequestDuration.observe({ model, outcome }, secondsSince(start));
+      geminiRequests.inc({ model, outcome, finish_reason: finishReason || 'none' });
+    }
+  };
+}
+
+function gcsOutcome(error) {
+  if (error instanceof StorageFileNotFoundError) {
+    return 'not_found';
+  }
+  return error instanceof StoragePreconditionFailedError ? 'precondition_failed' : 'error';
+}
+
+/**
+ * Runs one Cloud Storage call and records its latency and outcome.
+ *
+ * @template T
+ * @param {string} operation - The operation, e.g. `getFile`.
+ * @param {() => Promise<T>} fn - The call.
+ * @returns {Promise<T>} What the call returns.
+ */
+export async function observeGcsOperation(operation, fn) {
+  const start = process.hrtime.bigint();
+  let outcome = 'success';
+  try {
+    return await fn();
+  } catch (error) {
+    outcome = gcsOutcome(error);
+    throw error;
+  } finally {
+    gcsOperationDuration.observe({ operation }, secondsSince(start));
+    gcsOperations.inc({ operation, outcome });
+  }
+}
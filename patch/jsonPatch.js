@@ -0,0 +1,243 @@
+/**
+ * @file jsonPatch.js
+ * @description Partial updates for JSON documents.
+ *
+ * Exports:
+ * - applyJsonPatch(document, operations): Applies an RFC 6902 JSON Patch
+ * - applyMergePatch(target, patch): Applies an RFC 7396 JSON Merge Patch
+ * - JsonPatchError: Thrown for malformed patches (status 400) and for patches
+ *   that cannot be applied to the document, such as missing paths or a failed
+ *   `test` operation (status 422)
+ *
+ * Neither function modifies its arguments; both return a new document.
+ */
+
+export const JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+export const MERGE_PATCH_CONTENT_TYPE = 'application/merge-patch+json';
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Custom error for patches that are malformed or cannot be applied.
+ */
+export class JsonPatchError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {number} status - 400 for a malformed patch, 422 when the patch does not fit the document.
+   * @param {object} [details] - The failing operation's index and path.
+   */
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Splits an RFC 6901 JSON Pointer into unescaped reference tokens.
+ */
+function parsePointer(pointer, field, context) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new JsonPatchError(`Operation ${context.operation}: "${field}" must be a JSON Pointer such as "/currentBill/dueDate".`, 400, context);
+  }
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolves an array index token. `allowEnd` permits "-" and the index one past the last element.
+ */
+function arrayIndex(array, token, allowEnd, context) {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new JsonPatchError(`Invalid array index "${token}" in path "${context.path}".`, 422, context);
+  }
+  const index = Number(token);
+  if (index > array.length || (index === array.length && !allowEnd)) {
+    throw new JsonPatchError(`Array index ${index} is out of bounds in path "${context.path}".`, 422, context);
+  }
+  return index;
+}
+
+/**
+ * Walks to the container holding the last token of a pointer.
+ */
+function resolveParent(document, tokens, context) {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) {
+      node = node[arrayIndex(node, token, false, context)];
+    } else if (isObject(node) && Object.hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw new JsonPatchError(`Path "${context.path}" does not exist.`, 422, context);
+    }
+  }
+  if (!Array.isArray(node) && !isObject(node)) {
+    throw new JsonPatchError(`Path "${context.path}" does not exist.`, 422, context);
+  }
+  return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, tokens, context) {
+  if (tokens.length === 0) {
+    return document;
+  }
+  const { parent, key } = resolveParent(document, tokens, context);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false, context)];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new JsonPatchError(`Path "${context.path}" does not exist.`, 422, context);
+  }
+  return parent[key];
+}
+
+function addValue(document, tokens, value, context) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  const { parent, key } = resolveParent(document, tokens, context);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true, context), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function replaceValue(document, tokens, value, context) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  getValue(document, tokens, context);
+  const { parent, key } = resolveParent(document, tokens, context);
+  // Assigning in place keeps the member's position among its siblings.
+  parent[Array.isArray(parent) ? Number(key) : key] = value;
+  return document;
+}
+
+function removeValue(document, tokens, context) {
+  if (tokens.length === 0) {
+    throw new JsonPatchError('The whole document cannot be removed.', 422, context);
+  }
+  const { parent, key } = resolveParent(document, tokens, context);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, false, context), 1)[0];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new JsonPatchError(`Path "${context.path}" does not exist.`, 422, context);
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+/**
+ * Applies an RFC 6902 JSON Patch. The operations are applied in order and
+ * atomically: if any operation fails, an error is thrown and no result is returned.
+ *
+ * @param {any} document - The JSON document to patch.
+ * @param {Array<{op: string, path: string, value?: any, from?: string}>} operations - The patch.
+ * @returns {any} The patched document.
+ * @throws {JsonPatchError}
+ */
+export function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError('A JSON Patch must be an array of operations.', 400);
+  }
+  let result = clone(document);
+
+  operations.forEach((operation, index) => {
+    const context = { operation: index, path: operation?.path };
+    if (!isObject(operation) || !OPERATIONS.includes(operation.op)) {
+      throw new JsonPatchError(`Operation ${index} must have an "op" of ${OPERATIONS.join(', ')}.`, 400, context);
+    }
+    const tokens = parsePointer(operation.path, 'path', context);
+    if (['add', 'replace', 'test'].includes(operation.op) && !Object.hasOwn(operation, 'value')) {
+      throw new JsonPatchError(`Operation ${index} ("${operation.op}") requires a "value".`, 400, context);
+    }
+
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, tokens, clone(operation.value), context);
+        break;
+      case 'remove':
+        removeValue(result, tokens, context);
+        break;
+      case 'replace':
+        result = replaceValue(result, tokens, clone(operation.value), context);
+        break;
+      case 'move':
+      case 'copy': {
+        const fromContext = { operation: index, path: operation.from };
+        const fromTokens = parsePointer(operation.from, 'from', fromContext);
+        if (operation.op === 'move' && operation.path.startsWith(`${operation.from}/`)) {
+          throw new JsonPatchError(`Operation ${index} cannot move "${operation.from}" into one of its own children.`, 422, context);
+        }
+        const value = operation.op === 'move'
+          ? removeValue(result, fromTokens, fromContext)
+          : clone(getValue(result, fromTokens, fromContext));
+        result = addValue(result, tokens, value, context);
+        break;
+      }
+      case 'test':
+        if (!isEqual(getValue(result, tokens, context), operation.value)) {
+          throw new JsonPatchError(`Test failed: the value at "${operation.path}" does not match.`, 422, context);
+        }
+        break;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Applies an RFC 7396 JSON Merge Patch: objects are merged recursively,
+ * `null` removes a member and any other value (including arrays) replaces it.
+ *
+ * @param {any} target - The JSON document to patch.
+ * @param {any} patch - The merge patch.
+ * @returns {any} The patched document.
+ */
+export function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
@@ -1,6 +1,1385 @@
 /**
- * @fileoverview Placeholder for PDF parsing utilities.
- * This module will contain functions to extract text and other data from PDF files.
- * To be implemented.
- * This is a future plan. 
- */
\ No newline at end of file
+ * @file parsePdf.js
+ * @description A dependency-light PDF text extractor.
+ *
+ * The parser walks the cross-reference data (classic xref tables as well as
+ * PDF 1.5 xref and object streams), resolves indirect objects, inflates
+ * /FlateDecode streams with Node's built-in zlib and interprets each page's
+ * content stream to recover the text drawn by the text-showing operators.
+ * Text runs are then laid out by their position on the page so that a label
+ * and its value printed on the same line end up on the same line of output.
+ *
+ * Exports:
+ * - parsePdf(buffer): Parses a PDF and returns per-page text plus document metadata
+ * - PdfParseError: Thrown when the buffer cannot be parsed as a PDF
+ */
+
+import zlib from 'zlib';
+
+/**
+ * Custom error for PDFs that are malformed, encrypted or otherwise unreadable.
+ */
+export class PdfParseError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'PdfParseError';
+    this.details = details;
+  }
+}
+
+// Nested form XObjects deeper than this are ignored to guard against cycles.
+const MAX_XOBJECT_DEPTH = 10;
+// A horizontal gap wider than this many font sizes is rendered as a tab (a column break).
+const COLUMN_GAP_RATIO = 1.5;
+// A horizontal gap wider than this fraction of the font size is rendered as a space.
+const WORD_GAP_RATIO = 0.15;
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x25, 0x28, 0x29, 0x2f, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d]);
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// Windows-1252 code points that differ from Latin-1 (used by /WinAnsiEncoding).
+const WIN_ANSI_OVERRIDES = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+  0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+  0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names commonly found in /Differences arrays. Single-character names
+// (a, B, 7, ...) and uniXXXX names are handled without a lookup.
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: '\'', quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-', period: '.',
+  slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  bullet: '•', endash: '–', emdash: '—', quotedblleft: '“',
+  quotedblright: '”', ellipsis: '…', trademark: '™', registered: '®',
+  copyright: '©', degree: '°', cent: '¢', sterling: '£', Euro: '€',
+  section: '§', paragraph: '¶', fi: 'fi', fl: 'fl', nbspace: ' '
+};
+
+/**
+ * An indirect object reference ("12 0 R").
+ */
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+/**
+ * A stream object: its dictionary plus the raw (still encoded) bytes.
+ */
+class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+    this.decoded = null;
+  }
+}
+
+/**
+ * A bare keyword, such as a content stream operator.
+ */
+class PdfKeyword {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// Dictionaries are created with a null prototype so that arbitrary PDF names
+// can be used as keys safely and so they can be told apart from other objects.
+function isDict(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Tokenizer and object reader for PDF syntax. Strings are returned as Buffers,
+ * names as JavaScript strings, dictionaries as null-prototype objects.
+ */
+class Lexer {
+  /**
+   * @param {Buffer} buffer - The bytes to read.
+   * @param {number} [position] - The offset to start reading from.
+   * @param {boolean} [allowRefs] - Whether "num gen R" sequences should be read as references.
+   */
+  constructor(buffer, position = 0, allowRefs = true) {
+    this.buffer = buffer;
+    this.position = position;
+    this.allowRefs = allowRefs;
+  }
+
+  skipWhitespace() {
+    const buf = this.buffer;
+    while (this.position < buf.length) {
+      const ch = buf[this.position];
+      if (WHITESPACE.has(ch)) {
+        this.position++;
+      } else if (ch === 0x25) {
+        // Comments run to the end of the line.
+        while (this.position < buf.length && buf[this.position] !== 0x0a && buf[this.position] !== 0x0d) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Reads the next token, or returns null at the end of the buffer.
+   * @returns {{type: string, value?: any} | null}
+   */
+  nextToken() {
+    const buf = this.buffer;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= buf.length) {
+        return null;
+      }
+      const ch = buf[this.position];
+      switch (ch) {
+        case 0x28: // (
+          return { type: 'string', value: this.#readLiteralString() };
+        case 0x3c: // <
+          if (buf[this.position + 1] === 0x3c) {
+            this.position += 2;
+            return { type: 'dictStart' };
+          }
+          return { type: 'string', value: this.#readHexString() };
+        case 0x3e: // >
+          if (buf[this.position + 1] === 0x3e) {
+            this.position += 2;
+            return { type: 'dictEnd' };
+          }
+          this.position++;
+          continue;
+        case 0x5b: // [
+          this.position++;
+          return { type: 'arrayStart' };
+        case 0x5d: // ]
+          this.position++;
+          return { type: 'arrayEnd' };
+        case 0x2f: // /
+          return { type: 'name', value: this.#readName() };
+        case 0x7b: // { and } only appear in PostScript calculator functions.
+        case 0x7d:
+        case 0x29: // A stray ) is malformed; skip it.
+          this.position++;
+          continue;
+        default:
+          break;
+      }
+
+      const start = this.position;
+      while (this.position < buf.length && !WHITESPACE.has(buf[this.position]) && !DELIMITERS.has(buf[this.position])) {
+        this.position++;
+      }
+      const text = buf.toString('latin1', start, this.position);
+      if (NUMBER_PATTERN.test(text)) {
+        return { type: 'number', value: parseFloat(text) };
+      }
+      return { type: 'keyword', value: text };
+    }
+  }
+
+  /**
+   * Reads one complete object (number, string, name, array, dictionary, reference or keyword).
+   * @returns {any} The object, or undefined at the end of the buffer.
+   */
+  readObject() {
+    const token = this.nextToken();
+    return token ? this.objectFromToken(token) : undefined;
+  }
+
+  objectFromToken(token) {
+    switch (token.type) {
+      case 'number':
+        return this.allowRefs ? this.#maybeReadRef(token.value) : token.value;
+      case 'string':
+      case 'name':
+        return token.value;
+      case 'arrayStart': {
+        const array = [];
+        for (;;) {
+          const next = this.nextToken();
+          if (!next || next.type === 'arrayEnd') {
+            return array;
+          }
+          array.push(this.objectFromToken(next));
+        }
+      }
+      case 'dictStart': {
+        const dict = Object.create(null);
+        for (;;) {
+          const key = this.nextToken();
+          if (!key || key.type === 'dictEnd') {
+            return dict;
+          }
+          if (key.type !== 'name') {
+            continue; // Tolerate junk between entries.
+          }
+          const valueToken = this.nextToken();
+          if (!valueToken || valueToken.type === 'dictEnd') {
+            return dict;
+          }
+          dict[key.value] = this.objectFromToken(valueToken);
+        }
+      }
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return new PdfKeyword(token.value);
+      default:
+        return new PdfKeyword(token.type === 'arrayEnd' ? ']' : '>>');
+    }
+  }
+
+  #maybeReadRef(num) {
+    if (!Number.isInteger(num) || num < 0) {
+      return num;
+    }
+    const saved = this.position;
+    const gen = this.nextToken();
+    if (gen?.type === 'number' && Number.isInteger(gen.value)) {
+      const keyword = this.nextToken();
+      if (keyword?.type === 'keyword' && keyword.value === 'R') {
+        return new PdfRef(num, gen.value);
+      }
+    }
+    this.position = saved;
+    return num;
+  }
+
+  #readLiteralString() {
+    const buf = this.buffer;
+    const out = [];
+    let pos = this.position + 1;
+    let depth = 1;
+    while (pos < buf.length) {
+      const ch = buf[pos++];
+      if (ch === 0x5c) { // Backslash escape
+        const next = buf[pos++];
+        switch (next) {
+          case 0x6e: out.push(0x0a); break; // \n
+          case 0x72: out.push(0x0d); break; // \r
+          case 0x74: out.push(0x09); break; // \t
+          case 0x62: out.push(0x08); break; // \b
+          case 0x66: out.push(0x0c); break; // \f
+          case 0x0d: // Line continuation
+            if (buf[pos] === 0x0a) pos++;
+            break;
+          case 0x0a:
+            break;
+          default:
+            if (next >= 0x30 && next <= 0x37) {
+              let value = next - 0x30;
+              for (let i = 0; i < 2 && buf[pos] >= 0x30 && buf[pos] <= 0x37; i++) {
+                value = value * 8 + (buf[pos++] - 0x30);
+              }
+              out.push(value & 0xff);
+            } else if (next !== undefined) {
+              out.push(next);
+            }
+        }
+        continue;
+      }
+      if (ch === 0x28) {
+        depth++;
+      } else if (ch === 0x29 && --depth === 0) {
+        break;
+      }
+      out.push(ch);
+    }
+    this.position = pos;
+    return Buffer.from(out);
+  }
+
+  #readHexString() {
+    const end = this.buffer.indexOf(0x3e, this.position + 1);
+    const stop = end === -1 ? this.buffer.length : end;
+    let hex = this.buffer.toString('latin1', this.position + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2 === 1) {
+      hex += '0';
+    }
+    this.position = stop + 1;
+    return Buffer.from(hex, 'hex');
+  }
+
+  #readName() {
+    const buf = this.buffer;
+    const start = ++this.position;
+    while (this.position < buf.length && !WHITESPACE.has(buf[this.position]) && !DELIMITERS.has(buf[this.position])) {
+      this.position++;
+    }
+    return buf.toString('latin1', start, this.position)
+      .replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+}
+
+// --- Stream filters ---
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch {
+    // Some producers write truncated or unterminated streams; recover what we can.
+    return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+function decodeAsciiHex(data) {
+  let hex = data.toString('latin1');
+  const end = hex.indexOf('>');
+  hex = (end === -1 ? hex : hex.slice(0, end)).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2 === 1) {
+    hex += '0';
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function decodeAscii85(data) {
+  let text = data.toString('latin1').replace(/\s/g, '');
+  if (text.startsWith('<~')) {
+    text = text.slice(2);
+  }
+  const end = text.indexOf('~>');
+  if (end !== -1) {
+    text = text.slice(0, end);
+  }
+  const out = [];
+  let group = [];
+  const flush = (length) => {
+    let value = 0;
+    for (const digit of group) {
+      value = value * 85 + digit;
+    }
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out.push(...bytes.slice(0, length));
+  };
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      flush(4);
+      group = [];
+    }
+  }
+  if (group.length > 0) {
+    const length = group.length - 1;
+    while (group.length < 5) {
+      group.push(84);
+    }
+    flush(length);
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Reverses the PNG (10-15) and TIFF (2) predictors used with /FlateDecode.
+ */
+function applyPredictor(data, params) {
+  const predictor = params?.Predictor ?? 1;
+  if (predictor < 2) {
+    return data;
+  }
+  const colors = params.Colors ?? 1;
+  const bitsPerComponent = params.BitsPerComponent ?? 8;
+  const columns = params.Columns ?? 1;
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+
+  if (predictor === 2) {
+    const out = Buffer.from(data);
+    for (let row = 0; row < out.length; row += rowLength) {
+      for (let i = bytesPerPixel; i < rowLength && row + i < out.length; i++) {
+        out[row + i] = (out[row + i] + out[row + i - bytesPerPixel]) & 0xff;
+      }
+    }
+    return out;
+  }
+
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = Buffer.alloc(rows * rowLength);
+  let previous = Buffer.alloc(rowLength);
+  for (let row = 0; row < rows; row++) {
+    const filterType = data[row * (rowLength + 1)];
+    const source = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+    const current = out.subarray(row * rowLength, (row + 1) * rowLength);
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value;
+      switch (filterType) {
+        case 1: value = source[i] + left; break;
+        case 2: value = source[i] + up; break;
+        case 3: value = source[i] + ((left + up) >> 1); break;
+        case 4: {
+          const estimate = left + up - upLeft;
+          const dLeft = Math.abs(estimate - left);
+          const dUp = Math.abs(estimate - up);
+          const dUpLeft = Math.abs(estimate - upLeft);
+          const nearest = dLeft <= dUp && dLeft <= dUpLeft ? left : (dUp <= dUpLeft ? up : upLeft);
+          value = source[i] + nearest;
+          break;
+        }
+        default: value = source[i];
+      }
+      current[i] = value & 0xff;
+    }
+    previous = current;
+  }
+  return out;
+}
+
+// --- Text helpers ---
+
+/**
+ * Decodes a PDF "text string" (Info values, outline titles): UTF-16BE when it
+ * carries a byte order mark, otherwise PDFDocEncoding (close enough to Latin-1).
+ */
+function decodeTextString(value) {
+  if (!Buffer.isBuffer(value)) {
+    return typeof value === 'string' ? value : null;
+  }
+  if (value.length >= 2 && value[0] === 0xfe && value[1] === 0xff) {
+    return utf16beToString(value.subarray(2));
+  }
+  if (value.length >= 3 && value[0] === 0xef && value[1] === 0xbb && value[2] === 0xbf) {
+    return value.subarray(3).toString('utf8');
+  }
+  return value.toString('latin1');
+}
+
+function utf16beToString(bytes) {
+  const even = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  return even.swap16().toString('utf16le');
+}
+
+/**
+ * Converts a PDF date ("D:20250605030436Z", "D:20250605030436-05'00'") to an ISO 8601 string.
+ */
+function parsePdfDate(value) {
+  const text = decodeTextString(value);
+  const match = text?.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+  if (!match) {
+    return text ?? null;
+  }
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+  const zone = !sign || sign === 'Z' || sign === 'z' ? 'Z' : `${sign}${tzHour}:${tzMinute}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+function glyphNameToUnicode(name) {
+  if (name.length === 1) {
+    return name;
+  }
+  if (GLYPH_NAMES[name] !== undefined) {
+    return GLYPH_NAMES[name];
+  }
+  const uni = name.match(/^uni([0-9A-Fa-f]{4})$/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (uni) {
+    return String.fromCodePoint(parseInt(uni[1], 16));
+  }
+  return '';
+}
+
+/**
+ * Parses a /ToUnicode CMap into a code -> string map plus the code length in bytes.
+ */
+function parseToUnicodeCMap(data) {
+  const text = data.toString('latin1');
+  const map = new Map();
+  let codeLength = null;
+
+  const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (codespace) {
+    codeLength = Math.ceil(codespace[1].length / 2);
+  }
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(source, 16), utf16beToString(Buffer.from(target, 'hex')));
+      codeLength ??= Math.ceil(source.length / 2);
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      codeLength ??= Math.ceil(low.length / 2);
+      if (target.startsWith('[')) {
+        const targets = [...target.matchAll(/<([0-9a-fA-F]*)>/g)].map(m => m[1]);
+        targets.forEach((hex, i) => {
+          if (start + i <= end) {
+            map.set(start + i, utf16beToString(Buffer.from(hex, 'hex')));
+          }
+        });
+      } else {
+        const hex = target.slice(1, -1).padStart(4, '0');
+        const prefix = Buffer.from(hex.slice(0, -4), 'hex');
+        const last = parseInt(hex.slice(-4), 16);
+        for (let code = start; code <= end; code++) {
+          const unit = Buffer.alloc(2);
+          unit.writeUInt16BE((last + code - start) & 0xffff);
+          map.set(code, utf16beToString(Buffer.concat([prefix, unit])));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+// --- Matrices ([a b c d e f], as in the PDF specification) ---
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Font information needed to turn shown strings into Unicode text and to
+ * advance the text position by the right glyph widths.
+ */
+class PdfFont {
+  constructor(doc, dict) {
+    this.isComposite = dict.Subtype === 'Type0';
+    this.toUnicode = null;
+    this.codeLength = this.isComposite ? 2 : 1;
+    this.widths = new Map();
+    this.defaultWidth = this.isComposite ? 1000 : 500;
+    this.encoding = new Map();
+
+    const toUnicode = doc.resolve(dict.ToUnicode);
+    if (toUnicode instanceof PdfStream) {
+      try {
+        const cmap = parseToUnicodeCMap(doc.decodeStream(toUnicode));
+        this.toUnicode = cmap.map;
+        if (this.isComposite && cmap.codeLength) {
+          this.codeLength = cmap.codeLength;
+        }
+      } catch (error) {
+        doc.warnings.push(`Could not read ToUnicode map: ${error.message}`);
+      }
+    }
+
+    if (this.isComposite) {
+      this.#loadCompositeWidths(doc, doc.resolve(asArray(doc.resolve(dict.DescendantFonts))[0]));
+    } else {
+      this.#loadSimpleWidths(doc, dict);
+      this.#loadEncoding(doc, dict);
+    }
+  }
+
+  #loadCompositeWidths(doc, descendant) {
+    if (!isDict(descendant)) {
+      return;
+    }
+    this.defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+    const w = asArray(doc.resolve(descendant.W)).map(entry => doc.resolve(entry));
+    for (let i = 0; i < w.length;) {
+      const first = w[i];
+      const next = w[i + 1];
+      if (Array.isArray(next)) {
+        next.forEach((width, offset) => this.widths.set(first + offset, doc.resolve(width)));
+        i += 2;
+      } else {
+        const last = next;
+        const width = w[i + 2];
+        for (let code = first; code <= last && code - first <= 0xffff; code++) {
+          this.widths.set(code, width);
+        }
+        i += 3;
+      }
+    }
+  }
+
+  #loadSimpleWidths(doc, dict) {
+    const firstChar = doc.resolve(dict.FirstChar) ?? 0;
+    const widths = asArray(doc.resolve(dict.Widths));
+    widths.forEach((width, i) => this.widths.set(firstChar + i, doc.resolve(width)));
+    const descriptor = doc.resolve(dict.FontDescriptor);
+    if (isDict(descriptor) && typeof descriptor.MissingWidth === 'number') {
+      this.defaultWidth = descriptor.MissingWidth;
+    }
+  }
+
+  #loadEncoding(doc, dict) {
+    const encoding = doc.resolve(dict.Encoding);
+    const baseEncoding = isDict(encoding) ? encoding.BaseEncoding : encoding;
+    if (baseEncoding !== 'MacRomanEncoding' && baseEncoding !== 'StandardEncoding') {
+      for (const [code, char] of Object.entries(WIN_ANSI_OVERRIDES)) {
+        this.encoding.set(Number(code), char);
+      }
+    }
+    if (isDict(encoding)) {
+      let code = 0;
+      for (const entry of asArray(doc.resolve(encoding.Differences))) {
+        if (typeof entry === 'number') {
+          code = entry;
+        } else if (typeof entry === 'string') {
+          this.encoding.set(code++, glyphNameToUnicode(entry));
+        }
+      }
+    }
+  }
+
+  /**
+   * Splits a shown string into glyphs.
+   * @param {Buffer} bytes - The string operand of a text-showing operator.
+   * @returns {Array<{text: string, width: number, isSpace: boolean}>} Widths are in thousandths of an em.
+   */
+  decode(bytes) {
+    const glyphs = [];
+    for (let i = 0; i + this.codeLength <= bytes.length; i += this.codeLength) {
+      const code = this.codeLength === 1 ? bytes[i] : bytes.readUIntBE(i, this.codeLength);
+      let text = this.toUnicode?.get(code);
+      if (text === undefined) {
+        // Without a ToUnicode map, codes in a composite font are glyph ids we cannot map.
+        text = this.isComposite ? '' : (this.encoding.get(code) ?? String.fromCharCode(code));
+      }
+      glyphs.push({
+        text,
+        width: this.widths.get(code) ?? this.defaultWidth,
+        isSpace: this.codeLength === 1 && code === 0x20
+      });
+    }
+    return glyphs;
+  }
+}
+
+/**
+ * The parsed document: the cross-reference index, the trailer and an object cache.
+ */
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.xref = new Map();
+    this.trailer = null;
+    this.version = null;
+    this.warnings = [];
+    this.objectCache = new Map();
+    this.objectStreamCache = new Map();
+    this.resolving = new Set();
+  }
+
+  load() {
+    const header = this.buffer.toString('latin1', 0, Math.min(this.buffer.length, 1024));
+    const versionMatch = header.match(/%PDF-(\d+\.\d+)/);
+    if (!versionMatch) {
+      throw new PdfParseError('Buffer does not contain a PDF header.');
+    }
+    this.version = versionMatch[1];
+
+    try {
+      this.#readXrefChain();
+    } catch (error) {
+      this.warnings.push(`Cross-reference data is damaged (${error.message}); rebuilt by scanning the file.`);
+      this.#rebuildXref();
+    }
+    if (!isDict(this.resolve(this.trailer?.Root))) {
+      this.warnings.push('Trailer has no usable /Root; rebuilt the cross-reference by scanning the file.');
+      this.#rebuildXref();
+    }
+    if (this.trailer?.Encrypt) {
+      throw new PdfParseError('Encrypted PDFs are not supported.');
+    }
+    if (!isDict(this.resolve(this.trailer?.Root))) {
+      throw new PdfParseError('Could not locate the PDF document catalog.');
+    }
+  }
+
+  /**
+   * Follows references until a direct object is reached.
+   */
+  resolve(value) {
+    let depth = 0;
+    while (value instanceof PdfRef && depth++ < 32) {
+      value = this.getObject(value);
+    }
+    return value;
+  }
+
+  getObject(ref) {
+    if (this.objectCache.has(ref.num)) {
+      return this.objectCache.get(ref.num);
+    }
+    const entry = this.xref.get(ref.num);
+    if (!entry || entry.free || this.resolving.has(ref.num)) {
+      return null;
+    }
+    this.resolving.add(ref.num);
+    let value = null;
+    try {
+      if (entry.objectStream !== undefined) {
+        value = this.#loadObjectStream(entry.objectStream)[entry.index] ?? null;
+      } else {
+        value = this.#parseIndirectObject(entry.offset);
+      }
+    } catch (error) {
+      this.warnings.push(`Could not read object ${ref.num}: ${error.message}`);
+    } finally {
+      this.resolving.delete(ref.num);
+    }
+    this.objectCache.set(ref.num, value);
+    return value;
+  }
+
+  /**
+   * Applies the stream's filters and returns the decoded bytes.
+   * @param {PdfStream} stream
+   * @returns {Buffer}
+   */
+  decodeStream(stream) {
+    if (stream.decoded) {
+      return stream.decoded;
+    }
+    const filters = asArray(this.resolve(stream.dict.Filter)).map(filter => this.resolve(filter));
+    const params = asArray(this.resolve(stream.dict.DecodeParms)).map(param => this.resolve(param));
+    let data = stream.data;
+    filters.forEach((filter, i) => {
+      switch (filter) {
+        case 'FlateDecode':
+        case 'Fl':
+          data = applyPredictor(inflate(data), params[i]);
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx':
+          data = decodeAsciiHex(data);
+          break;
+        case 'ASCII85Decode':
+        case 'A85':
+          data = decodeAscii85(data);
+          break;
+        default:
+          throw new PdfParseError(`Unsupported stream filter: ${filter}`);
+      }
+    });
+    stream.decoded = data;
+    return data;
+  }
+
+  #readXrefChain() {
+    const tailStart = Math.max(0, this.buffer.length - 2048);
+    const tail = this.buffer.toString('latin1', tailStart);
+    const index = tail.lastIndexOf('startxref');
+    if (index === -1) {
+      throw new PdfParseError('startxref not found');
+    }
+    let offset = parseInt(tail.slice(index + 'startxref'.length).trim(), 10);
+    const visited = new Set();
+    while (Number.isInteger(offset) && !visited.has(offset)) {
+      visited.add(offset);
+      const trailer = this.#readXrefSection(offset);
+      if (!this.trailer) {
+        this.trailer = trailer;
+      }
+      if (Number.isInteger(trailer.XRefStm)) {
+        this.#readXrefSection(trailer.XRefStm);
+      }
+      offset = trailer.Prev;
+    }
+    if (!this.trailer) {
+      throw new PdfParseError('no trailer found');
+    }
+  }
+
+  // Entries from newer sections are read first, so existing entries are never overwritten.
+  #readXrefSection(offset) {
+    const lexer = new Lexer(this.buffer, offset);
+    const first = lexer.nextToken();
+    if (first?.type === 'keyword' && first.value === 'xref') {
+      for (;;) {
+        const token = lexer.nextToken();
+        if (!token) {
+          throw new PdfParseError('unterminated xref table');
+        }
+        if (token.type === 'keyword' && token.value === 'trailer') {
+          const trailer = lexer.readObject();
+          if (!isDict(trailer)) {
+            throw new PdfParseError('invalid trailer dictionary');
+          }
+          return trailer;
+        }
+        const start = token.value;
+        const count = lexer.nextToken()?.value;
+        if (!Number.isInteger(start) || !Number.isInteger(count)) {
+          throw new PdfParseError(`invalid xref subsection at offset ${offset}`);
+        }
+        for (let i = 0; i < count; i++) {
+          const entryOffset = lexer.nextToken()?.value;
+          const gen = lexer.nextToken()?.value;
+          const type = lexer.nextToken()?.value;
+          if (!this.xref.has(start + i)) {
+            this.xref.set(start + i, type === 'n' ? { offset: entryOffset, gen } : { free: true });
+          }
+        }
+      }
+    }
+
+    const stream = this.#parseIndirectObject(offset);
+    if (!(stream instanceof PdfStream) || stream.dict.Type !== 'XRef') {
+      throw new PdfParseError(`no xref table or stream at offset ${offset}`);
+    }
+    const data = this.decodeStream(stream);
+    const widths = asArray(stream.dict.W);
+    const rowLength = widths.reduce((sum, width) => sum + width, 0);
+    const index = asArray(stream.dict.Index ?? [0, stream.dict.Size]);
+    let position = 0;
+    const readField = (width, fallback) => {
+      if (!width) {
+        return fallback;
+      }
+      const value = data.readUIntBE(position, width);
+      position += width;
+      return value;
+    };
+    for (let i = 0; i + 1 < index.length; i += 2) {
+      for (let num = index[i]; num < index[i] + index[i + 1]; num++) {
+        if (position + rowLength > data.length) {
+          break;
+        }
+        const type = readField(widths[0], 1);
+        const field2 = readField(widths[1], 0);
+        const field3 = readField(widths[2], 0);
+        if (this.xref.has(num)) {
+          continue;
+        }
+        if (type === 1) {
+          this.xref.set(num, { offset: field2, gen: field3 });
+        } else if (type === 2) {
+          this.xref.set(num, { objectStream: field2, index: field3 });
+        } else {
+          this.xref.set(num, { free: true });
+        }
+      }
+    }
+    return stream.dict;
+  }
+
+  // Recovers from a missing or corrupt xref by scanning for "N G obj" headers.
+  #rebuildXref() {
+    this.xref.clear();
+    this.objectCache.clear();
+    const text = this.buffer.toString('latin1');
+    for (const match of text.matchAll(/(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g)) {
+      const offset = match.index + match[0].indexOf(match[1]);
+      this.xref.set(Number(match[1]), { offset, gen: Number(match[2]) });
+    }
+
+    let trailer = null;
+    const trailerIndex = text.lastIndexOf('trailer');
+    if (trailerIndex !== -1) {
+      const candidate = new Lexer(this.buffer, trailerIndex + 'trailer'.length).readObject();
+      if (isDict(candidate)) {
+        trailer = candidate;
+      }
+    }
+    if (!trailer?.Root) {
+      // Fall back to any cross-reference stream or catalog dictionary in the file.
+      for (const num of this.xref.keys()) {
+        const object = this.getObject(new PdfRef(num, 0));
+        if (object instanceof PdfStream && object.dict.Type === 'XRef' && object.dict.Root) {
+          trailer = object.dict;
+        } else if (isDict(object) && object.Type === 'Catalog' && !trailer?.Root) {
+          trailer = Object.assign(Object.create(null), trailer, { Root: new PdfRef(num, 0) });
+        }
+      }
+    }
+    this.trailer = trailer;
+  }
+
+  #parseIndirectObject(offset) {
+    const lexer = new Lexer(this.buffer, offset);
+    const num = lexer.nextToken();
+    const gen = lexer.nextToken();
+    const keyword = lexer.nextToken();
+    if (num?.type !== 'number' || gen?.type !== 'number' || keyword?.value !== 'obj') {
+      throw new PdfParseError(`expected an object header at offset ${offset}`);
+    }
+    const value = lexer.readObject();
+    if (isDict(value)) {
+      const saved = lexer.position;
+      const next = lexer.nextToken();
+      if (next?.type === 'keyword' && next.value === 'stream') {
+        return new PdfStream(value, this.#readStreamData(lexer.position, value));
+      }
+      lexer.position = saved;
+    }
+    return value;
+  }
+
+  #readStreamData(position, dict) {
+    const buf = this.buffer;
+    let start = position;
+    if (buf[start] === 0x0d) start++;
+    if (buf[start] === 0x0a) start++;
+
+    const length = this.resolve(dict.Length);
+    if (Number.isInteger(length) && length >= 0 && start + length <= buf.length) {
+      const after = buf.toString('latin1', start + length, Math.min(buf.length, start + length + 32));
+      if (/^\s*endstream/.test(after)) {
+        return buf.subarray(start, start + length);
+      }
+    }
+
+    // The declared /Length is missing or wrong; fall back to the endstream keyword.
+    const end = buf.indexOf('endstream', start, 'latin1');
+    if (end === -1) {
+      throw new PdfParseError('unterminated stream');
+    }
+    let stop = end;
+    if (buf[stop - 1] === 0x0a) stop--;
+    if (buf[stop - 1] === 0x0d) stop--;
+    return buf.subarray(start, stop);
+  }
+
+  #loadObjectStream(num) {
+    if (this.objectStreamCache.has(num)) {
+      return this.objectStreamCache.get(num);
+    }
+    const objects = [];
+    this.objectStreamCache.set(num, objects);
+    const stream = this.getObject(new PdfRef(num, 0));
+    if (!(stream instanceof PdfStream)) {
+      return objects;
+    }
+    const data = this.decodeStream(stream);
+    const count = this.resolve(stream.dict.N) ?? 0;
+    const first = this.resolve(stream.dict.First) ?? 0;
+    const header = new Lexer(data, 0, false);
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      header.nextToken(); // Object number; the index within the stream is what the xref uses.
+      offsets.push(header.nextToken()?.value ?? 0);
+    }
+    for (const offset of offsets) {
+      objects.push(new Lexer(data, first + offset).readObject() ?? null);
+    }
+    return objects;
+  }
+}
+
+/**
+ * Collects positioned text runs from a page's content stream(s).
+ */
+class TextExtractor {
+  constructor(doc) {
+    this.doc = doc;
+    this.items = [];
+    this.fontCache = new Map();
+  }
+
+  run(content, resources, matrix = IDENTITY, depth = 0) {
+    const lexer = new Lexer(content, 0, false);
+    const state = {
+      ctm: matrix,
+      font: null,
+      fontSize: 0,
+      charSpacing: 0,
+      wordSpacing: 0,
+      horizontalScale: 1,
+      leading: 0,
+      rise: 0,
+      textMatrix: IDENTITY,
+      lineMatrix: IDENTITY
+    };
+    const stack = [];
+    let operands = [];
+
+    for (;;) {
+      const token = lexer.nextToken();
+      if (!token) {
+        break;
+      }
+      if (token.type !== 'keyword' || ['true', 'false', 'null'].includes(token.value)) {
+        operands.push(lexer.objectFromToken(token));
+        continue;
+      }
+
+      const op = token.value;
+      switch (op) {
+        case 'q':
+          stack.push({ ...state });
+          break;
+        case 'Q':
+          if (stack.length > 0) {
+            Object.assign(state, stack.pop());
+          }
+          break;
+        case 'cm':
+          if (operands.length >= 6) {
+            state.ctm = multiply(operands.slice(-6), state.ctm);
+          }
+          break;
+        case 'BT':
+          state.textMatrix = IDENTITY;
+          state.lineMatrix = IDENTITY;
+          break;
+        case 'Tf':
+          state.font = this.#getFont(resources, operands[0]);
+          state.fontSize = operands[1] ?? 0;
+          break;
+        case 'Tc':
+          state.charSpacing = operands[0] ?? 0;
+          break;
+        case 'Tw':
+          state.wordSpacing = operands[0] ?? 0;
+          break;
+        case 'Tz':
+          state.horizontalScale = (operands[0] ?? 100) / 100;
+          break;
+        case 'TL':
+          state.leading = operands[0] ?? 0;
+          break;
+        case 'Ts':
+          state.rise = operands[0] ?? 0;
+          break;
+        case 'Td':
+          this.#moveText(state, operands[0] ?? 0, operands[1] ?? 0);
+          break;
+        case 'TD':
+          state.leading = -(operands[1] ?? 0);
+          this.#moveText(state, operands[0] ?? 0, operands[1] ?? 0);
+          break;
+        case 'Tm':
+          if (operands.length >= 6) {
+            state.textMatrix = operands.slice(-6);
+            state.lineMatrix = state.textMatrix;
+          }
+          break;
+        case 'T*':
+          this.#moveText(state, 0, -state.leading);
+          break;
+        case 'Tj':
+          this.#showText(state, operands[0]);
+          break;
+        case '\'':
+          this.#moveText(state, 0, -state.leading);
+          this.#showText(state, operands[0]);
+          break;
+        case '"':
+          state.wordSpacing = operands[0] ?? 0;
+          state.charSpacing = operands[1] ?? 0;
+          this.#moveText(state, 0, -state.leading);
+          this.#showText(state, operands[2]);
+          break;
+        case 'TJ':
+          for (const element of asArray(operands[0])) {
+            if (Buffer.isBuffer(element)) {
+              this.#showText(state, element);
+            } else if (typeof element === 'number') {
+              this.#advance(state, (-element / 1000) * state.fontSize * state.horizontalScale);
+            }
+          }
+          break;
+        case 'Do':
+          this.#drawXObject(state, resources, operands[0], depth);
+          break;
+        case 'BI':
+          this.#skipInlineImage(lexer);
+          break;
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  #moveText(state, tx, ty) {
+    state.lineMatrix = multiply([1, 0, 0, 1, tx, ty], state.lineMatrix);
+    state.textMatrix = state.lineMatrix;
+  }
+
+  #advance(state, tx) {
+    state.textMatrix = multiply([1, 0, 0, 1, tx, 0], state.textMatrix);
+  }
+
+  #showText(state, bytes) {
+    if (!Buffer.isBuffer(bytes) || !state.font) {
+      return;
+    }
+    const renderMatrix = multiply(state.textMatrix, state.ctm);
+    const [x, y] = transformPoint(renderMatrix, 0, state.rise);
+    const fontSize = Math.abs(state.fontSize) * Math.hypot(renderMatrix[2], renderMatrix[3]);
+
+    let text = '';
+    for (const glyph of state.font.decode(bytes)) {
+      text += glyph.text;
+      const spacing = state.charSpacing + (glyph.isSpace ? state.wordSpacing : 0);
+      this.#advance(state, ((glyph.width / 1000) * state.fontSize + spacing) * state.horizontalScale);
+    }
+
+    const [endX] = transformPoint(multiply(state.textMatrix, state.ctm), 0, state.rise);
+    if (text.length > 0) {
+      this.items.push({ x, y, endX, fontSize: fontSize || 1, text });
+    }
+  }
+
+  #getFont(resources, name) {
+    const fonts = this.doc.resolve(resources?.Font);
+    const ref = isDict(fonts) ? fonts[name] : undefined;
+    const key = ref instanceof PdfRef ? ref.num : ref;
+    if (key !== undefined && this.fontCache.has(key)) {
+      return this.fontCache.get(key);
+    }
+    const dict = this.doc.resolve(ref);
+    const font = isDict(dict) ? new PdfFont(this.doc, dict) : null;
+    if (key !== undefined) {
+      this.fontCache.set(key, font);
+    }
+    return font;
+  }
+
+  #drawXObject(state, resources, name, depth) {
+    if (depth >= MAX_XOBJECT_DEPTH) {
+      return;
+    }
+    const xobjects = this.doc.resolve(resources?.XObject);
+    const xobject = isDict(xobjects) ? this.doc.resolve(xobjects[name]) : null;
+    if (!(xobject instanceof PdfStream) || xobject.dict.Subtype !== 'Form') {
+      return; // Images carry no text.
+    }
+    const formMatrix = asArray(this.doc.resolve(xobject.dict.Matrix));
+    const matrix = formMatrix.length === 6 ? multiply(formMatrix, state.ctm) : state.ctm;
+    const formResources = this.doc.resolve(xobject.dict.Resources) ?? resources;
+    this.run(this.doc.decodeStream(xobject), formResources, matrix, depth + 1);
+  }
+
+  // Inline image data is binary and must not be tokenized; jump past "ID ... EI".
+  #skipInlineImage(lexer) {
+    for (;;) {
+      const token = lexer.nextToken();
+      if (!token || (token.type === 'keyword' && token.value === 'ID')) {
+        break;
+      }
+    }
+    const buf = lexer.buffer;
+    let pos = lexer.position + 1;
+    while (pos < buf.length) {
+      const end = buf.indexOf('EI', pos, 'latin1');
+      if (end === -1) {
+        pos = buf.length;
+        break;
+      }
+      const after = buf[end + 2];
+      if (WHITESPACE.has(buf[end - 1]) && (after === undefined || WHITESPACE.has(after))) {
+        pos = end + 2;
+        break;
+      }
+      pos = end + 2;
+    }
+    lexer.position = pos;
+  }
+}
+
+/**
+ * Groups positioned text runs into lines (top to bottom, left to right).
+ * @param {Array<{x: number, y: number, endX: number, fontSize: number, text: string}>} items
+ * @returns {string}
+ */
+function layoutText(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(line.fontSize, item.fontSize) * 0.5) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    line.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    let previousEnd = null;
+    for (const item of line.items) {
+      if (previousEnd !== null && text.length > 0) {
+        const gap = item.x - previousEnd;
+        if (gap > item.fontSize * COLUMN_GAP_RATIO) {
+          text = text.trimEnd() + '\t';
+        } else if (gap > item.fontSize * WORD_GAP_RATIO && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+          text += ' ';
+        }
+      }
+      text += item.text;
+      previousEnd = previousEnd === null ? item.endX : Math.max(previousEnd, item.endX);
+    }
+    return text.replace(/[ \t]+$/, '');
+  }).filter(line => line.trim().length > 0).join('\n');
+}
+
+/**
+ * Walks the page tree, applying inherited attributes (Resources, MediaBox).
+ */
+function collectPages(doc, node, inherited, pages, visited) {
+  const ref = node instanceof PdfRef ? node : null;
+  const dict = doc.resolve(node);
+  if (!isDict(dict) || visited.has(dict)) {
+    return;
+  }
+  visited.add(dict);
+
+  const attributes = {
+    resources: dict.Resources ?? inherited.resources,
+    mediaBox: dict.MediaBox ?? inherited.mediaBox
+  };
+  if (dict.Type === 'Pages' || (dict.Type !== 'Page' && dict.Kids)) {
+    for (const kid of asArray(doc.resolve(dict.Kids))) {
+      collectPages(doc, kid, attributes, pages, visited);
+    }
+    return;
+  }
+  pages.push({ dict, ref, ...attributes });
+}
+
+/**
+ * Reads the outline (bookmark) tree into nested { title, pageNumber, children } entries.
+ */
+function readOutlines(doc, first, pageNumbers, visited, depth = 0) {
+  const entries = [];
+  let node = first;
+  while (node && depth < 32) {
+    const item = doc.resolve(node);
+    if (!isDict(item) || visited.has(item)) {
+      break;
+    }
+    visited.add(item);
+
+    let destination = doc.resolve(item.Dest);
+    if (!destination) {
+      const action = doc.resolve(item.A);
+      destination = isDict(action) ? doc.resolve(action.D) : null;
+    }
+    const target = Array.isArray(destination) ? destination[0] : null;
+
+    entries.push({
+      title: decodeTextString(doc.resolve(item.Title)) ?? '',
+      pageNumber: target instanceof PdfRef ? pageNumbers.get(target.num) ?? null : null,
+      children: item.First ? readOutlines(doc, item.First, pageNumbers, visited, depth + 1) : []
+    });
+    node = item.Next;
+  }
+  return entries;
+}
+
+function readMetadata(doc) {
+  const info = doc.resolve(doc.trailer.Info);
+  const field = (key) => (isDict(info) ? decodeTextString(doc.resolve(info[key])) : null);
+  const date = (key) => (isDict(info) && info[key] ? parsePdfDate(doc.resolve(info[key])) : null);
+  return {
+    pdfVersion: doc.version,
+    title: field('Title'),
+    author: field('Author'),
+    subject: field('Subject'),
+    keywords: field('Keywords'),
+    creator: field('Creator'),
+    producer: field('Producer'),
+    creationDate: date('CreationDate'),
+    modificationDate: date('ModDate')
+  };
+}
+
+/**
+ * Parses a PDF and extracts its text, page by page, along with document metadata.
+ *
+ * @param {Buffer|Uint8Array} buffer - The raw bytes of the PDF file.
+ * @returns {Promise<{
+ *   pageCount: number,
+ *   pages: Array<{pageNumber: number, width: number|null, height: number|null, text: string}>,
+ *   text: string,
+ *   metadata: object,
+ *   outlines: Array<{title: string, pageNumber: number|null, children: Array<object>}>,
+ *   warnings: Array<string>
+ * }>} The extracted text and metadata. Pages whose content could not be decoded
+ * have empty text and a matching entry in `warnings`.
+ * @throws {PdfParseError} If the buffer is not a readable, unencrypted PDF.
+ */
+export async function parsePdf(buffer) {
+  if (!buffer || !(buffer instanceof Uint8Array)) {
+    throw new PdfParseError('buffer must be a Buffer or Uint8Array');
+  }
+  const doc = new PdfDocument(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer));
+  doc.load();
+
+  const catalog = doc.resolve(doc.trailer.Root);
+  const pageEntries = [];
+  collectPages(doc, catalog.Pages, { resources: null, mediaBox: null }, pageEntries, new Set());
+
+  const pageNumbers = new Map();
+  const pages = pageEntries.map((entry, index) => {
+    const pageNumber = index + 1;
+    if (entry.ref) {
+      pageNumbers.set(entry.ref.num, pageNumber);
+    }
+    const mediaBox = asArray(doc.resolve(entry.mediaBox)).map(value => doc.resolve(value));
+    const page = {
+      pageNumber,
+      width: mediaBox.length === 4 ? Math.abs(mediaBox[2] - mediaBox[0]) : null,
+      height: mediaBox.length === 4 ? Math.abs(mediaBox[3] - mediaBox[1]) : null,
+      text: ''
+    };
+
+    try {
+      const contents = asArray(doc.resolve(entry.dict.Contents))
+        .map(stream => doc.resolve(stream))
+        .filter(stream => stream instanceof PdfStream)
+        .map(stream => doc.decodeStream(stream));
+      const extractor = new TextExtractor(doc);
+      extractor.run(Buffer.concat(contents.flatMap(data => [data, Buffer.from('\n')])), doc.resolve(entry.resources));
+      page.text = layoutText(extractor.items);
+    } catch (error) {
+      doc.warnings.push(`Could not extract text from page ${pageNumber}: ${error.message}`);
+    }
+    return page;
+  });
+
+  const outlineRoot = doc.resolve(catalog.Outlines);
+  const outlines = isDict(outlineRoot) && outlineRoot.First
+    ? readOutlines(doc, outlineRoot.First, pageNumbers, new Set())
+    : [];
+
+  return {
+    pageCount: pages.length,
+    pages,
+    text: pages.map(page => page.text).join('\n\n'),
+    metadata: readMetadata(doc),
+    outlines,
+    warnings: doc.warnings
+  };
+}
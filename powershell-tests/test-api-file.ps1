@@ -11,6 +11,8 @@
 
 # --- Configuration ---
 $baseUri = "http://localhost:3002"
+# API key for the server; not needed when it runs with AUTH_DISABLED=true
+$headers = @{ "X-API-Key" = $env:UTILITIES_API_KEY }
 # Make the file path relative to the script's location, not the current working directory.
 $file1Path = Join-Path -Path $PSScriptRoot -ChildPath "..\test-data\pdf\Bill1.pdf"
 $file2Path = Join-Path -Path $PSScriptRoot -ChildPath "..\test-data\pdf\Bill2.pdf"
@@ -46,7 +48,7 @@ try {
 
     # Send the request
     Write-Host "Sending request to $baseUri/api/chat-with-files..."
-    $fileResponse = Invoke-RestMethod -Method Post -Uri "$baseUri/api/chat-with-files" -Body ($requestBody | ConvertTo-Json -Depth 5) -ContentType "application/json"
+    $fileResponse = Invoke-RestMethod -Headers $headers -Method Post -Uri "$baseUri/api/chat-with-files" -Body ($requestBody | ConvertTo-Json -Depth 5) -ContentType "application/json"
     
     Write-Host "✅ SUCCESS: API Response:" -ForegroundColor Green
     $fileResponse | Format-List
@@ -13,6 +13,8 @@
 
 # --- Configuration ---
 $baseUri = "http://localhost:3000"
+# API key for the server; not needed when it runs with AUTH_DISABLED=true
+$headers = @{ "X-API-Key" = $env:UTILITIES_API_KEY }
 
 # =================================================================
 #  SECTION 1: Test Text-Only Chat (/api/chat)
@@ -26,7 +28,7 @@ $textChatBody = @{
 }
 
 try {
-    $textResponse = Invoke-RestMethod -Method Post -Uri "$baseUri/api/chat" -Body ($textChatBody | ConvertTo-Json) -ContentType "application/json"
+    $textResponse = Invoke-RestMethod -Headers $headers -Method Post -Uri "$baseUri/api/chat" -Body ($textChatBody | ConvertTo-Json) -ContentType "application/json"
     Write-Host "✅ SUCCESS: API Response:" -ForegroundColor Green
     $textResponse | Format-List
 }
@@ -66,7 +68,7 @@ try {
         fileMimeType = "text/plain"
     }
 
-    $fileResponse = Invoke-RestMethod -Method Post -Uri "$baseUri/api/chat-with-file" -Body ($fileChatBody | ConvertTo-Json) -ContentType "application/json"
+    $fileResponse = Invoke-RestMethod -Headers $headers -Method Post -Uri "$baseUri/api/chat-with-file" -Body ($fileChatBody | ConvertTo-Json) -ContentType "application/json"
     Write-Host "✅ SUCCESS: API Response:" -ForegroundColor Green
     $fileResponse | Format-List
 }
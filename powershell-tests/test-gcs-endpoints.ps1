@@ -12,6 +12,8 @@
 
 # --- Configuration ---
 $baseUri = "http://localhost:3002"
+# API key for the server; not needed when it runs with AUTH_DISABLED=true
+$headers = @{ "X-API-Key" = $env:UTILITIES_API_KEY }
 $testFileName = "test-customer-data.json"
 
 # Sample customer data for testing (using actual bucket: vertex-ai-hnaidu-contest-demo)
@@ -68,7 +70,7 @@ catch {
 Write-Host "`n--- Test 2: POST /api/data/$testFileName ---" -ForegroundColor Yellow
 
 try {
-    $postResponse = Invoke-RestMethod -Method Post -Uri "$baseUri/api/data/$testFileName" -Body ($testCustomerData | ConvertTo-Json -Depth 5) -ContentType "application/json"
+    $postResponse = Invoke-RestMethod -Headers $headers -Method Post -Uri "$baseUri/api/data/$testFileName" -Body ($testCustomerData | ConvertTo-Json -Depth 5) -ContentType "application/json"
     
     if ($postResponse.success) {
         Write-Host "✅ SUCCESS: Data posted successfully" -ForegroundColor Green
@@ -97,7 +99,7 @@ catch {
 Write-Host "`n--- Test 3: GET /api/data/$testFileName ---" -ForegroundColor Yellow
 
 try {
-    $getResponse = Invoke-RestMethod -Method Get -Uri "$baseUri/api/data/$testFileName"
+    $getResponse = Invoke-RestMethod -Headers $headers -Method Get -Uri "$baseUri/api/data/$testFileName"
     
     Write-Host "✅ SUCCESS: Data retrieved successfully" -ForegroundColor Green
     Write-Host "   Customer Name: $($getResponse.customerName)"
@@ -136,7 +138,7 @@ catch {
 Write-Host "`n--- Test 4: GET non-existent file ---" -ForegroundColor Yellow
 
 try {
-    $notFoundResponse = Invoke-RestMethod -Method Get -Uri "$baseUri/api/data/non-existent-file.json"
+    $notFoundResponse = Invoke-RestMethod -Headers $headers -Method Get -Uri "$baseUri/api/data/non-existent-file.json"
     Write-Host "⚠️ UNEXPECTED: Should have returned 404 for non-existent file" -ForegroundColor Yellow
 }
 catch {
@@ -163,7 +165,7 @@ catch {
 Write-Host "`n--- Test 5: POST without body (error handling) ---" -ForegroundColor Yellow
 
 try {
-    $emptyPostResponse = Invoke-RestMethod -Method Post -Uri "$baseUri/api/data/test.json" -ContentType "application/json"
+    $emptyPostResponse = Invoke-RestMethod -Headers $headers -Method Post -Uri "$baseUri/api/data/test.json" -ContentType "application/json"
     Write-Host "⚠️ UNEXPECTED: Should have returned 400 for missing body" -ForegroundColor Yellow
 }
 catch {
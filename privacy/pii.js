@@ -0,0 +1,269 @@
+/**
+ * @file pii.js
+ * @description Finds personal data in text, to mask it in logs and to keep it out of prompts.
+ *
+ * Detected types: email addresses, card numbers (full, if they pass the Luhn check, or masked like `**** 4242`),
+ * phone numbers (North American formats), account numbers (`9876-54321`, or any
+ * value with a digit labelled "account number") and street addresses (`123 Main St, Charlotte, NC 28202`).
+ * Detection is pattern-based, so it errs on the side of masking: digit runs that
+ * look like account numbers, such as some transaction numbers, are masked too.
+ *
+ * Exports:
+ * - PII_TYPES: The detected types
+ * - findPii(text): The PII found in a string
+ * - redactPii(text): Replaces PII with `[REDACTED_<TYPE>]`
+ * - redactPiiDeep(value): Redacts every string in a JSON-like value, plus fields known to hold PII
+ * - PiiTokenizer: Swaps PII for placeholders such as `[EMAIL_1]` and back
+ */
+
+export const PII_TYPES = ['EMAIL', 'CARD_NUMBER', 'PHONE', 'ACCOUNT_NUMBER', 'ADDRESS'];
+
+/**
+ * @returns {boolean} True if the digits of a card number pass the Luhn checksum, which every
+ * card number does and most other long numbers (meter readings, invoice numbers) do not.
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Checked in order; a later pattern never matches inside text an earlier one found.
+// `group` names the capture group holding the value when the pattern also matches a label,
+// and `validate` rejects matches that only look like the type.
+const PII_PATTERNS = [
+  { type: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'CARD_NUMBER', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: passesLuhn },
+  { type: 'CARD_NUMBER', pattern: /(?:\*{2,}|[xX]{2,}|•{2,})[ -]?\d{4}\b/g },
+  { type: 'PHONE', pattern: /(?<!\w)(?:\+?1[ .-]?)?(?:\(\d{3}\)|\d{3})[ .-]?\d{3}[ .-]?\d{4}(?!\w)/g },
+  // The value must contain a digit, so words such as "account balance" are left alone.
+  { type: 'ACCOUNT_NUMBER', pattern: /\b(?:account|acct)(?:\s*(?:number|num|no\.?|#))?\s*[:#]?\s*(?<value>(?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,})/gi, group: 'value' },
+  { type: 'ACCOUNT_NUMBER', pattern: /\b\d{3,6}-\d{4,8}\b/g },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      '\\b\\d{1,6}\\s+(?:[A-Za-z0-9.\'-]+\\s+){0,4}?'
+      + '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Circle|Cir|Terrace|Ter|Highway|Hwy)\\b\\.?'
+      + '(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[\\w-]+)?'
+      + '(?:,\\s*[A-Za-z .]+,\\s*[A-Z]{2}(?:\\s+\\d{5}(?:-\\d{4})?)?)?',
+      'g'
+    )
+  }
+];
+
+// Fields whose whole value is PII, whatever it looks like.
+const PII_FIELDS = {
+  accountNumber: 'ACCOUNT_NUMBER',
+  billingAddress: 'ADDRESS',
+  serviceAddress: 'ADDRESS',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  phoneNumber: 'PHONE',
+  cardNumber: 'CARD_NUMBER'
+};
+
+const MAX_DEPTH = 20;
+
+/**
+ * @param {string} text - The text to search.
+ * @returns {Array<{type: string, start: number, end: number, value: string}>} The PII found, in order of position.
+ */
+export function findPii(text) {
+  const found = [];
+  const overlaps = (start, end) => found.some(match => start < match.end && end > match.start);
+  for (const { type, pattern, group, validate } of PII_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const value = group ? match.groups[group] : match[0];
+      const start = match.index + (group ? match[0].lastIndexOf(value) : 0);
+      const end = start + value.length;
+      if (!overlaps(start, end) && (!validate || validate(value))) {
+        found.push({ type, start, end, value });
+      }
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replaces every PII match in a string.
+ */
+function replacePii(text, replacement) {
+  let result = '';
+  let position = 0;
+  for (const match of findPii(text)) {
+    result += text.slice(position, match.start) + replacement(match);
+    position = match.end;
+  }
+  return result + text.slice(position);
+}
+
+/**
+ * @param {string} text - The text to redact.
+ * @returns {string} The text with each piece of PII replaced by `[REDACTED_<TYPE>]`.
+ */
+export function redactPii(text) {
+  return replacePii(text, ({ type }) => `[REDACTED_${type}]`);
+}
+
+/**
+ * Applies `transform` to every string in a JSON-like value or Error, returning a copy.
+ * `fieldTransform` may replace the value of a property outright.
+ */
+function mapStrings(value, transform, fieldTransform, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer of length ${value.length}]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Too deep]';
+  }
+  seen.add(value);
+  const recurse = item => mapStrings(item, transform, fieldTransform, depth + 1, seen);
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map(recurse);
+  } else if (value instanceof Error) {
+    // A copy of the same class, so it is still logged and handled as an error; includes `message` and `stack`.
+    result = Object.create(Object.getPrototypeOf(value));
+    for (const key of Object.getOwnPropertyNames(value)) {
+      result[key] = recurse(value[key]);
+    }
+  } else {
+    result = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fieldTransform?.(key, item) ?? recurse(item)]));
+  }
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Redacts a JSON-like value or Error for logging: every string is passed through redactPii(),
+ * and string fields known to hold PII (such as `accountNumber`) are masked whole.
+ *
+ * @param {any} value - The value to redact.
+ * @returns {any} A redacted copy; Buffers are replaced by a description of their length.
+ */
+export function redactPiiDeep(value) {
+  return mapStrings(value, redactPii, (key, item) => (
+    typeof item === 'string' && Object.hasOwn(PII_FIELDS, key) ? `[REDACTED_${PII_FIELDS[key]}]` : undefined
+  ));
+}
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${PII_TYPES.join('|')})_\\d+\\]`, 'g');
+// The start of a placeholder that may continue in the next chunk of a stream.
+const PARTIAL_PLACEHOLDER_PATTERN = /\[[A-Z_]*\d*$/;
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+/**
+ * Swaps PII for numbered placeholders such as `[EMAIL_1]` before text is sent to
+ * the model, and swaps the placeholders in the model's reply back. The same value
+ * always gets the same placeholder, so the model can still tell values apart and
+ * refer to them. Use one tokenizer per request.
+ */
+export class PiiTokenizer {
+  #placeholders = new Map();
+  #values = new Map();
+  #counts = new Map();
+
+  /**
+   * @param {string} text - Text to send to the model.
+   * @returns {string} The text with PII replaced by placeholders.
+   */
+  tokenize(text) {
+    return replacePii(text, ({ type, value }) => {
+      if (!this.#placeholders.has(value)) {
+        const count = (this.#counts.get(type) || 0) + 1;
+        this.#counts.set(type, count);
+        const placeholder = `[${type}_${count}]`;
+        this.#placeholders.set(value, placeholder);
+        this.#values.set(placeholder, value);
+      }
+      return this.#placeholders.get(value);
+    });
+  }
+
+  /**
+   * @param {string} text - Text from the model.
+   * @returns {string} The text with this tokenizer's placeholders replaced by the original values.
+   */
+  restore(text) {
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.#values.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Tokenizes the text, function call arguments and function responses of Gemini
+   * `contents`. File parts are left as they are. Returns a copy.
+   *
+   * @param {Array<object>} contents - The request contents.
+   * @returns {Array<object>}
+   */
+  tokenizeContents(contents) {
+    const tokenizeStrings = value => mapStrings(value, text => this.tokenize(text));
+    return contents.map(content => ({
+      ...content,
+      parts: content.parts.map(part => {
+        if (typeof part.text === 'string') {
+          return { ...part, text: this.tokenize(part.text) };
+        }
+        if (part.functionCall) {
+          return { ...part, functionCall: tokenizeStrings(part.functionCall) };
+        }
+        if (part.functionResponse) {
+          return { ...part, functionResponse: tokenizeStrings(part.functionResponse) };
+        }
+        return part;
+      })
+    }));
+  }
+
+  /**
+   * @param {any} value - A response from the model.
+   * @returns {any} A copy with the placeholders in every string restored.
+   */
+  restoreDeep(value) {
+    return mapStrings(value, text => this.restore(text));
+  }
+
+  /**
+   * Restores text that arrives in chunks, where a placeholder may be split between
+   * two chunks: the possible start of a placeholder is held back until the next chunk.
+   *
+   * @returns {{push: (text: string) => string, flush: () => string}} `push` returns the
+   * restored text that is safe to emit; `flush` returns whatever is still held back.
+   */
+  createStreamRestorer() {
+    let pending = '';
+    return {
+      push: (text) => {
+        pending += text;
+        const partial = PARTIAL_PLACEHOLDER_PATTERN.exec(pending);
+        const keep = partial && partial[0].length <= MAX_PLACEHOLDER_LENGTH ? partial[0].length : 0;
+        const ready = pending.slice(0, pending.length - keep);
+        pending = pending.slice(pending.length - keep);
+        return this.restore(ready);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = '';
+        return this.restore(rest);
+      }
+    };
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * @file customerDocument.js
+ * @description The versioned JSON Schema for customer documents (e.g. `customer-data.json`) and their migrations.
+ *
+ * Every customer document records the schema it was written with in
+ * `schemaVersion`. Documents written with an older version (including
+ * documents from before versioning, which count as version 0) are brought up
+ * to date by running the migrations in order, one version at a time.
+ *
+ * Exports:
+ * - CUSTOMER_SCHEMA_VERSION: The current schema version
+ * - customerDocumentSchema: The JSON Schema for the current version
+ * - isCustomerDocument(fileName): Whether a stored file holds a customer document
+ * - migrateCustomerDocument(document): Upgrades a document to the current version
+ * - validateCustomerDocument(document): Returns field-level { path, message } errors
+ * - customerDocumentType: The above, packaged for ValidatingStorage
+ */
+
+import { validateJsonSchema } from '../validation/jsonSchema.js';
+
+export const CUSTOMER_SCHEMA_VERSION = 1;
+
+// Customer documents are stored as `customer-data.json`, optionally under a folder.
+const CUSTOMER_FILE_PATTERN = /(^|\/)customer-data\.json$/;
+
+const MONEY = {
+  type: 'string',
+  pattern: '^-?\\d+\\.\\d{2}$',
+  description: 'An amount in dollars with exactly two decimals, e.g. "125.40".'
+};
+const DATE = { type: 'string', format: 'date' };
+const NULLABLE_MONEY = { anyOf: [MONEY, { type: 'null' }] };
+const NULLABLE_DATE = { anyOf: [DATE, { type: 'null' }] };
+
+export const customerDocumentSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `customer-document/v${CUSTOMER_SCHEMA_VERSION}`,
+  title: 'Customer document',
+  type: 'object',
+  required: ['schemaVersion', 'userId', 'customerName', 'accountNumber', 'autopay', 'accountStatus', 'currentBill', 'paymentHistory', 'disputes'],
+  properties: {
+    schemaVersion: { const: CUSTOMER_SCHEMA_VERSION },
+    userId: { type: 'string', minLength: 1 },
+    customerName: { type: 'string', minLength: 1 },
+    accountNumber: { type: 'string', minLength: 1 },
+    billingAddress: { type: 'string' },
+    autopay: {
+      type: 'object',
+      required: ['isEnrolled', 'paymentMethod'],
+      properties: {
+        isEnrolled: { type: 'boolean' },
+        paymentMethod: { type: ['string', 'null'] }
+      }
+    },
+    accountStatus: {
+      type: 'object',
+      properties: {
+        isEligibleForPaymentPlan: { type: 'boolean' }
+      }
+    },
+    currentBill: {
+      type: 'object',
+      required: ['dueDate', 'totalAmountDue'],
+      properties: {
+        billDate: NULLABLE_DATE,
+        dueDate: DATE,
+        totalAmountDue: MONEY,
+        previousBalance: NULLABLE_MONEY,
+        paymentsReceived: {
+          type: ['array', 'null'],
+          items: {
+            type: 'object',
+            required: ['date', 'amount'],
+            properties: { date: DATE, amount: MONEY }
+          }
+        },
+        balanceForward: NULLABLE_MONEY,
+        newCharges: {
+          type: 'object',
+          properties: {
+            electricity: NULLABLE_MONEY,
+            naturalGas: NULLABLE_MONEY,
+            otherFees: {
+              type: ['array', 'null'],
+              items: { $ref: '#/definitions/fee' }
+            }
+          }
+        }
+      }
+    },
+    usageHistory: {
+      type: 'object',
+      additionalProperties: { $ref: '#/definitions/usageSeries' }
+    },
+    paymentHistory: {
+      type: 'array',
+      items: { $ref: '#/definitions/payment' }
+    },
+    disputes: {
+      type: 'array',
+      items: { $ref: '#/definitions/dispute' }
+    }
+  },
+  definitions: {
+    fee: {
+      type: 'object',
+      required: ['itemId', 'description', 'amount', 'isDisputable'],
+      properties: {
+        itemId: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        amount: MONEY,
+        isDisputable: { type: 'boolean' }
+      }
+    },
+    usageSeries: {
+      type: 'object',
+      required: ['labels', 'data'],
+      properties: {
+        labels: { type: 'array', items: { type: 'string' } },
+        data: { type: 'array', items: { type: 'number' } }
+      }
+    },
+    payment: {
+      type: 'object',
+      required: ['transactionId', 'date', 'amount', 'status'],
+      properties: {
+        transactionId: { type: 'string', minLength: 1 },
+        date: DATE,
+        amount: MONEY,
+        status: { type: 'string', minLength: 1 },
+        method: { type: 'string' },
+        declineDetails: {
+          anyOf: [
+            { type: 'null' },
+            {
+              type: 'object',
+              required: ['reasonCode'],
+              properties: {
+                reasonCode: { type: 'string' },
+                reasonDescription: { type: 'string' }
+              }
+            }
+          ]
+        }
+      }
+    },
+    dispute: {
+      type: 'object',
+      required: ['disputeId', 'itemId', 'status'],
+      properties: {
+        disputeId: { type: 'string', minLength: 1 },
+        itemId: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        amount: MONEY,
+        reason: { type: 'string' },
+        status: { type: 'string', minLength: 1 },
+        dateFiled: DATE
+      }
+    }
+  }
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each receives a copy of
+ * the document at that version and returns it at the next version.
+ */
+const MIGRATIONS = {
+  // Version 0: documents written before schemaVersion existed. They could omit
+  // the (then optional) history arrays.
+  0: (document) => ({
+    schemaVersion: 1,
+    ...document,
+    paymentHistory: document.paymentHistory ?? [],
+    disputes: document.disputes ?? []
+  })
+};
+
+/**
+ * @param {string} fileName - A stored file name.
+ * @returns {boolean} True if the file holds a customer document.
+ */
+export function isCustomerDocument(fileName) {
+  return CUSTOMER_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Upgrades a customer document to the current schema version.
+ *
+ * @param {object} document - The document as stored.
+ * @returns {{document: object, fromVersion: number, migrated: boolean}} The up-to-date document
+ * (the input itself when no migration was needed) and the version it was stored with.
+ * @throws {Error} If the document's version is newer than this code or has no migration path.
+ */
+export function migrateCustomerDocument(document) {
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    return { document, fromVersion: CUSTOMER_SCHEMA_VERSION, migrated: false };
+  }
+  const fromVersion = document.schemaVersion ?? 0;
+  if (!Number.isInteger(fromVersion) || fromVersion > CUSTOMER_SCHEMA_VERSION) {
+    throw new Error(`Unsupported customer document schemaVersion ${JSON.stringify(document.schemaVersion)}; the latest is ${CUSTOMER_SCHEMA_VERSION}.`);
+  }
+
+  let migrated = document;
+  for (let version = fromVersion; version < CUSTOMER_SCHEMA_VERSION; version++) {
+    const migration = MIGRATIONS[version];
+    if (!migration) {
+      throw new Error(`No migration from customer document schemaVersion ${version}.`);
+    }
+    migrated = migration(structuredClone(migrated));
+    migrated.schemaVersion = version + 1;
+  }
+  return { document: migrated, fromVersion, migrated: fromVersion !== CUSTOMER_SCHEMA_VERSION };
+}
+
+/**
+ * Validates a customer document against the current schema.
+ *
+ * @param {any} document - The document to validate.
+ * @returns {Array<{path: string, message: string}>} Field-level errors such as
+ * `{ path: 'currentBill.totalAmountDue', message: 'must be of type string, got number' }`; empty when valid.
+ */
+export function validateCustomerDocument(document) {
+  return validateJsonSchema(customerDocumentSchema, document);
+}
+
+/**
+ * Registers customer documents with ValidatingStorage.
+ * @type {import('../storage/validatingStorage.js').DocumentType}
+ */
+export const customerDocumentType = {
+  name: 'customer document',
+  matches: isCustomerDocument,
+  migrate: migrateCustomerDocument,
+  validate: validateCustomerDocument
+};
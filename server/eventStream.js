@@ -0,0 +1,69 @@
+/**
+ * @file eventStream.js
+ * @description Relays a streaming Gemini response to the client as Server-Sent Events.
+ *
+ * Each content part is sent as a `part` event, and the stream's summary (finishReason,
+ * usage metadata and the model that served it) as a final `done` event. Errors raised
+ * once the response has started are reported in-band as an `error` event.
+ */
+
+import { GeminiApiError } from '../gemini/geminiApi.js';
+
+/**
+ * Sends a stream of content parts as Server-Sent Events. The first part is awaited
+ * before the response starts, so errors raised while connecting are thrown and can
+ * still be answered with a regular error response. If the client disconnects, the
+ * stream is stopped so no more parts are pulled from Vertex AI.
+ *
+ * @param {import('express').Response} res - The response.
+ * @param {AsyncGenerator<object, object>} stream - The parts, returning the summary, as from `sendMessageStream`.
+ * @param {object} [options] - Options.
+ * @param {import('pino').Logger} [options.logger] - Reports errors raised mid-stream.
+ * @returns {Promise<void>} Resolves once the response has ended.
+ * @throws {Error} Whatever the stream throws before its first part.
+ */
+export async function sendEventStream(res, stream, { logger } = {}) {
+  let step = await stream.next();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop pulling from Vertex AI if the caller goes away mid-stream.
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      stream.return();
+    }
+  });
+
+  try {
+    while (!step.done && !clientClosed) {
+      sendEvent('part', step.value);
+      step = await stream.next();
+    }
+    if (!clientClosed) {
+      sendEvent('done', step.value);
+    }
+  } catch (error) {
+    if (clientClosed) {
+      return;
+    }
+    // Headers are already sent, so the error is reported in-band.
+    logger?.error(error, 'Error while streaming chat response');
+    sendEvent('error', {
+      error: error instanceof GeminiApiError ? error.message : 'An unexpected error occurred.',
+      details: error instanceof GeminiApiError ? error.details : undefined
+    });
+  }
+  res.end();
+}
@@ -0,0 +1,200 @@
+/**
+ * @file fileTransfer.js
+ * @description Reads uploads of any content type and streams stored files back to the client.
+ *
+ * Uploads arrive as JSON (stored as a JSON document), as a raw body of any
+ * other content type (e.g. `application/pdf`, stored as sent), or as
+ * `multipart/form-data` with a file part (stored with the part's content type).
+ * Downloads are streamed from storage with the file's own `Content-Type` and
+ * `Content-Length`, and honour single `Range: bytes=...` requests.
+ */
+
+import { pipeline } from 'stream/promises';
+import { DEFAULT_CONTENT_TYPE } from '../storage/storageBackend.js';
+import { toETag } from './preconditions.js';
+
+// How often a download re-reads the metadata when the file is replaced while it is being opened.
+const MAX_READ_ATTEMPTS = 3;
+
+// The content types the JSON body parser handles; everything else is a raw upload.
+export const JSON_CONTENT_TYPES = ['application/json', 'application/*+json'];
+
+/**
+ * Custom error for upload requests without usable contents.
+ */
+export class InvalidUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidUploadError';
+  }
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function dispositionParameter(disposition, parameter) {
+  const match = new RegExp(`(?:^|;)\\s*${parameter}="([^"]*)"`, 'i').exec(disposition || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Splits a buffered `multipart/form-data` body into its parts.
+ *
+ * @param {Buffer} body - The raw request body.
+ * @param {string} contentType - The request's Content-Type, which carries the boundary.
+ * @returns {Array<{name?: string, fileName?: string, contentType?: string, data: Buffer}>} The parts, in order.
+ * @throws {InvalidUploadError} If the body is not well-formed multipart data.
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!boundary) {
+    throw new InvalidUploadError('multipart/form-data requests must specify a boundary.');
+  }
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const partEnd = Buffer.concat([Buffer.from('\r\n'), delimiter]);
+  const malformed = () => new InvalidUploadError('The multipart/form-data body is malformed.');
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw malformed();
+  }
+  const parts = [];
+  for (;;) {
+    position += delimiter.length;
+    if (body.subarray(position, position + 2).toString('latin1') === '--') {
+      return parts;
+    }
+    if (body.subarray(position, position + 2).toString('latin1') !== '\r\n') {
+      throw malformed();
+    }
+    const headerEnd = body.indexOf('\r\n\r\n', position + 2);
+    const next = headerEnd === -1 ? -1 : body.indexOf(partEnd, headerEnd + 4);
+    if (next === -1) {
+      throw malformed();
+    }
+    const headers = parsePartHeaders(body.subarray(position + 2, headerEnd).toString('utf8'));
+    parts.push({
+      name: dispositionParameter(headers['content-disposition'], 'name'),
+      fileName: dispositionParameter(headers['content-disposition'], 'filename'),
+      contentType: headers['content-type'],
+      data: body.subarray(headerEnd + 4, next)
+    });
+    position = next + 2;
+  }
+}
+
+/**
+ * Reads the contents to store from an upload request. JSON bodies must already be
+ * parsed by express.json and other bodies buffered by express.raw.
+ *
+ * @param {import('express').Request} req - The request.
+ * @returns {{data: string|Buffer, contentType: string}} The file contents and their content type.
+ * @throws {InvalidUploadError} If the request has no contents to store.
+ */
+export function readUpload(req) {
+  if (req.is(JSON_CONTENT_TYPES)) {
+    if (!req.body || Object.keys(req.body).length === 0) {
+      throw new InvalidUploadError('Request body is required');
+    }
+    return { data: JSON.stringify(req.body), contentType: DEFAULT_CONTENT_TYPE };
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new InvalidUploadError('Request body is required');
+  }
+  if (req.is('multipart/form-data')) {
+    const parts = parseMultipart(req.body, req.get('Content-Type')).filter(part => part.fileName !== undefined);
+    const part = parts.find(candidate => candidate.name === 'file') || parts[0];
+    if (!part) {
+      throw new InvalidUploadError('multipart/form-data uploads must include a file part.');
+    }
+    return { data: part.data, contentType: part.contentType || 'application/octet-stream' };
+  }
+  return { data: req.body, contentType: req.get('Content-Type') || 'application/octet-stream' };
+}
+
+/**
+ * Resolves the Range header to one byte range, following RFC 9110: ranges that
+ * cannot be parsed, multiple ranges and stale If-Range validators are served as
+ * the full file.
+ *
+ * @returns {{start: number, end: number}|null|-1} The range, null for the whole file, or -1 if unsatisfiable.
+ */
+function readByteRange(req, size, validators) {
+  if (!req.get('Range')) {
+    return null;
+  }
+  const ifRange = req.get('If-Range');
+  if (ifRange && !validators.includes(ifRange)) {
+    return null;
+  }
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return -1;
+  }
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return null;
+  }
+  return { start: ranges[0].start, end: ranges[0].end };
+}
+
+/**
+ * Streams a stored file as the response, with its Content-Type, Content-Length,
+ * ETag and Last-Modified. Answers conditional GETs with 304, single byte ranges
+ * with 206 and unsatisfiable ranges with 416.
+ *
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {import('../storage/storageBackend.js').StorageBackend} storage - The storage holding the file.
+ * @param {string} fileName - The file to send.
+ * @returns {Promise<void>} Resolves once the file has been sent.
+ * @throws {import('../storage/storageBackend.js').StorageFileNotFoundError} If the file does not exist.
+ */
+export async function sendStoredFile(req, res, storage, fileName) {
+  for (let attempt = 1; ; attempt++) {
+    const metadata = await storage.metadata(fileName);
+    const etag = toETag(metadata.generation);
+    const lastModified = new Date(metadata.updated).toUTCString();
+    res.set({
+      'Content-Type': metadata.contentType || 'application/octet-stream',
+      ETag: etag,
+      'Last-Modified': lastModified,
+      'Accept-Ranges': 'bytes'
+    });
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+
+    const range = readByteRange(req, metadata.size, [etag, lastModified]);
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${metadata.size}`);
+      res.status(416).end();
+      return;
+    }
+
+    const { stream, metadata: opened } = await storage.createReadStream(fileName, range || {});
+    if (opened.generation !== metadata.generation) {
+      // Replaced between reading the metadata and opening it; the headers would not match the bytes.
+      stream.destroy();
+      if (attempt >= MAX_READ_ATTEMPTS) {
+        throw new Error(`File '${fileName}' kept changing while it was being read`);
+      }
+      continue;
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${metadata.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : metadata.size));
+    return pipeline(stream, res);
+  }
+}
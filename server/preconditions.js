@@ -0,0 +1,97 @@
+/**
+ * @file preconditions.js
+ * @description Maps storage generations to HTTP ETags and conditional request headers back to generations.
+ *
+ * A file's ETag is its storage generation in quotes (e.g. `"1718035200123456"`).
+ * `If-Match: "<generation>"` becomes `ifGenerationMatch: <generation>`, and
+ * `If-None-Match: *` becomes `ifGenerationMatch: '0'` (the file must not exist).
+ */
+
+import {
+  StorageFileNotFoundError,
+  StoragePreconditionFailedError
+} from '../storage/storageBackend.js';
+
+/**
+ * Custom error for conditional headers that cannot be mapped to a generation.
+ */
+export class InvalidPreconditionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidPreconditionError';
+  }
+}
+
+/**
+ * @param {string} generation - A storage generation.
+ * @returns {string} The strong ETag for it.
+ */
+export function toETag(generation) {
+  return `"${generation}"`;
+}
+
+function parseETag(value) {
+  const tag = value.trim().replace(/^W\//, '');
+  return tag.startsWith('"') && tag.endsWith('"') && tag.length >= 2 ? tag.slice(1, -1) : tag;
+}
+
+/**
+ * Reads the write precondition from a request's If-Match / If-None-Match headers.
+ *
+ * @param {import('express').Request} req - The request.
+ * @returns {{ifGenerationMatch?: string, mustExist?: boolean}} `ifGenerationMatch` for a specific
+ * generation or '0' for "must not exist"; `mustExist` for `If-Match: *`. Empty when unconditional.
+ * @throws {InvalidPreconditionError} For lists of ETags or contradictory headers.
+ */
+export function readWritePrecondition(req) {
+  const ifMatch = req.get('If-Match');
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifMatch && ifNoneMatch) {
+    throw new InvalidPreconditionError('Send either If-Match or If-None-Match, not both.');
+  }
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() !== '*') {
+      throw new InvalidPreconditionError('If-None-Match is only supported as "*" on writes.');
+    }
+    return { ifGenerationMatch: '0' };
+  }
+  if (ifMatch) {
+    if (ifMatch.includes(',')) {
+      throw new InvalidPreconditionError('If-Match must contain a single ETag.');
+    }
+    if (ifMatch.trim() === '*') {
+      return { mustExist: true };
+    }
+    const generation = parseETag(ifMatch);
+    if (!/^[\w.-]+$/.test(generation)) {
+      throw new InvalidPreconditionError(`Invalid ETag in If-Match: ${ifMatch}`);
+    }
+    return { ifGenerationMatch: generation };
+  }
+  return {};
+}
+
+/**
+ * Resolves a request's conditional headers to the `ifGenerationMatch` option for a storage save.
+ * `If-Match: *` is resolved against the file's current generation.
+ *
+ * @param {import('express').Request} req - The request.
+ * @param {import('../storage/storageBackend.js').StorageBackend} storage - The storage holding the file.
+ * @param {string} fileName - The file being written.
+ * @returns {Promise<string|undefined>} The generation the file must be at, or undefined for an unconditional write.
+ * @throws {StoragePreconditionFailedError} For `If-Match: *` when the file does not exist.
+ */
+export async function resolveIfGenerationMatch(req, storage, fileName) {
+  const { ifGenerationMatch, mustExist } = readWritePrecondition(req);
+  if (!mustExist) {
+    return ifGenerationMatch;
+  }
+  try {
+    return (await storage.metadata(fileName)).generation;
+  } catch (error) {
+    if (error instanceof StorageFileNotFoundError) {
+      throw new StoragePreconditionFailedError(`File '${fileName}' does not exist`);
+    }
+    throw error;
+  }
+}
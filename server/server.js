@@ -3,6 +3,10 @@ import express from 'express';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import path from 'path';
+import {
+  createHash,
+  timingSafeEqual
+} from 'crypto';
 import {
   fileURLToPath
 } from 'url';
@@ -12,16 +16,266 @@ import {
   GeminiApiError
 } from '../gemini/geminiApi.js';
 import {
-  getFile,
-  saveFile,
-  GCSFileNotFoundError
+  createStorage,
+  STORAGE_BACKENDS
+} from '../storage/createStorage.js';
+import {
+  assertValidFileName,
+  DEFAULT_PAGE_SIZE,
+  InvalidFileNameError,
+  StorageFileNotFoundError,
+  StoragePreconditionFailedError,
+  UnsupportedStorageOperationError
+} from '../storage/storageBackend.js';
+import {
+  customerDocumentName,
+  customerFileName,
+  customerPrefix
+} from '../storage/customerPaths.js';
+import {
+  assertCustomerAccess,
+  assertScope,
+  assertToolDataAccess,
+  denyCustomerPrincipals,
+  ForbiddenError,
+  requireCustomerAccess,
+  requireScope
+} from '../auth/accessControl.js';
+import {
+  ApiKeyStore,
+  createAuthMiddleware,
+  IdTokenVerifier,
+  parseApiKeyRecords,
+  UnauthorizedError
+} from '../auth/authenticate.js';
+import {
+  DocumentValidationError,
+  ValidatingStorage
+} from '../storage/validatingStorage.js';
+import {
+  LoggingStorage
+} from '../storage/loggingStorage.js';
+import {
+  customerDocumentType
+} from '../schemas/customerDocument.js';
+import {
+  InvalidPreconditionError,
+  resolveIfGenerationMatch,
+  toETag
+} from './preconditions.js';
+import {
+  InvalidUploadError,
+  JSON_CONTENT_TYPES,
+  readUpload,
+  sendStoredFile
+} from './fileTransfer.js';
+import {
+  sendEventStream
+} from './eventStream.js';
+import {
+  createRateLimitMiddleware,
+  RateLimiter,
+  RateLimitError
+} from '../limits/rateLimiter.js';
+import {
+  ToolRegistry
+} from '../gemini/toolRegistry.js';
+import {
+  registerCustomerTools
+} from '../gemini/customerTools.js';
+import {
+  CONTEXT_STRATEGIES
+} from '../gemini/contextWindow.js';
+import {
+  describeTarget,
+  parseModelRoutes
+} from '../gemini/modelRouting.js';
+import {
+  CACHE_PREFIX,
+  MemoryCacheTier,
+  ResponseCache,
+  StorageCacheTier
+} from '../gemini/responseCache.js';
+import {
+  PdfParseError
+} from '../pdf/parsePdf.js';
+import {
+  extractBill
+} from '../bills/extractBill.js';
+import {
+  applyJsonPatch,
+  applyMergePatch,
+  JsonPatchError,
+  JSON_PATCH_CONTENT_TYPE,
+  MERGE_PATCH_CONTENT_TYPE
+} from '../patch/jsonPatch.js';
+import {
+  redactingLoggerOptions
+} from '../logging/redaction.js';
+import {
+  createRequestLogging
+} from '../logging/requestContext.js';
+import {
+  createHttpMetricsMiddleware,
+  metrics
+} from '../metrics/serviceMetrics.js';
+import {
+  PROMETHEUS_CONTENT_TYPE
+} from '../metrics/registry.js';
+import {
+  ReadinessChecker
+} from '../health/readiness.js';
+import {
+  getBucketMetadata
 } from '../gcs/gcs-utils.js';
+import {
+  SESSION_PREFIX,
+  SessionConflictError,
+  SessionNotFoundError,
+  SessionStore
+} from '../sessions/sessionStore.js';
+import {
+  ChatSessionService
+} from '../sessions/chatSessions.js';
 
 const DEFAULT_TEXT_MODEL = 'gemini-2.5-flash';
 const DEFAULT_VISION_MODEL = 'gemini-2.5-flash';
 const DEFAULT_MAX_PAYLOAD_SIZE = '10mb';
+// File uploads to /api/data (PDFs, images, ...) have their own, larger limit.
+const DEFAULT_MAX_UPLOAD_SIZE = '25mb';
+// How often a PATCH re-reads and re-applies itself when the file changes during the update.
+const MAX_PATCH_ATTEMPTS = 3;
+// The largest page GET /api/data returns.
+const MAX_LIST_PAGE_SIZE = 1000;
+// How long signed URLs stay valid unless the caller asks for less.
+const DEFAULT_SIGNED_URL_EXPIRY_SECONDS = 15 * 60;
+const GCS_URI_PATTERN = /^gs:\/\/([^/]+)\/(.+)$/;
+// Per-caller limits for the routes that call Gemini, unless overridden by the environment.
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const DEFAULT_REQUEST_BURST = 20;
+// How long a chat session lives after its last message, unless overridden by SESSION_TTL_HOURS.
+const DEFAULT_SESSION_TTL_HOURS = 24;
+// Where GEMINI_RESPONSE_CACHE may keep cached model responses.
+const RESPONSE_CACHE_TIERS = ['memory', 'storage'];
+// Routes that stay public: load balancers and uptime checks call them without credentials.
+const PUBLIC_API_PATHS = /^\/(config|health)(\/|$)/;
+
+// Personal data in log records is masked (see logging/redaction.js). Handlers log through
+// `req.log`, which carries the request ID (see logging/requestContext.js).
+const logger = pino({
+  ...redactingLoggerOptions,
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+/**
+ * Reads a numeric setting from the environment; unset values stay undefined so the client defaults apply.
+ */
+function optionalNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Returns a signal that aborts when the caller disconnects before the response is sent,
+ * so that in-flight Gemini calls and pending retries stop.
+ */
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
 
-const logger = pino();
+/**
+ * Tells the caller which model answered, which differs from the configured one after a fallback.
+ */
+function setServedBy(res, { servedBy }) {
+  if (servedBy) {
+    res.set('X-Gemini-Model', describeTarget(servedBy));
+  }
+}
+
+/**
+ * Reads how the caller wants the response cache used: `Cache-Control: no-cache` (or
+ * `Pragma: no-cache`) asks for a fresh response, and `no-store` also keeps it out of the cache.
+ */
+function cacheModeFor(req) {
+  const directives = `${req.get('Cache-Control') || ''},${req.get('Pragma') || ''}`
+    .split(',')
+    .map(directive => directive.trim().toLowerCase());
+  if (directives.includes('no-store')) {
+    return 'no-store';
+  }
+  return directives.includes('no-cache') ? 'no-cache' : 'default';
+}
+
+/**
+ * Tells the caller whether the response came from the response cache: `X-Cache` is HIT, MISS
+ * or BYPASS, and `X-Cache-Tier` names the tier of a hit.
+ */
+function setCacheStatus(res, { cache }) {
+  if (cache) {
+    res.set('X-Cache', cache.status.toUpperCase());
+    if (cache.tier) {
+      res.set('X-Cache-Tier', cache.tier);
+    }
+  }
+}
+
+/**
+ * Converts the `files` of a chat request to the Gemini client's format. Each file is sent
+ * inline (`fileBase64`) or referenced by a `fileUri` in the data bucket, e.g. a file uploaded
+ * through a signed URL, which Vertex AI then reads directly. Callers acting for one customer
+ * may only reference files in that customer's folder.
+ */
+function toApiFiles(files, principal) {
+  return files.map(file => {
+    if (!file.fileMimeType || (!file.fileBase64 && !file.fileUri)) {
+      throw new GeminiApiError('Each file object in the "files" array must have "fileMimeType" and either "fileBase64" or "fileUri".', 400);
+    }
+    if (file.fileUri) {
+      // Only files in our own bucket, so callers cannot make Vertex AI read other buckets it has access to.
+      const [, bucketName, objectName] = GCS_URI_PATTERN.exec(file.fileUri) || [];
+      if (storageBackend !== 'gcs' || !bucketName || bucketName !== process.env.GCS_BUCKET_NAME) {
+        throw new GeminiApiError(`"fileUri" must be a gs:// URI of a file in the configured GCS bucket, got "${file.fileUri}".`, 400);
+      }
+      assertValidFileName(objectName);
+      if (principal?.customerId !== undefined && !objectName.startsWith(customerPrefix(principal.customerId))) {
+        throw new ForbiddenError(`Caller '${principal.id}' may only reference files in ${customerPrefix(principal.customerId)}.`);
+      }
+      return {
+        fileUri: file.fileUri,
+        mimetype: file.fileMimeType
+      };
+    }
+    return {
+      buffer: Buffer.from(file.fileBase64, 'base64'),
+      mimetype: file.fileMimeType
+    };
+  });
+}
+
+/**
+ * Picks the customer document the tools of a chat request read and update:
+ * the document of `customerId` (by default the caller's own customer), or else
+ * the file named by `customerFile`, or else the tools' default. Any document but
+ * the caller's own customer's needs both data scopes (see assertToolDataAccess),
+ * and `customerFile` is checked like a file name sent to /api/data.
+ */
+function resolveCustomerDocument(req) {
+  const { customerId = req.auth?.customerId, customerFile } = req.body;
+  assertToolDataAccess(req.auth, customerId);
+  if (customerId !== undefined) {
+    return customerDocumentName(customerId);
+  }
+  if (customerFile !== undefined) {
+    assertValidFileName(customerFile);
+    assertNotReserved(customerFile);
+  }
+  return customerFile;
+}
 
 // Initialize Gemini Client
 if (!process.env.PROJECT_ID || !process.env.LOCATION) {
@@ -29,19 +283,208 @@ if (!process.env.PROJECT_ID || !process.env.LOCATION) {
   process.exit(1);
 }
 
+// Storage backend for /api/data and the customer tools, selected by STORAGE_BACKEND.
+// The GCS backend needs a bucket; without one the data endpoints report the missing setting.
+// Customer documents are migrated to the current schema on read and validated on every write.
+// Every backend operation is logged at debug level.
+const storageBackend = process.env.STORAGE_BACKEND || 'gcs';
+if (!STORAGE_BACKENDS.includes(storageBackend)) {
+  logger.fatal(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}.`);
+  process.exit(1);
+}
+const storage = storageBackend === 'gcs' && !process.env.GCS_BUCKET_NAME ? null : new ValidatingStorage(new LoggingStorage(createStorage({
+  backend: storageBackend
+}), logger.child({
+  component: 'storage'
+})), [customerDocumentType]);
+logger.info({ storageBackend }, 'Storage backend selected.');
+
+// Authentication for the /api routes (see auth/authenticate.js). API keys are read from
+// API_KEYS and from the file API_KEYS_FILE in storage, which is reloaded every
+// API_KEYS_REFRESH_SECONDS so that keys can be rotated without a restart. Google-signed
+// ID tokens are accepted when ID_TOKEN_AUDIENCE is set, from the callers in ID_TOKEN_PRINCIPALS.
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+const apiKeysFile = process.env.API_KEYS_FILE;
+
+function createAuthOptions() {
+  const options = {};
+  if (process.env.API_KEYS || apiKeysFile) {
+    if (apiKeysFile && !storage) {
+      throw new Error('API_KEYS_FILE needs a configured storage backend.');
+    }
+    const envKeys = process.env.API_KEYS ? parseApiKeyRecords(JSON.parse(process.env.API_KEYS)) : [];
+    const loadFileKeys = async () => {
+      try {
+        return JSON.parse(await storage.get(apiKeysFile));
+      } catch (error) {
+        if (error instanceof StorageFileNotFoundError) {
+          logger.warn({ fileName: apiKeysFile }, 'API_KEYS_FILE does not exist; only the keys from API_KEYS are accepted.');
+          return [];
+        }
+        throw error;
+      }
+    };
+    const refreshSeconds = optionalNumber(process.env.API_KEYS_REFRESH_SECONDS);
+    options.apiKeys = new ApiKeyStore({
+      load: async () => (apiKeysFile ? [...envKeys, ...await loadFileKeys()] : envKeys),
+      refreshMs: refreshSeconds === undefined ? undefined : refreshSeconds * 1000,
+      logger
+    });
+  }
+  if (process.env.ID_TOKEN_AUDIENCE) {
+    options.idTokens = new IdTokenVerifier({
+      audience: process.env.ID_TOKEN_AUDIENCE.split(',').map(audience => audience.trim()),
+      principals: JSON.parse(process.env.ID_TOKEN_PRINCIPALS || '{}')
+    });
+  }
+  if (!options.apiKeys && !options.idTokens) {
+    throw new Error('Configure API_KEYS, API_KEYS_FILE or ID_TOKEN_AUDIENCE, or set AUTH_DISABLED=true for local development.');
+  }
+  return options;
+}
+
+let authenticate = null;
+if (!authDisabled) {
+  try {
+    authenticate = createAuthMiddleware(createAuthOptions());
+  } catch (error) {
+    logger.fatal(`Invalid authentication settings: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Server-side tools the model may call from /api/chat when `useTools` is set.
+// The customer tools need storage, so they are only available when it is configured.
+const toolRegistry = new ToolRegistry();
+if (storage) {
+  registerCustomerTools(toolRegistry, {
+    storage
+  });
+}
+
+// What the client does with requests over the model's input token limit (see gemini/contextWindow.js).
+const contextStrategy = process.env.GEMINI_CONTEXT_STRATEGY || 'none';
+if (!CONTEXT_STRATEGIES.includes(contextStrategy)) {
+  logger.fatal(`GEMINI_CONTEXT_STRATEGY must be one of: ${CONTEXT_STRATEGIES.join(', ')}.`);
+  process.exit(1);
+}
+
+// Models and locations per request type, tried in order (see gemini/modelRouting.js). Without
+// GEMINI_MODEL_ROUTES, MODEL_NAME and FILE_MODEL_NAME serve every request in LOCATION.
+let modelRoutes;
+try {
+  modelRoutes = process.env.GEMINI_MODEL_ROUTES ? parseModelRoutes(JSON.parse(process.env.GEMINI_MODEL_ROUTES), process.env.LOCATION) : undefined;
+} catch (error) {
+  logger.fatal(`Invalid GEMINI_MODEL_ROUTES: ${error.message}`);
+  process.exit(1);
+}
+
+// Answers repeated chat requests without calling the model (see gemini/responseCache.js). Off unless
+// GEMINI_RESPONSE_CACHE is 'memory' (per instance) or 'storage' (memory, then shared storage).
+const responseCacheTier = process.env.GEMINI_RESPONSE_CACHE || undefined;
+let responseCache;
+if (responseCacheTier) {
+  if (!RESPONSE_CACHE_TIERS.includes(responseCacheTier)) {
+    logger.fatal(`GEMINI_RESPONSE_CACHE must be one of: ${RESPONSE_CACHE_TIERS.join(', ')}.`);
+    process.exit(1);
+  }
+  if (responseCacheTier === 'storage' && !storage) {
+    logger.fatal('GEMINI_RESPONSE_CACHE=storage needs storage: GCS_BUCKET_NAME environment variable is not configured.');
+    process.exit(1);
+  }
+  try {
+    const ttlSeconds = optionalNumber(process.env.GEMINI_CACHE_TTL_SECONDS);
+    responseCache = new ResponseCache({
+      tiers: [
+        new MemoryCacheTier({ maxEntries: optionalNumber(process.env.GEMINI_CACHE_MAX_ENTRIES) }),
+        ...(responseCacheTier === 'storage' ? [new StorageCacheTier({ storage })] : [])
+      ],
+      ttlMs: ttlSeconds === undefined ? undefined : ttlSeconds * 1000,
+      logger: logger.child({
+        component: 'ResponseCache'
+      })
+    });
+  } catch (error) {
+    logger.fatal(`Invalid response cache settings: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 const geminiClient = new GeminiApiClient({
   projectId: process.env.PROJECT_ID,
   location: process.env.LOCATION,
   defaultTextModel: process.env.MODEL_NAME || DEFAULT_TEXT_MODEL,
   defaultFileModel: process.env.FILE_MODEL_NAME || DEFAULT_VISION_MODEL,
   systemInstruction: process.env.SYSTEM_INSTRUCTION,
+  toolRegistry,
+  timeoutMs: optionalNumber(process.env.GEMINI_TIMEOUT_MS),
+  retry: {
+    maxRetries: optionalNumber(process.env.GEMINI_MAX_RETRIES)
+  },
+  circuitBreaker: {
+    failureThreshold: optionalNumber(process.env.GEMINI_CIRCUIT_FAILURE_THRESHOLD),
+    resetTimeoutMs: optionalNumber(process.env.GEMINI_CIRCUIT_RESET_MS)
+  },
+  // Replace personal data in prompts with placeholders, restored in the replies (see privacy/pii.js).
+  tokenizePii: process.env.GEMINI_TOKENIZE_PII === 'true',
+  contextWindow: {
+    strategy: contextStrategy
+  },
+  routing: {
+    routes: modelRoutes,
+    largeContextTokens: optionalNumber(process.env.GEMINI_LARGE_CONTEXT_TOKENS)
+  },
+  responseCache,
   logger: logger.child({
     component: 'GeminiApiClient'
   })
 });
 
+// Request rates and daily token quotas per caller for the Gemini routes (see limits/rateLimiter.js).
+// RATE_LIMIT_REQUESTS_PER_MINUTE=0 turns the request limit off; DAILY_TOKEN_QUOTA is off unless set.
+const requestsPerMinute = optionalNumber(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) ?? DEFAULT_REQUESTS_PER_MINUTE;
+const dailyTokenQuota = optionalNumber(process.env.DAILY_TOKEN_QUOTA);
+let limitGeminiUsage = (req, res, next) => next();
+if (requestsPerMinute > 0 || dailyTokenQuota !== undefined) {
+  try {
+    limitGeminiUsage = createRateLimitMiddleware(new RateLimiter({
+      requestsPerMinute: requestsPerMinute > 0 ? requestsPerMinute : undefined,
+      burst: optionalNumber(process.env.RATE_LIMIT_BURST) ?? DEFAULT_REQUEST_BURST,
+      dailyTokenQuota
+    }), { logger });
+  } catch (error) {
+    logger.fatal(`Invalid rate limit settings: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Server-side chat sessions (see sessions/chatSessions.js), kept in storage alongside the data files.
+let chatSessions = null;
+if (storage) {
+  try {
+    chatSessions = new ChatSessionService({
+      store: new SessionStore({
+        storage,
+        ttlMs: (optionalNumber(process.env.SESSION_TTL_HOURS) ?? DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000
+      }),
+      geminiClient,
+      tokenBudget: optionalNumber(process.env.SESSION_TOKEN_BUDGET),
+      historyStrategy: process.env.SESSION_HISTORY_STRATEGY || undefined,
+      logger
+    });
+  } catch (error) {
+    logger.fatal(`Invalid session settings: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 const app = express();
 const PORT = process.env.PORT || 3002;
+// Behind a load balancer, TRUST_PROXY (e.g. 1 for one proxy hop) makes req.ip the client's
+// address from X-Forwarded-For, which rate limiting uses for unauthenticated callers.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // ES Module equivalent for __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -69,9 +512,18 @@ const corsOptions = {
 };
 
 // Middlewares
+app.use(createRequestLogging(logger));
+app.use(createHttpMetricsMiddleware());
 app.use(cors(corsOptions));
+if (authenticate) {
+  app.use('/api', (req, res, next) => (PUBLIC_API_PATHS.test(req.path) ? next() : authenticate(req, res, next)));
+} else {
+  logger.warn('AUTH_DISABLED is set: /api routes accept unauthenticated requests.');
+}
 app.use(express.json({
-  limit: process.env.MAX_PAYLOAD_SIZE || DEFAULT_MAX_PAYLOAD_SIZE
+  limit: process.env.MAX_PAYLOAD_SIZE || DEFAULT_MAX_PAYLOAD_SIZE,
+  // Also parse JSON-based media types such as application/json-patch+json.
+  type: JSON_CONTENT_TYPES
 }));
 app.use(cookieParser());
 
@@ -80,9 +532,10 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // API Routes needed by client.js
 app.get('/api/config', (req, res) => {
-  logger.info('Serving client configuration');
+  req.log.info('Serving client configuration');
   res.json({
-    maxPayloadSize: process.env.MAX_PAYLOAD_SIZE || DEFAULT_MAX_PAYLOAD_SIZE
+    maxPayloadSize: process.env.MAX_PAYLOAD_SIZE || DEFAULT_MAX_PAYLOAD_SIZE,
+    maxUploadSize: process.env.MAX_UPLOAD_SIZE || DEFAULT_MAX_UPLOAD_SIZE
   });
 });
 
@@ -91,9 +544,9 @@ app.get('/api/config', (req, res) => {
 // endpoint for observability and debugging.
 app.get('/api/health', (req, res) => {
   const checks = {
-    gcsBucket: {
-      value: process.env.GCS_BUCKET_NAME || 'Not Set',
-      status: process.env.GCS_BUCKET_NAME ? 'OK' : 'MISSING'
+    storage: {
+      value: storageBackend,
+      status: storage ? 'OK' : 'MISSING'
     },
     projectId: {
       value: process.env.PROJECT_ID || 'Not Set',
@@ -103,21 +556,115 @@ app.get('/api/health', (req, res) => {
       status: (process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) ? 'OK' : 'MISSING'
     }
   };
+  if (storageBackend === 'gcs') {
+    checks.gcsBucket = {
+      value: process.env.GCS_BUCKET_NAME || 'Not Set',
+      status: process.env.GCS_BUCKET_NAME ? 'OK' : 'MISSING'
+    };
+  }
 
   const isHealthy = Object.values(checks).every(check => check.status === 'OK');
 
-  logger.info({ healthStatus: checks }, 'Health check performed.');
+  // An open circuit means Vertex AI calls are failing fast. The service itself is
+  // still up, so this degrades the status without failing the health check.
+  const circuitBreaker = geminiClient.getCircuitBreakerState();
+  if (circuitBreaker) {
+    checks.vertexAiCircuit = {
+      ...circuitBreaker,
+      status: circuitBreaker.state === 'closed' ? 'OK' : 'DEGRADED'
+    };
+  }
+  const isDegraded = circuitBreaker && circuitBreaker.state !== 'closed';
+
+  req.log.info({ healthStatus: checks }, 'Health check performed.');
 
   res.status(isHealthy ? 200 : 500).json({
-    status: isHealthy ? 'OK' : 'ERROR',
+    status: isHealthy ? (isDegraded ? 'DEGRADED' : 'OK') : 'ERROR',
     checks,
   });
 });
 
-app.post('/api/chat', async (req, res, next) => {
+// Liveness: the process is up and serving requests. Dependencies are not checked,
+// so an outage of Google APIs never gets healthy instances restarted.
+app.get('/api/health/live', (req, res) => {
+  res.json({
+    status: 'OK',
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+// Readiness: every dependency works, checked for real (see health/readiness.js): an access
+// token can be obtained, the storage can be read (the bucket's metadata for GCS) and Vertex AI
+// accepts the configured models, tried with the free countTokens method. Results are cached
+// for HEALTH_CACHE_SECONDS and every check times out after HEALTH_CHECK_TIMEOUT_MS.
+const textModel = process.env.MODEL_NAME || DEFAULT_TEXT_MODEL;
+const fileModel = process.env.FILE_MODEL_NAME || DEFAULT_VISION_MODEL;
+const readinessChecks = {
+  credentials: signal => geminiClient.checkCredentials({ signal }),
+  storage: async () => {
+    if (!storage) {
+      throw new Error('GCS_BUCKET_NAME is not set.');
+    }
+    if (storageBackend === 'gcs') {
+      return { backend: storageBackend, bucket: await getBucketMetadata(process.env.GCS_BUCKET_NAME) };
+    }
+    await storage.list('', { maxResults: 1 });
+    return { backend: storageBackend };
+  },
+  geminiTextModel: async signal => {
+    await geminiClient.countTokens('ping', textModel, { signal });
+    return { model: textModel };
+  }
+};
+if (fileModel !== textModel) {
+  readinessChecks.geminiFileModel = async signal => {
+    await geminiClient.countTokens('ping', fileModel, { signal });
+    return { model: fileModel };
+  };
+}
+const healthCacheSeconds = optionalNumber(process.env.HEALTH_CACHE_SECONDS);
+const readiness = new ReadinessChecker({
+  checks: readinessChecks,
+  timeoutMs: optionalNumber(process.env.HEALTH_CHECK_TIMEOUT_MS),
+  cacheMs: healthCacheSeconds === undefined ? undefined : healthCacheSeconds * 1000
+});
+
+app.get('/api/health/ready', async (req, res, next) => {
+  try {
+    const result = await readiness.check();
+    if (result.status !== 'OK' && !result.cached) {
+      req.log.warn({ readiness: result.checks }, 'Readiness check failed.');
+    }
+    res.status(result.status === 'OK' ? 200 : 503).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Metrics Endpoint ---
+// Prometheus metrics (see metrics/serviceMetrics.js), outside /api so scrapers need no API key.
+// With METRICS_TOKEN set, scrapers must send it as "Authorization: Bearer <token>".
+const metricsTokenHash = process.env.METRICS_TOKEN ? createHash('sha256').update(process.env.METRICS_TOKEN).digest() : null;
+app.get('/metrics', (req, res) => {
+  if (metricsTokenHash) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const sentHash = createHash('sha256').update(token || '').digest();
+    if (!/^bearer$/i.test(scheme) || !timingSafeEqual(sentHash, metricsTokenHash)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).type('text/plain').send('Unauthorized');
+    }
+  }
+  res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+app.post('/api/chat', requireScope('chat'), limitGeminiUsage, async (req, res, next) => {
   const {
     userInput,
-    history = []
+    history = [],
+    useTools = false,
+    verbose = false,
+    generationConfig,
+    safetySettings
   } = req.body;
   if (!userInput) {
     return res.status(400).json({
@@ -126,27 +673,53 @@ app.post('/api/chat', async (req, res, next) => {
   }
 
   try {
-    logger.info({
+    req.log.info({
       userInput,
-      historyLength: history.length
+      historyLength: history.length,
+      useTools
     }, 'Received chat request');
-    const modelResponsePart = await geminiClient.sendMessage(userInput, history);
-    const responseText = modelResponsePart.text || '';
-    // Send back in the format the agent expects
-    res.json({
-      text: responseText
+
+    if (useTools) {
+      // Let the model call the registered tools until it produces a text answer.
+      const { text, toolCalls, response } = await geminiClient.runWithTools(userInput, history, {
+        context: {
+          fileName: resolveCustomerDocument(req)
+        },
+        generationConfig,
+        safetySettings,
+        signal: abortOnClose(res),
+        onUsage: res.locals.onUsage
+      });
+      setServedBy(res, response);
+      return res.json(verbose ? { ...response, text, toolCalls } : { text, toolCalls, parsed: response.parsed });
+    }
+
+    const modelResponse = await geminiClient.sendMessage(userInput, history, undefined, undefined, {
+      generationConfig,
+      safetySettings,
+      cache: cacheModeFor(req),
+      signal: abortOnClose(res),
+      onUsage: res.locals.onUsage
+    });
+    setServedBy(res, modelResponse);
+    setCacheStatus(res, modelResponse);
+    // Send back in the format the agent expects, or the full response when asked for it.
+    // `parsed` is only present when JSON output was requested.
+    res.json(verbose ? modelResponse : {
+      text: modelResponse.text,
+      parsed: modelResponse.parsed
     });
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/chat-with-files', async (req, res, next) => {
+app.post('/api/chat-with-files', requireScope('chat'), limitGeminiUsage, async (req, res, next) => {
   // *** THE FIRST FIX IS HERE ***
   // We now correctly look for a 'prompt' property from the agent,
   // falling back to 'userInput' for other potential callers.
   const {
-    prompt = req.body.userInput, history = [], files
+    prompt = req.body.userInput, history = [], files, verbose = false, generationConfig, safetySettings
   } = req.body;
 
   if (!files || !Array.isArray(files) || files.length === 0) {
@@ -156,106 +729,568 @@ app.post('/api/chat-with-files', async (req, res, next) => {
   }
 
   try {
-    logger.info({
+    req.log.info({
       prompt,
       fileCount: files.length,
       historyLength: history.length
     }, 'Received chat request with files');
 
-    const filesForApi = files.map(file => {
-      if (!file.fileBase64 || !file.fileMimeType) {
-        throw new GeminiApiError('Each file object in the "files" array must have "fileBase64" and "fileMimeType" properties.', 400);
-      }
-      return {
-        buffer: Buffer.from(file.fileBase64, 'base64'),
-        mimetype: file.fileMimeType
-      };
-    });
+    const filesForApi = toApiFiles(files, req.auth);
 
     // We pass the detailed `prompt` to the Gemini client.
-    const modelResponsePart = await geminiClient.sendMessageWithFiles(prompt, history, filesForApi);
-    const responseText = modelResponsePart.text || '';
+    const modelResponse = await geminiClient.sendMessageWithFiles(prompt, history, filesForApi, undefined, undefined, {
+      generationConfig,
+      safetySettings,
+      cache: cacheModeFor(req),
+      signal: abortOnClose(res),
+      onUsage: res.locals.onUsage
+    });
+
+    setServedBy(res, modelResponse);
+    setCacheStatus(res, modelResponse);
 
     // *** THE SECOND FIX IS HERE ***
     // Send the response back in a { "text": "..." } object to match
     // the contract expected by the harshal-agent service.
-    res.json({
-      text: responseText
+    // With `verbose`, the full response (all parts, candidates and metadata) is returned instead.
+    res.json(verbose ? modelResponse : {
+      text: modelResponse.text,
+      parsed: modelResponse.parsed
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GCS Data API Endpoints
-app.get('/api/data/:fileName', async (req, res, next) => {
-  const { fileName } = req.params;
-  const bucketName = process.env.GCS_BUCKET_NAME;
+// Streaming Chat Endpoint
+// Relays model output as Server-Sent Events: one `part` event per content part,
+// then a `done` event carrying finishReason and usage metadata. Optional
+// `files` (same format as /api/chat-with-files) switch to the file model.
+app.post('/api/chat/stream', requireScope('chat'), limitGeminiUsage, async (req, res, next) => {
+  const {
+    userInput,
+    history = [],
+    files,
+    generationConfig,
+    safetySettings
+  } = req.body;
+  if (!userInput && !files) {
+    return res.status(400).json({
+      error: 'userInput is required.'
+    });
+  }
 
-  if (!bucketName) {
-    return res.status(500).json({
-      error: 'GCS_BUCKET_NAME environment variable is not configured'
+  const signal = abortOnClose(res);
+  try {
+    req.log.info({
+      userInput,
+      fileCount: files?.length || 0,
+      historyLength: history.length
+    }, 'Received streaming chat request');
+
+    let stream;
+    if (files) {
+      if (!Array.isArray(files) || files.length === 0) {
+        return res.status(400).json({
+          error: 'A non-empty "files" array is required.'
+        });
+      }
+      const filesForApi = toApiFiles(files, req.auth);
+      stream = geminiClient.sendMessageWithFilesStream(userInput, history, filesForApi, undefined, undefined, { generationConfig, safetySettings, signal, onUsage: res.locals.onUsage });
+    } else {
+      stream = geminiClient.sendMessageStream(userInput, history, undefined, undefined, { generationConfig, safetySettings, signal, onUsage: res.locals.onUsage });
+    }
+
+    // Errors raised before the first part still go through the central error handler.
+    await sendEventStream(res, stream, { logger: req.log });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bill Extraction Endpoint
+// Parses a bill PDF locally into the `currentBill` shape of the customer document.
+// Gemini is only consulted for fields the local parser could not find.
+app.post('/api/bills/extract', requireScope('chat'), limitGeminiUsage, async (req, res, next) => {
+  const {
+    fileBase64,
+    fileMimeType = 'application/pdf',
+    useModelFallback = true
+  } = req.body;
+
+  if (!fileBase64) {
+    return res.status(400).json({
+      error: 'fileBase64 is required.'
+    });
+  }
+  if (fileMimeType !== 'application/pdf') {
+    return res.status(400).json({
+      error: 'Only "application/pdf" files can be extracted.'
     });
   }
 
   try {
-    logger.info({ fileName, bucketName }, 'Fetching file from GCS');
-    const fileContent = await getFile(bucketName, fileName);
-    
-    // Return the file contents with application/json content type
-    res.setHeader('Content-Type', 'application/json');
-    res.send(fileContent);
+    req.log.info({
+      base64Length: fileBase64.length,
+      useModelFallback
+    }, 'Received bill extraction request');
+
+    const result = await extractBill(Buffer.from(fileBase64, 'base64'), {
+      geminiClient: useModelFallback ? geminiClient : undefined,
+      logger: req.log.child({
+        component: 'extractBill'
+      }),
+      requestOptions: {
+        cache: cacheModeFor(req),
+        signal: abortOnClose(res),
+        onUsage: res.locals.onUsage
+      }
+    });
+    res.json(result);
   } catch (error) {
-    logger.error({ err: error, fileName, bucketName }, 'Failed to fetch file from GCS');
-    if (error instanceof GCSFileNotFoundError) {
-      return res.status(404).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Chat Session Endpoints
+// The server keeps the conversation, so each message carries only the new `userInput`.
+// Sessions belong to the caller that created them and expire SESSION_TTL_HOURS after their last message.
+const requireSessions = (req, res, next) => {
+  if (!chatSessions) {
+    return res.status(500).json({
+      error: 'Chat sessions need storage: GCS_BUCKET_NAME environment variable is not configured'
+    });
+  }
+  next();
+};
+
+// The session as returned to its owner.
+const toSessionView = ({ ownerId, ...session }) => session;
+
+app.post('/api/sessions', requireScope('chat'), requireSessions, async (req, res, next) => {
+  const { customerId = req.auth?.customerId, useTools = false } = req.body;
+  try {
+    if (useTools === true) {
+      assertToolDataAccess(req.auth, customerId);
+    } else if (customerId !== undefined) {
+      assertCustomerAccess(req.auth, customerId);
     }
+    const session = await chatSessions.create({
+      ownerId: req.auth?.id ?? null,
+      customerId,
+      useTools: useTools === true
+    });
+    req.log.info({ sessionId: session.id, useTools: session.useTools }, 'Created chat session');
+    res.status(201).json(toSessionView(session));
+  } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/data/:fileName', async (req, res, next) => {
-  const { fileName } = req.params;
-  const bucketName = process.env.GCS_BUCKET_NAME;
+app.get('/api/sessions/:sessionId', requireScope('chat'), requireSessions, async (req, res, next) => {
+  try {
+    res.json(toSessionView(await chatSessions.get(req.params.sessionId, req.auth?.id ?? null)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/sessions/:sessionId/messages', requireScope('chat'), requireSessions, limitGeminiUsage, async (req, res, next) => {
+  const {
+    userInput,
+    generationConfig,
+    safetySettings
+  } = req.body;
+  if (!userInput || typeof userInput !== 'string') {
+    return res.status(400).json({
+      error: 'userInput is required.'
+    });
+  }
+
+  try {
+    req.log.info({
+      sessionId: req.params.sessionId,
+      userInput
+    }, 'Received chat session message');
 
-  if (!bucketName) {
+    const { session, text, toolCalls, compacted, servedBy } = await chatSessions.sendMessage(req.params.sessionId, req.auth?.id ?? null, userInput, {
+      generationConfig,
+      safetySettings,
+      signal: abortOnClose(res),
+      onUsage: res.locals.onUsage
+    });
+    if (compacted) {
+      req.log.info({ sessionId: session.id, contextStart: session.contextStart }, 'Shortened chat session history');
+    }
+    setServedBy(res, { servedBy });
+    res.json({
+      text,
+      toolCalls,
+      messageCount: session.messages.length,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Data API Endpoints
+// Files are read and written through the configured storage backend (GCS, a local directory or memory).
+// Reads return the file's generation as an ETag; writes accept it in If-Match so that
+// concurrent read-modify-write cycles fail with 412 instead of overwriting each other.
+// The same handlers serve two route families, which differ in how the file is named:
+// - /api/data/{fileName} names any file in storage, for services acting for every customer.
+// - /api/customers/{customerId}/data/{path} names a file in the customer's folder,
+//   customers/{customerId}/{path}, and is the only way a customer's own callers reach their files.
+// The routes resolve the file into res.locals.fileName (and the folder into res.locals.folder).
+const requireStorage = (req, res, next) => {
+  if (!storage) {
     return res.status(500).json({
       error: 'GCS_BUCKET_NAME environment variable is not configured'
     });
   }
+  next();
+};
+
+// The API keys file, the chat sessions and the response cache are only used by the server; callers must not see or replace them.
+const isReserved = (fileName) => fileName === apiKeysFile || fileName.startsWith(SESSION_PREFIX) || fileName.startsWith(CACHE_PREFIX);
+const assertNotReserved = (fileName) => {
+  if (fileName !== undefined && isReserved(fileName)) {
+    throw new ForbiddenError(`File '${fileName}' is reserved.`);
+  }
+};
+
+const sharedFile = (req, res, next) => {
+  res.locals.folder = '';
+  res.locals.fileName = req.params.fileName;
+  assertNotReserved(res.locals.fileName);
+  next();
+};
+
+const customerFile = (req, res, next) => {
+  const { customerId, fileName } = req.params;
+  res.locals.folder = customerPrefix(customerId);
+  if (fileName !== undefined) {
+    res.locals.fileName = customerFileName(customerId, fileName);
+    assertNotReserved(res.locals.fileName);
+  }
+  next();
+};
 
-  if (!req.body || Object.keys(req.body).length === 0) {
+const canRead = requireScope('data:read');
+const canWrite = requireScope('data:write');
+const sharedData = [requireStorage, denyCustomerPrincipals, sharedFile];
+const customerData = [requireStorage, requireCustomerAccess, customerFile];
+
+// Lists stored files, optionally only those under a prefix (e.g. `?prefix=customers/`).
+// Results are paged: pass the returned nextPageToken as `pageToken` for the next page.
+// In a customer's folder, prefixes and the listed names are relative to the folder.
+const listStoredFiles = async (req, res, next) => {
+  const { folder } = res.locals;
+  const { prefix = '', pageToken } = req.query;
+  const maxResults = req.query.maxResults === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.maxResults);
+
+  if (typeof prefix !== 'string' || (pageToken !== undefined && typeof pageToken !== 'string')) {
     return res.status(400).json({
-      error: 'Request body is required'
+      error: 'prefix and pageToken must be single strings'
+    });
+  }
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_LIST_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `maxResults must be an integer between 1 and ${MAX_LIST_PAGE_SIZE}`
     });
   }
 
   try {
-    logger.info({ fileName, bucketName }, 'Saving file to GCS');
+    req.log.info({ prefix: folder + prefix, storageBackend }, 'Listing files in storage');
+    const { files, nextPageToken } = await storage.list(folder + prefix, { pageToken, maxResults });
+    res.json({
+      files: files
+        .filter(file => !isReserved(file.name))
+        .map(file => ({ ...file, name: file.name.slice(folder.length) })),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Returns a file's metadata as headers, without the contents.
+const headStoredFile = async (req, res, next) => {
+  const { fileName } = res.locals;
+
+  try {
+    const metadata = await storage.metadata(fileName);
+    res.setHeader('Content-Type', metadata.contentType);
+    res.setHeader('Content-Length', String(metadata.size));
+    res.setHeader('Last-Modified', new Date(metadata.updated).toUTCString());
+    res.setHeader('ETag', toETag(metadata.generation));
+    res.status(200).end();
+  } catch (error) {
+    if (error instanceof StorageFileNotFoundError) {
+      return res.status(404).end();
+    }
+    next(error);
+  }
+};
+
+// Streams the file with its stored content type; supports Range requests for partial downloads.
+const getStoredFile = async (req, res, next) => {
+  const { fileName } = res.locals;
+
+  try {
+    req.log.info({ fileName, storageBackend }, 'Fetching file from storage');
+    await sendStoredFile(req, res, storage, fileName);
+  } catch (error) {
+    req.log.error({ err: error, fileName, storageBackend }, 'Failed to fetch file from storage');
+    if (res.headersSent) {
+      // The download failed or was cancelled mid-stream; all we can do is end the connection.
+      return res.destroy();
+    }
+    if (error instanceof StorageFileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+// Bodies that are not JSON are buffered as-is, up to MAX_UPLOAD_SIZE.
+const parseUpload = express.raw({
+  type: req => !req.is(JSON_CONTENT_TYPES),
+  limit: process.env.MAX_UPLOAD_SIZE || DEFAULT_MAX_UPLOAD_SIZE
+});
+
+// Saves a JSON body as a JSON document, a raw body with its Content-Type, or the file part of a multipart form.
+const saveStoredFile = async (req, res, next) => {
+  const { fileName } = res.locals;
+
+  try {
+    const { data, contentType } = readUpload(req);
+    req.log.info({ fileName, storageBackend, contentType, size: Buffer.byteLength(data) }, 'Saving file to storage');
     
-    // Convert the request body to a JSON string
-    const dataString = JSON.stringify(req.body);
-    await saveFile(bucketName, fileName, dataString);
+    const ifGenerationMatch = await resolveIfGenerationMatch(req, storage, fileName);
+    const { generation } = await storage.save(fileName, data, { contentType, ifGenerationMatch });
     
+    res.setHeader('ETag', toETag(generation));
     res.status(200).json({
       success: true,
       message: `File '${fileName}' saved successfully`
     });
   } catch (error) {
-    logger.error({ err: error, fileName, bucketName }, 'Failed to save file to GCS');
+    req.log.error({ err: error, fileName, storageBackend }, 'Failed to save file to storage');
+    next(error);
+  }
+};
+
+const deleteStoredFile = async (req, res, next) => {
+  const { fileName } = res.locals;
+
+  try {
+    req.log.info({ fileName, storageBackend }, 'Deleting file from storage');
+    await storage.delete(fileName);
+    res.status(204).end();
+  } catch (error) {
+    req.log.error({ err: error, fileName, storageBackend }, 'Failed to delete file from storage');
+    if (error instanceof StorageFileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+// Partial updates: RFC 6902 JSON Patch or RFC 7396 Merge Patch, chosen by Content-Type.
+// The patch is applied to the current generation of the file and saved on the condition
+// that the file is still at that generation; on a concurrent write it is re-applied to the
+// new contents. With If-Match the caller's generation must be current instead (412 otherwise).
+const patchStoredFile = async (req, res, next) => {
+  const { fileName } = res.locals;
+
+  let applyPatch;
+  if (req.is(JSON_PATCH_CONTENT_TYPE)) {
+    applyPatch = document => applyJsonPatch(document, req.body);
+  } else if (req.is(MERGE_PATCH_CONTENT_TYPE)) {
+    applyPatch = document => applyMergePatch(document, req.body);
+  } else {
+    res.setHeader('Accept-Patch', `${JSON_PATCH_CONTENT_TYPE}, ${MERGE_PATCH_CONTENT_TYPE}`);
+    return res.status(415).json({
+      error: `Content-Type must be ${JSON_PATCH_CONTENT_TYPE} or ${MERGE_PATCH_CONTENT_TYPE}`
+    });
+  }
+
+  try {
+    req.log.info({ fileName, storageBackend, contentType: req.get('Content-Type') }, 'Patching file in storage');
+    const expectedGeneration = await resolveIfGenerationMatch(req, storage, fileName);
+
+    for (let attempt = 1; ; attempt++) {
+      const { data, generation } = await storage.getWithGeneration(fileName);
+      if (expectedGeneration !== undefined && expectedGeneration !== generation) {
+        throw new StoragePreconditionFailedError(`File '${fileName}' was modified (expected generation ${expectedGeneration})`);
+      }
+
+      let document;
+      try {
+        document = JSON.parse(data);
+      } catch {
+        throw new JsonPatchError(`File '${fileName}' does not contain valid JSON and cannot be patched.`, 422);
+      }
+      const patched = applyPatch(document);
+
+      try {
+        const { generation: newGeneration } = await storage.save(fileName, JSON.stringify(patched), { ifGenerationMatch: generation });
+        res.setHeader('ETag', toETag(newGeneration));
+        return res.status(200).json(patched);
+      } catch (error) {
+        if (!(error instanceof StoragePreconditionFailedError) || expectedGeneration !== undefined || attempt >= MAX_PATCH_ATTEMPTS) {
+          throw error;
+        }
+        req.log.warn({ fileName, attempt }, 'File changed during PATCH; re-applying to the latest version.');
+      }
+    }
+  } catch (error) {
+    if (error instanceof StorageFileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+app.get('/api/data', canRead, sharedData, listStoredFiles);
+app.head('/api/data/:fileName', canRead, sharedData, headStoredFile);
+app.get('/api/data/:fileName', canRead, sharedData, getStoredFile);
+app.post('/api/data/:fileName', canWrite, sharedData, parseUpload, saveStoredFile);
+app.patch('/api/data/:fileName', canWrite, sharedData, patchStoredFile);
+app.delete('/api/data/:fileName', canWrite, sharedData, deleteStoredFile);
+
+// `:fileName(*)` also matches paths with slashes, such as bills/2025-07.pdf.
+app.get('/api/customers/:customerId/data', canRead, customerData, listStoredFiles);
+app.head('/api/customers/:customerId/data/:fileName(*)', canRead, customerData, headStoredFile);
+app.get('/api/customers/:customerId/data/:fileName(*)', canRead, customerData, getStoredFile);
+app.post('/api/customers/:customerId/data/:fileName(*)', canWrite, customerData, parseUpload, saveStoredFile);
+app.patch('/api/customers/:customerId/data/:fileName(*)', canWrite, customerData, patchStoredFile);
+app.delete('/api/customers/:customerId/data/:fileName(*)', canWrite, customerData, deleteStoredFile);
+
+// Signed URLs
+// Short-lived V4 signed URLs let a browser upload or download a customer's files (e.g. large
+// bill PDFs) directly from the GCS bucket instead of sending them base64-encoded through the API.
+// URLs only ever cover files in the customer's folder, customers/{customerId}/.
+app.post('/api/customers/:customerId/signed-urls', requireStorage, requireCustomerAccess, async (req, res, next) => {
+  const { customerId } = req.params;
+  const { fileName, action = 'read', contentType } = req.body || {};
+  const maxExpirySeconds = optionalNumber(process.env.SIGNED_URL_EXPIRY_SECONDS) ?? DEFAULT_SIGNED_URL_EXPIRY_SECONDS;
+  const expiresInSeconds = req.body?.expiresInSeconds ?? maxExpirySeconds;
+
+  if (action !== 'read' && action !== 'write') {
+    return res.status(400).json({
+      error: 'action must be "read" or "write"'
+    });
+  }
+  if (action === 'write' && (!contentType || typeof contentType !== 'string')) {
+    return res.status(400).json({
+      error: 'contentType is required for "write" URLs'
+    });
+  }
+  if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 1 || expiresInSeconds > maxExpirySeconds) {
+    return res.status(400).json({
+      error: `expiresInSeconds must be an integer between 1 and ${maxExpirySeconds}`
+    });
+  }
+
+  try {
+    assertScope(req.auth, action === 'write' ? 'data:write' : 'data:read');
+    const name = customerFileName(customerId, fileName);
+    assertNotReserved(name);
+    req.log.info({ fileName: name, action, expiresInSeconds }, 'Issuing signed URL');
+    const signedUrl = await storage.createSignedUrl(name, {
+      action,
+      expiresInSeconds,
+      contentType: action === 'write' ? contentType : undefined
+    });
+    res.json({
+      fileName: name,
+      ...signedUrl
+    });
+  } catch (error) {
     next(error);
   }
 });
 
 // Centralized API error handler
 app.use('/api', (err, req, res, next) => {
-  logger.error(err, `Error in ${req.method} ${req.path}`);
+  req.log.error(err, `Error in ${req.method} ${req.path}`);
   if (err instanceof GeminiApiError) {
+    if (err.retryAfterMs !== undefined && (err.status === 429 || err.status === 503)) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))));
+    }
     return res.status(err.status || 500).json({
       error: err.message,
       details: err.details
     });
   }
+  if (err instanceof RateLimitError) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))));
+    return res.status(429).json({
+      error: err.message
+    });
+  }
+  if (err instanceof JsonPatchError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details
+    });
+  }
+  if (err instanceof DocumentValidationError) {
+    return res.status(400).json({
+      error: err.message,
+      details: err.errors
+    });
+  }
+  if (err instanceof UnauthorizedError) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: err.message
+    });
+  }
+  if (err instanceof ForbiddenError) {
+    return res.status(403).json({
+      error: err.message
+    });
+  }
+  if (err instanceof SessionNotFoundError) {
+    return res.status(404).json({
+      error: err.message
+    });
+  }
+  if (err instanceof SessionConflictError) {
+    return res.status(409).json({
+      error: err.message
+    });
+  }
+  if (err instanceof StoragePreconditionFailedError) {
+    return res.status(412).json({
+      error: err.message
+    });
+  }
+  if (err instanceof InvalidFileNameError || err instanceof InvalidPreconditionError || err instanceof InvalidUploadError) {
+    return res.status(400).json({
+      error: err.message
+    });
+  }
+  if (err instanceof UnsupportedStorageOperationError) {
+    return res.status(501).json({
+      error: err.message
+    });
+  }
+  if (err instanceof PdfParseError) {
+    return res.status(422).json({
+      error: err.message
+    });
+  }
+  // Body parser errors, such as 413 for an upload over MAX_UPLOAD_SIZE.
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.message
+    });
+  }
   res.status(500).json({
     error: 'An unexpected error occurred.'
   });
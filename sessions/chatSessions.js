@@ -0,0 +1,220 @@
+/**
+ * @file chatSessions.js
+ * @description Server-side chat sessions: the server keeps the history, so clients send only their next message.
+ *
+ * Each turn sends the session's history to the model and appends the user's
+ * message and the model's reply to the transcript. When the tokens of a turn
+ * (its prompt plus the reply, as reported in `usageMetadata`) exceed the
+ * session's token budget, the oldest turns are taken out of the history sent to
+ * the model until it is estimated at half the budget. With the 'summarize'
+ * strategy the model summarizes those turns, and the summary is sent in their
+ * place; with 'truncate' they are simply dropped. Either way they stay in the
+ * transcript.
+ *
+ * Exports:
+ * - HISTORY_STRATEGIES: The ways history is shortened when it exceeds the budget
+ * - ChatSessionService: Creates sessions and runs their turns
+ */
+
+import { customerDocumentName } from '../storage/customerPaths.js';
+import { SessionNotFoundError } from './sessionStore.js';
+
+export const HISTORY_STRATEGIES = ['summarize', 'truncate'];
+const DEFAULT_TOKEN_BUDGET = 32000;
+
+const SUMMARY_PROMPT = 'Summarize the conversation below in a few sentences for your own later reference. '
+  + 'Keep every fact, figure, name and decision the user may ask about again. Reply with the summary only.';
+
+/**
+ * Renders messages as text for the summary prompt.
+ */
+function formatTranscript(messages) {
+  return messages.map(({ role, text }) => `${role === 'user' ? 'User' : 'Assistant'}: ${text}`).join('\n\n');
+}
+
+export class ChatSessionService {
+  #store;
+  #geminiClient;
+  #tokenBudget;
+  #historyStrategy;
+  #logger;
+  #now;
+
+  /**
+   * @param {object} options - Service options.
+   * @param {import('./sessionStore.js').SessionStore} options.store - Where sessions are kept.
+   * @param {import('../gemini/geminiApi.js').GeminiApiClient} options.geminiClient - Runs the turns.
+   * @param {number} [options.tokenBudget=32000] - The tokens a turn may use before the history is shortened.
+   * @param {'summarize'|'truncate'} [options.historyStrategy='summarize'] - How the history is shortened.
+   * @param {import('pino').Logger} [options.logger] - Reports failed summaries.
+   * @param {() => number} [options.now=Date.now] - The clock for message timestamps, replaceable in tests.
+   */
+  constructor({ store, geminiClient, tokenBudget = DEFAULT_TOKEN_BUDGET, historyStrategy = 'summarize', logger, now = Date.now }) {
+    if (!(tokenBudget > 0)) {
+      throw new Error('tokenBudget must be positive.');
+    }
+    if (!HISTORY_STRATEGIES.includes(historyStrategy)) {
+      throw new Error(`historyStrategy must be one of: ${HISTORY_STRATEGIES.join(', ')}.`);
+    }
+    this.#store = store;
+    this.#geminiClient = geminiClient;
+    this.#tokenBudget = tokenBudget;
+    this.#historyStrategy = historyStrategy;
+    this.#logger = logger;
+    this.#now = now;
+  }
+
+  /**
+   * @param {object} options - The new session's settings.
+   * @param {string|null} options.ownerId - The principal creating it; only it can use the session.
+   * @param {string} [options.customerId] - The customer whose document the tools read and update.
+   * @param {boolean} [options.useTools=false] - Whether turns may call the registered tools.
+   * @returns {Promise<import('./sessionStore.js').Session>} The new session.
+   * @throws {import('../storage/storageBackend.js').InvalidFileNameError} If `customerId` is not a valid customer ID.
+   */
+  async create({ ownerId, customerId, useTools = false }) {
+    if (customerId !== undefined) {
+      // Rejected now rather than on every turn.
+      customerDocumentName(customerId);
+    }
+    const { session } = await this.#store.create({ ownerId, customerId, useTools });
+    return session;
+  }
+
+  /**
+   * Reads a session on behalf of its owner. Other callers are told it does not
+   * exist, so session IDs cannot be probed.
+   */
+  async #read(id, ownerId) {
+    const stored = await this.#store.get(id);
+    if (stored.session.ownerId !== ownerId) {
+      throw new SessionNotFoundError(`Session '${id}' does not exist or has expired.`);
+    }
+    return stored;
+  }
+
+  /**
+   * @param {string} id - The session ID.
+   * @param {string|null} ownerId - The caller.
+   * @returns {Promise<import('./sessionStore.js').Session>} The session with its full transcript.
+   * @throws {SessionNotFoundError} If the session does not exist, has expired or belongs to another caller.
+   */
+  async get(id, ownerId) {
+    return (await this.#read(id, ownerId)).session;
+  }
+
+  /**
+   * @returns {Array<object>} The Gemini `contents` for the session's current history.
+   */
+  #history(session) {
+    const history = session.summary
+      ? [
+          { role: 'user', parts: [{ text: `Summary of our conversation so far:\n${session.summary}` }] },
+          { role: 'model', parts: [{ text: 'Understood. I will keep it in mind.' }] }
+        ]
+      : [];
+    for (const { role, text } of session.messages.slice(session.contextStart)) {
+      history.push({ role, parts: [{ text }] });
+    }
+    return history;
+  }
+
+  /**
+   * Takes the oldest turns out of the history until it is estimated at half the
+   * budget, always keeping the latest turn. Tokens are estimated per message from
+   * the characters-per-token ratio of the turn that exceeded the budget.
+   */
+  async #compact(session, usedTokens, options) {
+    const context = session.messages.slice(session.contextStart);
+    const length = message => message.text.length;
+    const totalChars = context.reduce((sum, message) => sum + length(message), session.summary?.length || 0);
+    const tokensPerChar = totalChars > 0 ? usedTokens / totalChars : 0;
+
+    let estimate = usedTokens;
+    let dropped = 0;
+    // Whole turns only, so the history still starts with a user message.
+    while (estimate > this.#tokenBudget / 2 && dropped + 2 < context.length) {
+      estimate -= (length(context[dropped]) + length(context[dropped + 1])) * tokensPerChar;
+      dropped += 2;
+    }
+    if (dropped === 0) {
+      return false;
+    }
+
+    const droppedMessages = context.slice(0, dropped);
+    if (this.#historyStrategy === 'summarize') {
+      const earlier = session.summary ? `Summary of the earlier conversation:\n${session.summary}\n\n` : '';
+      try {
+        const response = await this.#geminiClient.sendMessage(`${SUMMARY_PROMPT}\n\n${earlier}${formatTranscript(droppedMessages)}`, [], undefined, undefined, {
+          signal: options.signal,
+          onUsage: options.onUsage
+        });
+        session.summary = response.text;
+      } catch (error) {
+        // The turns are dropped regardless, so the next turn fits the budget.
+        this.#logger?.warn({ err: error, sessionId: session.id }, 'Failed to summarize session history; truncating it instead.');
+      }
+    }
+    session.contextStart += dropped;
+    return true;
+  }
+
+  /**
+   * Sends the user's next message with the session's history, and stores both it and the reply.
+   *
+   * @param {string} id - The session ID.
+   * @param {string|null} ownerId - The caller.
+   * @param {string} userInput - The user's message.
+   * @param {object} [options] - Request options.
+   * @param {object} [options.generationConfig] - Generation settings, as for the client's `sendMessage`.
+   * @param {Array<object>} [options.safetySettings] - Safety settings, as for the client's `sendMessage`.
+   * @param {AbortSignal} [options.signal] - Cancels the turn; nothing is stored.
+   * @param {(usageMetadata: object) => void} [options.onUsage] - Called with the usage of every model call.
+   * @returns {Promise<{session: import('./sessionStore.js').Session, text: string, toolCalls?: Array<object>, compacted: boolean, servedBy: object|null}>}
+   * The updated session, the reply, the tool calls made (for sessions with tools), whether the history was
+   * shortened and the model that answered (see GeminiResponse).
+   * @throws {SessionNotFoundError} If the session does not exist, has expired or belongs to another caller.
+   * @throws {import('./sessionStore.js').SessionConflictError} If another turn was stored while this one ran.
+   */
+  async sendMessage(id, ownerId, userInput, options = {}) {
+    const { session, generation } = await this.#read(id, ownerId);
+    const { generationConfig, safetySettings, signal, onUsage } = options;
+    const history = this.#history(session);
+
+    let reply;
+    if (session.useTools) {
+      const { text, toolCalls, response } = await this.#geminiClient.runWithTools(userInput, history, {
+        context: {
+          fileName: session.customerId !== undefined ? customerDocumentName(session.customerId) : undefined
+        },
+        generationConfig,
+        safetySettings,
+        signal,
+        onUsage
+      });
+      reply = { text, toolCalls, usageMetadata: response.usageMetadata, servedBy: response.servedBy };
+    } else {
+      const response = await this.#geminiClient.sendMessage(userInput, history, undefined, undefined, {
+        generationConfig,
+        safetySettings,
+        signal,
+        onUsage
+      });
+      reply = { text: response.text, usageMetadata: response.usageMetadata, servedBy: response.servedBy };
+    }
+
+    const createdAt = new Date(this.#now()).toISOString();
+    session.messages.push({ role: 'user', text: userInput, createdAt }, { role: 'model', text: reply.text, createdAt });
+    const usedTokens = reply.usageMetadata?.totalTokenCount || 0;
+    const compacted = usedTokens > this.#tokenBudget && await this.#compact(session, usedTokens, { signal, onUsage });
+    await this.#store.save(session, generation);
+
+    return {
+      session,
+      text: reply.text,
+      ...(reply.toolCalls ? { toolCalls: reply.toolCalls } : {}),
+      compacted,
+      servedBy: reply.servedBy ?? null
+    };
+  }
+}
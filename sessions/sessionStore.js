@@ -0,0 +1,164 @@
+/**
+ * @file sessionStore.js
+ * @description Persists chat sessions as JSON documents in storage, with expiry.
+ *
+ * Each session is the file `sessions/{id}.json`. Every write moves its expiry
+ * `ttlMs` into the future; expired sessions are treated as missing and deleted
+ * when next read. Writes are conditional on the generation the session was read
+ * at, so two turns sent to the same session at once cannot overwrite each other.
+ *
+ * Exports:
+ * - SESSION_PREFIX: The folder holding the sessions
+ * - SessionNotFoundError: Thrown for unknown and expired sessions (status 404)
+ * - SessionConflictError: Thrown when a session changed since it was read (status 409)
+ * - SessionStore: Creates, reads and saves sessions
+ */
+
+import { randomUUID } from 'crypto';
+import { StorageFileNotFoundError, StoragePreconditionFailedError } from '../storage/storageBackend.js';
+
+export const SESSION_PREFIX = 'sessions/';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * @typedef {object} SessionMessage
+ * @property {'user'|'model'} role - Who wrote the message.
+ * @property {string} text - The message.
+ * @property {string} createdAt - When it was written, as an ISO 8601 timestamp.
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {string} id - The session ID, a UUID.
+ * @property {string|null} ownerId - The principal that created the session; only it may use it.
+ * @property {string} [customerId] - The customer whose document the tools use.
+ * @property {boolean} useTools - Whether turns run the function-calling loop.
+ * @property {Array<SessionMessage>} messages - The full transcript.
+ * @property {number} contextStart - The index of the first message still sent to the model;
+ * earlier messages are only represented by `summary`, if any.
+ * @property {string|null} summary - A summary of the messages before `contextStart`.
+ * @property {string} createdAt - When the session was created.
+ * @property {string} updatedAt - When the session was last written.
+ * @property {string} expiresAt - When the session expires unless it is written again.
+ */
+
+/**
+ * Custom error for sessions that do not exist, have expired or belong to another caller.
+ */
+export class SessionNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionNotFoundError';
+  }
+}
+
+/**
+ * Custom error for a session that was changed by another request since it was read.
+ */
+export class SessionConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionConflictError';
+  }
+}
+
+export class SessionStore {
+  #storage;
+  #ttlMs;
+  #now;
+
+  /**
+   * @param {object} options - Store options.
+   * @param {import('../storage/storageBackend.js').StorageBackend} options.storage - Where sessions are kept.
+   * @param {number} [options.ttlMs=86400000] - How long a session lives after its last write.
+   * @param {() => number} [options.now=Date.now] - The clock, replaceable in tests.
+   */
+  constructor({ storage, ttlMs = DEFAULT_TTL_MS, now = Date.now }) {
+    this.#storage = storage;
+    this.#ttlMs = ttlMs;
+    this.#now = now;
+  }
+
+  #fileName(id) {
+    return `${SESSION_PREFIX}${id}.json`;
+  }
+
+  /**
+   * Stamps the session's update time and expiry and writes it, if it is still at `generation`.
+   * @returns {Promise<string>} The new generation.
+   */
+  async #write(session, generation) {
+    const now = this.#now();
+    session.updatedAt = new Date(now).toISOString();
+    session.expiresAt = new Date(now + this.#ttlMs).toISOString();
+    try {
+      const saved = await this.#storage.save(this.#fileName(session.id), JSON.stringify(session), { ifGenerationMatch: generation });
+      return saved.generation;
+    } catch (error) {
+      if (error instanceof StoragePreconditionFailedError) {
+        throw new SessionConflictError(`Session '${session.id}' was changed by another request; send the message again.`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {object} options - The new session's settings.
+   * @param {string|null} options.ownerId - The principal creating it.
+   * @param {string} [options.customerId] - The customer whose document the tools use.
+   * @param {boolean} [options.useTools=false] - Whether turns run the function-calling loop.
+   * @returns {Promise<{session: Session, generation: string}>} The new, empty session.
+   */
+  async create({ ownerId, customerId, useTools = false }) {
+    const now = new Date(this.#now()).toISOString();
+    const session = {
+      id: randomUUID(),
+      ownerId,
+      ...(customerId !== undefined ? { customerId } : {}),
+      useTools,
+      messages: [],
+      contextStart: 0,
+      summary: null,
+      createdAt: now
+    };
+    const generation = await this.#write(session, '0');
+    return { session, generation };
+  }
+
+  /**
+   * @param {string} id - The session ID.
+   * @returns {Promise<{session: Session, generation: string}>} The session and the generation it was read at.
+   * @throws {SessionNotFoundError} If the session does not exist or has expired.
+   */
+  async get(id) {
+    const notFound = () => new SessionNotFoundError(`Session '${id}' does not exist or has expired.`);
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+      throw notFound();
+    }
+    let stored;
+    try {
+      stored = await this.#storage.getWithGeneration(this.#fileName(id));
+    } catch (error) {
+      throw error instanceof StorageFileNotFoundError ? notFound() : error;
+    }
+    const session = JSON.parse(stored.data);
+    if (Date.parse(session.expiresAt) <= this.#now()) {
+      await this.#storage.delete(this.#fileName(id)).catch(() => {});
+      throw notFound();
+    }
+    return { session, generation: stored.generation };
+  }
+
+  /**
+   * Writes a changed session and extends its expiry.
+   *
+   * @param {Session} session - The session, as changed by the caller.
+   * @param {string} generation - The generation it was read at.
+   * @returns {Promise<string>} The new generation.
+   * @throws {SessionConflictError} If the session was written by someone else since.
+   */
+  async save(session, generation) {
+    return this.#write(session, generation);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * @file createStorage.js
+ * @description Selects and creates the storage backend, by default from the environment:
+ * - STORAGE_BACKEND: 'gcs' (default), 'fs' or 'memory'
+ * - GCS_BUCKET_NAME: The bucket used by the 'gcs' backend
+ * - STORAGE_DIR: The directory used by the 'fs' backend (default './data')
+ */
+
+import { FileSystemStorage } from './fsStorage.js';
+import { GcsStorage } from './gcsStorage.js';
+import { MemoryStorage } from './memoryStorage.js';
+
+export const STORAGE_BACKENDS = ['gcs', 'fs', 'memory'];
+
+const DEFAULT_STORAGE_DIR = './data';
+
+/**
+ * Creates a storage backend.
+ *
+ * @param {object} [options] - Backend selection; each option falls back to its environment variable.
+ * @param {string} [options.backend] - 'gcs', 'fs' or 'memory'.
+ * @param {string} [options.bucketName] - The bucket for the 'gcs' backend.
+ * @param {string} [options.directory] - The directory for the 'fs' backend.
+ * @returns {import('./storageBackend.js').StorageBackend}
+ * @throws {Error} If the backend is unknown or its required setting is missing.
+ */
+export function createStorage({
+  backend = process.env.STORAGE_BACKEND || 'gcs',
+  bucketName = process.env.GCS_BUCKET_NAME,
+  directory = process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR
+} = {}) {
+  switch (backend) {
+    case 'gcs':
+      if (!bucketName) {
+        throw new Error('GCS_BUCKET_NAME environment variable is not configured');
+      }
+      return new GcsStorage({ bucketName });
+    case 'fs':
+      return new FileSystemStorage({ directory });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
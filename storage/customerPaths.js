@@ -0,0 +1,48 @@
+/**
+ * @file customerPaths.js
+ * @description Where each customer's files live in storage.
+ *
+ * Every customer has a folder, `customers/{customerId}/`, holding their customer
+ * document (`customer-data.json`) and their uploads, such as bill PDFs and statement images.
+ */
+
+import { InvalidFileNameError, assertValidFileName } from './storageBackend.js';
+
+export const CUSTOMERS_FOLDER = 'customers';
+export const CUSTOMER_DOCUMENT_NAME = 'customer-data.json';
+
+// Customer IDs become a single path segment, so only plain identifier characters are allowed.
+const CUSTOMER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * @param {string} customerId - The customer's ID, e.g. 'user-12345'.
+ * @returns {string} The prefix of every file in the customer's folder, e.g. 'customers/user-12345/'.
+ * @throws {InvalidFileNameError} If the ID cannot be used as a folder name.
+ */
+export function customerPrefix(customerId) {
+  if (typeof customerId !== 'string' || !CUSTOMER_ID_PATTERN.test(customerId)) {
+    throw new InvalidFileNameError(`Invalid customer ID '${customerId}'`);
+  }
+  return `${CUSTOMERS_FOLDER}/${customerId}/`;
+}
+
+/**
+ * @param {string} customerId - The customer's ID.
+ * @param {string} fileName - A file name relative to the customer's folder, e.g. 'bills/2025-07.pdf'.
+ * @returns {string} The file's name in storage, e.g. 'customers/user-12345/bills/2025-07.pdf'.
+ * @throws {InvalidFileNameError} If either part is invalid or the name would leave the folder.
+ */
+export function customerFileName(customerId, fileName) {
+  const prefix = customerPrefix(customerId);
+  assertValidFileName(fileName);
+  return prefix + fileName;
+}
+
+/**
+ * @param {string} customerId - The customer's ID.
+ * @returns {string} The name of the customer's document, e.g. 'customers/user-12345/customer-data.json'.
+ * @throws {InvalidFileNameError} If the ID cannot be used as a folder name.
+ */
+export function customerDocumentName(customerId) {
+  return customerFileName(customerId, CUSTOMER_DOCUMENT_NAME);
+}
@@ -0,0 +1,247 @@
+/**
+ * @file fsStorage.js
+ * @description A storage backend that keeps files in a local directory.
+ * File names map to paths below the directory, so `customers/123.json` is
+ * stored at `<directory>/customers/123.json`.
+ *
+ * Files on disk carry no MIME type, so a file's content type is derived from
+ * its extension and the `contentType` option of save() is not kept.
+ *
+ * Every save writes a new file and renames it into place, so a file's inode
+ * together with its modification time identifies the write; that pair is used
+ * as the generation. Conditional saves within this process are serialized per file.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import {
+  InvalidFileNameError,
+  StorageFileNotFoundError,
+  StoragePreconditionFailedError,
+  assertValidData,
+  assertValidFileName,
+  paginateFiles
+} from './storageBackend.js';
+
+// Files on disk carry no MIME type, so it is derived from the extension.
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic'
+};
+
+// Temporary files written during a save; they are hidden from listings.
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * @implements {import('./storageBackend.js').StorageBackend}
+ */
+export class FileSystemStorage {
+  type = 'fs';
+  #directory;
+  // Pending writes per file name, so a precondition check and its write are not interleaved.
+  #locks = new Map();
+
+  /**
+   * @param {object} options - Backend options.
+   * @param {string} options.directory - The root directory; it is created on first write.
+   */
+  constructor({ directory }) {
+    if (!directory) {
+      throw new Error('directory is required for file system storage');
+    }
+    this.#directory = path.resolve(directory);
+  }
+
+  /**
+   * Resolves a file name to a path, refusing names that would leave the root directory.
+   */
+  #resolve(name) {
+    assertValidFileName(name);
+    const filePath = path.resolve(this.#directory, name);
+    if (!filePath.startsWith(this.#directory + path.sep)) {
+      throw new InvalidFileNameError(`Invalid file name '${name}'`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Runs `task` after every earlier locked task for the same file has finished.
+   */
+  async #withLock(name, task) {
+    const previous = this.#locks.get(name) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+    this.#locks.set(name, settled);
+    try {
+      return await current;
+    } finally {
+      if (this.#locks.get(name) === settled) {
+        this.#locks.delete(name);
+      }
+    }
+  }
+
+  async #stat(name) {
+    try {
+      const stats = await fs.stat(this.#resolve(name), { bigint: true });
+      if (stats.isFile()) {
+        return stats;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+    throw new StorageFileNotFoundError(`File '${name}' not found in directory '${this.#directory}'`);
+  }
+
+  #toMetadata(name, stats) {
+    return {
+      name,
+      size: Number(stats.size),
+      contentType: CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+      updated: stats.mtime.toISOString(),
+      generation: toGeneration(stats)
+    };
+  }
+
+  async get(name) {
+    return (await this.getWithGeneration(name)).data;
+  }
+
+  /**
+   * Opens a file for reading. Reading through the returned handle guarantees that the
+   * contents and the stats (and so the generation) come from the same file, even if
+   * it is replaced in the meantime.
+   */
+  async #open(name) {
+    const filePath = this.#resolve(name);
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR') {
+        throw new StorageFileNotFoundError(`File '${name}' not found in directory '${this.#directory}'`);
+      }
+      throw error;
+    }
+    try {
+      const stats = await handle.stat({ bigint: true });
+      if (!stats.isFile()) {
+        throw new StorageFileNotFoundError(`File '${name}' not found in directory '${this.#directory}'`);
+      }
+      return { handle, stats };
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  async getWithGeneration(name) {
+    const { handle, stats } = await this.#open(name);
+    try {
+      return { data: await handle.readFile('utf8'), generation: toGeneration(stats) };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async save(name, data, { ifGenerationMatch } = {}) {
+    const filePath = this.#resolve(name);
+    assertValidData(data);
+    return this.#withLock(name, async () => {
+      if (ifGenerationMatch !== undefined) {
+        const currentGeneration = await this.#stat(name).then(toGeneration, error => {
+          if (error instanceof StorageFileNotFoundError) {
+            return '0';
+          }
+          throw error;
+        });
+        if (currentGeneration !== String(ifGenerationMatch)) {
+          throw new StoragePreconditionFailedError(`File '${name}' was modified (expected generation ${ifGenerationMatch})`);
+        }
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file and rename it, so readers never see a partial file.
+      const tempPath = `${filePath}.${randomUUID()}${TEMP_SUFFIX}`;
+      try {
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+      return { generation: toGeneration(await fs.stat(filePath, { bigint: true })) };
+    });
+  }
+
+  async list(prefix = '', options = {}) {
+    const files = [];
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile() && !entry.name.endsWith(TEMP_SUFFIX)) {
+          const name = path.relative(this.#directory, entryPath).split(path.sep).join('/');
+          if (name.startsWith(prefix)) {
+            files.push(this.#toMetadata(name, await fs.stat(entryPath, { bigint: true })));
+          }
+        }
+      }
+    };
+    await walk(this.#directory);
+    return paginateFiles(files.sort((a, b) => (a.name < b.name ? -1 : 1)), options);
+  }
+
+  async delete(name) {
+    await this.#withLock(name, async () => {
+      await this.#stat(name);
+      await fs.rm(this.#resolve(name));
+    });
+  }
+
+  async exists(name) {
+    try {
+      await this.#stat(name);
+      return true;
+    } catch (error) {
+      if (error instanceof StorageFileNotFoundError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async metadata(name) {
+    return this.#toMetadata(name, await this.#stat(name));
+  }
+
+  async createReadStream(name, { start = 0, end } = {}) {
+    const { handle, stats } = await this.#open(name);
+    // The stream closes the handle when it ends or is destroyed.
+    return { stream: handle.createReadStream({ start, end }), metadata: this.#toMetadata(name, stats) };
+  }
+}
+
+function toGeneration(stats) {
+  return `${stats.ino}-${stats.mtimeNs}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * @file gcsStorage.js
+ * @description A storage backend for a Google Cloud Storage bucket, built on the functions in gcs-utils.
+ */
+
+import {
+  createFileReadStream,
+  deleteFile,
+  fileExists,
+  getFile,
+  getFileMetadata,
+  getFileWithGeneration,
+  getSignedUrl,
+  listFiles,
+  saveFileWithGeneration
+} from '../gcs/gcs-utils.js';
+import { assertValidFileName } from './storageBackend.js';
+
+/**
+ * @implements {import('./storageBackend.js').StorageBackend}
+ */
+export class GcsStorage {
+  type = 'gcs';
+  #bucketName;
+
+  /**
+   * @param {object} options - Backend options.
+   * @param {string} options.bucketName - The GCS bucket to use.
+   */
+  constructor({ bucketName }) {
+    if (!bucketName) {
+      throw new Error('bucketName is required for GCS storage');
+    }
+    this.#bucketName = bucketName;
+  }
+
+  /**
+   * @returns {string} The bucket this backend reads and writes.
+   */
+  get bucketName() {
+    return this.#bucketName;
+  }
+
+  async get(name) {
+    assertValidFileName(name);
+    return getFile(this.#bucketName, name);
+  }
+
+  async getWithGeneration(name) {
+    assertValidFileName(name);
+    return getFileWithGeneration(this.#bucketName, name);
+  }
+
+  async save(name, data, options = {}) {
+    assertValidFileName(name);
+    return saveFileWithGeneration(this.#bucketName, name, data, options);
+  }
+
+  async list(prefix = '', options = {}) {
+    return listFiles(this.#bucketName, prefix, options);
+  }
+
+  async delete(name) {
+    assertValidFileName(name);
+    return deleteFile(this.#bucketName, name);
+  }
+
+  async exists(name) {
+    assertValidFileName(name);
+    return fileExists(this.#bucketName, name);
+  }
+
+  async metadata(name) {
+    assertValidFileName(name);
+    return getFileMetadata(this.#bucketName, name);
+  }
+
+  async createReadStream(name, range = {}) {
+    assertValidFileName(name);
+    return createFileReadStream(this.#bucketName, name, range);
+  }
+
+  /**
+   * @param {string} name - The file to grant access to.
+   * @param {import('./storageBackend.js').SignedUrlOptions} options - What the URL allows, and for how long.
+   * @returns {Promise<import('./storageBackend.js').SignedUrl>}
+   */
+  async createSignedUrl(name, { action, expiresInSeconds, contentType }) {
+    assertValidFileName(name);
+    const signed = await getSignedUrl(this.#bucketName, name, {
+      action: action === 'write' ? 'resumable' : action,
+      expiresInSeconds,
+      contentType
+    });
+    return { ...signed, fileUri: `gs://${this.#bucketName}/${name}` };
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * @file loggingStorage.js
+ * @description A storage wrapper that logs every operation with its latency.
+ *
+ * Operations are logged at `debug` level, with the request ID when they run as
+ * part of an HTTP request (see logging/requestContext.js). Failed operations are
+ * logged with the error's name; a missing file is an outcome, not a failure, so it
+ * is logged at `debug` as well and everything else at `warn`.
+ */
+
+import { requestLogger } from '../logging/requestContext.js';
+import { StorageFileNotFoundError, UnsupportedStorageOperationError } from './storageBackend.js';
+
+/**
+ * @implements {import('./storageBackend.js').StorageBackend}
+ */
+export class LoggingStorage {
+  #storage;
+  #logger;
+
+  /**
+   * @param {import('./storageBackend.js').StorageBackend} storage - The backend to wrap.
+   * @param {import('pino').Logger} logger - The logger operations are written to.
+   */
+  constructor(storage, logger) {
+    this.#storage = storage;
+    this.#logger = logger;
+  }
+
+  get type() {
+    return this.#storage.type;
+  }
+
+  async #run(operation, name, call) {
+    const log = requestLogger(this.#logger);
+    const start = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+    try {
+      const result = await call();
+      log.debug({ operation, name, durationMs: elapsed() }, 'Storage operation completed.');
+      return result;
+    } catch (error) {
+      const level = error instanceof StorageFileNotFoundError ? 'debug' : 'warn';
+      log[level]({ operation, name, durationMs: elapsed(), error: error.name }, 'Storage operation failed.');
+      throw error;
+    }
+  }
+
+  async get(name) {
+    return this.#run('get', name, () => this.#storage.get(name));
+  }
+
+  async getWithGeneration(name) {
+    return this.#run('getWithGeneration', name, () => this.#storage.getWithGeneration(name));
+  }
+
+  async save(name, data, options) {
+    return this.#run('save', name, () => this.#storage.save(name, data, options));
+  }
+
+  async list(prefix, options) {
+    return this.#run('list', prefix, () => this.#storage.list(prefix, options));
+  }
+
+  async delete(name) {
+    return this.#run('delete', name, () => this.#storage.delete(name));
+  }
+
+  async exists(name) {
+    return this.#run('exists', name, () => this.#storage.exists(name));
+  }
+
+  async metadata(name) {
+    return this.#run('metadata', name, () => this.#storage.metadata(name));
+  }
+
+  /**
+   * Logs the time to open the stream; reading it is up to the caller.
+   */
+  async createReadStream(name, range) {
+    return this.#run('createReadStream', name, () => this.#storage.createReadStream(name, range));
+  }
+
+  async createSignedUrl(name, options) {
+    if (typeof this.#storage.createSignedUrl !== 'function') {
+      throw new UnsupportedStorageOperationError(`The '${this.type}' storage backend cannot issue signed URLs.`);
+    }
+    return this.#run('createSignedUrl', name, () => this.#storage.createSignedUrl(name, options));
+  }
+}
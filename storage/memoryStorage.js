@@ -0,0 +1,110 @@
+/**
+ * @file memoryStorage.js
+ * @description A storage backend that keeps files in process memory.
+ * Contents are lost on restart, which makes it suitable for tests and local experiments.
+ */
+
+import { Readable } from 'stream';
+import {
+  DEFAULT_CONTENT_TYPE,
+  StorageFileNotFoundError,
+  StoragePreconditionFailedError,
+  assertValidData,
+  assertValidFileName,
+  paginateFiles
+} from './storageBackend.js';
+
+/**
+ * @implements {import('./storageBackend.js').StorageBackend}
+ */
+export class MemoryStorage {
+  type = 'memory';
+  #files = new Map();
+  // Generations are unique across all files, like GCS object generations.
+  #nextGeneration = 1;
+
+  /**
+   * @param {object} [options] - Backend options.
+   * @param {Object<string, string>} [options.files] - Initial files, keyed by name.
+   */
+  constructor({ files = {} } = {}) {
+    for (const [name, data] of Object.entries(files)) {
+      assertValidFileName(name);
+      this.#store(name, data, DEFAULT_CONTENT_TYPE);
+    }
+  }
+
+  #store(name, data, contentType) {
+    const generation = String(this.#nextGeneration++);
+    this.#files.set(name, {
+      // Copy Buffers, so later changes by the caller do not alter the stored file.
+      data: Buffer.from(data),
+      contentType,
+      updated: new Date().toISOString(),
+      generation
+    });
+    return { generation };
+  }
+
+  #require(name) {
+    assertValidFileName(name);
+    const file = this.#files.get(name);
+    if (!file) {
+      throw new StorageFileNotFoundError(`File '${name}' not found in memory storage`);
+    }
+    return file;
+  }
+
+  #toMetadata(name, file) {
+    return { name, size: file.data.length, contentType: file.contentType, updated: file.updated, generation: file.generation };
+  }
+
+  async get(name) {
+    return this.#require(name).data.toString('utf8');
+  }
+
+  async getWithGeneration(name) {
+    const file = this.#require(name);
+    return { data: file.data.toString('utf8'), generation: file.generation };
+  }
+
+  async save(name, data, { contentType = DEFAULT_CONTENT_TYPE, ifGenerationMatch } = {}) {
+    assertValidFileName(name);
+    assertValidData(data);
+    if (ifGenerationMatch !== undefined) {
+      const currentGeneration = this.#files.get(name)?.generation ?? '0';
+      if (currentGeneration !== String(ifGenerationMatch)) {
+        throw new StoragePreconditionFailedError(`File '${name}' was modified (expected generation ${ifGenerationMatch})`);
+      }
+    }
+    return this.#store(name, data, contentType);
+  }
+
+  async list(prefix = '', options = {}) {
+    const files = [...this.#files.entries()]
+      .filter(([name]) => name.startsWith(prefix))
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([name, file]) => this.#toMetadata(name, file));
+    return paginateFiles(files, options);
+  }
+
+  async delete(name) {
+    this.#require(name);
+    this.#files.delete(name);
+  }
+
+  async exists(name) {
+    assertValidFileName(name);
+    return this.#files.has(name);
+  }
+
+  async metadata(name) {
+    return this.#toMetadata(name, this.#require(name));
+  }
+
+  async createReadStream(name, { start = 0, end } = {}) {
+    const file = this.#require(name);
+    const bytes = file.data.subarray(start, end === undefined ? undefined : end + 1);
+    return { stream: Readable.from([bytes], { objectMode: false }), metadata: this.#toMetadata(name, file) };
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * @file storageBackend.js
+ * @description The storage interface shared by the GCS, local-directory and in-memory backends.
+ *
+ * Every backend implements:
+ * - get(name): Returns the file contents as a string
+ * - getWithGeneration(name): Returns the contents together with the file's generation
+ * - save(name, data, options): Creates or overwrites a file from a string or Buffer,
+ *   optionally only if its generation still matches `options.ifGenerationMatch`
+ * - list(prefix, options): Returns one page of metadata for the files whose names start
+ *   with `prefix`, in name order, and a `nextPageToken` for the next page
+ * - delete(name): Removes a file
+ * - exists(name): Returns whether a file exists
+ * - metadata(name): Returns a file's metadata
+ * - createReadStream(name, range): Streams a file's bytes, or the inclusive byte range
+ *   `{ start, end }` of them, together with the metadata of the version being streamed
+ *
+ * Backends may also implement createSignedUrl(name, options), which grants direct,
+ * time-limited access to a file without going through this service. Only the GCS
+ * backend does; callers report the others with UnsupportedStorageOperationError.
+ *
+ * A generation is an opaque string that changes on every write, like the
+ * generation of a GCS object. Passing the generation a file was read at as
+ * `ifGenerationMatch` makes a read-modify-write safe against concurrent writers;
+ * '0' means the file must not exist yet.
+ *
+ * Missing files are reported with StorageFileNotFoundError and failed
+ * preconditions with StoragePreconditionFailedError, so callers can handle them
+ * the same way whichever backend is configured.
+ */
+
+/**
+ * @typedef {object} FileMetadata
+ * @property {string} name - The file name, relative to the backend's root.
+ * @property {number} size - The size in bytes.
+ * @property {string} contentType - The MIME type.
+ * @property {string} updated - When the file was last written, as an ISO 8601 timestamp.
+ * @property {string} generation - Changes every time the file is written.
+ */
+
+/**
+ * @typedef {object} ListOptions
+ * @property {string} [pageToken] - The `nextPageToken` of the previous page.
+ * @property {number} [maxResults] - The page size, DEFAULT_PAGE_SIZE if omitted.
+ */
+
+/**
+ * @typedef {object} FileList
+ * @property {Array<FileMetadata>} files - The files on this page.
+ * @property {string} [nextPageToken] - Pass as `pageToken` to get the next page; absent on the last page.
+ */
+
+/**
+ * @typedef {object} StorageBackend
+ * @property {string} type - The backend name: 'gcs', 'fs' or 'memory'.
+ * @property {(name: string) => Promise<string>} get
+ * @property {(name: string) => Promise<{data: string, generation: string}>} getWithGeneration
+ * @property {(name: string, data: string|Buffer, options?: {contentType?: string, ifGenerationMatch?: string}) => Promise<{generation: string}>} save
+ * @property {(prefix?: string, options?: ListOptions) => Promise<FileList>} list
+ * @property {(name: string) => Promise<void>} delete
+ * @property {(name: string) => Promise<boolean>} exists
+ * @property {(name: string) => Promise<FileMetadata>} metadata
+ * @property {(name: string, range?: ByteRange) => Promise<{stream: import('stream').Readable, metadata: FileMetadata}>} createReadStream
+ * @property {(name: string, options: SignedUrlOptions) => Promise<SignedUrl>} [createSignedUrl]
+ */
+
+/**
+ * @typedef {object} SignedUrlOptions
+ * @property {'read'|'write'} action - Download the file, or upload it (as a resumable upload).
+ * @property {number} expiresInSeconds - How long the URL stays valid.
+ * @property {string} [contentType] - For uploads, the content type the client must send.
+ */
+
+/**
+ * @typedef {object} SignedUrl
+ * @property {string} url - The signed URL.
+ * @property {string} method - The HTTP method to use it with.
+ * @property {Object<string, string>} headers - Headers the request must include.
+ * @property {string} expiresAt - When the URL stops working, as an ISO 8601 timestamp.
+ * @property {string} fileUri - The file's gs:// URI, for referencing it in Gemini requests.
+ */
+
+/**
+ * @typedef {object} ByteRange
+ * @property {number} [start] - The first byte to read (default 0).
+ * @property {number} [end] - The last byte to read, inclusive (default the end of the file).
+ */
+
+export const DEFAULT_CONTENT_TYPE = 'application/json';
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Custom error for when a file does not exist in the configured storage backend.
+ */
+export class StorageFileNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageFileNotFoundError';
+  }
+}
+
+/**
+ * Custom error for a write whose `ifGenerationMatch` precondition failed
+ * because the file was changed (or created) by someone else.
+ */
+export class StoragePreconditionFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoragePreconditionFailedError';
+  }
+}
+
+/**
+ * Custom error for file names a backend cannot store, such as paths that
+ * would escape the storage directory.
+ */
+export class InvalidFileNameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFileNameError';
+  }
+}
+
+/**
+ * Custom error for an operation the configured backend cannot perform,
+ * such as signing URLs for files kept in memory.
+ */
+export class UnsupportedStorageOperationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedStorageOperationError';
+  }
+}
+
+/**
+ * Checks that file contents can be stored: text or raw bytes.
+ * @param {any} data - The contents to store.
+ * @throws {Error}
+ */
+export function assertValidData(data) {
+  if (typeof data !== 'string' && !Buffer.isBuffer(data)) {
+    throw new Error('data must be a string or a Buffer');
+  }
+}
+
+// GCS object names are limited to 1024 bytes of UTF-8.
+const MAX_FILE_NAME_BYTES = 1024;
+// Control characters, and the characters GCS and gsutil treat as wildcards or URL fragments.
+const DISALLOWED_CHARACTERS = /[\u0000-\u001f\u007f*?[\]#]/;
+
+/**
+ * Checks that a file name is a non-empty relative path without `.` or `..` segments,
+ * control characters, wildcard characters or `#`, and at most 1024 bytes long.
+ * @param {string} name - The file name.
+ * @throws {InvalidFileNameError}
+ */
+export function assertValidFileName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new InvalidFileNameError('fileName must be a non-empty string');
+  }
+  const segments = name.split('/');
+  if (name.startsWith('/') || name.includes('\\') || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new InvalidFileNameError(`Invalid file name '${name}'`);
+  }
+  if (DISALLOWED_CHARACTERS.test(name)) {
+    throw new InvalidFileNameError(`File name '${name}' contains a disallowed character`);
+  }
+  if (Buffer.byteLength(name, 'utf8') > MAX_FILE_NAME_BYTES) {
+    throw new InvalidFileNameError(`File names may be at most ${MAX_FILE_NAME_BYTES} bytes long`);
+  }
+}
+
+/**
+ * Returns one page of a name-sorted file listing, for backends that list every file at once.
+ * The page token is the last name on the previous page, so pages stay consistent
+ * when files are added or removed between requests.
+ *
+ * @param {Array<FileMetadata>} files - All matching files, sorted by name.
+ * @param {ListOptions} [options] - The page to return.
+ * @returns {FileList}
+ */
+export function paginateFiles(files, { pageToken, maxResults = DEFAULT_PAGE_SIZE } = {}) {
+  const after = pageToken ? Buffer.from(pageToken, 'base64url').toString('utf8') : '';
+  const remaining = after ? files.filter(file => file.name > after) : files;
+  const page = remaining.slice(0, maxResults);
+  return remaining.length > maxResults
+    ? { files: page, nextPageToken: Buffer.from(page[page.length - 1].name, 'utf8').toString('base64url') }
+    : { files: page };
+}
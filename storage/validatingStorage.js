@@ -0,0 +1,156 @@
+/**
+ * @file validatingStorage.js
+ * @description A storage wrapper that migrates and validates structured documents.
+ *
+ * Files whose names match a registered document type are upgraded to the
+ * type's current schema version when read, and upgraded then validated when
+ * written. Writes that fail validation are rejected with a
+ * DocumentValidationError listing every invalid field, so no caller (the
+ * /api/data endpoints, the model's tools, ...) can store a corrupt document.
+ * Metadata and streamed reads of such files describe the upgraded bytes.
+ * Other files pass through unchanged.
+ */
+
+import { Readable } from 'stream';
+import { UnsupportedStorageOperationError } from './storageBackend.js';
+
+/**
+ * @typedef {object} DocumentType
+ * @property {string} name - A readable name for error messages, e.g. 'customer document'.
+ * @property {(fileName: string) => boolean} matches - Whether a file holds this type of document.
+ * @property {(document: any) => {document: any}} migrate - Upgrades a document to the current version.
+ * @property {(document: any) => Array<{path: string, message: string}>} validate - Returns field-level errors.
+ */
+
+/**
+ * Custom error for a write that does not match its document schema.
+ * `errors` lists each invalid field as { path, message }.
+ */
+export class DocumentValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'DocumentValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @implements {import('./storageBackend.js').StorageBackend}
+ */
+export class ValidatingStorage {
+  #storage;
+  #documentTypes;
+
+  /**
+   * @param {import('./storageBackend.js').StorageBackend} storage - The backend to wrap.
+   * @param {Array<DocumentType>} documentTypes - The document types to migrate and validate.
+   */
+  constructor(storage, documentTypes) {
+    this.#storage = storage;
+    this.#documentTypes = documentTypes;
+  }
+
+  get type() {
+    return this.#storage.type;
+  }
+
+  #documentTypeFor(name) {
+    return this.#documentTypes.find(documentType => documentType.matches(name));
+  }
+
+  /**
+   * Upgrades stored contents for reading. Contents that cannot be parsed or
+   * migrated are returned unchanged, so they can still be inspected and fixed.
+   */
+  #upgradeForRead(name, data) {
+    const documentType = this.#documentTypeFor(name);
+    if (!documentType) {
+      return data;
+    }
+    try {
+      const { document, migrated } = documentType.migrate(JSON.parse(data));
+      return migrated ? JSON.stringify(document) : data;
+    } catch {
+      return data;
+    }
+  }
+
+  async get(name) {
+    return this.#upgradeForRead(name, await this.#storage.get(name));
+  }
+
+  async getWithGeneration(name) {
+    const { data, generation } = await this.#storage.getWithGeneration(name);
+    return { data: this.#upgradeForRead(name, data), generation };
+  }
+
+  async save(name, data, options) {
+    const documentType = this.#documentTypeFor(name);
+    if (!documentType) {
+      return this.#storage.save(name, data, options);
+    }
+
+    let document;
+    try {
+      ({ document } = documentType.migrate(JSON.parse(data.toString('utf8'))));
+    } catch (error) {
+      throw new DocumentValidationError(`Invalid ${documentType.name} '${name}'.`, [{ path: error instanceof SyntaxError ? '' : 'schemaVersion', message: error.message }]);
+    }
+    const errors = documentType.validate(document);
+    if (errors.length > 0) {
+      throw new DocumentValidationError(`Invalid ${documentType.name} '${name}'.`, errors);
+    }
+    return this.#storage.save(name, JSON.stringify(document), options);
+  }
+
+  async list(prefix, options) {
+    return this.#storage.list(prefix, options);
+  }
+
+  async delete(name) {
+    return this.#storage.delete(name);
+  }
+
+  async exists(name) {
+    return this.#storage.exists(name);
+  }
+
+  /**
+   * Reads a document in its upgraded form, with metadata describing those bytes.
+   */
+  async #readUpgraded(name) {
+    const metadata = await this.#storage.metadata(name);
+    const { data, generation } = await this.getWithGeneration(name);
+    const bytes = Buffer.from(data, 'utf8');
+    return { bytes, metadata: { ...metadata, size: bytes.length, generation } };
+  }
+
+  async metadata(name) {
+    if (!this.#documentTypeFor(name)) {
+      return this.#storage.metadata(name);
+    }
+    return (await this.#readUpgraded(name)).metadata;
+  }
+
+  async createReadStream(name, range = {}) {
+    if (!this.#documentTypeFor(name)) {
+      return this.#storage.createReadStream(name, range);
+    }
+    const { bytes, metadata } = await this.#readUpgraded(name);
+    const { start = 0, end } = range;
+    const stream = Readable.from([bytes.subarray(start, end === undefined ? undefined : end + 1)], { objectMode: false });
+    return { stream, metadata };
+  }
+
+  async createSignedUrl(name, options) {
+    if (typeof this.#storage.createSignedUrl !== 'function') {
+      throw new UnsupportedStorageOperationError(`The '${this.type}' storage backend cannot issue signed URLs.`);
+    }
+    const documentType = this.#documentTypeFor(name);
+    if (documentType && options.action !== 'read') {
+      // A direct upload would bypass validation.
+      throw new DocumentValidationError(`A ${documentType.name} can only be written through the data API, where it is validated.`, []);
+    }
+    return this.#storage.createSignedUrl(name, options);
+  }
+}
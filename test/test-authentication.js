@@ -0,0 +1,227 @@
+/**
+ * @file test-authentication.js
+ * @description Unit tests for API key and ID token authentication
+ */
+
+import { ForbiddenError } from '../auth/accessControl.js';
+import {
+  ApiKeyStore,
+  createAuthMiddleware,
+  generateApiKey,
+  hashApiKey,
+  IdTokenVerifier,
+  parseApiKeyRecords,
+  UnauthorizedError
+} from '../auth/authenticate.js';
+
+/**
+ * Builds the parts of an Express request the middleware reads.
+ */
+function fakeRequest(headers = {}) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lowerCased[name.toLowerCase()] };
+}
+
+/**
+ * Runs the middleware and returns the request and the error it passed to next(), if any.
+ */
+async function authenticate(middleware, headers) {
+  const req = fakeRequest(headers);
+  const error = await new Promise(resolve => middleware(req, {}, resolve));
+  return { req, error };
+}
+
+/**
+ * Stands in for OAuth2Client: tokens are looked up in a table instead of being verified.
+ */
+function fakeOAuthClient(payloads) {
+  return {
+    async verifyIdToken({ idToken, audience }) {
+      const payload = payloads[idToken];
+      if (!payload || !audience.includes(payload.aud)) {
+        throw new Error('Wrong recipient, payload audience != requiredAudience');
+      }
+      return { getPayload: () => payload };
+    }
+  };
+}
+
+async function runTests() {
+  console.log('🧪 Testing Authentication...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  const oldKey = generateApiKey();
+  const newKey = generateApiKey();
+  const customerKey = generateApiKey();
+  const records = [
+    { id: 'harshal-agent', keyHash: oldKey.keyHash, scopes: ['chat', 'data:read'], expiresAt: new Date(Date.now() + 60000).toISOString() },
+    { id: 'harshal-agent', keyHash: newKey.keyHash, scopes: ['chat', 'data:read'] },
+    { id: 'browser-user-1', keyHash: customerKey.keyHash, scopes: ['data:read'], customerId: 'user-1' }
+  ];
+
+  // Test 1: Key configuration
+  await runTest('parseApiKeyRecords - Only hashes and known scopes are accepted', async () => {
+    if (hashApiKey('test') !== 'sha256:9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08') {
+      throw new Error('hashApiKey should return the SHA-256 hash in hex');
+    }
+    parseApiKeyRecords(records);
+    const invalid = [
+      [{ id: 'agent', keyHash: oldKey.key, scopes: ['chat'] }],
+      [{ id: 'agent', keyHash: oldKey.keyHash, scopes: ['admin'] }],
+      [{ keyHash: oldKey.keyHash, scopes: ['chat'] }],
+      { id: 'agent' }
+    ];
+    for (const config of invalid) {
+      let threw = false;
+      try {
+        parseApiKeyRecords(config);
+      } catch {
+        threw = true;
+      }
+      if (!threw) {
+        throw new Error(`Should reject ${JSON.stringify(config)}`);
+      }
+    }
+  });
+
+  // Test 2: API keys
+  await runTest('createAuthMiddleware - API keys in X-API-Key or as a bearer token', async () => {
+    const middleware = createAuthMiddleware({ apiKeys: new ApiKeyStore({ load: async () => records }) });
+
+    const viaHeader = await authenticate(middleware, { 'X-API-Key': newKey.key });
+    if (viaHeader.error || viaHeader.req.auth.id !== 'harshal-agent' || viaHeader.req.auth.scopes.join() !== 'chat,data:read') {
+      throw new Error(`Unexpected result for X-API-Key: ${viaHeader.error || JSON.stringify(viaHeader.req.auth)}`);
+    }
+    const viaBearer = await authenticate(middleware, { Authorization: `Bearer ${customerKey.key}` });
+    if (viaBearer.error || viaBearer.req.auth.customerId !== 'user-1') {
+      throw new Error(`Unexpected result for a bearer key: ${viaBearer.error || JSON.stringify(viaBearer.req.auth)}`);
+    }
+    for (const headers of [{}, { 'X-API-Key': 'not-a-key' }, { Authorization: 'Basic dXNlcjpwYXNz' }]) {
+      const { error } = await authenticate(middleware, headers);
+      if (!(error instanceof UnauthorizedError)) {
+        throw new Error(`Expected an UnauthorizedError for ${JSON.stringify(headers)}, got ${error}`);
+      }
+    }
+  });
+
+  // Test 3: Rotation
+  await runTest('ApiKeyStore - Rotated keys, expiry and reloading', async () => {
+    let current = records;
+    let failReload = false;
+    const store = new ApiKeyStore({
+      load: async () => {
+        if (failReload) {
+          throw new Error('storage unavailable');
+        }
+        return current;
+      },
+      refreshMs: 0
+    });
+
+    // During a rotation both keys of an ID work.
+    if (!(await store.authenticate(oldKey.key)) || !(await store.authenticate(newKey.key))) {
+      throw new Error('Both the old and the new key should be accepted during a rotation');
+    }
+    // Removing the old key takes effect on the next load.
+    current = records.slice(1);
+    if (await store.authenticate(oldKey.key)) {
+      throw new Error('A removed key should be rejected after reloading');
+    }
+    // A failed reload keeps the previous keys.
+    failReload = true;
+    if (!(await store.authenticate(newKey.key))) {
+      throw new Error('The previous keys should stay in use when reloading fails');
+    }
+    // Expired keys are rejected.
+    const expired = new ApiKeyStore({ load: async () => [{ ...records[0], expiresAt: '2000-01-01T00:00:00Z' }] });
+    if (await expired.authenticate(oldKey.key)) {
+      throw new Error('An expired key should be rejected');
+    }
+  });
+
+  // Test 4: ID tokens
+  await runTest('IdTokenVerifier - Google-signed ID tokens of configured callers', async () => {
+    const audience = 'https://harshal-utilities.example.com';
+    const token = (name) => `header.${name}.signature`;
+    const client = fakeOAuthClient({
+      [token('agent')]: { aud: audience, email: 'harshal-agent@project.iam.gserviceaccount.com', email_verified: true },
+      [token('stranger')]: { aud: audience, email: 'someone@example.com', email_verified: true },
+      [token('unverified')]: { aud: audience, email: 'harshal-agent@project.iam.gserviceaccount.com', email_verified: false },
+      [token('other-audience')]: { aud: 'https://elsewhere.example.com', email: 'harshal-agent@project.iam.gserviceaccount.com', email_verified: true }
+    });
+    const middleware = createAuthMiddleware({
+      apiKeys: new ApiKeyStore({ load: async () => records }),
+      idTokens: new IdTokenVerifier({
+        audience: [audience],
+        principals: { 'harshal-agent@project.iam.gserviceaccount.com': { scopes: ['chat'] } },
+        client
+      })
+    });
+
+    const accepted = await authenticate(middleware, { Authorization: `Bearer ${token('agent')}` });
+    if (accepted.error || accepted.req.auth.id !== 'harshal-agent@project.iam.gserviceaccount.com' || accepted.req.auth.scopes.join() !== 'chat') {
+      throw new Error(`Unexpected result for a valid token: ${accepted.error || JSON.stringify(accepted.req.auth)}`);
+    }
+    const stranger = await authenticate(middleware, { Authorization: `Bearer ${token('stranger')}` });
+    if (!(stranger.error instanceof ForbiddenError)) {
+      throw new Error(`Expected a ForbiddenError for an unknown caller, got ${stranger.error}`);
+    }
+    for (const name of ['unverified', 'other-audience', 'forged']) {
+      const { error } = await authenticate(middleware, { Authorization: `Bearer ${token(name)}` });
+      if (!(error instanceof UnauthorizedError)) {
+        throw new Error(`Expected an UnauthorizedError for the ${name} token, got ${error}`);
+      }
+    }
+    // API keys keep working next to ID tokens.
+    const apiKey = await authenticate(middleware, { Authorization: `Bearer ${newKey.key}` });
+    if (apiKey.error || apiKey.req.auth.id !== 'harshal-agent') {
+      throw new Error('API keys should still be accepted when ID tokens are configured');
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All authentication tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,180 @@
+/**
+ * @file test-customer-schema.js
+ * @description Unit tests for the customer document schema, its migrations and ValidatingStorage
+ */
+
+import { readFile } from 'fs/promises';
+import {
+  CUSTOMER_SCHEMA_VERSION,
+  customerDocumentType,
+  migrateCustomerDocument,
+  validateCustomerDocument
+} from '../schemas/customerDocument.js';
+import { MemoryStorage } from '../storage/memoryStorage.js';
+import { UnsupportedStorageOperationError } from '../storage/storageBackend.js';
+import { DocumentValidationError, ValidatingStorage } from '../storage/validatingStorage.js';
+
+async function loadSampleCustomer() {
+  return JSON.parse(await readFile(new URL('../customer-data.json', import.meta.url), 'utf8'));
+}
+
+async function expectValidationError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!(error instanceof DocumentValidationError)) {
+      throw new Error(`Expected a DocumentValidationError, got ${error.name}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error('Expected the save to be rejected');
+}
+
+async function runTests() {
+  console.log('🧪 Testing Customer Document Schema...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Migrating the sample document
+  await runTest('migrateCustomerDocument - Upgrades unversioned documents to a valid current document', async () => {
+    const sample = await loadSampleCustomer();
+    const { document, fromVersion, migrated } = migrateCustomerDocument(sample);
+    if (fromVersion !== 0 || !migrated || document.schemaVersion !== CUSTOMER_SCHEMA_VERSION) {
+      throw new Error(`Unexpected migration result: fromVersion=${fromVersion}, schemaVersion=${document.schemaVersion}`);
+    }
+    if (sample.schemaVersion !== undefined) {
+      throw new Error('The original document must not be modified');
+    }
+    const errors = validateCustomerDocument(document);
+    if (errors.length > 0) {
+      throw new Error(`Migrated sample should be valid: ${JSON.stringify(errors)}`);
+    }
+    if (migrateCustomerDocument(document).migrated) {
+      throw new Error('A current document should not be migrated again');
+    }
+    try {
+      migrateCustomerDocument({ ...document, schemaVersion: CUSTOMER_SCHEMA_VERSION + 1 });
+      throw new Error('A newer schemaVersion should be rejected');
+    } catch (error) {
+      if (!error.message.includes('Unsupported')) {
+        throw error;
+      }
+    }
+  });
+
+  // Test 2: Field-level errors
+  await runTest('validateCustomerDocument - Reports every invalid field by path', async () => {
+    const { document } = migrateCustomerDocument(await loadSampleCustomer());
+    delete document.currentBill;
+    document.paymentHistory[0].amount = 125;
+    const errors = validateCustomerDocument(document);
+    const paths = errors.map(error => error.path);
+    if (!paths.includes('currentBill') || !paths.includes('paymentHistory[0].amount')) {
+      throw new Error(`Expected errors for currentBill and paymentHistory[0].amount, got ${JSON.stringify(errors)}`);
+    }
+  });
+
+  // Test 3: ValidatingStorage
+  await runTest('ValidatingStorage - Rejects invalid writes, migrates on read and passes other files through', async () => {
+    const sample = await loadSampleCustomer();
+    const storage = new ValidatingStorage(new MemoryStorage({
+      files: { 'customers/legacy/customer-data.json': JSON.stringify(sample) }
+    }), [customerDocumentType]);
+
+    const legacy = JSON.parse(await storage.get('customers/legacy/customer-data.json'));
+    if (legacy.schemaVersion !== CUSTOMER_SCHEMA_VERSION) {
+      throw new Error('Older documents should be migrated when read');
+    }
+
+    await storage.save('customer-data.json', JSON.stringify(sample));
+    const saved = JSON.parse(await storage.get('customer-data.json'));
+    if (saved.schemaVersion !== CUSTOMER_SCHEMA_VERSION) {
+      throw new Error('Older documents should be stored at the current version');
+    }
+
+    const error = await expectValidationError(storage.save('customer-data.json', JSON.stringify({ ...sample, autopay: { isEnrolled: 'yes' } })));
+    const paths = error.errors.map(item => item.path);
+    if (!paths.includes('autopay.isEnrolled') || !paths.includes('autopay.paymentMethod')) {
+      throw new Error(`Expected field-level errors for autopay, got ${JSON.stringify(error.errors)}`);
+    }
+    await expectValidationError(storage.save('customer-data.json', '{ not json'));
+    await expectValidationError(storage.save('customer-data.json', JSON.stringify({ ...sample, schemaVersion: 99 })));
+    if (JSON.parse(await storage.get('customer-data.json')).autopay.isEnrolled !== sample.autopay.isEnrolled) {
+      throw new Error('A rejected write must not change the stored document');
+    }
+
+    await storage.save('notes.json', '{ "anything": true }');
+    if (await storage.get('notes.json') !== '{ "anything": true }') {
+      throw new Error('Other files should be stored unchanged');
+    }
+  });
+
+  // Test 4: Signed URLs
+  await runTest('ValidatingStorage - Signed write URLs cannot bypass validation', async () => {
+    const issued = [];
+    const backend = new MemoryStorage();
+    backend.createSignedUrl = async (name, options) => {
+      issued.push({ name, ...options });
+      return { url: `https://storage.example/${name}` };
+    };
+    const storage = new ValidatingStorage(backend, [customerDocumentType]);
+
+    await storage.createSignedUrl('customers/u1/customer-data.json', { action: 'read', expiresInSeconds: 60 });
+    await storage.createSignedUrl('customers/u1/bill.pdf', { action: 'write', expiresInSeconds: 60, contentType: 'application/pdf' });
+    await expectValidationError(storage.createSignedUrl('customers/u1/customer-data.json', { action: 'write', expiresInSeconds: 60 }));
+    if (issued.map(item => `${item.action}:${item.name}`).join(',') !== 'read:customers/u1/customer-data.json,write:customers/u1/bill.pdf') {
+      throw new Error(`Unexpected signed URLs: ${JSON.stringify(issued)}`);
+    }
+
+    const unsigned = new ValidatingStorage(new MemoryStorage(), [customerDocumentType]);
+    const error = await unsigned.createSignedUrl('bill.pdf', { action: 'read', expiresInSeconds: 60 }).catch(caught => caught);
+    if (!(error instanceof UnsupportedStorageOperationError)) {
+      throw new Error(`Backends without signed URLs should report it, got ${error?.name}`);
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All customer schema tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
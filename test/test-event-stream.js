@@ -0,0 +1,171 @@
+/**
+ * @file test-event-stream.js
+ * @description Unit tests for relaying streamed chat responses as Server-Sent Events
+ * The stream is served by a throwaway Express app from a GeminiApiClient whose Vertex AI
+ * endpoint is a scripted stub, so no credentials or network access are needed.
+ */
+
+import express from 'express';
+import pino from 'pino';
+import { Readable } from 'stream';
+import { GoogleAuth } from 'google-auth-library';
+import { GeminiApiClient } from '../gemini/geminiApi.js';
+import { sendEventStream } from '../server/eventStream.js';
+
+/**
+ * Answers every streaming request with the SSE `events` (objects sent as JSON, strings as they are).
+ */
+function stubVertexStream(events) {
+  GoogleAuth.prototype.getClient = async () => ({
+    request: async () => ({
+      status: 200,
+      data: Readable.from(events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`))
+    })
+  });
+}
+
+/**
+ * Serves POST /stream like /api/chat/stream on a free port for the duration of `callback`.
+ */
+async function withStreamServer(callback) {
+  const client = new GeminiApiClient({
+    projectId: 'test-project',
+    location: 'us-central1',
+    defaultTextModel: 'gemini-2.5-flash',
+    retry: { maxRetries: 0 },
+    logger: pino({ level: 'silent' })
+  });
+  const app = express();
+  app.post('/stream', async (req, res) => {
+    try {
+      await sendEventStream(res, client.sendMessageStream('Hi', []), { logger: pino({ level: 'silent' }) });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  try {
+    await callback(`http://localhost:${server.address().port}/stream`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Splits a Server-Sent Events body into its events.
+ * @returns {Array<{event: string, data: any}>}
+ */
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    if (!eventLine.startsWith('event: ') || !dataLine.startsWith('data: ')) {
+      throw new Error(`Malformed event: ${JSON.stringify(block)}`);
+    }
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Event Streams...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Framing
+  await runTest('sendEventStream - Sends one part event per part, then a done event', async () => {
+    stubVertexStream([
+      { candidates: [{ content: { parts: [{ text: 'Hel' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'lo' }] }, finishReason: 'STOP' }], usageMetadata: { totalTokenCount: 9 } },
+      '[DONE]'
+    ]);
+    await withStreamServer(async (url) => {
+      const response = await fetch(url, { method: 'POST' });
+      if (response.status !== 200 || !response.headers.get('content-type').startsWith('text/event-stream')
+        || response.headers.get('cache-control') !== 'no-cache') {
+        throw new Error(`Unexpected response: ${response.status} ${response.headers.get('content-type')}`);
+      }
+      const events = parseEvents(await response.text());
+      if (events.map(({ event }) => event).join() !== 'part,part,done') {
+        throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+      }
+      if (events[0].data.text !== 'Hel' || events[1].data.text !== 'lo') {
+        throw new Error(`Unexpected parts: ${JSON.stringify(events)}`);
+      }
+      const done = events[2].data;
+      if (done.finishReason !== 'STOP' || done.usageMetadata?.totalTokenCount !== 9 || done.servedBy?.model !== 'gemini-2.5-flash') {
+        throw new Error(`Unexpected done event: ${JSON.stringify(done)}`);
+      }
+    });
+  });
+
+  // Test 2: Errors before and after the response starts
+  await runTest('sendEventStream - Reports errors mid-stream as an error event', async () => {
+    stubVertexStream([{ candidates: [{ content: { parts: [{ text: 'Hel' }] } }] }, '{"candidates": [']);
+    await withStreamServer(async (url) => {
+      const response = await fetch(url, { method: 'POST' });
+      const events = parseEvents(await response.text());
+      if (response.status !== 200 || events.map(({ event }) => event).join() !== 'part,error') {
+        throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+      }
+      if (events[1].data.error !== 'Received a malformed chunk from the streaming API.' || !events[1].data.details?.chunk) {
+        throw new Error(`Unexpected error event: ${JSON.stringify(events[1].data)}`);
+      }
+    });
+
+    // Before the first part, nothing has been sent yet, so the error is thrown to the route.
+    stubVertexStream(['{"candidates": [']);
+    await withStreamServer(async (url) => {
+      const response = await fetch(url, { method: 'POST' });
+      const body = await response.json();
+      if (response.status !== 502 || !body.error.includes('malformed')) {
+        throw new Error(`Expected a 502 error response, got ${response.status}: ${JSON.stringify(body)}`);
+      }
+    });
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All event stream tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
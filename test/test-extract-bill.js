@@ -0,0 +1,155 @@
+/**
+ * @file test-extract-bill.js
+ * @description Unit tests for structured bill extraction
+ * Runs extractBill against the sample bills offline, and against a stub
+ * Gemini client to exercise the model fallback for missing fields.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractBill, validateCurrentBill } from '../bills/extractBill.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PDF_DIR = path.join(__dirname, '..', 'test-data', 'pdf');
+
+async function runTests() {
+  console.log('🧪 Testing Bill Extraction...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Offline extraction of a complete bill
+  await runTest('extractBill - Parses Bill1.pdf without the model', async () => {
+    const { currentBill, confidence, sources, warnings } = await extractBill(await readFile(path.join(PDF_DIR, 'Bill1.pdf')));
+    const expected = {
+      billDate: '2025-06-05',
+      dueDate: '2025-06-30',
+      totalAmountDue: '154.33',
+      previousBalance: '129.04',
+      balanceForward: '0.00'
+    };
+    for (const [field, value] of Object.entries(expected)) {
+      if (currentBill[field] !== value) {
+        throw new Error(`${field} should be ${value}, got ${currentBill[field]}`);
+      }
+    }
+    if (currentBill.paymentsReceived[0]?.amount !== '-129.04' || currentBill.paymentsReceived[0]?.date !== '2025-06-02') {
+      throw new Error(`Unexpected payments: ${JSON.stringify(currentBill.paymentsReceived)}`);
+    }
+    if (currentBill.newCharges.electricity !== '144.23' || currentBill.newCharges.otherFees[0]?.description !== 'Taxes') {
+      throw new Error(`Unexpected new charges: ${JSON.stringify(currentBill.newCharges)}`);
+    }
+    if (Object.values(sources).some(source => source !== 'parser')) {
+      throw new Error(`Every field should come from the parser: ${JSON.stringify(sources)}`);
+    }
+    if (confidence.totalAmountDue < 0.95 || warnings.length > 0) {
+      throw new Error('Reconciled amounts should have high confidence and no warnings');
+    }
+  });
+
+  // Test 2: Output matches the customer-data.json shape
+  await runTest('extractBill - Output passes validateCurrentBill', async () => {
+    for (const fileName of ['Bill1.pdf', 'Bill2.pdf', 'Bill3.pdf']) {
+      const { currentBill } = await extractBill(await readFile(path.join(PDF_DIR, fileName)));
+      const errors = validateCurrentBill(currentBill);
+      if (errors.length > 0) {
+        throw new Error(`${fileName}: ${errors.join('; ')}`);
+      }
+    }
+    const customerData = JSON.parse(await readFile(path.join(__dirname, '..', 'customer-data.json'), 'utf8'));
+    const errors = validateCurrentBill(customerData.currentBill);
+    if (errors.length > 0) {
+      throw new Error(`customer-data.json: ${errors.join('; ')}`);
+    }
+  });
+
+  // Test 3: The model is only asked for what the parser could not find
+  await runTest('extractBill - Model fallback validates returned fields', async () => {
+    let prompt = null;
+    const stubClient = {
+      async sendMessageWithFiles(userInput) {
+        prompt = userInput;
+        return { text: '```json\n{"billDate": "Jul 12, 2025", "totalAmountDue": "$450.75", "dueDate": "not a date"}\n```' };
+      }
+    };
+    const { currentBill, sources, warnings } = await extractBill(Buffer.from('not a pdf'), { geminiClient: stubClient });
+    if (!prompt || !prompt.includes('"billDate"')) {
+      throw new Error('The prompt should list the missing fields');
+    }
+    if (currentBill.billDate !== '2025-07-12' || currentBill.totalAmountDue !== '450.75') {
+      throw new Error(`Model values should be normalised: ${JSON.stringify(currentBill)}`);
+    }
+    if (currentBill.dueDate !== null || sources.dueDate !== 'none') {
+      throw new Error('Invalid model values should be rejected');
+    }
+    if (!warnings.some(warning => warning.includes('dueDate'))) {
+      throw new Error('Rejected model values should be reported as warnings');
+    }
+  });
+
+  // Test 4: No model call when the parser found everything
+  await runTest('extractBill - Skips the model for complete bills', async () => {
+    const stubClient = {
+      async sendMessageWithFiles() {
+        throw new Error('The model should not be called');
+      }
+    };
+    await extractBill(await readFile(path.join(PDF_DIR, 'Bill2.pdf')), { geminiClient: stubClient });
+  });
+
+  // Test 5: Input validation
+  await runTest('extractBill - Input validation (empty buffer)', async () => {
+    try {
+      await extractBill(Buffer.alloc(0));
+      throw new Error('Should have thrown an error for an empty buffer');
+    } catch (error) {
+      if (!error.message.includes('pdfBuffer must be a non-empty Buffer')) {
+        throw new Error(`Wrong error message: ${error.message}`);
+      }
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All bill extraction tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
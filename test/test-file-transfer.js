@@ -0,0 +1,172 @@
+/**
+ * @file test-file-transfer.js
+ * @description Unit tests for multipart uploads and streamed, ranged downloads from storage
+ * The downloads are served by a throwaway Express app over in-memory storage.
+ */
+
+import express from 'express';
+import { InvalidUploadError, parseMultipart, sendStoredFile } from '../server/fileTransfer.js';
+import { MemoryStorage } from '../storage/memoryStorage.js';
+
+const BOUNDARY = '----test-boundary';
+
+function multipartBody(parts) {
+  const chunks = parts.map(({ headers, data }) => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\n${headers.join('\r\n')}\r\n\r\n`),
+    Buffer.from(data),
+    Buffer.from('\r\n')
+  ]));
+  return Buffer.concat([...chunks, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+/**
+ * Serves GET /files/:name from `storage` on a free port for the duration of `callback`.
+ */
+async function withFileServer(storage, callback) {
+  const app = express();
+  app.get('/files/:name', async (req, res) => {
+    try {
+      await sendStoredFile(req, res, storage, req.params.name);
+    } catch (error) {
+      res.status(error.name === 'StorageFileNotFoundError' ? 404 : 500).end();
+    }
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  try {
+    await callback(`http://localhost:${server.address().port}/files`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing File Transfer...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Multipart parsing
+  await runTest('parseMultipart - Splits fields and binary file parts', async () => {
+    const pdfBytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x0d, 0x0a, 0x00, 0xff]);
+    const parts = parseMultipart(multipartBody([
+      { headers: ['Content-Disposition: form-data; name="note"'], data: 'April bill' },
+      { headers: ['Content-Disposition: form-data; name="file"; filename="bill.pdf"', 'Content-Type: application/pdf'], data: pdfBytes }
+    ]), `multipart/form-data; boundary=${BOUNDARY}`);
+
+    if (parts.length !== 2 || parts[0].name !== 'note' || parts[0].fileName !== undefined || parts[0].data.toString() !== 'April bill') {
+      throw new Error(`Unexpected field part: ${JSON.stringify(parts[0])}`);
+    }
+    if (parts[1].name !== 'file' || parts[1].fileName !== 'bill.pdf' || parts[1].contentType !== 'application/pdf' || !parts[1].data.equals(pdfBytes)) {
+      throw new Error('The file part should keep its name, content type and exact bytes');
+    }
+
+    for (const [body, contentType] of [
+      [multipartBody([]), 'multipart/form-data'],
+      [Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="file"\r\n\r\nno closing delimiter`), `multipart/form-data; boundary=${BOUNDARY}`]
+    ]) {
+      try {
+        parseMultipart(body, contentType);
+        throw new Error('Expected an InvalidUploadError');
+      } catch (error) {
+        if (!(error instanceof InvalidUploadError)) {
+          throw error;
+        }
+      }
+    }
+  });
+
+  // Test 2: Streamed downloads
+  await runTest('sendStoredFile - Content-Type, Content-Length, conditional and ranged GETs', async () => {
+    const storage = new MemoryStorage();
+    const bytes = Buffer.from('%PDF-1.7 sample bill contents');
+    await storage.save('bill.pdf', bytes, { contentType: 'application/pdf' });
+
+    await withFileServer(storage, async (baseUrl) => {
+      const whole = await fetch(`${baseUrl}/bill.pdf`);
+      if (whole.status !== 200 || whole.headers.get('Content-Type') !== 'application/pdf' || whole.headers.get('Content-Length') !== String(bytes.length)) {
+        throw new Error(`Unexpected response: ${whole.status} ${whole.headers.get('Content-Type')} ${whole.headers.get('Content-Length')}`);
+      }
+      if (!bytes.equals(Buffer.from(await whole.arrayBuffer()))) {
+        throw new Error('The download should match the stored bytes');
+      }
+      const etag = whole.headers.get('ETag');
+
+      // fetch() would add 'Cache-Control: no-cache' to a conditional request in the default cache mode.
+      const notModified = await fetch(`${baseUrl}/bill.pdf`, { cache: 'no-cache', headers: { 'If-None-Match': etag } });
+      if (notModified.status !== 304) {
+        throw new Error(`Expected 304 for a matching If-None-Match, got ${notModified.status}`);
+      }
+
+      const partial = await fetch(`${baseUrl}/bill.pdf`, { headers: { Range: 'bytes=0-3' } });
+      if (partial.status !== 206 || partial.headers.get('Content-Range') !== `bytes 0-3/${bytes.length}` || await partial.text() !== '%PDF') {
+        throw new Error(`Unexpected ranged response: ${partial.status} ${partial.headers.get('Content-Range')}`);
+      }
+
+      const suffix = await fetch(`${baseUrl}/bill.pdf`, { headers: { Range: 'bytes=-8' } });
+      if (suffix.status !== 206 || await suffix.text() !== 'contents') {
+        throw new Error(`A suffix range should return the last bytes, got ${suffix.status}`);
+      }
+
+      const staleRange = await fetch(`${baseUrl}/bill.pdf`, { headers: { Range: 'bytes=0-3', 'If-Range': '"stale"' } });
+      if (staleRange.status !== 200 || (await staleRange.arrayBuffer()).byteLength !== bytes.length) {
+        throw new Error(`A stale If-Range should return the whole file, got ${staleRange.status}`);
+      }
+
+      const unsatisfiable = await fetch(`${baseUrl}/bill.pdf`, { headers: { Range: `bytes=${bytes.length}-` } });
+      if (unsatisfiable.status !== 416 || unsatisfiable.headers.get('Content-Range') !== `bytes */${bytes.length}`) {
+        throw new Error(`Expected 416, got ${unsatisfiable.status}`);
+      }
+
+      const missing = await fetch(`${baseUrl}/missing.pdf`);
+      if (missing.status !== 404) {
+        throw new Error(`Expected 404 for a missing file, got ${missing.status}`);
+      }
+    });
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All file transfer tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,664 @@
+/**
+ * @file test-gemini-client.js
+ * @description Unit tests for GeminiApiClient request handling
+ * The Vertex AI endpoint is replaced with a scripted stub, so no credentials
+ * or network access are needed.
+ */
+
+import pino from 'pino';
+import { Readable } from 'stream';
+import { GoogleAuth } from 'google-auth-library';
+import { GeminiApiClient, GeminiApiError, GeminiContextLengthError, GeminiResponse, GeminiSchemaValidationError } from '../gemini/geminiApi.js';
+import { geminiRequests, geminiTokens } from '../metrics/serviceMetrics.js';
+
+const OK_RESPONSE = {
+  status: 200,
+  data: { candidates: [{ content: { role: 'model', parts: [{ text: 'OK' }] }, finishReason: 'STOP' }] }
+};
+
+/**
+ * Builds an error shaped like the GaxiosError thrown for a non-2xx response.
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: { error: { code: status, message: 'Upstream failure' } } };
+  return error;
+}
+
+/**
+ * Replaces the authenticated HTTP client with one that answers every request
+ * with `handler(requestOptions, requestIndex)`, recording the request bodies.
+ */
+function stubVertex(handler) {
+  const requests = [];
+  GoogleAuth.prototype.getClient = async () => ({
+    request: async (options) => {
+      requests.push({ url: options.url, body: JSON.parse(options.body), at: Date.now() });
+      return handler(options, requests.length - 1);
+    }
+  });
+  return requests;
+}
+
+/**
+ * Encodes SSE `events` (strings, or objects sent as JSON) and splits the bytes at `cuts`,
+ * as a network connection may, returning them as a readable stream of Buffers.
+ */
+function sseStream(events, cuts = []) {
+  const bytes = Buffer.from(events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join(''));
+  return splitStream(bytes, cuts);
+}
+
+function splitStream(bytes, cuts) {
+  const offsets = [0, ...cuts, bytes.length];
+  return Readable.from(offsets.slice(1).map((end, index) => bytes.subarray(offsets[index], end)));
+}
+
+/**
+ * Reads a stream from the client to the end.
+ * @returns {Promise<{parts: Array<object>, summary: object}>}
+ */
+async function readStream(stream) {
+  const parts = [];
+  let step = await stream.next();
+  while (!step.done) {
+    parts.push(step.value);
+    step = await stream.next();
+  }
+  return { parts, summary: step.value };
+}
+
+function createClient(options = {}) {
+  return new GeminiApiClient({
+    projectId: 'test-project',
+    location: 'us-central1',
+    defaultTextModel: 'gemini-2.5-flash',
+    defaultFileModel: 'gemini-2.5-flash',
+    logger: pino({ level: 'silent' }),
+    ...options
+  });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Gemini API Client...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Multi-part responses are returned in full
+  await runTest('sendMessage - Returns every part, candidate and metadata', async () => {
+    stubVertex(() => ({
+      status: 200,
+      data: {
+        candidates: [
+          {
+            content: { role: 'model', parts: [{ text: 'Thinking...', thought: true }, { text: 'Your bill is ' }, { text: '$154.33.' }, { functionCall: { name: 'getPaymentHistory', args: {} } }] },
+            finishReason: 'STOP',
+            safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }],
+            citationMetadata: { citations: [{ uri: 'https://duke-energy.com' }] }
+          },
+          { content: { role: 'model', parts: [{ text: 'Alternative answer' }] }, finishReason: 'STOP' }
+        ],
+        usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 8, totalTokenCount: 20 },
+        modelVersion: 'gemini-2.5-flash-001'
+      }
+    }));
+    const response = await createClient().sendMessage('How much do I owe?', []);
+    if (!(response instanceof GeminiResponse)) {
+      throw new Error('sendMessage should return a GeminiResponse');
+    }
+    if (response.text !== 'Your bill is $154.33.') {
+      throw new Error(`Text parts should be concatenated without thoughts, got "${response.text}"`);
+    }
+    if (response.functionCall?.name !== 'getPaymentHistory' || response.functionCalls.length !== 1) {
+      throw new Error('Function calls should be collected from every part');
+    }
+    if (response.candidates.length !== 2 || response.usageMetadata.totalTokenCount !== 20 || response.modelVersion !== 'gemini-2.5-flash-001') {
+      throw new Error('Candidates and metadata should be preserved');
+    }
+    if (response.finishReason !== 'STOP' || response.safetyRatings.length !== 1 || !response.citationMetadata) {
+      throw new Error('finishReason, safety ratings and citations should be preserved');
+    }
+  });
+
+  // Test 2: The serialized form keeps the { text } contract
+  await runTest('GeminiResponse - JSON output includes text at the top level', async () => {
+    const response = new GeminiResponse({ candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }] });
+    const json = JSON.parse(JSON.stringify(response));
+    if (json.text !== 'Hi' || json.finishReason !== 'STOP' || !Array.isArray(json.parts)) {
+      throw new Error(`Unexpected JSON: ${JSON.stringify(json)}`);
+    }
+  });
+
+  // Test 3: Transient failures are retried with backoff
+  await runTest('Retries - 503 and network errors are retried until success', async () => {
+    const requests = stubVertex((options, index) => {
+      if (index === 0) throw httpError(503);
+      if (index === 1) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      return OK_RESPONSE;
+    });
+    const client = createClient({ retry: { initialDelayMs: 1, maxDelayMs: 5 } });
+    const response = await client.sendMessage('Hello', []);
+    if (response.text !== 'OK' || requests.length !== 3) {
+      throw new Error(`Expected success on the third attempt, got ${requests.length} attempts`);
+    }
+  });
+
+  // Test 4: Retry-After is honoured and client errors are not retried
+  await runTest('Retries - Retry-After is honoured and 400s fail immediately', async () => {
+    let requests = stubVertex((options, index) => {
+      if (index === 0) throw httpError(429, { 'retry-after': '0.2' });
+      return OK_RESPONSE;
+    });
+    await createClient({ retry: { initialDelayMs: 1 } }).sendMessage('Hello', []);
+    const waited = requests[1].at - requests[0].at;
+    if (waited < 190) {
+      throw new Error(`Expected to wait ~200ms for Retry-After, waited ${waited}ms`);
+    }
+
+    requests = stubVertex(() => { throw httpError(400); });
+    try {
+      await createClient().sendMessage('Hello', []);
+      throw new Error('Expected a GeminiApiError');
+    } catch (error) {
+      if (!(error instanceof GeminiApiError) || error.status !== 400 || requests.length !== 1) {
+        throw new Error(`Expected one attempt failing with 400, got ${requests.length} attempts: ${error.message}`);
+      }
+    }
+  });
+
+  // Test 5: Each attempt times out and the caller can cancel
+  await runTest('Timeouts - Slow attempts time out with 504 and aborted calls stop', async () => {
+    const hang = (options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted.')));
+    });
+    let requests = stubVertex(hang);
+    try {
+      await createClient({ timeoutMs: 20, retry: { maxRetries: 1, initialDelayMs: 1 } }).sendMessage('Hello', []);
+      throw new Error('Expected a timeout');
+    } catch (error) {
+      if (error.status !== 504 || requests.length !== 2) {
+        throw new Error(`Expected 504 after 2 attempts, got ${error.status} after ${requests.length}`);
+      }
+    }
+
+    requests = stubVertex(hang);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    try {
+      await createClient({ timeoutMs: 0 }).sendMessage('Hello', [], undefined, undefined, { signal: controller.signal });
+      throw new Error('Expected a cancellation');
+    } catch (error) {
+      if (error.status !== 499 || requests.length !== 1) {
+        throw new Error(`Expected 499 after 1 attempt, got ${error.status} after ${requests.length}`);
+      }
+    }
+  });
+
+  // Test 6: The circuit opens after repeated failures and recovers after the reset timeout
+  await runTest('Circuit breaker - Fails fast while open and closes after a successful trial', async () => {
+    let healthy = false;
+    const requests = stubVertex(() => {
+      if (!healthy) throw httpError(503);
+      return OK_RESPONSE;
+    });
+    const client = createClient({
+      retry: { maxRetries: 0 },
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 }
+    });
+    for (let i = 0; i < 2; i++) {
+      await client.sendMessage('Hello', []).catch(() => {});
+    }
+    if (client.getCircuitBreakerState().state !== 'open') {
+      throw new Error('Circuit should be open after two failures');
+    }
+    const failFast = await client.sendMessage('Hello', []).catch(error => error);
+    if (failFast.status !== 503 || requests.length !== 2 || !(failFast.retryAfterMs > 0)) {
+      throw new Error('An open circuit should reject without calling Vertex AI');
+    }
+
+    healthy = true;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const response = await client.sendMessage('Hello', []);
+    if (response.text !== 'OK' || client.getCircuitBreakerState().state !== 'closed') {
+      throw new Error('A successful trial request should close the circuit');
+    }
+  });
+
+  // Test 7: Generation options are sent and JSON output is validated
+  await runTest('Structured output - Sends generationConfig and validates JSON against the schema', async () => {
+    const responseSchema = {
+      type: 'OBJECT',
+      properties: { totalAmountDue: { type: 'NUMBER' }, dueDate: { type: 'STRING' } },
+      required: ['totalAmountDue', 'dueDate']
+    };
+    const safetySettings = [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }];
+    let output = '{"totalAmountDue": 154.33, "dueDate": "2025-06-30"}';
+    const requests = stubVertex(() => ({
+      status: 200,
+      data: { candidates: [{ content: { role: 'model', parts: [{ text: output }] }, finishReason: 'STOP' }] }
+    }));
+    const client = createClient();
+    const options = { generationConfig: { temperature: 0, maxOutputTokens: 256, responseSchema }, safetySettings };
+
+    const response = await client.sendMessage('Summarise my bill', [], undefined, undefined, options);
+    const sentConfig = requests[0].body.generationConfig;
+    if (sentConfig.temperature !== 0 || sentConfig.responseMimeType !== 'application/json' || requests[0].body.safetySettings[0].threshold !== 'BLOCK_ONLY_HIGH') {
+      throw new Error(`Unexpected request body: ${JSON.stringify(requests[0].body)}`);
+    }
+    if (response.parsed?.totalAmountDue !== 154.33) {
+      throw new Error('Valid JSON should be available as response.parsed');
+    }
+
+    output = '{"totalAmountDue": "lots"}';
+    const error = await client.sendMessage('Summarise my bill', [], undefined, undefined, options).catch(caught => caught);
+    if (!(error instanceof GeminiSchemaValidationError) || !(error instanceof GeminiApiError) || error.status !== 502) {
+      throw new Error(`Expected a GeminiSchemaValidationError, got ${error?.name}`);
+    }
+    const paths = error.details.errors.map(item => item.path).sort().join(',');
+    if (paths !== 'dueDate,totalAmountDue' || error.details.text !== output) {
+      throw new Error(`Unexpected validation details: ${JSON.stringify(error.details)}`);
+    }
+
+    const badSettings = await client.sendMessage('Hi', [], undefined, undefined, { safetySettings: 'none' }).catch(caught => caught);
+    if (badSettings.status !== 400) {
+      throw new Error('Malformed safetySettings should be rejected with 400');
+    }
+  });
+
+  // Test 8: Cloud Storage file references
+  await runTest('sendMessageWithFiles - Sends gs:// references as fileData and bytes as inlineData', async () => {
+    const requests = stubVertex(() => OK_RESPONSE);
+    const client = createClient();
+    await client.sendMessageWithFiles('Summarise these bills', [], [
+      { fileUri: 'gs://bills-bucket/customers/user-1/bill.pdf', mimetype: 'application/pdf' },
+      { buffer: Buffer.from('%PDF'), mimetype: 'application/pdf' }
+    ]);
+    const [, reference, inline] = requests[0].body.contents[0].parts;
+    if (reference.fileData?.fileUri !== 'gs://bills-bucket/customers/user-1/bill.pdf' || reference.fileData.mimeType !== 'application/pdf' || reference.inlineData) {
+      throw new Error(`Unexpected fileData part: ${JSON.stringify(reference)}`);
+    }
+    if (inline.inlineData?.data !== Buffer.from('%PDF').toString('base64')) {
+      throw new Error(`Unexpected inlineData part: ${JSON.stringify(inline)}`);
+    }
+
+    const error = await client.sendMessageWithFiles('Hi', [], [{ fileUri: 'https://example.com/bill.pdf', mimetype: 'application/pdf' }]).catch(caught => caught);
+    if (error.status !== 400 || requests.length !== 1) {
+      throw new Error('Non-gs:// references should be rejected with 400 before calling the API');
+    }
+  });
+
+  // Test 9: Token usage reporting
+  await runTest('onUsage - Reports the usage of responses and streams', async () => {
+    const usageMetadata = { promptTokenCount: 12, candidatesTokenCount: 8, totalTokenCount: 20 };
+    stubVertex((options) => {
+      if (options.responseType !== 'stream') {
+        return { status: 200, data: { ...OK_RESPONSE.data, usageMetadata } };
+      }
+      const chunks = [
+        { candidates: [{ content: { parts: [{ text: 'Hel' }] } }] },
+        { candidates: [{ content: { parts: [{ text: 'lo' }] }, finishReason: 'STOP' }], usageMetadata }
+      ];
+      return { status: 200, data: Readable.from(chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`)) };
+    });
+    const reported = [];
+    const client = createClient();
+    await client.sendMessage('Hi', [], undefined, undefined, { onUsage: usage => reported.push(usage.totalTokenCount) });
+
+    const stream = client.sendMessageStream('Hi', [], undefined, undefined, { onUsage: usage => reported.push(usage.totalTokenCount) });
+    let step = await stream.next();
+    while (!step.done) {
+      step = await stream.next();
+    }
+    if (reported.join() !== '20,20' || step.value.usageMetadata.totalTokenCount !== 20) {
+      throw new Error(`Expected the usage of both calls, got ${reported.join()}`);
+    }
+
+    // A failing callback does not fail the request.
+    const response = await client.sendMessage('Hi', [], undefined, undefined, {
+      onUsage: () => {
+        throw new Error('quota store unavailable');
+      }
+    });
+    if (response.text !== 'OK') {
+      throw new Error('The response should be returned even if onUsage throws');
+    }
+  });
+
+  // Test 10: PII tokenization
+  await runTest('tokenizePii - Sends placeholders instead of PII and restores them in the reply', async () => {
+    const requests = stubVertex((options) => {
+      if (options.responseType !== 'stream') {
+        return { status: 200, data: { candidates: [{ content: { role: 'model', parts: [{ text: 'Sent to [EMAIL_1].' }] }, finishReason: 'STOP' }] } };
+      }
+      const chunks = [
+        { candidates: [{ content: { parts: [{ text: 'Account [ACCOUNT' }] } }] },
+        { candidates: [{ content: { parts: [{ text: '_NUMBER_1] found.' }] }, finishReason: 'STOP' }] }
+      ];
+      return { status: 200, data: Readable.from(chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`)) };
+    });
+    const client = createClient({ tokenizePii: true });
+    const response = await client.sendMessage('Email the bill to jane@example.com', []);
+    if (requests[0].body.contents[0].parts[0].text !== 'Email the bill to [EMAIL_1]') {
+      throw new Error(`The prompt should be tokenized, got ${requests[0].body.contents[0].parts[0].text}`);
+    }
+    if (response.text !== 'Sent to jane@example.com.') {
+      throw new Error(`The reply should be restored, got ${response.text}`);
+    }
+
+    let streamed = '';
+    for await (const part of client.sendMessageStream('Find account 9876-54321', [])) {
+      streamed += part.text;
+    }
+    if (JSON.stringify(requests[1].body).includes('9876-54321') || streamed !== 'Account 9876-54321 found.') {
+      throw new Error(`The stream should be tokenized and restored, got "${streamed}"`);
+    }
+
+    await client.sendMessage('Email jane@example.com', [], undefined, undefined, { tokenizePii: false });
+    if (requests[2].body.contents[0].parts[0].text !== 'Email jane@example.com') {
+      throw new Error('The per-call option should override the client setting');
+    }
+  });
+
+  // Test 11: Metrics
+  await runTest('Metrics - Counts model calls by outcome and finish reason, and their tokens', async () => {
+    const model = 'metrics-test-model';
+    const usageMetadata = { promptTokenCount: 7, candidatesTokenCount: 3, totalTokenCount: 10 };
+    stubVertex((options, index) => {
+      if (options.responseType === 'stream') {
+        const chunk = { candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'MAX_TOKENS' }], usageMetadata };
+        return { status: 200, data: Readable.from([`data: ${JSON.stringify(chunk)}\n\n`]) };
+      }
+      return index === 0
+        ? { status: 200, data: { ...OK_RESPONSE.data, usageMetadata } }
+        : { status: 200, data: { promptFeedback: { blockReason: 'SAFETY' }, usageMetadata } };
+    });
+    const client = createClient({ retry: { maxRetries: 0 } });
+    await client.sendMessage('Hi', [], model);
+    await client.sendMessage('Hi', [], model).catch(() => {});
+    const streamed = [];
+    for await (const part of client.sendMessageStream('Hi', [], model)) {
+      streamed.push(part);
+    }
+
+    const counts = [
+      geminiRequests.get({ model, outcome: 'success', finish_reason: 'STOP' }),
+      geminiRequests.get({ model, outcome: 'blocked', finish_reason: 'none' }),
+      geminiRequests.get({ model, outcome: 'success', finish_reason: 'MAX_TOKENS' })
+    ];
+    if (counts.join() !== '1,1,1') {
+      throw new Error(`Expected one call of each kind, got ${counts.join()}`);
+    }
+    if (geminiTokens.get({ model, type: 'prompt' }) !== 21 || geminiTokens.get({ model, type: 'candidates' }) !== 9) {
+      throw new Error('The tokens of every response, including the blocked one, should be counted');
+    }
+  });
+
+  // Test 12: countTokens
+  await runTest('countTokens - Counts the tokens of a prompt with the model\'s tokenizer', async () => {
+    const requests = stubVertex((options) => (options.url.endsWith(':countTokens')
+      ? { status: 200, data: { totalTokens: 4, totalBillableCharacters: 11 } }
+      : { status: 200, data: {} }));
+    const client = createClient();
+    const counts = await client.countTokens('Hello there', 'gemini-2.5-pro');
+    if (counts.totalTokens !== 4 || !requests[0].url.endsWith('/models/gemini-2.5-pro:countTokens')) {
+      throw new Error(`Unexpected count ${JSON.stringify(counts)} from ${requests[0].url}`);
+    }
+    if (requests[0].body.contents[0].parts[0].text !== 'Hello there') {
+      throw new Error('The prompt should be sent as contents');
+    }
+
+    stubVertex(() => ({ status: 200, data: {} }));
+    try {
+      await client.countTokens('Hello there');
+      throw new Error('A response without a count should be rejected');
+    } catch (error) {
+      if (!(error instanceof GeminiApiError) || error.status !== 502) {
+        throw error;
+      }
+    }
+  });
+
+  // Test 13: Context window
+  await runTest('Context window - Rejects, truncates or summarizes requests over the model\'s limit', async () => {
+    // One token per character of text, so the counts are predictable.
+    const countText = body => body.contents.flatMap(content => content.parts).reduce((sum, part) => sum + (part.text || '').length, 0);
+    const stubCounting = () => stubVertex((options) => {
+      const body = JSON.parse(options.body);
+      if (options.url.endsWith(':countTokens')) {
+        return { status: 200, data: { totalTokens: countText(body) } };
+      }
+      const isSummary = body.contents[0].parts[0].text.startsWith('Summarize');
+      return { status: 200, data: { candidates: [{ content: { parts: [{ text: isSummary ? 'SUMMARY' : 'OK' }] }, finishReason: 'STOP' }] } };
+    });
+    const history = [1, 2, 3].flatMap(turn => [
+      { role: 'user', parts: [{ text: `Q${turn}`.padEnd(100, '.') }] },
+      { role: 'model', parts: [{ text: `A${turn}`.padEnd(100, '.') }] }
+    ]);
+    const contextWindow = strategy => ({ contextWindow: { strategy, limits: { 'tiny-model': 300 } } });
+
+    let requests = stubCounting();
+    try {
+      await createClient(contextWindow('reject')).sendMessage('Question', history, 'tiny-model');
+      throw new Error('A request over the limit should be rejected');
+    } catch (error) {
+      if (!(error instanceof GeminiContextLengthError) || error.status !== 400 || error.details.totalTokens !== 608) {
+        throw error;
+      }
+    }
+    if (requests.some(request => request.url.endsWith(':generateContent'))) {
+      throw new Error('A rejected request should not be sent');
+    }
+
+    requests = stubCounting();
+    await createClient(contextWindow('truncate')).sendMessage('Question', history, 'tiny-model');
+    let sent = requests.at(-1).body.contents;
+    if (sent.length !== 3 || !sent[0].parts[0].text.startsWith('Q3')) {
+      throw new Error(`Only the last turn should be kept: ${sent.map(content => content.parts[0].text.slice(0, 2)).join()}`);
+    }
+
+    requests = stubCounting();
+    await createClient(contextWindow('summarize')).sendMessage('Question', history, 'tiny-model');
+    const summaryPrompt = requests.find(request => request.body.contents[0].parts[0].text.startsWith('Summarize')).body.contents[0].parts[0].text;
+    if (!summaryPrompt.includes('User: Q1') || !summaryPrompt.includes('Assistant: A2') || summaryPrompt.includes('Q3')) {
+      throw new Error('The dropped turns should be summarized');
+    }
+    sent = requests.at(-1).body.contents;
+    if (sent.length !== 5 || !sent[0].parts[0].text.endsWith('SUMMARY') || !sent[2].parts[0].text.startsWith('Q3')) {
+      throw new Error('The summary should replace the dropped turns');
+    }
+
+    // Fallback targets receive the same body, so it must fit the smallest of their limits.
+    requests = stubCounting();
+    const routed = createClient({
+      contextWindow: { strategy: 'reject', limits: { 'large-model': 10000, 'tiny-model': 300 } },
+      routing: { routes: { text: ['large-model', 'tiny-model@europe-west4'] } }
+    });
+    const error = await routed.sendMessage('Question', history).catch(failure => failure);
+    if (!(error instanceof GeminiContextLengthError) || error.details.model !== 'tiny-model' || error.details.limit !== 300) {
+      throw new Error(`The smallest limit among the targets should apply: ${error?.message}`);
+    }
+    if (!requests.every(request => request.url.includes('/models/large-model:countTokens'))) {
+      throw new Error('The request should be counted by its first target');
+    }
+
+    // Small requests and unknown models are not counted.
+    requests = stubCounting();
+    await createClient(contextWindow('reject')).sendMessage('Hi', [], 'gemini-2.5-flash-preview-05-20');
+    await createClient(contextWindow('reject')).sendMessage('Question', history, 'unknown-model');
+    if (requests.some(request => request.url.endsWith(':countTokens'))) {
+      throw new Error('Requests that certainly fit should not be counted');
+    }
+  });
+
+  // Test 14: Model routing
+  await runTest('Model routing - Routes by request type and falls back on 429 and 5xx', async () => {
+    let primaryStatus = 503;
+    const requests = stubVertex((options) => {
+      if (options.url.includes('/models/primary-model:')) {
+        throw httpError(primaryStatus);
+      }
+      if (options.url.includes('/models/structured-model:')) {
+        return { status: 200, data: { candidates: [{ content: { parts: [{ text: '{"ok":true}' }] }, finishReason: 'STOP' }] } };
+      }
+      if (options.responseType === 'stream') {
+        const chunk = { candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }] };
+        return { status: 200, data: Readable.from([`data: ${JSON.stringify(chunk)}\n\n`]) };
+      }
+      return OK_RESPONSE;
+    });
+    const client = createClient({
+      retry: { maxRetries: 0 },
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 },
+      routing: {
+        routes: {
+          text: ['primary-model', { model: 'backup-model', location: 'europe-west4' }],
+          structured: ['structured-model@global']
+        }
+      }
+    });
+
+    const response = await client.sendMessage('Hi', []);
+    const { servedBy } = response;
+    if (servedBy.model !== 'backup-model' || servedBy.location !== 'europe-west4' || servedBy.requestType !== 'text'
+      || servedBy.failedTargets[0]?.model !== 'primary-model' || servedBy.failedTargets[0]?.status !== 503) {
+      throw new Error(`Unexpected servedBy: ${JSON.stringify(servedBy)}`);
+    }
+    if (!requests[1].url.startsWith('https://europe-west4-aiplatform.googleapis.com/') || !requests[1].url.includes('/locations/europe-west4/')) {
+      throw new Error(`The fallback should be called in its own location: ${requests[1].url}`);
+    }
+
+    const stream = client.sendMessageStream('Hi', []);
+    let step = await stream.next();
+    while (!step.done) {
+      step = await stream.next();
+    }
+    if (step.value.servedBy?.model !== 'backup-model') {
+      throw new Error(`A stream should fall back before it starts: ${JSON.stringify(step.value)}`);
+    }
+    const primary = client.getCircuitBreakerState({ model: 'primary-model', location: 'us-central1' });
+    const backup = client.getCircuitBreakerState({ model: 'backup-model', location: 'europe-west4' });
+    if (primary.state !== 'open' || backup.state !== 'closed') {
+      throw new Error('Each model and location should have its own circuit');
+    }
+
+    const structured = await client.sendMessage('Hi', [], undefined, undefined, { generationConfig: { responseMimeType: 'application/json' } });
+    if (structured.servedBy.model !== 'structured-model' || !requests.at(-1).url.startsWith('https://aiplatform.googleapis.com/v1beta1/projects/test-project/locations/global/')) {
+      throw new Error('JSON requests should use the structured route');
+    }
+
+    // Client errors are not the model's fault, so they are not retried elsewhere.
+    primaryStatus = 400;
+    const isolated = createClient({ retry: { maxRetries: 0 }, routing: { routes: { text: ['primary-model', 'backup-model'] } } });
+    const count = requests.length;
+    const error = await isolated.sendMessage('Hi', []).catch(failure => failure);
+    if (error.status !== 400 || requests.length !== count + 1) {
+      throw new Error('A 400 should not fall back to the next model');
+    }
+  });
+
+  // Test 15: Streams reassemble what the network splits
+  await runTest('sendMessageStream - Reassembles events and characters split across chunks', async () => {
+    const chunks = [
+      { candidates: [{ content: { parts: [{ text: 'Café' }] } }] },
+      { candidates: [{ content: { parts: [{ text: ' – €154.33' }] }, finishReason: 'STOP' }], usageMetadata: { totalTokenCount: 7 } },
+      '[DONE]'
+    ];
+    const payload = Buffer.from(chunks.map(chunk => `data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`).join(''));
+    // Inside "é", inside the blank line ending the first event, and inside "€".
+    const cuts = [payload.indexOf('é') + 1, payload.indexOf('\n\n') + 1, payload.indexOf('€') + 2];
+    const requests = stubVertex(() => ({ status: 200, data: splitStream(payload, cuts) }));
+    const client = createClient();
+
+    const { parts, summary } = await readStream(client.sendMessageStream('Hi', []));
+    const text = parts.map(part => part.text).join('');
+    if (text !== 'Café – €154.33' || parts.length !== 2) {
+      throw new Error(`Unexpected parts: ${JSON.stringify(parts)}`);
+    }
+    if (summary.finishReason !== 'STOP' || summary.usageMetadata?.totalTokenCount !== 7) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    }
+    if (!requests[0].url.endsWith(':streamGenerateContent?alt=sse')) {
+      throw new Error(`Streams should ask for Server-Sent Events: ${requests[0].url}`);
+    }
+
+    stubVertex(() => ({ status: 200, data: sseStream(chunks, [5, 40]) }));
+    const withFiles = await readStream(client.sendMessageWithFilesStream('Read this', [], [{ buffer: Buffer.from('%PDF'), mimetype: 'application/pdf' }]));
+    if (withFiles.parts.map(part => part.text).join('') !== 'Café – €154.33') {
+      throw new Error(`Unexpected parts with files: ${JSON.stringify(withFiles.parts)}`);
+    }
+
+    // Error bodies of streaming requests arrive as streams too.
+    const body = Buffer.from(JSON.stringify({ error: { code: 400, message: 'Modèle indisponible' } }));
+    stubVertex(() => {
+      const error = new Error('Request failed with status code 400');
+      error.response = { status: 400, headers: {}, data: splitStream(body, [body.indexOf('è') + 1]) };
+      throw error;
+    });
+    const failure = await readStream(client.sendMessageStream('Hi', [])).catch(error => error);
+    if (failure.status !== 400 || failure.details?.error?.message !== 'Modèle indisponible') {
+      throw new Error(`The error body should be decoded in full: ${JSON.stringify(failure.details)}`);
+    }
+  });
+
+  // Test 16: Malformed stream chunks
+  await runTest('sendMessageStream - Fails with 502 on a malformed chunk', async () => {
+    stubVertex(() => ({
+      status: 200,
+      data: sseStream([{ candidates: [{ content: { parts: [{ text: 'Hi' }] } }] }, '{"candidates": [', '[DONE]'])
+    }));
+    const stream = createClient().sendMessageStream('Hi', []);
+    const first = await stream.next();
+    if (first.value?.text !== 'Hi') {
+      throw new Error('The parts before the malformed chunk should be returned');
+    }
+    const error = await stream.next().then(() => null, failure => failure);
+    if (!(error instanceof GeminiApiError) || error.status !== 502 || !error.details?.chunk?.startsWith('{"candidates"')) {
+      throw new Error(`Expected a 502 GeminiApiError, got ${error?.name}: ${error?.message}`);
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All Gemini client tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,118 @@
+/**
+ * @file test-health.js
+ * @description Unit tests for the readiness checks behind /api/health/ready
+ * The checks are stand-ins, so no Google Cloud credentials are needed.
+ */
+
+import { ReadinessChecker } from '../health/readiness.js';
+
+async function runTests() {
+  console.log('🧪 Testing Readiness Checks...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Results
+  await runTest('ReadinessChecker - Reports each dependency with its latency and error', async () => {
+    let aborted = false;
+    const checker = new ReadinessChecker({
+      timeoutMs: 50,
+      checks: {
+        storage: async () => ({ bucket: 'bills' }),
+        model: async () => {
+          const error = new Error('Publisher model not found');
+          error.status = 404;
+          throw error;
+        },
+        credentials: signal => new Promise(() => {
+          signal.addEventListener('abort', () => {
+            aborted = true;
+          });
+        })
+      }
+    });
+    const result = await checker.check();
+    const { storage, model, credentials } = result.checks;
+    if (result.status !== 'ERROR' || storage.status !== 'OK' || storage.bucket !== 'bills' || !(storage.latencyMs >= 0)) {
+      throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+    }
+    if (model.status !== 'ERROR' || model.error !== 'Publisher model not found' || model.errorStatus !== 404) {
+      throw new Error(`Expected the model's error, got ${JSON.stringify(model)}`);
+    }
+    if (credentials.error !== 'Timed out after 50ms.' || !aborted) {
+      throw new Error(`Expected a timeout that aborts the check, got ${JSON.stringify(credentials)}`);
+    }
+  });
+
+  // Test 2: Caching
+  await runTest('ReadinessChecker - Caches results and shares a run in progress', async () => {
+    let now = 0;
+    let runs = 0;
+    const checker = new ReadinessChecker({
+      cacheMs: 10000,
+      now: () => now,
+      checks: {
+        model: async () => {
+          runs++;
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+      }
+    });
+    const [first, second] = await Promise.all([checker.check(), checker.check()]);
+    if (runs !== 1 || first.status !== 'OK' || first.cached || second.cached) {
+      throw new Error(`Concurrent checks should share one run, got ${runs} runs`);
+    }
+    now = 9000;
+    if (!(await checker.check()).cached || runs !== 1) {
+      throw new Error('A recent result should be reused');
+    }
+    now = 10000;
+    if ((await checker.check()).cached || runs !== 2) {
+      throw new Error('An expired result should be refreshed');
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All readiness tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,129 @@
+/**
+ * @file test-json-patch.js
+ * @description Unit tests for JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396)
+ */
+
+import { applyJsonPatch, applyMergePatch, JsonPatchError } from '../patch/jsonPatch.js';
+
+const customer = {
+  "customerName": "Test Customer",
+  "autopay": { "isEnrolled": false, "paymentMethod": null },
+  "disputes": [{ "disputeId": "d_1", "status": "Submitted" }]
+};
+
+function expectPatchError(patchFunction, status) {
+  try {
+    patchFunction();
+  } catch (error) {
+    if (!(error instanceof JsonPatchError) || error.status !== status) {
+      throw new Error(`Expected a JsonPatchError with status ${status}, got ${error.name} (${error.status}): ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error('Expected the patch to fail');
+}
+
+async function runTests() {
+  console.log('🧪 Testing JSON Patch...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Every operation type
+  await runTest('applyJsonPatch - add, remove, replace, move, copy and test', async () => {
+    const patched = applyJsonPatch(customer, [
+      { op: 'test', path: '/autopay/isEnrolled', value: false },
+      { op: 'replace', path: '/autopay/isEnrolled', value: true },
+      { op: 'add', path: '/autopay/paymentMethod', value: 'Visa **** 1234' },
+      { op: 'add', path: '/disputes/-', value: { disputeId: 'd_2', status: 'Submitted' } },
+      { op: 'copy', from: '/customerName', path: '/preferredName' },
+      { op: 'move', from: '/disputes/0', path: '/closedDisputes' },
+      { op: 'remove', path: '/preferredName' }
+    ]);
+    const expected = {
+      customerName: 'Test Customer',
+      autopay: { isEnrolled: true, paymentMethod: 'Visa **** 1234' },
+      disputes: [{ disputeId: 'd_2', status: 'Submitted' }],
+      closedDisputes: { disputeId: 'd_1', status: 'Submitted' }
+    };
+    if (JSON.stringify(patched) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected result: ${JSON.stringify(patched)}`);
+    }
+    if (customer.autopay.isEnrolled !== false || customer.disputes.length !== 1) {
+      throw new Error('The original document must not be modified');
+    }
+  });
+
+  // Test 2: Invalid paths and failed tests are unprocessable, malformed patches are bad requests
+  await runTest('applyJsonPatch - 422 for paths that do not fit the document, 400 for malformed patches', async () => {
+    const error = expectPatchError(() => applyJsonPatch(customer, [
+      { op: 'replace', path: '/autopay/isEnrolled', value: true },
+      { op: 'replace', path: '/currentBill/dueDate', value: '2025-08-01' }
+    ]), 422);
+    if (error.details.operation !== 1 || error.details.path !== '/currentBill/dueDate') {
+      throw new Error(`Details should identify the failing operation: ${JSON.stringify(error.details)}`);
+    }
+    expectPatchError(() => applyJsonPatch(customer, [{ op: 'remove', path: '/disputes/5' }]), 422);
+    expectPatchError(() => applyJsonPatch(customer, [{ op: 'test', path: '/customerName', value: 'Someone Else' }]), 422);
+    expectPatchError(() => applyJsonPatch(customer, { op: 'add' }), 400);
+    expectPatchError(() => applyJsonPatch(customer, [{ op: 'upsert', path: '/x', value: 1 }]), 400);
+    expectPatchError(() => applyJsonPatch(customer, [{ op: 'add', path: 'customerName', value: 1 }]), 400);
+  });
+
+  // Test 3: Merge Patch
+  await runTest('applyMergePatch - Merges objects, removes nulls and replaces arrays', async () => {
+    const patched = applyMergePatch(customer, {
+      autopay: { isEnrolled: true, paymentMethod: 'Visa **** 1234' },
+      customerName: null,
+      disputes: []
+    });
+    const expected = { autopay: { isEnrolled: true, paymentMethod: 'Visa **** 1234' }, disputes: [] };
+    if (JSON.stringify(patched) !== JSON.stringify(expected) || customer.customerName !== 'Test Customer') {
+      throw new Error(`Unexpected result: ${JSON.stringify(patched)}`);
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All JSON Patch tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
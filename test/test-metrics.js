@@ -0,0 +1,148 @@
+/**
+ * @file test-metrics.js
+ * @description Unit tests for the Prometheus metrics registry and the service's HTTP and Cloud Storage metrics
+ * Cloud Storage calls are only made with invalid arguments, so no credentials are needed.
+ */
+
+import express from 'express';
+import { MetricsRegistry } from '../metrics/registry.js';
+import { createHttpMetricsMiddleware, gcsOperations, httpRequestDuration, observeGcsOperation } from '../metrics/serviceMetrics.js';
+import { getFile } from '../gcs/gcs-utils.js';
+import { StorageFileNotFoundError } from '../storage/storageBackend.js';
+
+async function runTests() {
+  console.log('🧪 Testing Metrics...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Exposition format
+  await runTest('MetricsRegistry - Renders counters and histograms in the Prometheus text format', async () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter({ name: 'jobs_total', help: 'Jobs run.', labelNames: ['queue'] });
+    const latency = registry.histogram({ name: 'job_seconds', help: 'Job latency.', labelNames: ['queue'], buckets: [0.1, 1] });
+    requests.inc({ queue: 'say "hi"\\now' });
+    requests.inc({ queue: 'bills' }, 2);
+    latency.observe({ queue: 'bills' }, 0.05);
+    latency.observe({ queue: 'bills' }, 3);
+
+    const expected = [
+      '# HELP jobs_total Jobs run.',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\"\\\\now"} 1',
+      'jobs_total{queue="bills"} 2',
+      '# HELP job_seconds Job latency.',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{queue="bills",le="0.1"} 1',
+      'job_seconds_bucket{queue="bills",le="1"} 1',
+      'job_seconds_bucket{queue="bills",le="+Inf"} 2',
+      'job_seconds_sum{queue="bills"} 3.05',
+      'job_seconds_count{queue="bills"} 2',
+      ''
+    ].join('\n');
+    if (registry.render() !== expected) {
+      throw new Error(`Unexpected output:\n${registry.render()}`);
+    }
+    for (const misuse of [() => requests.inc({ customer: 'c1' }), () => requests.inc({}, -1), () => registry.counter({ name: 'jobs_total', help: '' })]) {
+      let threw = false;
+      try {
+        misuse();
+      } catch {
+        threw = true;
+      }
+      if (!threw) {
+        throw new Error('Unknown labels, negative increments and duplicate names should be rejected');
+      }
+    }
+  });
+
+  // Test 2: HTTP metrics
+  await runTest('createHttpMetricsMiddleware - Times requests by route pattern and status', async () => {
+    const app = express();
+    app.use(createHttpMetricsMiddleware());
+    app.get('/test-metrics/items/:id', (req, res) => res.status(req.params.id === 'missing' ? 404 : 200).end());
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    try {
+      const baseUrl = `http://localhost:${server.address().port}`;
+      await fetch(`${baseUrl}/test-metrics/items/1`);
+      await fetch(`${baseUrl}/test-metrics/items/2`);
+      await fetch(`${baseUrl}/test-metrics/items/missing`);
+      await fetch(`${baseUrl}/test-metrics/nothing-here`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    const route = '/test-metrics/items/:id';
+    const ok = httpRequestDuration.get({ method: 'GET', route, status: 200 });
+    const notFound = httpRequestDuration.get({ method: 'GET', route, status: 404 });
+    if (ok.count !== 2 || notFound.count !== 1 || !(ok.sum > 0)) {
+      throw new Error(`Expected 2 OK and 1 missing request, got ${ok.count} and ${notFound.count}`);
+    }
+    if (httpRequestDuration.get({ method: 'GET', route: 'unmatched', status: 404 }).count < 1) {
+      throw new Error('Requests without a route should be recorded as unmatched');
+    }
+  });
+
+  // Test 3: Cloud Storage metrics
+  await runTest('observeGcsOperation - Counts Cloud Storage calls by outcome', async () => {
+    await observeGcsOperation('testOperation', async () => 'ok');
+    await observeGcsOperation('testOperation', async () => {
+      throw new StorageFileNotFoundError('missing');
+    }).catch(() => {});
+    if (gcsOperations.get({ operation: 'testOperation', outcome: 'success' }) !== 1
+      || gcsOperations.get({ operation: 'testOperation', outcome: 'not_found' }) !== 1) {
+      throw new Error('Expected one successful and one not-found operation');
+    }
+
+    const before = gcsOperations.get({ operation: 'getFile', outcome: 'error' });
+    await getFile('', 'file.json').catch(() => {});
+    if (gcsOperations.get({ operation: 'getFile', outcome: 'error' }) !== before + 1) {
+      throw new Error('gcs-utils calls should be counted');
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All metrics tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
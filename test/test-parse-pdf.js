@@ -0,0 +1,133 @@
+/**
+ * @file test-parse-pdf.js
+ * @description Unit tests for the PDF text extractor
+ * Parses the sample bills in test-data/pdf and checks page text, metadata
+ * and error handling. No server or Google Cloud credentials are needed.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePdf, PdfParseError } from '../pdf/parsePdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PDF_DIR = path.join(__dirname, '..', 'test-data', 'pdf');
+
+async function runTests() {
+  console.log('🧪 Testing PDF Parser...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Page count and metadata
+  await runTest('parsePdf - Page count and metadata (Bill1.pdf)', async () => {
+    const result = await parsePdf(await readFile(path.join(PDF_DIR, 'Bill1.pdf')));
+    if (result.pageCount !== 3 || result.pages.length !== 3) {
+      throw new Error(`Expected 3 pages, got ${result.pageCount}`);
+    }
+    if (!result.metadata.producer?.startsWith('StreamServe')) {
+      throw new Error(`Unexpected producer: ${result.metadata.producer}`);
+    }
+    if (result.metadata.creationDate !== '2025-06-05T03:04:36.000Z') {
+      throw new Error(`Unexpected creation date: ${result.metadata.creationDate}`);
+    }
+    if (!Array.isArray(result.outlines)) {
+      throw new Error('outlines should be an array');
+    }
+    console.log(`   Producer: ${result.metadata.producer}`);
+  });
+
+  // Test 2: Text from Identity-H fonts with ToUnicode maps
+  await runTest('parsePdf - Decodes CID font text (Bill1.pdf)', async () => {
+    const result = await parsePdf(await readFile(path.join(PDF_DIR, 'Bill1.pdf')));
+    const firstPage = result.pages[0].text;
+    for (const expected of ['Your Energy Bill', 'Account number 9100 1558 6184', 'Total Amount Due Jun 30\t$154.33']) {
+      if (!firstPage.includes(expected)) {
+        throw new Error(`Page 1 text should contain "${expected}"`);
+      }
+    }
+    if (!result.pages[2].text.includes('Total Current Charges\t$144.23')) {
+      throw new Error('Page 3 text should contain the billing details');
+    }
+  });
+
+  // Test 3: Every sample bill parses without warnings
+  await runTest('parsePdf - All sample bills parse cleanly', async () => {
+    for (const fileName of ['Bill1.pdf', 'Bill2.pdf', 'Bill3.pdf']) {
+      const result = await parsePdf(await readFile(path.join(PDF_DIR, fileName)));
+      if (result.warnings.length > 0) {
+        throw new Error(`${fileName} produced warnings: ${result.warnings.join('; ')}`);
+      }
+      if (!result.text.includes('Billing summary')) {
+        throw new Error(`${fileName} text should contain "Billing summary"`);
+      }
+    }
+  });
+
+  // Test 4: Input validation
+  await runTest('parsePdf - Input validation (non-buffer input)', async () => {
+    try {
+      await parsePdf('not a buffer');
+      throw new Error('Should have thrown an error for a string input');
+    } catch (error) {
+      if (!(error instanceof PdfParseError)) {
+        throw new Error(`Wrong error type: ${error.message}`);
+      }
+    }
+  });
+
+  // Test 5: Non-PDF content
+  await runTest('parsePdf - Rejects non-PDF content', async () => {
+    try {
+      await parsePdf(Buffer.from('{"hello": "world"}'));
+      throw new Error('Should have thrown an error for non-PDF content');
+    } catch (error) {
+      if (!(error instanceof PdfParseError) || !error.message.includes('PDF header')) {
+        throw new Error(`Wrong error: ${error.message}`);
+      }
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All PDF parser tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,170 @@
+/**
+ * @file test-pii.js
+ * @description Unit tests for PII redaction in logs and tokenization of prompts
+ */
+
+import pino from 'pino';
+import { Writable } from 'stream';
+import { findPii, PiiTokenizer, redactPii, redactPiiDeep } from '../privacy/pii.js';
+import { redactingLoggerOptions } from '../logging/redaction.js';
+
+async function runTests() {
+  console.log('🧪 Testing PII Redaction...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Detection
+  await runTest('redactPii - Masks each kind of PII and leaves other text alone', async () => {
+    const cases = [
+      ['Mail jane.doe@example.com today', 'Mail [REDACTED_EMAIL] today'],
+      ['Card 4242 4242 4242 4242 was declined', 'Card [REDACTED_CARD_NUMBER] was declined'],
+      ['Paid with Visa **** 4242', 'Paid with Visa [REDACTED_CARD_NUMBER]'],
+      ['Call (704) 555-0199 or +1 704.555.0123', 'Call [REDACTED_PHONE] or [REDACTED_PHONE]'],
+      ['My account is 9876-54321', 'My account is [REDACTED_ACCOUNT_NUMBER]'],
+      ['Account number: AC1234567', 'Account number: [REDACTED_ACCOUNT_NUMBER]'],
+      ['Ship to 123 Main St, Charlotte, NC 28202 please', 'Ship to [REDACTED_ADDRESS] please'],
+      ['Moved to 55 Oak Avenue Apt 4B', 'Moved to [REDACTED_ADDRESS]'],
+      ['The bill of $450.75 is due 2025-08-05 for 2 months', 'The bill of $450.75 is due 2025-08-05 for 2 months']
+    ];
+    for (const [text, expected] of cases) {
+      const redacted = redactPii(text);
+      if (redacted !== expected) {
+        throw new Error(`Expected "${expected}", got "${redacted}"`);
+      }
+    }
+    // Ordinary words after "account", and long numbers that fail the Luhn check, are not PII.
+    for (const text of [
+      'What is my account balance?',
+      'Account Summary for July',
+      'Check the account status and account number',
+      'Meter reading 12345678901234',
+      'Reference 4242 4242 4242 4241'
+    ]) {
+      if (redactPii(text) !== text || new PiiTokenizer().tokenize(text) !== text) {
+        throw new Error(`"${text}" should stay unchanged, got "${redactPii(text)}"`);
+      }
+    }
+    const [match] = findPii('Account #9876-54321');
+    if (match.type !== 'ACCOUNT_NUMBER' || match.value !== '9876-54321') {
+      throw new Error(`Expected the labelled account number, got ${JSON.stringify(match)}`);
+    }
+  });
+
+  // Test 2: Nested values
+  await runTest('redactPiiDeep - Redacts nested strings and known PII fields', async () => {
+    const customer = { id: 'c1', accountNumber: 'ABC', contact: { email: 'x', notes: ['Reach me at 704-555-0199'] }, balance: 12 };
+    const redacted = redactPiiDeep(customer);
+    if (redacted.accountNumber !== '[REDACTED_ACCOUNT_NUMBER]' || redacted.contact.email !== '[REDACTED_EMAIL]') {
+      throw new Error(`PII fields should be masked whole, got ${JSON.stringify(redacted)}`);
+    }
+    if (redacted.contact.notes[0] !== 'Reach me at [REDACTED_PHONE]' || redacted.balance !== 12 || redacted.id !== 'c1') {
+      throw new Error(`Unexpected redaction: ${JSON.stringify(redacted)}`);
+    }
+    if (customer.accountNumber !== 'ABC') {
+      throw new Error('The original value must not be changed');
+    }
+  });
+
+  // Test 3: Logger
+  await runTest('redactingLoggerOptions - Log records never contain PII', async () => {
+    const lines = [];
+    const destination = new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(JSON.parse(chunk.toString()));
+        callback();
+      }
+    });
+    const logger = pino(redactingLoggerOptions, destination).child({ component: 'test' });
+    logger.info({ userInput: 'My email is jane@example.com' }, 'Chat request for 9876-54321');
+    logger.info('Address %s', '123 Main St, Charlotte, NC 28202');
+    logger.error(new Error('No customer with card 4242424242424242'));
+
+    const output = JSON.stringify(lines);
+    for (const secret of ['jane@example.com', '9876-54321', '123 Main St', '4242424242424242']) {
+      if (output.includes(secret)) {
+        throw new Error(`The log contains "${secret}": ${output}`);
+      }
+    }
+    if (lines[0].userInput !== 'My email is [REDACTED_EMAIL]' || lines[0].component !== 'test') {
+      throw new Error(`Unexpected record: ${JSON.stringify(lines[0])}`);
+    }
+    if (lines[2].err?.type !== 'Error' || !lines[2].msg.includes('[REDACTED_CARD_NUMBER]')) {
+      throw new Error(`Errors should be serialized and redacted, got ${JSON.stringify(lines[2])}`);
+    }
+  });
+
+  // Test 4: Tokenization
+  await runTest('PiiTokenizer - Swaps PII for placeholders and restores them, also across stream chunks', async () => {
+    const tokenizer = new PiiTokenizer();
+    const contents = tokenizer.tokenizeContents([
+      { role: 'user', parts: [{ text: 'Email jane@example.com and bob@example.com, then jane@example.com again' }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'getCustomer', response: { phone: '704-555-0199' } } }] },
+      { role: 'user', parts: [{ inlineData: { mimeType: 'application/pdf', data: 'MTIzNDU2Nzg5MDEyMzQ=' } }] }
+    ]);
+    if (contents[0].parts[0].text !== 'Email [EMAIL_1] and [EMAIL_2], then [EMAIL_1] again') {
+      throw new Error(`Unexpected tokenized text: ${contents[0].parts[0].text}`);
+    }
+    if (contents[1].parts[0].functionResponse.response.phone !== '[PHONE_1]') {
+      throw new Error('Function responses should be tokenized');
+    }
+    if (contents[2].parts[0].inlineData.data !== 'MTIzNDU2Nzg5MDEyMzQ=') {
+      throw new Error('File data must be sent unchanged');
+    }
+
+    const reply = tokenizer.restoreDeep({ parts: [{ text: 'I wrote to [EMAIL_2] and called [PHONE_1]; [EMAIL_9] is unknown.' }] });
+    if (reply.parts[0].text !== 'I wrote to bob@example.com and called 704-555-0199; [EMAIL_9] is unknown.') {
+      throw new Error(`Unexpected restored text: ${reply.parts[0].text}`);
+    }
+
+    const restorer = tokenizer.createStreamRestorer();
+    const streamed = ['Reply to [EM', 'AIL_1', '] soon [', 'PHONE_1] ['].map(chunk => restorer.push(chunk)).join('') + restorer.flush();
+    if (streamed !== 'Reply to jane@example.com soon 704-555-0199 [') {
+      throw new Error(`Unexpected streamed text: ${streamed}`);
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All PII redaction tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
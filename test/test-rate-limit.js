@@ -0,0 +1,175 @@
+/**
+ * @file test-rate-limit.js
+ * @description Unit tests for the request rate limits and daily token quotas
+ * The clock is simulated, so the tests do not wait for buckets to refill.
+ */
+
+import { MemoryRateLimitStore } from '../limits/rateLimitStore.js';
+import { createRateLimitMiddleware, RateLimiter, RateLimitError } from '../limits/rateLimiter.js';
+
+/**
+ * Builds the parts of an Express request and response the middleware uses.
+ */
+function fakeExchange(auth, ip = '203.0.113.7') {
+  const headers = {};
+  const res = {
+    locals: {},
+    headersSent: false,
+    set(nameOrHeaders, value) {
+      Object.assign(headers, typeof nameOrHeaders === 'string' ? { [nameOrHeaders]: value } : nameOrHeaders);
+    }
+  };
+  return { req: { auth, ip }, res, headers };
+}
+
+/**
+ * Runs the middleware and returns the error it passed to next(), if any.
+ */
+async function runMiddleware(middleware, { req, res }) {
+  return new Promise(resolve => middleware(req, res, resolve));
+}
+
+async function runTests() {
+  console.log('🧪 Testing Rate Limits...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Token bucket
+  await runTest('MemoryRateLimitStore - Bursts are allowed and the bucket refills over time', async () => {
+    let now = Date.parse('2025-07-20T12:00:00Z');
+    const store = new MemoryRateLimitStore({ now: () => now });
+    const bucket = { capacity: 3, refillPerSecond: 0.5 };
+
+    for (let i = 0; i < 3; i++) {
+      const result = await store.take('caller', bucket);
+      if (!result.allowed || result.remaining !== 2 - i) {
+        throw new Error(`Request ${i + 1} of the burst should be allowed, got ${JSON.stringify(result)}`);
+      }
+    }
+    const refused = await store.take('caller', bucket);
+    if (refused.allowed || refused.retryAfterMs !== 2000) {
+      throw new Error(`The 4th request should wait 2s for a token, got ${JSON.stringify(refused)}`);
+    }
+    if (!(await store.take('other-caller', bucket)).allowed) {
+      throw new Error('Callers should have separate buckets');
+    }
+    now += 2000;
+    if (!(await store.take('caller', bucket)).allowed) {
+      throw new Error('A token should be available after 2s');
+    }
+  });
+
+  // Test 2: Request limits in the middleware
+  await runTest('createRateLimitMiddleware - 429 with Retry-After once the burst is used up', async () => {
+    let now = Date.parse('2025-07-20T12:00:00Z');
+    const middleware = createRateLimitMiddleware(new RateLimiter({ requestsPerMinute: 6, burst: 2, now: () => now }));
+    const agent = { id: 'harshal-agent', scopes: ['chat'] };
+
+    for (let i = 0; i < 2; i++) {
+      const exchange = fakeExchange(agent);
+      const error = await runMiddleware(middleware, exchange);
+      if (error || exchange.headers['X-RateLimit-Limit'] !== '2' || exchange.headers['X-RateLimit-Remaining'] !== String(1 - i)) {
+        throw new Error(`Request ${i + 1} should pass with rate limit headers, got ${error} ${JSON.stringify(exchange.headers)}`);
+      }
+    }
+    const error = await runMiddleware(middleware, fakeExchange(agent));
+    if (!(error instanceof RateLimitError) || error.retryAfterMs !== 10000) {
+      throw new Error(`The 3rd request should be refused for 10s, got ${error && JSON.stringify(error)}`);
+    }
+    // Unauthenticated callers are limited by IP address, independently of principals.
+    if (await runMiddleware(middleware, fakeExchange(undefined))) {
+      throw new Error('An unauthenticated caller should have its own bucket');
+    }
+  });
+
+  // Test 3: Daily token quotas
+  await runTest('createRateLimitMiddleware - Daily token quotas from usageMetadata', async () => {
+    let now = Date.parse('2025-07-20T23:00:00Z');
+    const middleware = createRateLimitMiddleware(new RateLimiter({ dailyTokenQuota: 1000, now: () => now }));
+    const agent = { id: 'harshal-agent', scopes: ['chat'] };
+
+    const first = fakeExchange(agent);
+    if (await runMiddleware(middleware, first)) {
+      throw new Error('The first request should pass');
+    }
+    if (first.headers['X-Token-Quota-Remaining'] !== '1000' || first.headers['X-Token-Quota-Reset'] !== '3600' || first.headers['X-RateLimit-Limit']) {
+      throw new Error(`Unexpected quota headers: ${JSON.stringify(first.headers)}`);
+    }
+    // Two model calls in one request (e.g. a tool loop); the request crossing the limit completes.
+    first.res.locals.onUsage({ totalTokenCount: 600 });
+    first.res.locals.onUsage({ totalTokenCount: 700 });
+    if (first.headers['X-Token-Quota-Remaining'] !== '0') {
+      throw new Error(`The remaining quota should be updated, got ${first.headers['X-Token-Quota-Remaining']}`);
+    }
+
+    const refused = fakeExchange(agent);
+    const error = await runMiddleware(middleware, refused);
+    if (!(error instanceof RateLimitError) || error.retryAfterMs !== 3600 * 1000) {
+      throw new Error(`The next request should be refused until midnight UTC, got ${error}`);
+    }
+    now += 3600 * 1000;
+    if (await runMiddleware(middleware, fakeExchange(agent))) {
+      throw new Error('The quota should reset at midnight UTC');
+    }
+  });
+
+  // Test 4: Store failures
+  await runTest('createRateLimitMiddleware - An unavailable store admits requests', async () => {
+    const failingStore = {
+      take: async () => {
+        throw new Error('ECONNREFUSED');
+      },
+      increment: async () => 0,
+      get: async () => 0
+    };
+    const middleware = createRateLimitMiddleware(new RateLimiter({ requestsPerMinute: 1, store: failingStore }));
+    if (await runMiddleware(middleware, fakeExchange(undefined))) {
+      throw new Error('The request should be admitted');
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All rate limit tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,175 @@
+/**
+ * @file test-request-logging.js
+ * @description Unit tests for request IDs, request-scoped loggers and access logs
+ * Requests are served by a throwaway Express app; log records are captured in memory.
+ */
+
+import express from 'express';
+import pino from 'pino';
+import { Writable } from 'stream';
+import { createRequestLogging, requestLogger, runWithRequestContext } from '../logging/requestContext.js';
+import { LoggingStorage } from '../storage/loggingStorage.js';
+import { MemoryStorage } from '../storage/memoryStorage.js';
+
+/**
+ * Creates a logger whose records are collected in `records`.
+ */
+function captureLogger(level = 'info') {
+  const records = [];
+  const destination = new Writable({
+    write(chunk, encoding, callback) {
+      records.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  });
+  return { logger: pino({ level }, destination), records };
+}
+
+/**
+ * Serves `app` on a free port for the duration of `callback`.
+ */
+async function withServer(app, callback) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  try {
+    await callback(`http://localhost:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing Request Logging...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Request IDs
+  await runTest('createRequestLogging - Accepts usable request IDs and generates the rest', async () => {
+    const { logger } = captureLogger();
+    const app = express();
+    app.use(createRequestLogging(logger));
+    app.get('/id', (req, res) => res.json({ id: req.id }));
+
+    await withServer(app, async (baseUrl) => {
+      const sent = await fetch(`${baseUrl}/id`, { headers: { 'X-Request-Id': 'agent-call.42' } });
+      if (sent.headers.get('X-Request-Id') !== 'agent-call.42' || (await sent.json()).id !== 'agent-call.42') {
+        throw new Error('The caller\'s request ID should be used');
+      }
+      for (const headers of [{}, { 'X-Request-Id': 'has spaces; and $ymbols' }]) {
+        const response = await fetch(`${baseUrl}/id`, { headers });
+        const { id } = await response.json();
+        if (!/^[0-9a-f-]{36}$/.test(id) || response.headers.get('X-Request-Id') !== id) {
+          throw new Error(`Expected a generated UUID, got ${id}`);
+        }
+      }
+    });
+  });
+
+  // Test 2: Propagation
+  await runTest('requestLogger - Binds the request ID in code that is not given the request', async () => {
+    const { logger, records } = captureLogger('debug');
+    const storage = new LoggingStorage(new MemoryStorage(), logger.child({ component: 'storage' }));
+    const app = express();
+    app.use(createRequestLogging(logger));
+    app.get('/work', async (req, res) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      requestLogger(logger).info('Deep inside a service.');
+      await storage.exists('anything.json');
+      res.end();
+    });
+
+    await withServer(app, async (baseUrl) => {
+      await fetch(`${baseUrl}/work`, { headers: { 'X-Request-Id': 'req-1' } });
+    });
+    const service = records.find(record => record.msg === 'Deep inside a service.');
+    const storageRecord = records.find(record => record.operation === 'exists');
+    if (service?.requestId !== 'req-1' || storageRecord?.requestId !== 'req-1' || storageRecord.component !== 'storage') {
+      throw new Error(`Expected the request ID on every record, got ${JSON.stringify(records)}`);
+    }
+    if (requestLogger(logger) !== logger || runWithRequestContext({ requestId: 'job' }, () => requestLogger(logger)) === logger) {
+      throw new Error('requestLogger should only bind an ID inside a request context');
+    }
+  });
+
+  // Test 3: Access log
+  await runTest('createRequestLogging - Writes one access log record per request', async () => {
+    const { logger, records } = captureLogger();
+    const app = express();
+    app.use(createRequestLogging(logger));
+    app.use((req, res, next) => {
+      req.auth = { id: 'billing-agent', scopes: [] };
+      next();
+    });
+    app.get('/items/:id', (req, res) => res.status(req.params.id === 'missing' ? 404 : 200).end());
+    app.get('/fail', () => {
+      throw new Error('boom');
+    });
+    app.use((err, req, res, next) => res.status(500).end());
+
+    await withServer(app, async (baseUrl) => {
+      await fetch(`${baseUrl}/items/1?full=true`);
+      await fetch(`${baseUrl}/items/missing`);
+      await fetch(`${baseUrl}/fail`);
+    });
+    const accessLogs = records.filter(record => record.msg === 'Request completed.');
+    if (accessLogs.length !== 3) {
+      throw new Error(`Expected 3 access log records, got ${accessLogs.length}`);
+    }
+    const [ok, missing, failed] = accessLogs;
+    if (ok.url !== '/items/1?full=true' || ok.route !== '/items/:id' || ok.status !== 200 || ok.method !== 'GET') {
+      throw new Error(`Unexpected record: ${JSON.stringify(ok)}`);
+    }
+    if (!(ok.durationMs >= 0) || ok.callerId !== 'billing-agent' || typeof ok.requestId !== 'string') {
+      throw new Error(`Expected the latency, caller and request ID, got ${JSON.stringify(ok)}`);
+    }
+    if (missing.level !== 40 || failed.level !== 50 || failed.status !== 500) {
+      throw new Error('Client errors should be logged as warnings and server errors as errors');
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All request logging tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
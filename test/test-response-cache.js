@@ -0,0 +1,250 @@
+/**
+ * @file test-response-cache.js
+ * @description Unit tests for the Gemini response cache
+ * Storage is kept in memory and the Vertex AI endpoint is a scripted stub, so no credentials are needed.
+ */
+
+import pino from 'pino';
+import { GoogleAuth } from 'google-auth-library';
+import { GeminiApiClient, GeminiApiError } from '../gemini/geminiApi.js';
+import {
+  isCacheable,
+  MemoryCacheTier,
+  ResponseCache,
+  responseCacheKey,
+  StorageCacheTier
+} from '../gemini/responseCache.js';
+import { MemoryStorage } from '../storage/memoryStorage.js';
+
+const TARGETS = [{ model: 'gemini-2.5-flash', location: 'us-central1' }];
+
+/**
+ * Replaces the authenticated HTTP client with one that answers every request with
+ * a numbered reply, recording the request bodies.
+ */
+function stubVertex() {
+  const requests = [];
+  GoogleAuth.prototype.getClient = async () => ({
+    request: async (options) => {
+      requests.push(JSON.parse(options.body));
+      const json = JSON.parse(options.body).generationConfig?.responseMimeType === 'application/json';
+      return {
+        status: 200,
+        data: {
+          candidates: [{ content: { role: 'model', parts: [{ text: json ? `{"reply":${requests.length}}` : `Reply ${requests.length}` }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }
+        }
+      };
+    }
+  });
+  return requests;
+}
+
+function createClient(responseCache) {
+  return new GeminiApiClient({
+    projectId: 'test-project',
+    location: 'us-central1',
+    defaultTextModel: 'gemini-2.5-flash',
+    defaultFileModel: 'gemini-2.5-flash',
+    logger: pino({ level: 'silent' }),
+    responseCache
+  });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Response Cache...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  // Test 1: Keys
+  await runTest('responseCacheKey - Covers everything that decides the response, in any key order', async () => {
+    const request = {
+      contents: [{ role: 'user', parts: [{ text: 'Hi' }, { inlineData: { mimeType: 'application/pdf', data: 'AAAA' } }] }],
+      generationConfig: { temperature: 0, maxOutputTokens: 100 }
+    };
+    const key = responseCacheKey(TARGETS, request);
+    if (!/^[0-9a-f]{64}$/.test(key)) {
+      throw new Error(`Unexpected key: ${key}`);
+    }
+    const reordered = { generationConfig: { maxOutputTokens: 100, temperature: 0 }, contents: request.contents };
+    if (responseCacheKey(TARGETS, reordered) !== key) {
+      throw new Error('The order of object keys should not change the key');
+    }
+    const variants = [
+      [TARGETS, { ...request, contents: [{ role: 'user', parts: [{ text: 'Hi' }, { inlineData: { mimeType: 'application/pdf', data: 'AAAB' } }] }] }],
+      [TARGETS, { ...request, generationConfig: { temperature: 1, maxOutputTokens: 100 } }],
+      [TARGETS, { ...request, systemInstruction: { parts: [{ text: 'Be brief.' }] } }],
+      [TARGETS, { ...request, tools: [{ functionDeclarations: [{ name: 'lookup' }] }] }],
+      [[{ model: 'gemini-2.5-pro', location: 'us-central1' }], request]
+    ];
+    for (const [targets, variant] of variants) {
+      if (responseCacheKey(targets, variant) === key) {
+        throw new Error(`A different request got the same key: ${JSON.stringify(variant)}`);
+      }
+    }
+    if (!isCacheable(request) || isCacheable({ contents: [{ role: 'user', parts: [{ fileData: { mimeType: 'application/pdf', fileUri: 'gs://b/f.pdf' } }] }] })) {
+      throw new Error('Only requests referencing files by URI should be uncacheable');
+    }
+  });
+
+  // Test 2: Tiers, LRU eviction and expiry
+  await runTest('ResponseCache - Evicts, expires, promotes hits and skips failing tiers', async () => {
+    let now = 1000;
+    const memory = new MemoryCacheTier({ maxEntries: 2 });
+    const storage = new MemoryStorage();
+    const cache = new ResponseCache({ tiers: [memory, new StorageCacheTier({ storage })], ttlMs: 500, now: () => now });
+
+    await cache.set('a', 'A');
+    await cache.set('b', 'B');
+    await cache.get('a');
+    await cache.set('c', 'C');
+    if (memory.size !== 2 || await memory.get('b') !== null || !(await memory.get('a'))) {
+      throw new Error('The least recently used entry should be evicted from memory');
+    }
+
+    const hit = await cache.get('b');
+    if (hit?.value !== 'B' || hit.tier !== 'storage' || !(await memory.get('b'))) {
+      throw new Error(`An entry found in storage should be copied into memory: ${JSON.stringify(hit)}`);
+    }
+    if (!(await storage.exists('cache/gemini/b.json'))) {
+      throw new Error('Entries should be kept under cache/gemini/ in storage');
+    }
+
+    now += 500;
+    if (await cache.get('b') !== null || await storage.exists('cache/gemini/b.json')) {
+      throw new Error('Expired entries should be missed and deleted');
+    }
+
+    const failing = { name: 'broken', get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); }, delete: async () => {} };
+    const resilient = new ResponseCache({ tiers: [failing, new MemoryCacheTier()] });
+    await resilient.set('k', 'V');
+    const fallback = await resilient.get('k');
+    if (fallback?.value !== 'V' || fallback.tier !== 'memory') {
+      throw new Error(`A failing tier should be skipped: ${JSON.stringify(fallback)}`);
+    }
+  });
+
+  // Test 3: Client hits and misses
+  await runTest('GeminiApiClient - Answers repeated requests from the cache without reporting usage', async () => {
+    const requests = stubVertex();
+    const client = createClient(new ResponseCache());
+    const usage = [];
+    const options = { generationConfig: { temperature: 0, responseMimeType: 'application/json' }, onUsage: usageMetadata => usage.push(usageMetadata) };
+
+    const first = await client.sendMessage('Hello', [], undefined, undefined, options);
+    first.parts[0].text = 'changed';
+    const second = await client.sendMessage('Hello', [], undefined, undefined, options);
+    if (first.cache?.status !== 'miss' || second.cache?.status !== 'hit' || second.cache.tier !== 'memory') {
+      throw new Error(`Unexpected cache status: ${JSON.stringify([first.cache, second.cache])}`);
+    }
+    if (requests.length !== 1 || usage.length !== 1) {
+      throw new Error(`A hit should neither call the model nor report usage: ${requests.length} requests, ${usage.length} usage reports`);
+    }
+    if (second.text !== '{"reply":1}' || second.parsed?.reply !== 1 || second.servedBy?.model !== 'gemini-2.5-flash') {
+      throw new Error(`The cached response should be restored in full: ${JSON.stringify(second)}`);
+    }
+
+    const other = await client.sendMessage('Hello', [], undefined, undefined, { generationConfig: { temperature: 1 } });
+    if (other.cache?.status !== 'miss' || requests.length !== 2) {
+      throw new Error('A request with other settings should miss');
+    }
+
+    const uncached = await createClient().sendMessage('Hello', [], undefined, undefined, options);
+    if (uncached.cache !== null || requests.length !== 3) {
+      throw new Error('Clients without a cache should not report a cache status');
+    }
+  });
+
+  // Test 4: Cache modes and the shared tier
+  await runTest('GeminiApiClient - Honours no-cache and no-store, and shares entries through storage', async () => {
+    const requests = stubVertex();
+    const storage = new MemoryStorage();
+    const createCachedClient = () => createClient(new ResponseCache({ tiers: [new MemoryCacheTier(), new StorageCacheTier({ storage })] }));
+    const client = createCachedClient();
+
+    await client.sendMessage('Question', []);
+    const refreshed = await client.sendMessage('Question', [], undefined, undefined, { cache: 'no-cache' });
+    if (refreshed.cache?.status !== 'bypass' || refreshed.text !== 'Reply 2') {
+      throw new Error(`no-cache should call the model: ${JSON.stringify(refreshed.cache)}`);
+    }
+    const afterRefresh = await client.sendMessage('Question', []);
+    if (afterRefresh.cache?.status !== 'hit' || afterRefresh.text !== 'Reply 2') {
+      throw new Error('no-cache should replace the cached response');
+    }
+
+    await client.sendMessage('Private', [], undefined, undefined, { cache: 'no-store' });
+    const notStored = await client.sendMessage('Private', []);
+    if (notStored.cache?.status !== 'miss') {
+      throw new Error('no-store should keep the response out of the cache');
+    }
+
+    const files = [{ fileUri: 'gs://bucket/bill.pdf', mimetype: 'application/pdf' }];
+    await client.sendMessageWithFiles('Read this', [], files);
+    const byUri = await client.sendMessageWithFiles('Read this', [], files);
+    if (byUri.cache?.status !== 'bypass') {
+      throw new Error('Requests referencing files by URI should bypass the cache');
+    }
+
+    const inline = [{ buffer: Buffer.from('%PDF-1.4'), mimetype: 'application/pdf' }];
+    await client.sendMessageWithFiles('Read this', [], inline);
+    const shared = await createCachedClient().sendMessageWithFiles('Read this', [], inline);
+    if (shared.cache?.status !== 'hit' || shared.cache.tier !== 'storage') {
+      throw new Error(`Another instance should find the entry in storage: ${JSON.stringify(shared.cache)}`);
+    }
+
+    const calls = requests.length;
+    try {
+      await client.sendMessage('Question', [], undefined, undefined, { cache: 'reload' });
+      throw new Error('An unknown cache mode should be rejected');
+    } catch (error) {
+      if (!(error instanceof GeminiApiError) || error.status !== 400 || requests.length !== calls) {
+        throw error;
+      }
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All response cache tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
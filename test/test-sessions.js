@@ -0,0 +1,220 @@
+/**
+ * @file test-sessions.js
+ * @description Unit tests for server-side chat sessions
+ * Sessions are kept in memory and the Gemini client is a stand-in, so no Google Cloud credentials are needed.
+ */
+
+import { MemoryStorage } from '../storage/memoryStorage.js';
+import { InvalidFileNameError } from '../storage/storageBackend.js';
+import { SessionConflictError, SessionNotFoundError, SessionStore } from '../sessions/sessionStore.js';
+import { ChatSessionService } from '../sessions/chatSessions.js';
+
+/**
+ * A stand-in for GeminiApiClient that records its calls and reports `tokensPerCall` tokens per reply.
+ */
+function createFakeClient({ tokensPerCall = 100, failSummaries = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async sendMessage(userInput, history) {
+      calls.push({ userInput, history });
+      if (userInput.startsWith('Summarize') && failSummaries) {
+        throw new Error('Summary failed');
+      }
+      const text = userInput.startsWith('Summarize') ? 'The user asked several questions.' : `Reply ${calls.length}`;
+      return { text, usageMetadata: { totalTokenCount: tokensPerCall } };
+    }
+  };
+}
+
+async function runTests() {
+  console.log('🧪 Testing Chat Sessions...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  async function expectError(promise, errorClass) {
+    try {
+      await promise;
+    } catch (error) {
+      if (!(error instanceof errorClass)) {
+        throw new Error(`Expected ${errorClass.name}, got ${error.name}: ${error.message}`);
+      }
+      return;
+    }
+    throw new Error(`Expected ${errorClass.name}`);
+  }
+
+  // Test 1: Turns and history
+  await runTest('ChatSessionService - Sends the stored history and keeps the transcript', async () => {
+    const storage = new MemoryStorage();
+    const client = createFakeClient();
+    const now = () => Date.parse('2025-08-01T12:00:00Z');
+    const service = new ChatSessionService({ store: new SessionStore({ storage, now }), geminiClient: client, now });
+    const { id } = await service.create({ ownerId: 'svc-a' });
+
+    await service.sendMessage(id, 'svc-a', 'Hello');
+    const { text } = await service.sendMessage(id, 'svc-a', 'What did I say?');
+    if (text !== 'Reply 2') {
+      throw new Error(`Unexpected reply: ${text}`);
+    }
+    const history = client.calls[1].history;
+    if (history.length !== 2 || history[0].parts[0].text !== 'Hello' || history[1].role !== 'model') {
+      throw new Error(`The stored history was not sent: ${JSON.stringify(history)}`);
+    }
+    const session = await service.get(id, 'svc-a');
+    if (session.messages.map(message => message.text).join('|') !== 'Hello|Reply 1|What did I say?|Reply 2') {
+      throw new Error(`Unexpected transcript: ${JSON.stringify(session.messages)}`);
+    }
+    if (!session.messages.every(message => message.createdAt === '2025-08-01T12:00:00.000Z')) {
+      throw new Error(`Messages should be timestamped by the service's clock: ${JSON.stringify(session.messages)}`);
+    }
+    await expectError(service.get(id, 'svc-b'), SessionNotFoundError);
+    await expectError(service.sendMessage(id, 'svc-b', 'Hi'), SessionNotFoundError);
+    await expectError(service.get('not-a-session', 'svc-a'), SessionNotFoundError);
+  });
+
+  // Test 2: Customer IDs
+  await runTest('ChatSessionService - Rejects sessions for invalid customer IDs', async () => {
+    const storage = new MemoryStorage();
+    const service = new ChatSessionService({ store: new SessionStore({ storage }), geminiClient: createFakeClient() });
+    for (const customerId of [123, '../x', '']) {
+      await expectError(service.create({ ownerId: 'svc-a', customerId, useTools: true }), InvalidFileNameError);
+    }
+    if ((await storage.list()).files.length !== 0) {
+      throw new Error('No session should be stored for an invalid customer ID');
+    }
+    const session = await service.create({ ownerId: 'svc-a', customerId: 'user-12345', useTools: true });
+    if (session.customerId !== 'user-12345') {
+      throw new Error(`Unexpected session: ${JSON.stringify(session)}`);
+    }
+  });
+
+  // Test 3: Expiry and concurrent turns
+  await runTest('SessionStore - Expires idle sessions and rejects stale writes', async () => {
+    const storage = new MemoryStorage();
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    const store = new SessionStore({ storage, ttlMs: 1000, now: () => now });
+    const { session } = await store.create({ ownerId: null });
+
+    now += 900;
+    const first = await store.get(session.id);
+    const second = await store.get(session.id);
+    await store.save(first.session, first.generation);
+    await expectError(store.save(second.session, second.generation), SessionConflictError);
+
+    // The write above moved the expiry forward.
+    now += 900;
+    await store.get(session.id);
+    now += 1000;
+    await expectError(store.get(session.id), SessionNotFoundError);
+    if (await storage.exists(`sessions/${session.id}.json`)) {
+      throw new Error('An expired session should be deleted');
+    }
+  });
+
+  // Test 4: Truncation
+  await runTest('ChatSessionService - Drops the oldest turns once a turn exceeds the budget', async () => {
+    const client = createFakeClient({ tokensPerCall: 1000 });
+    const service = new ChatSessionService({
+      store: new SessionStore({ storage: new MemoryStorage() }),
+      geminiClient: client,
+      tokenBudget: 500,
+      historyStrategy: 'truncate'
+    });
+    const { id } = await service.create({ ownerId: 'svc-a' });
+    await service.sendMessage(id, 'svc-a', 'First question');
+    const { compacted } = await service.sendMessage(id, 'svc-a', 'Second question');
+    if (!compacted) {
+      throw new Error('The history should have been shortened');
+    }
+    await service.sendMessage(id, 'svc-a', 'Third question');
+    const history = client.calls.at(-1).history;
+    if (history.length !== 2 || history[0].parts[0].text !== 'Second question') {
+      throw new Error(`Only the latest turn should be sent: ${JSON.stringify(history)}`);
+    }
+    const session = await service.get(id, 'svc-a');
+    if (session.messages.length !== 6 || session.summary !== null) {
+      throw new Error('The transcript should keep every message');
+    }
+  });
+
+  // Test 5: Summaries
+  await runTest('ChatSessionService - Replaces dropped turns with a summary, or truncates if it fails', async () => {
+    const client = createFakeClient({ tokensPerCall: 1000 });
+    const service = new ChatSessionService({
+      store: new SessionStore({ storage: new MemoryStorage() }),
+      geminiClient: client,
+      tokenBudget: 500
+    });
+    const { id } = await service.create({ ownerId: 'svc-a' });
+    await service.sendMessage(id, 'svc-a', 'My account ends in 42');
+    await service.sendMessage(id, 'svc-a', 'Second question');
+    const summaryCall = client.calls.at(-1);
+    if (!summaryCall.userInput.includes('User: My account ends in 42') || summaryCall.history.length !== 0) {
+      throw new Error(`The dropped turn should be summarized: ${summaryCall.userInput}`);
+    }
+    await service.sendMessage(id, 'svc-a', 'Third question');
+    const history = client.calls.find(call => call.userInput === 'Third question').history;
+    if (!history[0].parts[0].text.includes('The user asked several questions.') || history[2].parts[0].text !== 'Second question') {
+      throw new Error(`The summary should lead the history: ${JSON.stringify(history)}`);
+    }
+
+    const failing = new ChatSessionService({
+      store: new SessionStore({ storage: new MemoryStorage() }),
+      geminiClient: createFakeClient({ tokensPerCall: 1000, failSummaries: true }),
+      tokenBudget: 500
+    });
+    const created = await failing.create({ ownerId: 'svc-a' });
+    await failing.sendMessage(created.id, 'svc-a', 'First question');
+    const { compacted } = await failing.sendMessage(created.id, 'svc-a', 'Second question');
+    const session = await failing.get(created.id, 'svc-a');
+    if (!compacted || session.contextStart !== 2 || session.summary !== null) {
+      throw new Error(`A failed summary should fall back to truncation: ${JSON.stringify(session)}`);
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All chat session tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
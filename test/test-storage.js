@@ -0,0 +1,221 @@
+/**
+ * @file test-storage.js
+ * @description Unit tests for the storage backends
+ * The same contract is checked against the in-memory and local-directory
+ * backends, so these tests run without Google Cloud credentials.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { buffer } from 'stream/consumers';
+import { createStorage } from '../storage/createStorage.js';
+import { customerFileName } from '../storage/customerPaths.js';
+import { InvalidFileNameError, StorageFileNotFoundError, StoragePreconditionFailedError } from '../storage/storageBackend.js';
+
+const sampleCustomerData = {
+  "userId": "test-user-123",
+  "customerName": "Test Customer",
+  "accountNumber": "TEST-ACCOUNT"
+};
+
+async function expectError(promise, ErrorClass) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!(error instanceof ErrorClass)) {
+      throw new Error(`Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Expected ${ErrorClass.name} to be thrown`);
+}
+
+async function runTests() {
+  console.log('🧪 Testing Storage Backends...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  const tempDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  const backends = [
+    createStorage({ backend: 'memory' }),
+    createStorage({ backend: 'fs', directory: tempDirectory })
+  ];
+
+  for (const storage of backends) {
+    // Test: Files round-trip and report metadata
+    await runTest(`${storage.type} - save, get, exists and metadata`, async () => {
+      const data = JSON.stringify(sampleCustomerData);
+      await storage.save('customer-data.json', data);
+      if (await storage.get('customer-data.json') !== data) {
+        throw new Error('Data should round-trip unchanged');
+      }
+      if (!(await storage.exists('customer-data.json')) || await storage.exists('missing.json')) {
+        throw new Error('exists() should reflect which files were saved');
+      }
+      const metadata = await storage.metadata('customer-data.json');
+      if (metadata.name !== 'customer-data.json' || metadata.size !== Buffer.byteLength(data) || metadata.contentType !== 'application/json' || Number.isNaN(Date.parse(metadata.updated))) {
+        throw new Error(`Unexpected metadata: ${JSON.stringify(metadata)}`);
+      }
+    });
+
+    // Test: Listing by prefix and deleting
+    await runTest(`${storage.type} - list by prefix and delete`, async () => {
+      await storage.save('customers/a.json', '{}');
+      await storage.save('customers/b.json', '{}');
+      const { files, nextPageToken } = await storage.list('customers/');
+      const names = files.map(file => file.name);
+      if (nextPageToken !== undefined) {
+        throw new Error('A listing that fits on one page should have no nextPageToken');
+      }
+      if (names.join(',') !== 'customers/a.json,customers/b.json') {
+        throw new Error(`Unexpected listing: ${names.join(',')}`);
+      }
+      await storage.delete('customers/a.json');
+      if (await storage.exists('customers/a.json')) {
+        throw new Error('Deleted file should no longer exist');
+      }
+      await expectError(storage.delete('customers/a.json'), StorageFileNotFoundError);
+    });
+
+    // Test: Paging through a listing
+    await runTest(`${storage.type} - list pages with pageToken and maxResults`, async () => {
+      for (const name of ['paged/c.json', 'paged/a.json', 'paged/e.json', 'paged/b.json', 'paged/d.json']) {
+        await storage.save(name, '{}');
+      }
+      const names = [];
+      let pageToken;
+      let pages = 0;
+      do {
+        const page = await storage.list('paged/', { pageToken, maxResults: 2 });
+        names.push(...page.files.map(file => file.name));
+        pageToken = page.nextPageToken;
+        pages++;
+      } while (pageToken && pages < 10);
+      if (pages !== 3 || names.join(',') !== 'paged/a.json,paged/b.json,paged/c.json,paged/d.json,paged/e.json') {
+        throw new Error(`Unexpected pages (${pages}): ${names.join(',')}`);
+      }
+    });
+
+    // Test: Binary files and ranged reads
+    await runTest(`${storage.type} - binary data and createReadStream ranges`, async () => {
+      const bytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0x10, 0x80]);
+      const { generation } = await storage.save('bills/bill.pdf', bytes, { contentType: 'application/pdf' });
+      const whole = await storage.createReadStream('bills/bill.pdf');
+      if (!bytes.equals(await buffer(whole.stream)) || whole.metadata.size !== bytes.length || whole.metadata.contentType !== 'application/pdf' || whole.metadata.generation !== generation) {
+        throw new Error(`Binary data should round-trip with its metadata: ${JSON.stringify(whole.metadata)}`);
+      }
+      const part = await storage.createReadStream('bills/bill.pdf', { start: 4, end: 6 });
+      if (!bytes.subarray(4, 7).equals(await buffer(part.stream))) {
+        throw new Error('A range should include both its start and end byte');
+      }
+      await expectError(storage.createReadStream('bills/missing.pdf'), StorageFileNotFoundError);
+    });
+
+    // Test: Conditional writes
+    await runTest(`${storage.type} - ifGenerationMatch preconditions`, async () => {
+      const { generation: created } = await storage.save('concurrency.json', '{"v":1}', { ifGenerationMatch: '0' });
+      await expectError(storage.save('concurrency.json', '{"v":0}', { ifGenerationMatch: '0' }), StoragePreconditionFailedError);
+
+      const read = await storage.getWithGeneration('concurrency.json');
+      if (read.generation !== created || read.data !== '{"v":1}' || (await storage.metadata('concurrency.json')).generation !== created) {
+        throw new Error('Reads should report the generation returned by the last save');
+      }
+      // Two writers read the same generation; only the first may write.
+      const { generation: updated } = await storage.save('concurrency.json', '{"v":2}', { ifGenerationMatch: read.generation });
+      await expectError(storage.save('concurrency.json', '{"v":3}', { ifGenerationMatch: read.generation }), StoragePreconditionFailedError);
+      if (updated === created || await storage.get('concurrency.json') !== '{"v":2}') {
+        throw new Error('The losing write must not change the file');
+      }
+    });
+
+    // Test: Missing files and unsafe names
+    await runTest(`${storage.type} - missing files and invalid names`, async () => {
+      await expectError(storage.get('missing.json'), StorageFileNotFoundError);
+      await expectError(storage.metadata('missing.json'), StorageFileNotFoundError);
+      await expectError(storage.get('../outside.json'), InvalidFileNameError);
+      await expectError(storage.save('/etc/passwd', '{}'), InvalidFileNameError);
+      await expectError(storage.save('bills/july#1.pdf', '{}'), InvalidFileNameError);
+      await expectError(storage.save('bills/\u0007.pdf', '{}'), InvalidFileNameError);
+      await expectError(storage.save('x'.repeat(1025), '{}'), InvalidFileNameError);
+    });
+  }
+
+  // Test: Backend selection
+  await runTest('createStorage - Rejects unknown backends and a missing bucket', async () => {
+    for (const options of [{ backend: 'ftp' }, { backend: 'gcs', bucketName: '' }]) {
+      try {
+        createStorage(options);
+        throw new Error(`createStorage(${JSON.stringify(options)}) should have thrown`);
+      } catch (error) {
+        if (error.message.includes('should have thrown')) {
+          throw error;
+        }
+      }
+    }
+  });
+
+  // Test: Customer folders
+  await runTest('customerFileName - Keeps files inside the customer\'s folder', async () => {
+    if (customerFileName('user-12345', 'bills/2025-07.pdf') !== 'customers/user-12345/bills/2025-07.pdf') {
+      throw new Error('Files should be placed under customers/{customerId}/');
+    }
+    for (const [customerId, fileName] of [['user-1', '../user-2/bill.pdf'], ['../user-2', 'bill.pdf'], ['user-1/bills', 'bill.pdf'], ['', 'bill.pdf'], ['user-1', '']]) {
+      try {
+        customerFileName(customerId, fileName);
+        throw new Error(`customerFileName('${customerId}', '${fileName}') should have thrown`);
+      } catch (error) {
+        if (!(error instanceof InvalidFileNameError)) {
+          throw error;
+        }
+      }
+    }
+  });
+
+  await fs.rm(tempDirectory, { recursive: true, force: true });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All storage tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
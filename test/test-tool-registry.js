@@ -0,0 +1,178 @@
+/**
+ * @file test-tool-registry.js
+ * @description Unit tests for the tool registry and the function-calling loop
+ * The Vertex AI endpoint is replaced with a scripted stub, so no credentials
+ * or network access are needed.
+ */
+
+import pino from 'pino';
+import { GoogleAuth } from 'google-auth-library';
+import { GeminiApiClient, GeminiApiError } from '../gemini/geminiApi.js';
+import { ToolRegistry, ToolRegistryError } from '../gemini/toolRegistry.js';
+
+/**
+ * Replaces the authenticated HTTP client with one that returns the given
+ * candidates' parts in order, recording every request body it receives.
+ */
+function stubVertexResponses(responses) {
+  const requests = [];
+  GoogleAuth.prototype.getClient = async () => ({
+    request: async ({ body }) => {
+      requests.push(JSON.parse(body));
+      const parts = responses[Math.min(requests.length - 1, responses.length - 1)];
+      return { status: 200, data: { candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }] } };
+    }
+  });
+  return requests;
+}
+
+function createRegistry() {
+  return new ToolRegistry().register({
+    name: 'getBalance',
+    description: 'Returns the balance for an account.',
+    parameters: {
+      type: 'object',
+      properties: { accountNumber: { type: 'string' } },
+      required: ['accountNumber']
+    },
+    handler: async ({ accountNumber }, context) => ({ accountNumber, balance: '154.33', caller: context.caller })
+  });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Tool Registry...\n');
+
+  let testsPassed = 0;
+  let testsTotal = 0;
+
+  // Helper function to run a test
+  async function runTest(testName, testFunction) {
+    testsTotal++;
+    try {
+      console.log(`Testing: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}\n`);
+      testsPassed++;
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}\n`);
+    }
+  }
+
+  const client = new GeminiApiClient({
+    projectId: 'test-project',
+    location: 'us-central1',
+    defaultTextModel: 'gemini-2.5-flash',
+    toolRegistry: createRegistry(),
+    logger: pino({ level: 'silent' })
+  });
+
+  // Test 1: Registration validation
+  await runTest('ToolRegistry - Rejects duplicate and invalid tools', async () => {
+    const registry = createRegistry();
+    for (const tool of [
+      { name: 'getBalance', handler: () => ({}) },
+      { name: '1invalid', handler: () => ({}) },
+      { name: 'noHandler' }
+    ]) {
+      try {
+        registry.register(tool);
+        throw new Error(`Should have rejected ${tool.name}`);
+      } catch (error) {
+        if (!(error instanceof ToolRegistryError)) {
+          throw error;
+        }
+      }
+    }
+    const declarations = registry.toGeminiTools()[0].functionDeclarations;
+    if (declarations.length !== 1 || declarations[0].name !== 'getBalance' || !declarations[0].parameters) {
+      throw new Error(`Unexpected declarations: ${JSON.stringify(declarations)}`);
+    }
+  });
+
+  // Test 2: Argument validation and error capture
+  await runTest('ToolRegistry - execute returns errors instead of throwing', async () => {
+    const registry = createRegistry().register({
+      name: 'alwaysFails',
+      description: 'Throws.',
+      handler: () => { throw new Error('boom'); }
+    });
+    const missingArgs = await registry.execute('getBalance', {});
+    if (!missingArgs.error || !missingArgs.details[0].includes('accountNumber')) {
+      throw new Error(`Expected an argument error: ${JSON.stringify(missingArgs)}`);
+    }
+    if ((await registry.execute('alwaysFails')).error !== 'boom') {
+      throw new Error('Handler errors should be returned');
+    }
+    if (!(await registry.execute('unknownTool')).error) {
+      throw new Error('Unknown tools should return an error');
+    }
+  });
+
+  // Test 3: Full loop - function call, function response, final text
+  await runTest('runWithTools - Executes calls and feeds responses back', async () => {
+    const requests = stubVertexResponses([
+      [{ functionCall: { name: 'getBalance', args: { accountNumber: '9100' } } }],
+      [{ text: 'Your balance is ' }, { text: '$154.33.' }]
+    ]);
+    const result = await client.runWithTools('What is my balance?', [], { context: { caller: 'agent' } });
+    if (result.text !== 'Your balance is $154.33.') {
+      throw new Error(`Unexpected text: ${result.text}`);
+    }
+    if (result.toolCalls.length !== 1 || result.toolCalls[0].response.caller !== 'agent') {
+      throw new Error(`Unexpected tool calls: ${JSON.stringify(result.toolCalls)}`);
+    }
+    if (!requests[0].tools?.[0]?.functionDeclarations) {
+      throw new Error('The first request should declare the tools');
+    }
+    const functionResponse = requests[1].contents.at(-1).parts[0].functionResponse;
+    if (functionResponse?.name !== 'getBalance' || functionResponse.response.balance !== '154.33') {
+      throw new Error(`The second request should carry the function response: ${JSON.stringify(requests[1].contents.at(-1))}`);
+    }
+  });
+
+  // Test 4: Max-iteration guard
+  await runTest('runWithTools - Stops after maxIterations', async () => {
+    const requests = stubVertexResponses([
+      [{ functionCall: { name: 'getBalance', args: { accountNumber: '9100' } } }]
+    ]);
+    try {
+      await client.runWithTools('Loop forever', [], { maxIterations: 3 });
+      throw new Error('Should have thrown after 3 iterations');
+    } catch (error) {
+      if (!(error instanceof GeminiApiError) || requests.length !== 3) {
+        throw new Error(`Expected a GeminiApiError after 3 requests, got ${requests.length}: ${error.message}`);
+      }
+    }
+  });
+
+  // Summary
+  console.log('📊 Test Summary:');
+  console.log(`   Tests passed: ${testsPassed}/${testsTotal}`);
+
+  if (testsPassed === testsTotal) {
+    console.log('🎉 All tool registry tests passed!');
+    return true;
+  } else {
+    console.log('⚠️  Some tests failed. Check the output above.');
+    return false;
+  }
+}
+
+import { fileURLToPath } from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+// Run the tests if this file is executed directly
+if (isMainModule) {
+  runTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('❌ Test runner failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTests };
@@ -0,0 +1,158 @@
+/**
+ * @file jsonSchema.js
+ * @description A small JSON Schema validator for the subset of the spec used in this service.
+ *
+ * Supports the keywords used by Gemini function declarations and response
+ * schemas (an OpenAPI 3 subset, where type names may be upper-case and
+ * `nullable` is allowed) as well as the draft-07 keywords we use for our own
+ * documents: type, enum, const, properties, required, additionalProperties,
+ * items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern,
+ * format (date, date-time), anyOf and $ref to local definitions.
+ *
+ * Exports:
+ * - validateJsonSchema(schema, value): Returns a list of { path, message } errors
+ */
+
+const FORMAT_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    return null;
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function validateNode(schema, value, path, root, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) {
+      errors.push({ path, message: `cannot resolve schema reference ${schema.$ref}` });
+      return;
+    }
+    validateNode(target, value, path, root, errors);
+    return;
+  }
+
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (schema.type) {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(type => String(type).toLowerCase());
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(option, value, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push({ path, message: 'must match at least one of the allowed schemas' });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    const formatPattern = FORMAT_PATTERNS[schema.format];
+    if (formatPattern && (!formatPattern.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: joinPath(path, name), message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        validateNode(properties[name], propertyValue, joinPath(path, name), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, name), message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, propertyValue, joinPath(path, name), root, errors);
+      }
+    }
+  }
+}
+
+function joinPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Validates a value against a JSON schema.
+ *
+ * @param {object} schema - The schema to validate against.
+ * @param {any} value - The value to validate.
+ * @returns {Array<{path: string, message: string}>} The validation errors; empty when the value is valid.
+ * `path` is a dotted property path such as `currentBill.newCharges.otherFees[0].amount`
+ * (an empty string refers to the value itself).
+ */
+export function validateJsonSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '', schema, errors);
+  return errors;
+}